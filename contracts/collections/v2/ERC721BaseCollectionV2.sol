@@ -6,15 +6,14 @@ pragma experimental ABIEncoderV2;
 import "@openzeppelin/contracts/math/SafeMath.sol";
 
 import "../../interfaces/IRarities.sol";
+import "../../interfaces/IItemMetadataValidator.sol";
 import "../../commons//OwnableInitializable.sol";
 import "../../commons//NativeMetaTransaction.sol";
 import "../../tokens/ERC721Initializable.sol";
-import "../../libs/String.sol";
+import "../../libs/CollectionItemsV2.sol";
+import "../../libs/CollectionHelpersV2.sol";
 
 abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initializable, NativeMetaTransaction {
-    using String for bytes32;
-    using String for uint256;
-    using String for address;
     using SafeMath for uint256;
 
     bytes32 constant public COLLECTION_HASH = keccak256("Decentraland Collection");
@@ -23,12 +22,18 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
     uint40 constant public MAX_ITEM_ID = type(uint40).max;
     uint216 constant public MAX_ISSUED_ID = type(uint216).max;
     bytes32 constant internal EMPTY_CONTENT = bytes32(0);
+    bytes4 constant internal ERC2981_INTERFACE_ID = 0x2a55205a;
+    uint256 constant public ROYALTY_BASIS_POINTS = 10000;
+    // Implementations can only be migrated to implementations with the same storage layout.
+    // Keep it when the storage is only appended and change it when existing storage is moved or retyped
+    bytes32 constant public STORAGE_LAYOUT = keccak256("Decentraland Collection Storage V1");
 
     struct ItemParam {
         string rarity;
         uint256 price;
         address beneficiary;
         string metadata;
+        uint256 maxSupply; // 0 means the rarity max supply
     }
 
     struct Item {
@@ -41,6 +46,17 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
         string contentHash; // used for safe purposes
     }
 
+    struct Royalty {
+        address receiver; // zero address means the item beneficiary or the creator
+        bool isSet; // items without their own royalty use the default one
+        uint256 basisPoints;
+    }
+
+    struct MintWindow {
+        uint256 startTime; // 0 means no start restriction
+        uint256 endTime; // 0 means no end restriction
+    }
+
     IRarities public rarities;
 
     // Roles
@@ -59,6 +75,22 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
     bool public isEditable;
     bool public isApproved;
 
+    // Items mint windows
+    mapping(uint256 => MintWindow) public itemMintWindows;
+
+    // Royalties
+    Royalty public defaultRoyalty;
+    mapping(uint256 => Royalty) public itemRoyalties;
+
+    IItemMetadataValidator public metadataValidator;
+
+    // Burns
+    mapping(uint256 => uint256) public itemBurnedSupply;
+    mapping(uint256 => bool) public itemReissuable;
+    // Issued ids are not reused, so they are counted apart from the total supply, which burns of reissuable items decrease.
+    // It is not set for items issued by implementations without burns until the first burn or issue
+    mapping(uint256 => uint256) internal itemMintedSupply;
+
     event BaseURI(string _oldBaseURI, string _newBaseURI);
     event SetGlobalMinter(address indexed _minter, bool _value);
     event SetGlobalManager(address indexed _manager, bool _value);
@@ -68,10 +100,21 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
     event AddItem(uint256 indexed _itemId, Item _item);
     event RescueItem(uint256 indexed _itemId, string _contentHash, string _metadata);
     event Issue(address indexed _beneficiary, uint256 indexed _tokenId, uint256 indexed _itemId, uint256 _issuedId, address _caller);
+    event Burn(address indexed _owner, uint256 indexed _tokenId, uint256 indexed _itemId, address _caller);
+    event SetItemMintWindow(uint256 indexed _itemId, uint256 _startTime, uint256 _endTime);
+    event SetItemMaxSupply(uint256 indexed _itemId, uint256 _maxSupply);
+    event SetItemReissuable(uint256 indexed _itemId, bool _value);
+    event SetDefaultRoyalty(address _receiver, uint256 _basisPoints);
+    event SetItemRoyalty(uint256 indexed _itemId, address _receiver, uint256 _basisPoints);
+    event RemoveItemRoyalty(uint256 indexed _itemId);
     event UpdateItemData(uint256 indexed _itemId, uint256 _price, address _beneficiary, string _metadata);
     event CreatorshipTransferred(address indexed _previousCreator, address indexed _newCreator);
     event SetApproved(bool _previousValue, bool _newValue);
     event SetEditable(bool _previousValue, bool _newValue);
+    event SetMetadataValidator(
+        IItemMetadataValidator indexed _previousMetadataValidator,
+        IItemMetadataValidator indexed _newMetadataValidator
+    );
     event Complete();
 
    /*
@@ -151,11 +194,15 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
     }
 
     modifier onlyCreator() {
+        _checkCreator();
+        _;
+    }
+
+    function _checkCreator() internal view {
         require(
             _isCreator(),
             "onlyCreator: CALLER_IS_NOT_CREATOR"
         );
-        _;
     }
 
     /*
@@ -173,15 +220,7 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
             "setMinters: LENGTH_MISMATCH"
         );
 
-        for (uint256 i = 0; i < _minters.length; i++) {
-            address minter = _minters[i];
-            bool value = _values[i];
-            require(minter != address(0), "setMinters: INVALID_MINTER_ADDRESS");
-            require(globalMinters[minter] != value, "setMinters: VALUE_IS_THE_SAME");
-
-            globalMinters[minter] = value;
-            emit SetGlobalMinter(minter, value);
-        }
+        CollectionHelpersV2.setMinters(globalMinters, _minters, _values);
     }
 
     /**
@@ -200,17 +239,7 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
             "setItemsMinters: LENGTH_MISMATCH"
         );
 
-        for (uint256 i = 0; i < _minters.length; i++) {
-            address minter = _minters[i];
-            uint256 itemId = _itemIds[i];
-            uint256 value = _values[i];
-            require(minter != address(0), "setItemsMinters: INVALID_MINTER_ADDRESS");
-            require(itemId < items.length, "setItemsMinters: ITEM_DOES_NOT_EXIST");
-            require(itemMinters[itemId][minter] != value, "setItemsMinters: VALUE_IS_THE_SAME");
-
-            itemMinters[itemId][minter] = value;
-            emit SetItemMinter(itemId, minter, value);
-        }
+        CollectionHelpersV2.setItemsMinters(itemMinters, items.length, _itemIds, _minters, _values);
     }
 
     /**
@@ -224,15 +253,7 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
             "setManagers: LENGTH_MISMATCH"
         );
 
-        for (uint256 i = 0; i < _managers.length; i++) {
-            address manager = _managers[i];
-            bool value = _values[i];
-            require(manager != address(0), "setManagers: INVALID_MANAGER_ADDRESS");
-            require(globalManagers[manager] != value, "setManagers: VALUE_IS_THE_SAME");
-
-            globalManagers[manager] = value;
-            emit SetGlobalManager(manager, value);
-        }
+        CollectionHelpersV2.setManagers(globalManagers, _managers, _values);
     }
 
     /**
@@ -251,17 +272,7 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
             "setItemsManagers: LENGTH_MISMATCH"
         );
 
-        for (uint256 i = 0; i < _managers.length; i++) {
-            address manager = _managers[i];
-            uint256 itemId = _itemIds[i];
-            bool value = _values[i];
-            require(manager != address(0), "setItemsManagers: INVALID_MANAGER_ADDRESS");
-            require(itemId < items.length, "setItemsManagers: ITEM_DOES_NOT_EXIST");
-            require(itemManagers[itemId][manager] != value, "setItemsManagers: VALUE_IS_THE_SAME");
-
-            itemManagers[itemId][manager] = value;
-            emit SetItemManager(itemId, manager, value);
-        }
+        CollectionHelpersV2.setItemsManagers(itemManagers, items.length, _itemIds, _managers, _values);
     }
 
     /**
@@ -316,90 +327,134 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
             "editItemsData: COLLECTION_NOT_EDITABLE"
         );
 
-        // Check item id
-        for (uint256 i = 0; i < _itemIds.length; i++) {
-            uint256 itemId = _itemIds[i];
-            uint256 price = _prices[i];
-            address beneficiary = _beneficiaries[i];
-            string memory metadata = _metadatas[i];
-
-            require(_isCreator() || _isManager(itemId), "editItemsData: CALLER_IS_NOT_CREATOR_OR_MANAGER");
-            require(itemId < items.length, "editItemsData: ITEM_DOES_NOT_EXIST");
-            require(
-                price > 0 && beneficiary != address(0) || price == 0 && beneficiary == address(0),
-                "editItemsData: INVALID_PRICE_AND_BENEFICIARY"
-            );
-            require(bytes(metadata).length > 0, "editItemsData: EMPTY_METADATA");
+        CollectionItemsV2.editItemsData(
+            items,
+            itemManagers,
+            metadataValidator,
+            _isCreator() || globalManagers[_msgSender()],
+            _msgSender(),
+            isApproved,
+            _itemIds,
+            _prices,
+            _beneficiaries,
+            _metadatas
+        );
+    }
 
-            Item storage item = items[itemId];
+    /**
+     * @notice Set the time window in which items can be minted
+     * @dev A start or end time of 0 means that side of the window is open
+     * @param _itemIds - items ids
+     * @param _startTimes - timestamps from which the items can be minted
+     * @param _endTimes - timestamps from which the items can not be minted anymore
+     */
+    function setItemsMintWindows(
+        uint256[] calldata _itemIds,
+        uint256[] calldata _startTimes,
+        uint256[] calldata _endTimes
+    ) external {
+        require(
+            _itemIds.length == _startTimes.length && _startTimes.length == _endTimes.length,
+            "setItemsMintWindows: LENGTH_MISMATCH"
+        );
 
-            require(
-                !isApproved || keccak256(abi.encode(item.metadata)) == keccak256(abi.encode(metadata)),
-                "editItemsData: CAN_NOT_EDIT_METADATA"
-            );
+        require(isEditable, "setItemsMintWindows: COLLECTION_NOT_EDITABLE");
 
-            item.price = price;
-            item.beneficiary = beneficiary;
-            item.metadata = metadata;
+        address sender = _msgSender();
+        CollectionItemsV2.setItemsMintWindows(
+            itemMintWindows,
+            itemManagers,
+            items.length,
+            _isCreator() || globalManagers[sender],
+            sender,
+            _itemIds,
+            _startTimes,
+            _endTimes
+        );
+    }
 
-            emit UpdateItemData(itemId, price, beneficiary, metadata);
-        }
+    /**
+     * @notice Lower the max supply of items
+     * @dev The max supply can not be raised nor set below the current supply
+     * @param _itemIds - items ids
+     * @param _maxSupplies - new max supplies
+     */
+    function setItemsMaxSupply(uint256[] calldata _itemIds, uint256[] calldata _maxSupplies) external {
+        require(_itemIds.length == _maxSupplies.length, "setItemsMaxSupply: LENGTH_MISMATCH");
+
+        require(isEditable, "setItemsMaxSupply: COLLECTION_NOT_EDITABLE");
+
+        address sender = _msgSender();
+        CollectionItemsV2.setItemsMaxSupply(
+            items,
+            itemManagers,
+            _isCreator() || globalManagers[sender],
+            sender,
+            _itemIds,
+            _maxSupplies
+        );
+    }
+
+    /**
+     * @notice Set the royalty used by the items without their own
+     * @param _receiver - royalty receiver. Zero address to use the item beneficiary or the creator
+     * @param _basisPoints - royalty in basis points
+     */
+    function setDefaultRoyalty(address _receiver, uint256 _basisPoints) external onlyCreator {
+        require(isEditable, "setDefaultRoyalty: COLLECTION_NOT_EDITABLE");
+        require(_basisPoints <= ROYALTY_BASIS_POINTS, "setDefaultRoyalty: INVALID_BASIS_POINTS");
+
+        defaultRoyalty = Royalty(_receiver, true, _basisPoints);
+
+        emit SetDefaultRoyalty(_receiver, _basisPoints);
+    }
+
+    /**
+     * @notice Set items royalties
+     * @dev An item royalty without basis points opts the item out of royalties
+     * @param _itemIds - items ids
+     * @param _receivers - royalty receivers. Zero address to use the item beneficiary or the creator
+     * @param _basisPoints - royalties in basis points. The max uint256 removes the item royalty to use the default one
+     */
+    function setItemsRoyalties(
+        uint256[] calldata _itemIds,
+        address[] calldata _receivers,
+        uint256[] calldata _basisPoints
+    ) external {
+        require(
+            _itemIds.length == _receivers.length && _receivers.length == _basisPoints.length,
+            "setItemsRoyalties: LENGTH_MISMATCH"
+        );
+
+        require(isEditable, "setItemsRoyalties: COLLECTION_NOT_EDITABLE");
+
+        address sender = _msgSender();
+        CollectionItemsV2.setItemsRoyalties(
+            itemRoyalties,
+            itemManagers,
+            items.length,
+            _isCreator() || globalManagers[sender],
+            sender,
+            _itemIds,
+            _receivers,
+            _basisPoints
+        );
     }
 
     /**
      * @notice Add new items to the collection.
      * @dev The item should follow:
      * rarity: should be one of the RARITY enum
+     * maxSupply: the rarity max supply, or a lower one if passed
      * totalSupply: starts in 0
-     * metadata: shouldn't be empty
+     * metadata: shouldn't be empty and should be valid if the collection has a metadata validator
      * price & beneficiary: is the price is > 0, a beneficiary should be passed. If not, price and
      *   beneficiary should be empty.
      * contentHash: starts empty
      * @param _items - items to add
      */
     function _addItems(ItemParam[] memory _items) internal {
-        require(_items.length > 0, "_addItems: EMPTY_ITEMS");
-
-        IRarities.Rarity memory rarity;
-        bytes32 lastRarityKey;
-
-        for (uint256 i = 0; i < _items.length; i++) {
-            ItemParam memory _item = _items[i];
-            bytes32 rarityKey = keccak256(bytes(_item.rarity));
-
-            if (lastRarityKey != rarityKey) {
-                rarity = rarities.getRarityByName(_item.rarity);
-                lastRarityKey = rarityKey;
-
-                require(
-                    rarity.maxSupply > 0 && rarity.maxSupply <= MAX_ISSUED_ID,
-                    "_addItem: INVALID_RARITY"
-                );
-            }
-
-            require(bytes(_item.metadata).length > 0, "_addItem: EMPTY_METADATA");
-            require(
-                _item.price > 0 && _item.beneficiary != address(0) || _item.price == 0 && _item.beneficiary == address(0),
-                "_addItem: INVALID_PRICE_AND_BENEFICIARY"
-            );
-
-            uint256 newItemId = items.length;
-            require(newItemId < MAX_ITEM_ID, "_addItem: MAX_ITEM_ID_REACHED");
-
-            Item memory item = Item({
-                rarity: rarity.name,
-                maxSupply: rarity.maxSupply,
-                totalSupply: 0,
-                price: _item.price,
-                beneficiary: _item.beneficiary,
-                metadata: _item.metadata,
-                contentHash: ''
-            });
-
-            items.push(item);
-
-            emit AddItem(newItemId, item);
-        }
+        CollectionItemsV2.addItems(items, rarities, metadataValidator, _items);
     }
 
     /**
@@ -439,23 +494,104 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
         // Check item id
         require(_itemId < items.length, "_issueToken: ITEM_DOES_NOT_EXIST");
 
+        // Check mint window
+        MintWindow storage window = itemMintWindows[_itemId];
+        require(
+            block.timestamp >= window.startTime && (window.endTime == 0 || block.timestamp < window.endTime),
+            "_issueToken: OUT_OF_MINT_WINDOW"
+        );
+
         Item storage item = items[_itemId];
         uint256 currentIssuance = item.totalSupply.add(1);
 
         // Check issuance
         require(currentIssuance <= item.maxSupply, "_issueToken: ITEM_EXHAUSTED");
 
+        // Get the next issued id
+        uint256 issuedId = itemMintedSupply[_itemId];
+        if (issuedId < item.totalSupply) {
+            issuedId = item.totalSupply;
+        }
+        issuedId = issuedId.add(1);
+
         // Encode token id
-        uint256 tokenId = encodeTokenId(_itemId, currentIssuance);
+        uint256 tokenId = encodeTokenId(_itemId, issuedId);
 
         // Increase issuance
         item.totalSupply = currentIssuance;
+        itemMintedSupply[_itemId] = issuedId;
 
         // Mint token to beneficiary
         super._mint(_beneficiary, tokenId);
 
         // Log
-        emit Issue(_beneficiary, tokenId, _itemId, currentIssuance, _sender);
+        emit Issue(_beneficiary, tokenId, _itemId, issuedId, _sender);
+    }
+
+    /**
+     * @notice Set whether the burned tokens of items can be issued again
+     * @dev The issued ids keep growing, so the issued id of a reissued token can be greater than the item max supply
+     * @param _itemIds - items ids
+     * @param _values - whether the burned tokens can be issued again
+     */
+    function setItemsReissuable(uint256[] calldata _itemIds, bool[] calldata _values) external onlyCreator {
+        require(_itemIds.length == _values.length, "setItemsReissuable: LENGTH_MISMATCH");
+
+        require(isEditable, "setItemsReissuable: COLLECTION_NOT_EDITABLE");
+
+        CollectionItemsV2.setItemsReissuable(itemReissuable, items.length, _itemIds, _values);
+    }
+
+    /**
+     * @notice Burn a token
+     * @dev Only the owner or an approved operator of the token can burn it
+     * @param _tokenId - token id
+     */
+    function burn(uint256 _tokenId) external {
+        _burnToken(_tokenId, _msgSender());
+    }
+
+    /**
+     * @notice Burn tokens
+     * @dev Only the owner or an approved operator of each token can burn it
+     * @param _tokenIds - token ids
+     */
+    function batchBurn(uint256[] calldata _tokenIds) external {
+        address sender = _msgSender();
+        for (uint256 i = 0; i < _tokenIds.length; i++) {
+            _burnToken(_tokenIds[i], sender);
+        }
+    }
+
+    /**
+     * @notice Burn a token and count it in the burned supply of its item
+     * @dev If the item is reissuable, the token is also subtracted from the total supply of the item
+     * so it can be issued again
+     * @param _tokenId - token id
+     * @param _sender - transaction sender
+     */
+    function _burnToken(uint256 _tokenId, address _sender) internal {
+        require(_isApprovedOrOwner(_sender, _tokenId), "_burnToken: CALLER_IS_NOT_OWNER_OR_APPROVED");
+
+        address owner = ownerOf(_tokenId);
+        (uint256 itemId,) = decodeTokenId(_tokenId);
+
+        itemBurnedSupply[itemId] = itemBurnedSupply[itemId].add(1);
+
+        if (itemReissuable[itemId]) {
+            Item storage item = items[itemId];
+
+            // Keep the issued ids before the total supply goes down
+            if (itemMintedSupply[itemId] < item.totalSupply) {
+                itemMintedSupply[itemId] = item.totalSupply;
+            }
+
+            item.totalSupply = item.totalSupply.sub(1);
+        }
+
+        super._burn(_tokenId);
+
+        emit Burn(owner, _tokenId, itemId, _sender);
     }
 
     /**
@@ -477,23 +613,7 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
             "rescueItems: LENGTH_MISMATCH"
         );
 
-        for (uint256 i = 0; i < _itemIds.length; i++) {
-            uint256 itemId = _itemIds[i];
-            require(itemId < items.length, "rescueItems: ITEM_DOES_NOT_EXIST");
-
-            Item storage item = items[itemId];
-
-            string memory contentHash = _contentHashes[i];
-            string memory metadata = _metadatas[i];
-
-            item.contentHash = contentHash;
-
-            if (bytes(metadata).length > 0) {
-                item.metadata = metadata;
-            }
-
-            emit RescueItem(itemId, contentHash, item.metadata);
-        }
+        CollectionItemsV2.rescueItems(items, _itemIds, _contentHashes, _metadatas);
     }
 
     /**
@@ -562,6 +682,16 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
         isEditable = _value;
     }
 
+    /**
+     * @notice Set the contract used to validate the metadata of the items added or edited.
+     * @param _metadataValidator - metadata validator. Zero address to skip the validation
+     */
+    function setMetadataValidator(IItemMetadataValidator _metadataValidator) external onlyOwner {
+        emit SetMetadataValidator(metadataValidator, _metadataValidator);
+
+        metadataValidator = _metadataValidator;
+    }
+
     /*
     * URI functions
     */
@@ -586,24 +716,35 @@ abstract contract ERC721BaseCollectionV2 is OwnableInitializable, ERC721Initiali
 
         (uint256 itemId, uint256 issuedId) = decodeTokenId(_tokenId);
 
-        uint256 id;
-        assembly {
-            id := chainid()
-        }
+        return CollectionHelpersV2.tokenURI(baseURI(), itemId, issuedId);
+    }
 
-        return string(
-            abi.encodePacked(
-                baseURI(),
-                id.uintToString(),
-                "/",
-                "0x",
-                address(this).addressToString(),
-                "/",
-                itemId.uintToString(),
-                "/",
-                issuedId.uintToString()
-            )
-        );
+    /*
+    * Royalties functions
+    */
+
+    /**
+     * @notice Returns the royalty of a token sale (EIP-2981)
+     * @dev The item royalty is used if it was set, even without basis points, otherwise, the default royalty.
+     * If the royalty has no receiver, the item beneficiary or the creator receives it
+     * @param _tokenId - token id sold
+     * @param _salePrice - sale price
+     * @return receiver - royalty receiver
+     * @return royaltyAmount - royalty amount for the sale price
+     */
+    function royaltyInfo(uint256 _tokenId, uint256 _salePrice) external view returns (address receiver, uint256 royaltyAmount) {
+        (uint256 itemId,) = decodeTokenId(_tokenId);
+
+        return CollectionHelpersV2.royaltyInfo(items, itemRoyalties, defaultRoyalty, creator, itemId, _salePrice);
+    }
+
+    /**
+     * @notice Returns whether an interface is supported
+     * @param _interfaceId - interface id
+     * @return whether the interface is supported
+     */
+    function supportsInterface(bytes4 _interfaceId) public view virtual override returns (bool) {
+        return _interfaceId == ERC2981_INTERFACE_ID || super.supportsInterface(_interfaceId);
     }
 
     /*
@@ -42,10 +42,18 @@ abstract contract OwnableInitializable is ContextMixin {
      * @dev Throws if called by any account other than the owner.
      */
     modifier onlyOwner() {
-        require(_owner == _msgSender(), "Ownable: caller is not the owner");
+        _checkOwner();
         _;
     }
 
+    /**
+     * @dev Throws if the sender is not the owner.
+     * Kept out of the modifier to not inline the check in every function.
+     */
+    function _checkOwner() internal view {
+        require(_owner == _msgSender(), "Ownable: caller is not the owner");
+    }
+
     /**
      * @dev Leaves the contract without owner. It will not be possible to call
      * `onlyOwner` functions anymore. Can only be called by the current owner.
@@ -1,22 +1,48 @@
 // SPDX-License-Identifier: MIT
 
 pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
 
 import "../../commons/MinimalProxyFactory.sol";
+import "../../interfaces/IERC721CollectionV2.sol";
+import "./ERC721CollectionRouterV2.sol";
 
 contract ERC721CollectionFactoryV2 is Ownable, MinimalProxyFactory {
+    using Address for address;
+
+    struct CollectionSummary {
+        address collection;
+        address creator;
+        bool isApproved;
+        bool isCompleted;
+        uint256 itemsCount;
+        uint256 createdAt;
+        uint256 version;
+    }
 
     address[] public collections;
     mapping(address => bool) public isCollectionFromFactory;
 
+    // Implementation versions. The last one is used for new collections
+    address[] public implementations;
+    mapping(address => uint256) public collectionVersion;
+    mapping(address => uint256) public migrationRequests;
+
+    event ImplementationAdded(uint256 indexed _version, address indexed _implementation);
+    event MigrationRequested(address indexed _collection, uint256 _version, address indexed _creator);
+    event CollectionMigrated(address indexed _collection, uint256 _oldVersion, uint256 _newVersion);
+
     /**
     * @notice Create the contract
+    * @dev Collections are clones of a router deployed by the factory which delegates to the collection's implementation version
     * @param _owner - contract owner
     * @param _implementation - contract implementation
     */
-    constructor(address _owner, address _implementation) MinimalProxyFactory(_implementation) {
+    constructor(address _owner, address _implementation) MinimalProxyFactory(address(new ERC721CollectionRouterV2())) {
+        _addImplementation(_implementation);
         transferOwnership(_owner);
     }
 
@@ -30,6 +56,11 @@ contract ERC721CollectionFactoryV2 is Ownable, MinimalProxyFactory {
         // Deploy a new collection
         addr = _createProxy(_salt, _data);
 
+        // Pin the collection to the current implementation version
+        uint256 version = implementations.length - 1;
+        collectionVersion[addr] = version;
+        ERC721CollectionRouterV2(payable(addr)).setCollectionImplementation(implementations[version]);
+
         // Transfer ownership to the owner after deployment
         Ownable(addr).transferOwnership(owner());
 
@@ -39,6 +70,81 @@ contract ERC721CollectionFactoryV2 is Ownable, MinimalProxyFactory {
         isCollectionFromFactory[addr] = true;
     }
 
+    /**
+    * @notice Add a new implementation version. It will be used for new collections
+    * @param _implementation - contract implementation
+    */
+    function addImplementation(address _implementation) external onlyOwner {
+        _addImplementation(_implementation);
+    }
+
+    /**
+    * @notice Request the migration of a collection to a newer implementation version
+    * @dev Only the collection's creator can request it. The migration takes place once the committee approves it by
+    * calling `migrateToVersion` on the collection. Use the version 0 to cancel a request
+    * @param _collection - collection address
+    * @param _version - implementation version
+    */
+    function requestMigration(address _collection, uint256 _version) external {
+        require(isCollectionFromFactory[_collection], "ERC721CollectionFactoryV2#requestMigration: INVALID_COLLECTION");
+        require(
+            IERC721CollectionV2(_collection).creator() == _msgSender(),
+            "ERC721CollectionFactoryV2#requestMigration: UNAUTHORIZED_SENDER"
+        );
+        require(
+            _version == 0 || (_version > collectionVersion[_collection] && _version < implementations.length),
+            "ERC721CollectionFactoryV2#requestMigration: INVALID_VERSION"
+        );
+
+        migrationRequests[_collection] = _version;
+
+        emit MigrationRequested(_collection, _version, _msgSender());
+    }
+
+    /**
+    * @notice Migrate the sender collection to the implementation version requested by its creator
+    * @dev Called by the collection when its owner calls `migrateToVersion`. The new implementation must keep
+    * the storage layout of the current one
+    * @param _version - implementation version
+    */
+    function migrateCollection(uint256 _version) external {
+        address collection = _msgSender();
+
+        require(isCollectionFromFactory[collection], "ERC721CollectionFactoryV2#migrateCollection: INVALID_COLLECTION");
+        require(
+            _version != 0 && migrationRequests[collection] == _version,
+            "ERC721CollectionFactoryV2#migrateCollection: MIGRATION_NOT_REQUESTED"
+        );
+
+        uint256 oldVersion = collectionVersion[collection];
+
+        require(
+            IERC721CollectionV2(implementations[oldVersion]).STORAGE_LAYOUT() ==
+            IERC721CollectionV2(implementations[_version]).STORAGE_LAYOUT(),
+            "ERC721CollectionFactoryV2#migrateCollection: INCOMPATIBLE_STORAGE_LAYOUT"
+        );
+
+        delete migrationRequests[collection];
+        collectionVersion[collection] = _version;
+        ERC721CollectionRouterV2(payable(collection)).setCollectionImplementation(implementations[_version]);
+
+        emit CollectionMigrated(collection, oldVersion, _version);
+    }
+
+    /**
+    * @notice Get the implementation of a collection
+    * @dev Collections not created yet use the current implementation version
+    * @param _collection - collection address
+    * @return implementation address
+    */
+    function getCollectionImplementation(address _collection) external view returns (address) {
+        if (!isCollectionFromFactory[_collection]) {
+            return implementations[implementations.length - 1];
+        }
+
+        return implementations[collectionVersion[_collection]];
+    }
+
     /**
     * @notice Get the amount of collections deployed
     * @return amount of collections deployed
@@ -46,4 +152,124 @@ contract ERC721CollectionFactoryV2 is Ownable, MinimalProxyFactory {
     function collectionsSize() external view returns (uint256) {
         return collections.length;
     }
-}
\ No newline at end of file
+
+    /**
+    * @notice Get the summary of a collection
+    * @param _collection - collection address
+    * @return collection summary
+    */
+    function getCollectionSummary(address _collection) external view returns (CollectionSummary memory) {
+        require(isCollectionFromFactory[_collection], "ERC721CollectionFactoryV2#getCollectionSummary: INVALID_COLLECTION");
+
+        return _getCollectionSummary(_collection);
+    }
+
+    /**
+    * @notice Get the summaries of a page of collections, in creation order
+    * @param _offset - index of the first collection
+    * @param _limit - max amount of collections
+    * @return summaries - collection summaries
+    */
+    function getCollections(uint256 _offset, uint256 _limit) external view returns (CollectionSummary[] memory summaries) {
+        uint256 end = _getPageEnd(_offset, _limit);
+
+        summaries = new CollectionSummary[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            summaries[i - _offset] = _getCollectionSummary(collections[i]);
+        }
+    }
+
+    /**
+    * @notice Get the summaries of the collections of a creator within a page of collections
+    * @dev The page is applied to every collection and not only to the creator ones, so a page may return less
+    * collections than the limit, or none, while there are more collections of the creator in the next pages
+    * @param _creator - creator address
+    * @param _offset - index of the first collection to look at
+    * @param _limit - max amount of collections to look at
+    * @return summaries - collection summaries
+    */
+    function getCollectionsByCreator(
+        address _creator,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (CollectionSummary[] memory summaries) {
+        uint256 end = _getPageEnd(_offset, _limit);
+
+        CollectionSummary[] memory page = new CollectionSummary[](end - _offset);
+        uint256 count;
+
+        for (uint256 i = _offset; i < end; i++) {
+            CollectionSummary memory summary = _getCollectionSummary(collections[i]);
+
+            if (summary.creator == _creator) {
+                page[count] = summary;
+                count++;
+            }
+        }
+
+        summaries = new CollectionSummary[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            summaries[i] = page[i];
+        }
+    }
+
+    /**
+    * @notice Get the amount of implementation versions
+    * @return amount of implementation versions
+    */
+    function implementationsSize() external view returns (uint256) {
+        return implementations.length;
+    }
+
+    /**
+    * @notice Get the summary of a collection
+    * @param _collection - collection address
+    * @return collection summary
+    */
+    function _getCollectionSummary(address _collection) internal view returns (CollectionSummary memory) {
+        IERC721CollectionV2 collection = IERC721CollectionV2(_collection);
+
+        return CollectionSummary({
+            collection: _collection,
+            creator: collection.creator(),
+            isApproved: collection.isApproved(),
+            isCompleted: collection.isCompleted(),
+            itemsCount: collection.itemsCount(),
+            createdAt: collection.createdAt(),
+            version: collectionVersion[_collection]
+        });
+    }
+
+    /**
+    * @notice Get the end of a page of collections
+    * @dev It is the offset when the page is out of range
+    * @param _offset - index of the first collection
+    * @param _limit - max amount of collections
+    * @return end - index after the last collection of the page
+    */
+    function _getPageEnd(uint256 _offset, uint256 _limit) internal view returns (uint256 end) {
+        if (_offset >= collections.length) {
+            return _offset;
+        }
+
+        end = collections.length;
+
+        if (_limit < end - _offset) {
+            end = _offset + _limit;
+        }
+    }
+
+    /**
+    * @notice Add an implementation version
+    * @param _implementation - contract implementation
+    */
+    function _addImplementation(address _implementation) internal {
+        require(_implementation.isContract(), "ERC721CollectionFactoryV2#_addImplementation: INVALID_IMPLEMENTATION");
+
+        implementations.push(_implementation);
+
+        emit ImplementationAdded(implementations.length - 1, _implementation);
+    }
+}
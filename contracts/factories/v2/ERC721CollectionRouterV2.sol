@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+
+import "../../interfaces/IERC721CollectionFactoryV2.sol";
+
+/**
+* @notice Code cloned by the ERC721CollectionFactoryV2 for every collection.
+* It delegates every call to the implementation version of the collection, which is kept
+* in the collection storage at the EIP-1967 implementation slot.
+* @dev This contract is only reached through a delegatecall from a collection, so it must not
+* use storage other than the implementation slot.
+*/
+contract ERC721CollectionRouterV2 {
+    // bytes32(uint256(keccak256("eip1967.proxy.implementation")) - 1)
+    bytes32 internal constant IMPLEMENTATION_SLOT = 0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc;
+
+    address internal immutable factory;
+
+    /**
+    * @notice Create the contract
+    * @dev The router is deployed by the factory
+    */
+    constructor() {
+        factory = msg.sender;
+    }
+
+    /**
+    * @notice Migrate the collection to a newer implementation version
+    * @dev The creator must have requested the migration to this version in the factory first.
+    * Only the collection's owner (forwarder) can call it, so the migration is approved by the committee
+    * through the CollectionManager
+    * @param _version - implementation version
+    */
+    function migrateToVersion(uint256 _version) external {
+        require(msg.sender == Ownable(address(this)).owner(), "ERC721CollectionRouterV2#migrateToVersion: UNAUTHORIZED_SENDER");
+
+        IERC721CollectionFactoryV2(factory).migrateCollection(_version);
+    }
+
+    /**
+    * @notice Set the implementation of the collection
+    * @dev Only the factory can call it
+    * @param _implementation - implementation address
+    */
+    function setCollectionImplementation(address _implementation) external {
+        require(msg.sender == factory, "ERC721CollectionRouterV2#setCollectionImplementation: UNAUTHORIZED_SENDER");
+
+        bytes32 slot = IMPLEMENTATION_SLOT;
+
+        // solium-disable-next-line security/no-inline-assembly
+        assembly {
+            sstore(slot, _implementation)
+        }
+    }
+
+    /**
+    * @notice Delegate the call to the implementation of the collection
+    * @dev It is payable so the value of payable functions, like `executeMetaTransaction`, is forwarded
+    */
+    fallback() external payable {
+        address implementation = _getImplementation();
+
+        // solium-disable-next-line security/no-inline-assembly
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+
+            let result := delegatecall(gas(), implementation, 0, calldatasize(), 0, 0)
+
+            returndatacopy(0, 0, returndatasize())
+
+            switch result
+            case 0 { revert(0, returndatasize()) }
+            default { return(0, returndatasize()) }
+        }
+    }
+
+    /**
+    * @notice Get the implementation of the collection
+    * @dev The implementation is not set yet while the collection is being initialized by the factory
+    * @return implementation - implementation address
+    */
+    function _getImplementation() internal view returns (address implementation) {
+        bytes32 slot = IMPLEMENTATION_SLOT;
+
+        // solium-disable-next-line security/no-inline-assembly
+        assembly {
+            implementation := sload(slot)
+        }
+
+        if (implementation == address(0)) {
+            implementation = IERC721CollectionFactoryV2(factory).getCollectionImplementation(address(this));
+        }
+    }
+}
@@ -5,5 +5,9 @@ pragma experimental ABIEncoderV2;
 
 
 interface ICollectionManager {
-   function manageCollection(address _forwarder, address _collection, bytes calldata _data) external;
+   function manageCollection(
+       address _forwarder,
+       address _collection,
+       bytes calldata _data
+   ) external returns (bool queued, uint256 actionId);
 }
\ No newline at end of file
@@ -7,4 +7,7 @@ pragma experimental ABIEncoderV2;
 interface IERC721CollectionFactoryV2 {
    function createCollection(bytes32 _salt, bytes memory _data) external returns (address addr);
     function transferOwnership(address newOwner) external;
-}
\ No newline at end of file
+    function getCollectionImplementation(address _collection) external view returns (address);
+    function migrateCollection(uint256 _version) external;
+    function isCollectionFromFactory(address _collection) external view returns (bool);
+}
@@ -6,16 +6,34 @@ pragma experimental ABIEncoderV2;
 
 interface IERC721CollectionV2 {
     function COLLECTION_HASH() external view returns (bytes32);
+    function STORAGE_LAYOUT() external view returns (bytes32);
+    function creator() external view returns (address);
+    function isCompleted() external view returns (bool);
+    function isApproved() external view returns (bool);
+    function itemsCount() external view returns (uint256);
+    function createdAt() external view returns (uint256);
+    function globalMinters(address _minter) external view returns (bool);
+    function itemMinters(uint256 _itemId, address _minter) external view returns (uint256);
+    function ownerOf(uint256 _tokenId) external view returns (address);
+    function decodeTokenId(uint256 _id) external pure returns (uint256 itemId, uint256 issuedId);
+    function getApproved(uint256 _tokenId) external view returns (address);
+    function isApprovedForAll(address _owner, address _operator) external view returns (bool);
+    function safeTransferFrom(address _from, address _to, uint256 _tokenId) external;
+    function royaltyInfo(uint256 _tokenId, uint256 _salePrice) external view returns (address receiver, uint256 royaltyAmount);
 
     struct ItemParam {
         string rarity;
         uint256 price;
         address beneficiary;
         string metadata;
+        uint256 maxSupply;
     }
 
+    function addItems(ItemParam[] calldata _items) external;
     function issueTokens(address[] calldata _beneficiaries, uint256[] calldata _itemIds) external;
+    function burn(uint256 _tokenId) external;
     function setApproved(bool _value) external;
+    function setMetadataValidator(address _metadataValidator) external;
     /// @dev For some reason using the Struct Item as an output parameter fails, but works as an input parameter
     function initialize(
         string memory _name,
@@ -0,0 +1,8 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+
+
+interface IItemMetadataValidator {
+    function isValid(string calldata _metadata) external view returns (bool);
+}
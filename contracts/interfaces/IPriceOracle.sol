@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity >=0.6.12;
+
+import "./IERC20.sol";
+
+
+interface IPriceOracle {
+    /// @dev Returns the amount of `_to` tokens equivalent to `_amount` of `_from` tokens, in their base units
+    function convert(IERC20 _from, IERC20 _to, uint256 _amount) external view returns (uint256);
+}
@@ -0,0 +1,197 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+
+import "../collections/v2/ERC721BaseCollectionV2.sol";
+import "./String.sol";
+
+/**
+ * @notice Roles, token URI and royalty logic of the collections v2.
+ * @dev It is an external library to keep the collection implementation under the contract size limit.
+ * Every function runs in the context of the collection so the events are emitted by it.
+ * Roles are checked by the collection.
+ */
+library CollectionHelpersV2 {
+    using SafeMath for uint256;
+    using String for uint256;
+    using String for address;
+
+    uint256 constant internal ROYALTY_BASIS_POINTS = 10000;
+
+    event SetGlobalMinter(address indexed _minter, bool _value);
+    event SetGlobalManager(address indexed _manager, bool _value);
+    event SetItemMinter(uint256 indexed _itemId, address indexed _minter, uint256 _value);
+    event SetItemManager(uint256 indexed _itemId, address indexed _manager, bool _value);
+
+    /**
+     * @notice Set global minters
+     * @dev See ERC721BaseCollectionV2.setMinters
+     * @param _globalMinters - collection global minters
+     * @param _minters - minter addresses
+     * @param _values - whether is allowed or not
+     */
+    function setMinters(
+        mapping(address => bool) storage _globalMinters,
+        address[] memory _minters,
+        bool[] memory _values
+    ) public {
+        for (uint256 i = 0; i < _minters.length; i++) {
+            address minter = _minters[i];
+            bool value = _values[i];
+            require(minter != address(0), "setMinters: INVALID_MINTER_ADDRESS");
+            require(_globalMinters[minter] != value, "setMinters: VALUE_IS_THE_SAME");
+
+            _globalMinters[minter] = value;
+            emit SetGlobalMinter(minter, value);
+        }
+    }
+
+    /**
+     * @notice Set global managers
+     * @dev See ERC721BaseCollectionV2.setManagers
+     * @param _globalManagers - collection global managers
+     * @param _managers - manager addresses
+     * @param _values - whether is allowed or not
+     */
+    function setManagers(
+        mapping(address => bool) storage _globalManagers,
+        address[] memory _managers,
+        bool[] memory _values
+    ) public {
+        for (uint256 i = 0; i < _managers.length; i++) {
+            address manager = _managers[i];
+            bool value = _values[i];
+            require(manager != address(0), "setManagers: INVALID_MANAGER_ADDRESS");
+            require(_globalManagers[manager] != value, "setManagers: VALUE_IS_THE_SAME");
+
+            _globalManagers[manager] = value;
+            emit SetGlobalManager(manager, value);
+        }
+    }
+
+    /**
+     * @notice Set allowed account to mint items.
+     * @dev See ERC721BaseCollectionV2.setItemsMinters
+     * @param _itemMinters - collection item minters
+     * @param _itemsCount - amount of items in the collection
+     * @param _itemIds - item ids
+     * @param _minters - minter addresses
+     * @param _values - amount of tokens allowed to mint
+     */
+    function setItemsMinters(
+        mapping(uint256 => mapping(address => uint256)) storage _itemMinters,
+        uint256 _itemsCount,
+        uint256[] memory _itemIds,
+        address[] memory _minters,
+        uint256[] memory _values
+    ) public {
+        for (uint256 i = 0; i < _minters.length; i++) {
+            address minter = _minters[i];
+            uint256 itemId = _itemIds[i];
+            uint256 value = _values[i];
+            require(minter != address(0), "setItemsMinters: INVALID_MINTER_ADDRESS");
+            require(itemId < _itemsCount, "setItemsMinters: ITEM_DOES_NOT_EXIST");
+            require(_itemMinters[itemId][minter] != value, "setItemsMinters: VALUE_IS_THE_SAME");
+
+            _itemMinters[itemId][minter] = value;
+            emit SetItemMinter(itemId, minter, value);
+        }
+    }
+
+    /**
+     * @notice Set allowed account to manage items.
+     * @dev See ERC721BaseCollectionV2.setItemsManagers
+     * @param _itemManagers - collection item managers
+     * @param _itemsCount - amount of items in the collection
+     * @param _itemIds - item ids
+     * @param _managers - manager addresses
+     * @param _values - whether is allowed or not
+     */
+    function setItemsManagers(
+        mapping(uint256 => mapping(address => bool)) storage _itemManagers,
+        uint256 _itemsCount,
+        uint256[] memory _itemIds,
+        address[] memory _managers,
+        bool[] memory _values
+    ) public {
+        for (uint256 i = 0; i < _managers.length; i++) {
+            address manager = _managers[i];
+            uint256 itemId = _itemIds[i];
+            bool value = _values[i];
+            require(manager != address(0), "setItemsManagers: INVALID_MANAGER_ADDRESS");
+            require(itemId < _itemsCount, "setItemsManagers: ITEM_DOES_NOT_EXIST");
+            require(_itemManagers[itemId][manager] != value, "setItemsManagers: VALUE_IS_THE_SAME");
+
+            _itemManagers[itemId][manager] = value;
+            emit SetItemManager(itemId, manager, value);
+        }
+    }
+
+    /**
+     * @notice Returns the royalty of a token sale (EIP-2981)
+     * @dev See ERC721BaseCollectionV2.royaltyInfo
+     * @param _items - collection items
+     * @param _royalties - collection items royalties
+     * @param _defaultRoyalty - collection default royalty
+     * @param _creator - collection creator
+     * @param _itemId - item id of the token sold
+     * @param _salePrice - sale price
+     * @return receiver - royalty receiver
+     * @return royaltyAmount - royalty amount for the sale price
+     */
+    function royaltyInfo(
+        ERC721BaseCollectionV2.Item[] storage _items,
+        mapping(uint256 => ERC721BaseCollectionV2.Royalty) storage _royalties,
+        ERC721BaseCollectionV2.Royalty storage _defaultRoyalty,
+        address _creator,
+        uint256 _itemId,
+        uint256 _salePrice
+    ) public view returns (address receiver, uint256 royaltyAmount) {
+        ERC721BaseCollectionV2.Royalty memory royalty = _royalties[_itemId];
+        if (!royalty.isSet) {
+            royalty = _defaultRoyalty;
+        }
+
+        receiver = royalty.receiver;
+        if (receiver == address(0) && _itemId < _items.length) {
+            receiver = _items[_itemId].beneficiary;
+        }
+        if (receiver == address(0)) {
+            receiver = _creator;
+        }
+
+        royaltyAmount = _salePrice.mul(royalty.basisPoints).div(ROYALTY_BASIS_POINTS);
+    }
+
+    /**
+     * @notice Returns an URI for a given token
+     * @dev See ERC721BaseCollectionV2.tokenURI. The URI is `{baseURI}{chainId}/0x{collection}/{itemId}/{issuedId}`
+     * @param _baseURI - collection base URI
+     * @param _itemId - item id of the token
+     * @param _issuedId - issued id of the token
+     * @return token URI
+     */
+    function tokenURI(string memory _baseURI, uint256 _itemId, uint256 _issuedId) public view returns (string memory) {
+        uint256 id;
+        assembly {
+            id := chainid()
+        }
+
+        return string(
+            abi.encodePacked(
+                _baseURI,
+                id.uintToString(),
+                "/",
+                "0x",
+                address(this).addressToString(),
+                "/",
+                _itemId.uintToString(),
+                "/",
+                _issuedId.uintToString()
+            )
+        );
+    }
+}
@@ -0,0 +1,350 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "../interfaces/IRarities.sol";
+import "../interfaces/IItemMetadataValidator.sol";
+import "../collections/v2/ERC721BaseCollectionV2.sol";
+
+/**
+ * @notice Items logic of the collections v2.
+ * @dev It is an external library to keep the collection implementation under the contract size limit.
+ * Every function runs in the context of the collection so the events are emitted by it.
+ * Roles are checked by the collection and passed as `_isCreatorOrManager` (creator or global manager)
+ * along with the item managers mapping and the sender.
+ */
+library CollectionItemsV2 {
+    uint40 constant internal MAX_ITEM_ID = type(uint40).max;
+    uint216 constant internal MAX_ISSUED_ID = type(uint216).max;
+    uint256 constant internal ROYALTY_BASIS_POINTS = 10000;
+    // Basis points to remove an item royalty and use the default one
+    uint256 constant internal USE_DEFAULT_ROYALTY = type(uint256).max;
+
+    event AddItem(uint256 indexed _itemId, ERC721BaseCollectionV2.Item _item);
+    event RescueItem(uint256 indexed _itemId, string _contentHash, string _metadata);
+    event UpdateItemData(uint256 indexed _itemId, uint256 _price, address _beneficiary, string _metadata);
+    event SetItemMintWindow(uint256 indexed _itemId, uint256 _startTime, uint256 _endTime);
+    event SetItemMaxSupply(uint256 indexed _itemId, uint256 _maxSupply);
+    event SetItemReissuable(uint256 indexed _itemId, bool _value);
+    event SetItemRoyalty(uint256 indexed _itemId, address _receiver, uint256 _basisPoints);
+    event RemoveItemRoyalty(uint256 indexed _itemId);
+
+    /**
+     * @notice Add new items to the collection.
+     * @dev See ERC721BaseCollectionV2._addItems
+     * @param _items - collection items
+     * @param _rarities - rarities contract
+     * @param _metadataValidator - metadata validator. Zero address to skip the validation
+     * @param _itemParams - items to add
+     */
+    function addItems(
+        ERC721BaseCollectionV2.Item[] storage _items,
+        IRarities _rarities,
+        IItemMetadataValidator _metadataValidator,
+        ERC721BaseCollectionV2.ItemParam[] memory _itemParams
+    ) public {
+        require(_itemParams.length > 0, "_addItems: EMPTY_ITEMS");
+
+        IRarities.Rarity memory rarity;
+        bytes32 lastRarityKey;
+
+        for (uint256 i = 0; i < _itemParams.length; i++) {
+            ERC721BaseCollectionV2.ItemParam memory _item = _itemParams[i];
+            bytes32 rarityKey = keccak256(bytes(_item.rarity));
+
+            if (lastRarityKey != rarityKey) {
+                rarity = _rarities.getRarityByName(_item.rarity);
+                lastRarityKey = rarityKey;
+
+                require(
+                    rarity.maxSupply > 0 && rarity.maxSupply <= MAX_ISSUED_ID,
+                    "_addItem: INVALID_RARITY"
+                );
+            }
+
+            require(bytes(_item.metadata).length > 0, "_addItem: EMPTY_METADATA");
+            require(
+                address(_metadataValidator) == address(0) || _metadataValidator.isValid(_item.metadata),
+                "_addItem: INVALID_METADATA"
+            );
+            require(
+                _item.price > 0 && _item.beneficiary != address(0) || _item.price == 0 && _item.beneficiary == address(0),
+                "_addItem: INVALID_PRICE_AND_BENEFICIARY"
+            );
+
+            uint256 maxSupply = rarity.maxSupply;
+
+            if (_item.maxSupply > 0) {
+                require(_item.maxSupply <= maxSupply, "_addItem: INVALID_MAX_SUPPLY");
+                maxSupply = _item.maxSupply;
+            }
+
+            uint256 newItemId = _items.length;
+            require(newItemId < MAX_ITEM_ID, "_addItem: MAX_ITEM_ID_REACHED");
+
+            ERC721BaseCollectionV2.Item memory item = ERC721BaseCollectionV2.Item({
+                rarity: rarity.name,
+                maxSupply: maxSupply,
+                totalSupply: 0,
+                price: _item.price,
+                beneficiary: _item.beneficiary,
+                metadata: _item.metadata,
+                contentHash: ''
+            });
+
+            _items.push(item);
+
+            emit AddItem(newItemId, item);
+        }
+    }
+
+    /**
+     * @notice Edit items
+     * @dev See ERC721BaseCollectionV2.editItemsData
+     * @param _items - collection items
+     * @param _itemManagers - collection item managers
+     * @param _metadataValidator - metadata validator. Zero address to skip the validation
+     * @param _isCreatorOrManager - whether the sender is the creator or a global manager
+     * @param _sender - sender
+     * @param _isApproved - whether the collection is approved
+     * @param _itemIds - items ids to edit
+     * @param _prices - new prices
+     * @param _beneficiaries - new beneficiaries
+     * @param _metadatas - new metadatas
+     */
+    function editItemsData(
+        ERC721BaseCollectionV2.Item[] storage _items,
+        mapping(uint256 => mapping(address => bool)) storage _itemManagers,
+        IItemMetadataValidator _metadataValidator,
+        bool _isCreatorOrManager,
+        address _sender,
+        bool _isApproved,
+        uint256[] memory _itemIds,
+        uint256[] memory _prices,
+        address[] memory _beneficiaries,
+        string[] memory _metadatas
+    ) public {
+        for (uint256 i = 0; i < _itemIds.length; i++) {
+            uint256 itemId = _itemIds[i];
+            uint256 price = _prices[i];
+            address beneficiary = _beneficiaries[i];
+            string memory metadata = _metadatas[i];
+
+            require(
+                _isCreatorOrManager || _itemManagers[itemId][_sender],
+                "editItemsData: CALLER_IS_NOT_CREATOR_OR_MANAGER"
+            );
+            require(itemId < _items.length, "editItemsData: ITEM_DOES_NOT_EXIST");
+            require(
+                price > 0 && beneficiary != address(0) || price == 0 && beneficiary == address(0),
+                "editItemsData: INVALID_PRICE_AND_BENEFICIARY"
+            );
+            require(bytes(metadata).length > 0, "editItemsData: EMPTY_METADATA");
+            require(
+                address(_metadataValidator) == address(0) || _metadataValidator.isValid(metadata),
+                "editItemsData: INVALID_METADATA"
+            );
+
+            ERC721BaseCollectionV2.Item storage item = _items[itemId];
+
+            require(
+                !_isApproved || keccak256(abi.encode(item.metadata)) == keccak256(abi.encode(metadata)),
+                "editItemsData: CAN_NOT_EDIT_METADATA"
+            );
+
+            item.price = price;
+            item.beneficiary = beneficiary;
+            item.metadata = metadata;
+
+            emit UpdateItemData(itemId, price, beneficiary, metadata);
+        }
+    }
+
+    /**
+     * @notice Rescue items by providing new metadata and/or content hash
+     * @dev See ERC721BaseCollectionV2.rescueItems
+     * @param _items - collection items
+     * @param _itemIds - Item ids to be fixed
+     * @param _contentHashes - New items content hash
+     * @param _metadatas - New items metadata
+     */
+    function rescueItems(
+        ERC721BaseCollectionV2.Item[] storage _items,
+        uint256[] memory _itemIds,
+        string[] memory _contentHashes,
+        string[] memory _metadatas
+    ) public {
+        for (uint256 i = 0; i < _itemIds.length; i++) {
+            uint256 itemId = _itemIds[i];
+            require(itemId < _items.length, "rescueItems: ITEM_DOES_NOT_EXIST");
+
+            ERC721BaseCollectionV2.Item storage item = _items[itemId];
+
+            string memory contentHash = _contentHashes[i];
+            string memory metadata = _metadatas[i];
+
+            item.contentHash = contentHash;
+
+            if (bytes(metadata).length > 0) {
+                item.metadata = metadata;
+            }
+
+            emit RescueItem(itemId, contentHash, item.metadata);
+        }
+    }
+
+    /**
+     * @notice Set the time window in which items can be minted
+     * @dev See ERC721BaseCollectionV2.setItemsMintWindows
+     * @param _mintWindows - collection items mint windows
+     * @param _itemManagers - collection item managers
+     * @param _itemsCount - amount of items in the collection
+     * @param _isCreatorOrManager - whether the sender is the creator or a global manager
+     * @param _sender - sender
+     * @param _itemIds - items ids
+     * @param _startTimes - timestamps from which the items can be minted
+     * @param _endTimes - timestamps from which the items can not be minted anymore
+     */
+    function setItemsMintWindows(
+        mapping(uint256 => ERC721BaseCollectionV2.MintWindow) storage _mintWindows,
+        mapping(uint256 => mapping(address => bool)) storage _itemManagers,
+        uint256 _itemsCount,
+        bool _isCreatorOrManager,
+        address _sender,
+        uint256[] memory _itemIds,
+        uint256[] memory _startTimes,
+        uint256[] memory _endTimes
+    ) public {
+        for (uint256 i = 0; i < _itemIds.length; i++) {
+            uint256 itemId = _itemIds[i];
+            uint256 startTime = _startTimes[i];
+            uint256 endTime = _endTimes[i];
+
+            require(
+                _isCreatorOrManager || _itemManagers[itemId][_sender],
+                "setItemsMintWindows: CALLER_IS_NOT_CREATOR_OR_MANAGER"
+            );
+            require(itemId < _itemsCount, "setItemsMintWindows: ITEM_DOES_NOT_EXIST");
+            require(endTime == 0 || endTime > startTime, "setItemsMintWindows: INVALID_WINDOW");
+
+            _mintWindows[itemId] = ERC721BaseCollectionV2.MintWindow(startTime, endTime);
+
+            emit SetItemMintWindow(itemId, startTime, endTime);
+        }
+    }
+
+    /**
+     * @notice Lower the max supply of items
+     * @dev See ERC721BaseCollectionV2.setItemsMaxSupply
+     * @param _items - collection items
+     * @param _itemManagers - collection item managers
+     * @param _isCreatorOrManager - whether the sender is the creator or a global manager
+     * @param _sender - sender
+     * @param _itemIds - items ids
+     * @param _maxSupplies - new max supplies
+     */
+    function setItemsMaxSupply(
+        ERC721BaseCollectionV2.Item[] storage _items,
+        mapping(uint256 => mapping(address => bool)) storage _itemManagers,
+        bool _isCreatorOrManager,
+        address _sender,
+        uint256[] memory _itemIds,
+        uint256[] memory _maxSupplies
+    ) public {
+        for (uint256 i = 0; i < _itemIds.length; i++) {
+            uint256 itemId = _itemIds[i];
+            uint256 maxSupply = _maxSupplies[i];
+
+            require(
+                _isCreatorOrManager || _itemManagers[itemId][_sender],
+                "setItemsMaxSupply: CALLER_IS_NOT_CREATOR_OR_MANAGER"
+            );
+            require(itemId < _items.length, "setItemsMaxSupply: ITEM_DOES_NOT_EXIST");
+
+            ERC721BaseCollectionV2.Item storage item = _items[itemId];
+
+            require(
+                maxSupply > 0 && maxSupply < item.maxSupply && maxSupply >= item.totalSupply,
+                "setItemsMaxSupply: INVALID_MAX_SUPPLY"
+            );
+
+            item.maxSupply = maxSupply;
+
+            emit SetItemMaxSupply(itemId, maxSupply);
+        }
+    }
+
+    /**
+     * @notice Set whether the burned tokens of items can be issued again
+     * @dev See ERC721BaseCollectionV2.setItemsReissuable
+     * @param _reissuable - collection reissuable items
+     * @param _itemsCount - amount of items in the collection
+     * @param _itemIds - items ids
+     * @param _values - whether the burned tokens can be issued again
+     */
+    function setItemsReissuable(
+        mapping(uint256 => bool) storage _reissuable,
+        uint256 _itemsCount,
+        uint256[] memory _itemIds,
+        bool[] memory _values
+    ) public {
+        for (uint256 i = 0; i < _itemIds.length; i++) {
+            uint256 itemId = _itemIds[i];
+            bool value = _values[i];
+
+            require(itemId < _itemsCount, "setItemsReissuable: ITEM_DOES_NOT_EXIST");
+
+            _reissuable[itemId] = value;
+
+            emit SetItemReissuable(itemId, value);
+        }
+    }
+
+    /**
+     * @notice Set items royalties
+     * @dev See ERC721BaseCollectionV2.setItemsRoyalties
+     * @param _royalties - collection items royalties
+     * @param _itemManagers - collection item managers
+     * @param _itemsCount - amount of items in the collection
+     * @param _isCreatorOrManager - whether the sender is the creator or a global manager
+     * @param _sender - sender
+     * @param _itemIds - items ids
+     * @param _receivers - royalty receivers
+     * @param _basisPoints - royalties in basis points
+     */
+    function setItemsRoyalties(
+        mapping(uint256 => ERC721BaseCollectionV2.Royalty) storage _royalties,
+        mapping(uint256 => mapping(address => bool)) storage _itemManagers,
+        uint256 _itemsCount,
+        bool _isCreatorOrManager,
+        address _sender,
+        uint256[] memory _itemIds,
+        address[] memory _receivers,
+        uint256[] memory _basisPoints
+    ) public {
+        for (uint256 i = 0; i < _itemIds.length; i++) {
+            uint256 itemId = _itemIds[i];
+            address receiver = _receivers[i];
+            uint256 basisPoints = _basisPoints[i];
+
+            require(
+                _isCreatorOrManager || _itemManagers[itemId][_sender],
+                "setItemsRoyalties: CALLER_IS_NOT_CREATOR_OR_MANAGER"
+            );
+            require(itemId < _itemsCount, "setItemsRoyalties: ITEM_DOES_NOT_EXIST");
+
+            if (basisPoints == USE_DEFAULT_ROYALTY) {
+                delete _royalties[itemId];
+
+                emit RemoveItemRoyalty(itemId);
+            } else {
+                require(basisPoints <= ROYALTY_BASIS_POINTS, "setItemsRoyalties: INVALID_BASIS_POINTS");
+
+                _royalties[itemId] = ERC721BaseCollectionV2.Royalty(receiver, true, basisPoints);
+
+                emit SetItemRoyalty(itemId, receiver, basisPoints);
+            }
+        }
+    }
+}
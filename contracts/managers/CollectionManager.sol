@@ -10,6 +10,7 @@ import "../interfaces/IERC20.sol";
 import "../interfaces/IERC721CollectionV2.sol";
 import "../interfaces/IERC721CollectionFactoryV2.sol";
 import "../interfaces/IRarities.sol";
+import "../interfaces/IItemMetadataValidator.sol";
 import "../commons/OwnableInitializable.sol";
 import "../commons/NativeMetaTransaction.sol";
 
@@ -18,20 +19,58 @@ contract CollectionManager is OwnableInitializable, NativeMetaTransaction {
 
     using SafeMath for uint256;
 
+    enum CommitteeActionStatus { Queued, Executed, Cancelled }
+
+    struct RarityFee {
+        string rarity;
+        uint256 count;
+        uint256 price;
+        uint256 fee;
+    }
+
+    /// @dev `committee` is the committee which queued the action. It must still be the committee to execute it
+    struct CommitteeAction {
+        IForwarder forwarder;
+        IERC721CollectionV2 collection;
+        bytes data;
+        address committee;
+        uint256 eta;
+        CommitteeActionStatus status;
+    }
+
     IERC20  public acceptedToken;
     IRarities public rarities;
     address public committee;
     address public feesCollector;
     uint256 public pricePerItem;
+    IItemMetadataValidator public metadataValidator;
 
     mapping(bytes4 => bool) public allowedCommitteeMethods;
+    mapping(bytes4 => uint256) public committeeMethodsDelays;
+
+    CommitteeAction[] public committeeActions;
 
 
     event AcceptedTokenSet(IERC20 indexed _oldAcceptedToken, IERC20 indexed _newAcceptedToken);
     event CommitteeSet(address indexed _oldCommittee, address indexed _newCommittee);
     event CommitteeMethodSet(bytes4 indexed _method, bool _isAllowed);
+    event CommitteeMethodDelaySet(bytes4 indexed _method, uint256 _delay);
+    event CommitteeActionQueued(
+        uint256 indexed _actionId,
+        address indexed _creator,
+        IERC721CollectionV2 indexed _collection,
+        IForwarder _forwarder,
+        bytes _data,
+        uint256 _eta
+    );
+    event CommitteeActionExecuted(uint256 indexed _actionId, address indexed _executor);
+    event CommitteeActionCancelled(uint256 indexed _actionId);
     event FeesCollectorSet(address indexed _oldFeesCollector, address indexed _newFeesCollector);
     event RaritiesSet(IRarities indexed _oldRarities, IRarities indexed _newRarities);
+    event MetadataValidatorSet(
+        IItemMetadataValidator indexed _oldMetadataValidator,
+        IItemMetadataValidator indexed _newMetadataValidator
+    );
 
     /**
     * @notice Create the contract
@@ -110,6 +149,27 @@ contract CollectionManager is OwnableInitializable, NativeMetaTransaction {
         }
     }
 
+    /**
+    * @notice Set the time the committee calls to each method are queued before they can be executed
+    * @dev A delay of 0 makes the calls to the method be executed right away
+    * @param _methods - method selectors
+    * @param _delays - delays in seconds
+    */
+    function setCommitteeMethodsDelays(bytes4[] memory _methods, uint256[] memory _delays) onlyOwner public {
+        uint256 length = _methods.length;
+        require(length > 0, "CollectionManager#setCommitteeMethodsDelays: EMPTY_METHODS");
+        require(length == _delays.length, "CollectionManager#setCommitteeMethodsDelays: LENGTH_MISMATCH");
+
+        for (uint256 i = 0; i < length; i++) {
+            bytes4 method = _methods[i];
+            uint256 delay = _delays[i];
+
+            committeeMethodsDelays[method] = delay;
+
+            emit CommitteeMethodDelaySet(method, delay);
+        }
+    }
+
     /**
     * @notice Set the fees collector
     * @param _newFeesCollector - fees collector
@@ -132,6 +192,16 @@ contract CollectionManager is OwnableInitializable, NativeMetaTransaction {
         rarities = _newRarities;
     }
 
+    /**
+    * @notice Set the metadata validator used for the collections created
+    * @dev Set it to the zero address to stop validating the items metadata
+    * @param _newMetadataValidator - metadata validator
+    */
+    function setMetadataValidator(IItemMetadataValidator _newMetadataValidator) onlyOwner public {
+        emit MetadataValidatorSet(metadataValidator, _newMetadataValidator);
+        metadataValidator = _newMetadataValidator;
+    }
+
     /**
     * @notice Create a collection
     * @param _forwarder - forwarder contract owner of the collection factory
@@ -154,15 +224,10 @@ contract CollectionManager is OwnableInitializable, NativeMetaTransaction {
         IERC721CollectionV2.ItemParam[] memory _items
      ) external {
         require(address(_forwarder) != address(this), "CollectionManager#createCollection: FORWARDER_CANT_BE_THIS");
-        uint256 amount = 0;
-
-        for (uint256 i = 0; i < _items.length; i++) {
-            IERC721CollectionV2.ItemParam memory item = _items[i];
 
-            IRarities.Rarity memory rarity = rarities.getRarityByName(item.rarity);
+        require(_isValidMetadata(_items), "CollectionManager#createCollection: INVALID_METADATA");
 
-            amount = amount.add(rarity.price);
-        }
+        (uint256 amount,) = _getItemsFee(_items);
 
         // Transfer fees to collector
         if (amount > 0) {
@@ -184,20 +249,127 @@ contract CollectionManager is OwnableInitializable, NativeMetaTransaction {
             _items
         );
 
-        (bool success,) = _forwarder.forwardCall(address(_factory), abi.encodeWithSelector(_factory.createCollection.selector, _salt, data));
+        (bool success, bytes memory res) = _forwarder.forwardCall(address(_factory), abi.encodeWithSelector(_factory.createCollection.selector, _salt, data));
         require(
             success,
              "CollectionManager#createCollection: FORWARD_FAILED"
         );
+
+        // Keep validating the items added or edited once the collection is created
+        if (address(metadataValidator) != address(0)) {
+            (success,) = _forwarder.forwardCall(
+                abi.decode(res, (address)),
+                abi.encodeWithSelector(IERC721CollectionV2.setMetadataValidator.selector, metadataValidator)
+            );
+            require(
+                success,
+                "CollectionManager#createCollection: FORWARD_FAILED"
+            );
+        }
+    }
+
+    /**
+    * @notice Add items to a collection which is not completed
+    * @dev The collection's creator pays the same fee as when creating a collection
+    * @param _forwarder - forwarder contract owner of the collection
+    * @param _collection - collection
+    * @param _items - items to be added
+    */
+    function addItems(
+        IForwarder _forwarder,
+        IERC721CollectionV2 _collection,
+        IERC721CollectionV2.ItemParam[] memory _items
+    ) external {
+        require(address(_forwarder) != address(this), "CollectionManager#addItems: FORWARDER_CANT_BE_THIS");
+
+        (bool success, bytes memory res) = address(_collection).staticcall(abi.encodeWithSelector(_collection.COLLECTION_HASH.selector));
+        require(
+            success && abi.decode(res, (bytes32)) == keccak256("Decentraland Collection"),
+            "CollectionManager#addItems: INVALID_COLLECTION"
+        );
+
+        address sender = _msgSender();
+        require(sender == _collection.creator(), "CollectionManager#addItems: UNAUTHORIZED_SENDER");
+        require(!_collection.isCompleted(), "CollectionManager#addItems: COLLECTION_COMPLETED");
+        require(_isValidMetadata(_items), "CollectionManager#addItems: INVALID_METADATA");
+
+        (uint256 amount,) = _getItemsFee(_items);
+
+        // Transfer fees to collector
+        if (amount > 0) {
+            require(
+                acceptedToken.transferFrom(sender, feesCollector, amount),
+                "CollectionManager#addItems: TRANSFER_FEES_FAILED"
+            );
+        }
+
+        (success,) = _forwarder.forwardCall(address(_collection), abi.encodeWithSelector(_collection.addItems.selector, _items));
+        require(
+            success,
+            "CollectionManager#addItems: FORWARD_FAILED"
+        );
+    }
+
+    /**
+    * @notice Get the amount of accepted token to be paid for creating a collection
+    * @param _items - items to be added
+    * @return total - total fee
+    * @return breakdown - fee per rarity
+    */
+    function getCreationFee(IERC721CollectionV2.ItemParam[] memory _items) external view returns (uint256 total, RarityFee[] memory breakdown) {
+        return _getItemsFee(_items);
+    }
+
+    /**
+    * @notice Get the amount of accepted token to be paid for adding items to a collection
+    * @param _items - items to be added
+    * @return total - total fee
+    * @return breakdown - fee per rarity
+    */
+    function getAddItemsFee(IERC721CollectionV2.ItemParam[] memory _items) external view returns (uint256 total, RarityFee[] memory breakdown) {
+        return _getItemsFee(_items);
+    }
+
+    /**
+    * @notice Get the amount of accepted token to be paid for an amount of items of each rarity
+    * @dev Repeated rarities are not merged in the breakdown
+    * @param _rarities - rarity names
+    * @param _counts - amount of items of each rarity
+    * @return total - total fee
+    * @return breakdown - fee per rarity
+    */
+    function getRaritiesFee(
+        string[] memory _rarities,
+        uint256[] memory _counts
+    ) external view returns (uint256 total, RarityFee[] memory breakdown) {
+        require(_rarities.length == _counts.length, "CollectionManager#getRaritiesFee: LENGTH_MISMATCH");
+
+        breakdown = new RarityFee[](_rarities.length);
+
+        for (uint256 i = 0; i < _rarities.length; i++) {
+            IRarities.Rarity memory rarity = rarities.getRarityByName(_rarities[i]);
+            uint256 fee = rarity.price.mul(_counts[i]);
+
+            breakdown[i] = RarityFee(rarity.name, _counts[i], rarity.price, fee);
+            total = total.add(fee);
+        }
     }
 
     /**
     * @notice Manage a collection
+    * @dev If the method has a delay, the call is queued to be executed once it has passed.
+    * Meanwhile, the owner can cancel it
     * @param _forwarder - forwarder contract owner of the collection factory
     * @param _collection - collection to be managed
     * @param _data - call data to be used
+    * @return queued - whether the call was queued as a committee action
+    * @return actionId - id of the committee action queued, if any
     */
-    function manageCollection(IForwarder _forwarder, IERC721CollectionV2 _collection, bytes calldata _data) external {
+    function manageCollection(
+        IForwarder _forwarder,
+        IERC721CollectionV2 _collection,
+        bytes calldata _data
+    ) external returns (bool queued, uint256 actionId) {
         require(address(_forwarder) != address(this), "CollectionManager#manageCollection: FORWARDER_CANT_BE_THIS");
         require(
             _msgSender() == committee,
@@ -216,10 +388,169 @@ contract CollectionManager is OwnableInitializable, NativeMetaTransaction {
             "CollectionManager#manageCollection: INVALID_COLLECTION"
         );
 
+        uint256 delay = committeeMethodsDelays[method];
+
+        if (delay > 0) {
+            uint256 eta = block.timestamp.add(delay);
+
+            actionId = committeeActions.length;
+
+            committeeActions.push(
+                CommitteeAction(_forwarder, _collection, _data, committee, eta, CommitteeActionStatus.Queued)
+            );
+
+            emit CommitteeActionQueued(actionId, _collection.creator(), _collection, _forwarder, _data, eta);
+            return (true, actionId);
+        }
+
         (success,) = _forwarder.forwardCall(address(_collection), _data);
         require(
             success,
             "CollectionManager#manageCollection: FORWARD_FAILED"
         );
     }
-}
\ No newline at end of file
+
+    /**
+    * @notice Execute a queued committee action once its delay has passed
+    * @dev Anyone can execute it. The method must still be allowed and the committee must be the one which queued it
+    * @param _actionId - action id
+    */
+    function executeCommitteeAction(uint256 _actionId) external {
+        require(_actionId < committeeActions.length, "CollectionManager#executeCommitteeAction: INVALID_ACTION");
+
+        CommitteeAction storage action = committeeActions[_actionId];
+        require(action.status == CommitteeActionStatus.Queued, "CollectionManager#executeCommitteeAction: ACTION_NOT_QUEUED");
+        require(block.timestamp >= action.eta, "CollectionManager#executeCommitteeAction: ACTION_NOT_READY");
+        require(action.committee == committee, "CollectionManager#executeCommitteeAction: COMMITTEE_CHANGED");
+
+        bytes memory data = action.data;
+        (bytes4 method) = abi.decode(data, (bytes4));
+        require(allowedCommitteeMethods[method], "CollectionManager#executeCommitteeAction: COMMITTEE_METHOD_NOT_ALLOWED");
+
+        action.status = CommitteeActionStatus.Executed;
+
+        (bool success,) = action.forwarder.forwardCall(address(action.collection), data);
+        require(
+            success,
+            "CollectionManager#executeCommitteeAction: FORWARD_FAILED"
+        );
+
+        emit CommitteeActionExecuted(_actionId, _msgSender());
+    }
+
+    /**
+    * @notice Veto a queued committee action
+    * @param _actionId - action id
+    */
+    function cancelCommitteeAction(uint256 _actionId) external onlyOwner {
+        require(_actionId < committeeActions.length, "CollectionManager#cancelCommitteeAction: INVALID_ACTION");
+
+        CommitteeAction storage action = committeeActions[_actionId];
+        require(action.status == CommitteeActionStatus.Queued, "CollectionManager#cancelCommitteeAction: ACTION_NOT_QUEUED");
+
+        action.status = CommitteeActionStatus.Cancelled;
+
+        emit CommitteeActionCancelled(_actionId);
+    }
+
+    /**
+    * @notice Get the amount of committee actions queued
+    * @return amount of actions
+    */
+    function committeeActionsCount() external view returns (uint256) {
+        return committeeActions.length;
+    }
+
+    /**
+    * @notice Get the ids of the committee actions which were neither executed nor cancelled within a page of actions
+    * @dev The page is applied to every action and not only to the pending ones, so a page may return less
+    * actions than the limit, or none, while there are more pending actions in the next pages
+    * @param _offset - id of the first action to look at
+    * @param _limit - max amount of actions to look at
+    * @return actionIds - ids of the pending actions
+    */
+    function getPendingCommitteeActions(
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory actionIds) {
+        uint256 end = _offset;
+
+        if (_offset < committeeActions.length) {
+            end = committeeActions.length;
+
+            if (_limit < end - _offset) {
+                end = _offset + _limit;
+            }
+        }
+
+        uint256[] memory page = new uint256[](end - _offset);
+        uint256 count;
+
+        for (uint256 i = _offset; i < end; i++) {
+            if (committeeActions[i].status == CommitteeActionStatus.Queued) {
+                page[count] = i;
+                count++;
+            }
+        }
+
+        actionIds = new uint256[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            actionIds[i] = page[i];
+        }
+    }
+
+    /**
+    * @notice Check the metadata of a list of items with the metadata validator, if any
+    * @param _items - items
+    * @return whether every metadata is valid
+    */
+    function _isValidMetadata(IERC721CollectionV2.ItemParam[] memory _items) internal view returns (bool) {
+        if (address(metadataValidator) == address(0)) {
+            return true;
+        }
+
+        for (uint256 i = 0; i < _items.length; i++) {
+            if (!metadataValidator.isValid(_items[i].metadata)) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+    * @notice Get the fee of a list of items
+    * @param _items - items
+    * @return total - total fee
+    * @return breakdown - fee per rarity, in order of appearance
+    */
+    function _getItemsFee(IERC721CollectionV2.ItemParam[] memory _items) internal view returns (uint256 total, RarityFee[] memory breakdown) {
+        RarityFee[] memory fees = new RarityFee[](_items.length);
+        uint256 raritiesCount = 0;
+
+        for (uint256 i = 0; i < _items.length; i++) {
+            IRarities.Rarity memory rarity = rarities.getRarityByName(_items[i].rarity);
+            bytes32 rarityKey = keccak256(bytes(rarity.name));
+
+            uint256 j = 0;
+            while (j < raritiesCount && keccak256(bytes(fees[j].rarity)) != rarityKey) {
+                j++;
+            }
+
+            if (j == raritiesCount) {
+                fees[raritiesCount++] = RarityFee(rarity.name, 0, rarity.price, 0);
+            }
+
+            fees[j].count++;
+            fees[j].fee = fees[j].fee.add(rarity.price);
+            total = total.add(rarity.price);
+        }
+
+        breakdown = new RarityFee[](raritiesCount);
+
+        for (uint256 i = 0; i < raritiesCount; i++) {
+            breakdown[i] = fees[i];
+        }
+    }
+}
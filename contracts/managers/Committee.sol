@@ -1,21 +1,123 @@
 // SPDX-License-Identifier: MIT
 
 pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
 
 
+import "@openzeppelin/contracts/utils/EnumerableSet.sol";
+
 import "../interfaces/ICollectionManager.sol";
+import "../interfaces/IERC721CollectionV2.sol";
+import "../interfaces/IERC721CollectionFactoryV2.sol";
 import "../commons/OwnableInitializable.sol";
 import "../commons/NativeMetaTransaction.sol";
 
 
 contract Committee is OwnableInitializable, NativeMetaTransaction {
 
+    using EnumerableSet for EnumerableSet.AddressSet;
+
+    bytes32 public constant CURATOR_ROLE = keccak256("CURATOR_ROLE");
+    bytes32 public constant RESCUER_ROLE = keccak256("RESCUER_ROLE");
+    bytes32 public constant EDITOR_LOCK_ROLE = keccak256("EDITOR_LOCK_ROLE");
+
+    uint256 public constant MAX_REASON_URI_LENGTH = 256;
+
+    enum ProposalStatus { Open, Executed, Expired }
+    enum ReviewKind { Approval, Rejection, Appeal }
+
+    struct Proposal {
+        ICollectionManager collectionManager;
+        address forwarder;
+        address collection;
+        bytes data;
+        address proposer;
+        uint256 deadline;
+        uint256 votes;
+        ProposalStatus status;
+    }
+
+    struct ProposalReview {
+        bool isReview;
+        bool approve;
+        uint256 reasonCode;
+        string reasonURI;
+    }
+
+    /**
+    * @dev queued is true when the collection manager queued the decision as a committee action
+    * instead of applying it. actionId is the id of that action
+    */
+    struct Review {
+        ReviewKind kind;
+        address author;
+        uint256 proposalId;
+        bool queued;
+        uint256 actionId;
+        uint256 reasonCode;
+        string reasonURI;
+        uint256 createdAt;
+    }
+
     mapping(address => bool) public members;
 
+    mapping(bytes4 => bytes32) public methodRoles;
+    mapping(bytes32 => EnumerableSet.AddressSet) internal roleMembers;
+
+    IERC721CollectionFactoryV2 public collectionFactory;
+
+    uint256 public quorum;
+    uint256 public proposalDuration;
+
+    Proposal[] public proposals;
+    mapping(uint256 => mapping(address => bool)) public hasVoted;
+    mapping(uint256 => address[]) internal proposalVoters;
+
+    mapping(uint256 => ProposalReview) public proposalReviews;
+    mapping(address => Review[]) public collectionReviews;
+
     event MemberSet(address indexed _member, bool _value);
+    event RoleSet(bytes32 indexed _role, address indexed _member, bool _value);
+    event MethodRoleSet(bytes4 indexed _method, bytes32 indexed _role);
+    event CollectionFactorySet(
+        IERC721CollectionFactoryV2 indexed _oldCollectionFactory,
+        IERC721CollectionFactoryV2 indexed _newCollectionFactory
+    );
+    event QuorumSet(uint256 _oldQuorum, uint256 _newQuorum);
+    event ProposalDurationSet(uint256 _oldProposalDuration, uint256 _newProposalDuration);
+    event ProposalCreated(
+        uint256 indexed _proposalId,
+        address indexed _proposer,
+        ICollectionManager _collectionManager,
+        address _forwarder,
+        address _collection,
+        bytes _data,
+        uint256 _deadline
+    );
+    event ProposalVoted(uint256 indexed _proposalId, address indexed _voter, uint256 _votes);
+    event ProposalExecuted(uint256 indexed _proposalId);
+    event ProposalExpired(uint256 indexed _proposalId);
+    event CollectionReviewed(
+        address indexed _collection,
+        uint256 indexed _proposalId,
+        address indexed _reviewer,
+        uint256 _reviewId,
+        bool _approved,
+        bool _queued,
+        uint256 _actionId,
+        uint256 _reasonCode,
+        string _reasonURI
+    );
+    event CollectionAppealed(
+        address indexed _collection,
+        address indexed _creator,
+        uint256 _reviewId,
+        string _reasonURI
+    );
 
     /**
     * @notice Create the contract
+    * @dev The quorum starts at 1 so every member can manage collections on their own until it is raised
     * @param _owner - owner of the contract
     * @param _members - members to be added at contract creation
     */
@@ -29,6 +131,9 @@ contract Committee is OwnableInitializable, NativeMetaTransaction {
         for (uint256 i = 0; i < _members.length; i++) {
             _setMember(_members[i], true);
         }
+
+        _setQuorum(1);
+        _setProposalDuration(7 days);
     }
 
     /**
@@ -55,16 +160,489 @@ contract Committee is OwnableInitializable, NativeMetaTransaction {
         emit MemberSet(_member, _value);
     }
 
+    /**
+    * @notice Grant or revoke roles to members
+    * @param _members - members
+    * @param _roles - roles
+    * @param _values - whether the roles should be granted or revoked
+    */
+    function setRoles(address[] calldata _members, bytes32[] calldata _roles, bool[] calldata _values) external onlyOwner {
+        require(
+            _members.length == _roles.length && _members.length == _values.length,
+            "Committee#setRoles: LENGTH_MISMATCH"
+        );
+
+        for (uint256 i = 0; i < _members.length; i++) {
+            address member = _members[i];
+            bytes32 role = _roles[i];
+            bool value = _values[i];
+
+            if (value) {
+                roleMembers[role].add(member);
+            } else {
+                roleMembers[role].remove(member);
+            }
+
+            emit RoleSet(role, member, value);
+        }
+    }
+
+    /**
+    * @notice Set the role needed to propose and vote calls to collection methods
+    * @dev Every member can propose and vote calls to the methods without a role
+    * @param _methods - collection method selectors
+    * @param _roles - roles. bytes32(0) to remove the role of a method
+    */
+    function setMethodRoles(bytes4[] calldata _methods, bytes32[] calldata _roles) external onlyOwner {
+        require(_methods.length == _roles.length, "Committee#setMethodRoles: LENGTH_MISMATCH");
+
+        for (uint256 i = 0; i < _methods.length; i++) {
+            methodRoles[_methods[i]] = _roles[i];
+
+            emit MethodRoleSet(_methods[i], _roles[i]);
+        }
+    }
+
+    /**
+    * @notice Set the factory whose collections can be appealed
+    * @param _newCollectionFactory - collection factory
+    */
+    function setCollectionFactory(IERC721CollectionFactoryV2 _newCollectionFactory) external onlyOwner {
+        require(
+            address(_newCollectionFactory) != address(0),
+            "Committee#setCollectionFactory: INVALID_COLLECTION_FACTORY"
+        );
+
+        emit CollectionFactorySet(collectionFactory, _newCollectionFactory);
+        collectionFactory = _newCollectionFactory;
+    }
+
+    /**
+    * @notice Set the amount of votes needed to execute a proposal
+    * @param _newQuorum - amount of votes
+    */
+    function setQuorum(uint256 _newQuorum) external onlyOwner {
+        _setQuorum(_newQuorum);
+    }
+
+    /**
+    * @notice Set the amount of votes needed to execute a proposal
+    * @param _newQuorum - amount of votes
+    */
+    function _setQuorum(uint256 _newQuorum) internal {
+        require(_newQuorum > 0, "Committee#setQuorum: INVALID_QUORUM");
+
+        emit QuorumSet(quorum, _newQuorum);
+        quorum = _newQuorum;
+    }
+
+    /**
+    * @notice Set the time a proposal stays open to be voted
+    * @param _newProposalDuration - duration in seconds
+    */
+    function setProposalDuration(uint256 _newProposalDuration) external onlyOwner {
+        _setProposalDuration(_newProposalDuration);
+    }
+
+    /**
+    * @notice Set the time a proposal stays open to be voted
+    * @param _newProposalDuration - duration in seconds
+    */
+    function _setProposalDuration(uint256 _newProposalDuration) internal {
+        require(_newProposalDuration > 0, "Committee#setProposalDuration: INVALID_PROPOSAL_DURATION");
+
+        emit ProposalDurationSet(proposalDuration, _newProposalDuration);
+        proposalDuration = _newProposalDuration;
+    }
+
     /**
     * @notice Manage collection
+    * @dev Creates a proposal voted by the sender. It is executed right away if the quorum is reached.
+    * Collections are approved and rejected with `reviewCollection` so every decision is reviewed
     * @param _collectionManager - collection manager
     * @param _forwarder - forwarder contract owner of the collection
     * @param _collection - collection to be managed
     * @param _data - call data to be used
+    * @return proposalId - id of the proposal created
+    */
+    function manageCollection(
+        ICollectionManager _collectionManager,
+        address _forwarder,
+        address _collection,
+        bytes memory _data
+    ) external returns (uint256 proposalId) {
+        address sender = _msgSender();
+        require(members[sender], "Committee#manageCollection: UNAUTHORIZED_SENDER");
+        require(_hasMethodRole(sender, _data), "Committee#manageCollection: MISSING_ROLE");
+
+        (bytes4 method) = abi.decode(_data, (bytes4));
+        require(
+            method != IERC721CollectionV2.setApproved.selector,
+            "Committee#manageCollection: METHOD_NOT_ALLOWED"
+        );
+
+        return _propose(sender, _collectionManager, _forwarder, _collection, _data);
+    }
+
+    /**
+    * @notice Approve or reject a collection with a reason
+    * @dev Creates a proposal voted by the sender. The decision is added to the collection's reviews once it is executed.
+    * Rejections must have a reason code
+    * @param _collectionManager - collection manager
+    * @param _forwarder - forwarder contract owner of the collection
+    * @param _collection - collection to be reviewed
+    * @param _approve - whether the collection should be approved or rejected
+    * @param _reasonCode - reason code. 0 means no reason
+    * @param _reasonURI - URI with the details of the decision
+    * @return proposalId - id of the proposal created
     */
-    function manageCollection(ICollectionManager _collectionManager, address _forwarder, address _collection, bytes memory _data) external {
-       require(members[_msgSender()], "Committee#manageCollection: UNAUTHORIZED_SENDER");
+    function reviewCollection(
+        ICollectionManager _collectionManager,
+        address _forwarder,
+        address _collection,
+        bool _approve,
+        uint256 _reasonCode,
+        string calldata _reasonURI
+    ) external returns (uint256 proposalId) {
+        address sender = _msgSender();
+        require(members[sender], "Committee#reviewCollection: UNAUTHORIZED_SENDER");
+        require(_approve || _reasonCode > 0, "Committee#reviewCollection: EMPTY_REASON");
+
+        bytes memory data = abi.encodeWithSelector(IERC721CollectionV2.setApproved.selector, _approve);
+        require(_hasMethodRole(sender, data), "Committee#reviewCollection: MISSING_ROLE");
+
+        proposalReviews[proposals.length] = ProposalReview(true, _approve, _reasonCode, _reasonURI);
+
+        return _propose(sender, _collectionManager, _forwarder, _collection, data);
+    }
+
+    /**
+    * @notice Request the committee to review a collection again
+    * @dev Only the creator of a collection created by the collection factory which is not approved can appeal
+    * @param _collection - collection
+    * @param _reasonURI - URI with the details of the appeal. Up to MAX_REASON_URI_LENGTH bytes
+    */
+    function appealCollection(address _collection, string calldata _reasonURI) external {
+        address sender = _msgSender();
+        require(
+            address(collectionFactory) != address(0) && collectionFactory.isCollectionFromFactory(_collection),
+            "Committee#appealCollection: INVALID_COLLECTION"
+        );
+        require(bytes(_reasonURI).length <= MAX_REASON_URI_LENGTH, "Committee#appealCollection: REASON_URI_TOO_LONG");
+
+        IERC721CollectionV2 collection = IERC721CollectionV2(_collection);
+        require(sender == collection.creator(), "Committee#appealCollection: UNAUTHORIZED_SENDER");
+        require(!collection.isApproved(), "Committee#appealCollection: COLLECTION_APPROVED");
+
+        uint256 reviewId = collectionReviews[_collection].length;
+        collectionReviews[_collection].push(Review(ReviewKind.Appeal, sender, 0, false, 0, 0, _reasonURI, block.timestamp));
+
+        emit CollectionAppealed(_collection, sender, reviewId, _reasonURI);
+    }
+
+    /**
+    * @notice Create a proposal voted by the proposer
+    * @param _proposer - member creating the proposal
+    * @param _collectionManager - collection manager
+    * @param _forwarder - forwarder contract owner of the collection
+    * @param _collection - collection to be managed
+    * @param _data - call data to be used
+    * @return proposalId - id of the proposal created
+    */
+    function _propose(
+        address _proposer,
+        ICollectionManager _collectionManager,
+        address _forwarder,
+        address _collection,
+        bytes memory _data
+    ) internal returns (uint256 proposalId) {
+        proposalId = proposals.length;
+        uint256 deadline = block.timestamp + proposalDuration;
+
+        proposals.push(Proposal({
+            collectionManager: _collectionManager,
+            forwarder: _forwarder,
+            collection: _collection,
+            data: _data,
+            proposer: _proposer,
+            deadline: deadline,
+            votes: 0,
+            status: ProposalStatus.Open
+        }));
+
+        emit ProposalCreated(proposalId, _proposer, _collectionManager, _forwarder, _collection, _data, deadline);
+
+        _vote(proposalId, _proposer);
+    }
+
+    /**
+    * @notice Vote a proposal. It is executed if the quorum is reached
+    * @param _proposalId - proposal id
+    */
+    function vote(uint256 _proposalId) external {
+        address sender = _msgSender();
+        require(members[sender], "Committee#vote: UNAUTHORIZED_SENDER");
+        require(_proposalId < proposals.length, "Committee#vote: INVALID_PROPOSAL");
+
+        Proposal storage proposal = proposals[_proposalId];
+        require(proposal.status == ProposalStatus.Open, "Committee#vote: PROPOSAL_NOT_OPEN");
+        require(block.timestamp < proposal.deadline, "Committee#vote: PROPOSAL_EXPIRED");
+        require(!hasVoted[_proposalId][sender], "Committee#vote: ALREADY_VOTED");
+        require(_hasMethodRole(sender, proposal.data), "Committee#vote: MISSING_ROLE");
+
+        _vote(_proposalId, sender);
+    }
 
-        _collectionManager.manageCollection(_forwarder, _collection, _data);
+    /**
+    * @notice Execute a proposal which has reached the quorum.
+    * @dev Useful when the quorum was lowered after the last vote
+    * @param _proposalId - proposal id
+    */
+    function executeProposal(uint256 _proposalId) external {
+        require(members[_msgSender()], "Committee#executeProposal: UNAUTHORIZED_SENDER");
+        require(_proposalId < proposals.length, "Committee#executeProposal: INVALID_PROPOSAL");
+
+        Proposal storage proposal = proposals[_proposalId];
+        require(proposal.status == ProposalStatus.Open, "Committee#executeProposal: PROPOSAL_NOT_OPEN");
+        require(block.timestamp < proposal.deadline, "Committee#executeProposal: PROPOSAL_EXPIRED");
+        require(_countVotes(_proposalId) >= quorum, "Committee#executeProposal: QUORUM_NOT_REACHED");
+
+        _execute(_proposalId);
+    }
+
+    /**
+    * @notice Close proposals whose deadline has passed without reaching the quorum
+    * @param _proposalIds - proposal ids
+    */
+    function expireProposals(uint256[] calldata _proposalIds) external {
+        for (uint256 i = 0; i < _proposalIds.length; i++) {
+            uint256 proposalId = _proposalIds[i];
+            require(proposalId < proposals.length, "Committee#expireProposals: INVALID_PROPOSAL");
+
+            Proposal storage proposal = proposals[proposalId];
+            require(proposal.status == ProposalStatus.Open, "Committee#expireProposals: PROPOSAL_NOT_OPEN");
+            require(block.timestamp >= proposal.deadline, "Committee#expireProposals: PROPOSAL_NOT_EXPIRED");
+
+            proposal.status = ProposalStatus.Expired;
+
+            emit ProposalExpired(proposalId);
+        }
+    }
+
+    /**
+    * @notice Register a vote and execute the proposal if the quorum is reached
+    * @dev Only the votes of the voters which are still members count for the quorum
+    * @param _proposalId - proposal id
+    * @param _voter - member voting
+    */
+    function _vote(uint256 _proposalId, address _voter) internal {
+        Proposal storage proposal = proposals[_proposalId];
+
+        hasVoted[_proposalId][_voter] = true;
+        proposalVoters[_proposalId].push(_voter);
+        proposal.votes++;
+
+        uint256 votes = _countVotes(_proposalId);
+
+        emit ProposalVoted(_proposalId, _voter, votes);
+
+        if (votes >= quorum) {
+            _execute(_proposalId);
+        }
+    }
+
+    /**
+    * @notice Execute a proposal
+    * @dev The review of the proposal is recorded with the committee action id when the collection manager
+    * queues the call instead of applying it
+    * @param _proposalId - proposal id
+    */
+    function _execute(uint256 _proposalId) internal {
+        Proposal storage proposal = proposals[_proposalId];
+
+        proposal.status = ProposalStatus.Executed;
+
+        (bool queued, uint256 actionId) = proposal.collectionManager.manageCollection(
+            proposal.forwarder,
+            proposal.collection,
+            proposal.data
+        );
+
+        emit ProposalExecuted(_proposalId);
+
+        ProposalReview storage review = proposalReviews[_proposalId];
+
+        if (review.isReview) {
+            Review[] storage reviews = collectionReviews[proposal.collection];
+
+            reviews.push(Review(
+                review.approve ? ReviewKind.Approval : ReviewKind.Rejection,
+                proposal.proposer,
+                _proposalId,
+                queued,
+                actionId,
+                review.reasonCode,
+                review.reasonURI,
+                block.timestamp
+            ));
+
+            emit CollectionReviewed(
+                proposal.collection,
+                _proposalId,
+                proposal.proposer,
+                reviews.length - 1,
+                review.approve,
+                queued,
+                actionId,
+                review.reasonCode,
+                review.reasonURI
+            );
+        }
+    }
+
+    /**
+    * @notice Get the amount of proposals created
+    * @return amount of proposals
+    */
+    function proposalsCount() external view returns (uint256) {
+        return proposals.length;
+    }
+
+    /**
+    * @notice Get the amount of votes of a proposal which count for the quorum
+    * @param _proposalId - proposal id
+    * @return amount of votes of the voters which are still members
+    */
+    function getProposalVotes(uint256 _proposalId) external view returns (uint256) {
+        require(_proposalId < proposals.length, "Committee#getProposalVotes: INVALID_PROPOSAL");
+
+        return _countVotes(_proposalId);
+    }
+
+    /**
+    * @notice Get the ids of the proposals which can still be voted within a page of proposals
+    * @dev The page is applied to every proposal and not only to the open ones, so a page may return less
+    * proposals than the limit, or none, while there are more open proposals in the next pages
+    * @param _offset - id of the first proposal to look at
+    * @param _limit - max amount of proposals to look at
+    * @return proposalIds - ids of the open proposals
+    */
+    function getOpenProposals(uint256 _offset, uint256 _limit) external view returns (uint256[] memory proposalIds) {
+        uint256 end = _offset;
+
+        if (_offset < proposals.length) {
+            end = proposals.length;
+
+            if (_limit < end - _offset) {
+                end = _offset + _limit;
+            }
+        }
+
+        uint256[] memory page = new uint256[](end - _offset);
+        uint256 count;
+
+        for (uint256 i = _offset; i < end; i++) {
+            if (_isOpen(proposals[i])) {
+                page[count] = i;
+                count++;
+            }
+        }
+
+        proposalIds = new uint256[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            proposalIds[i] = page[i];
+        }
+    }
+
+    /**
+    * @notice Check whether a member has a role
+    * @param _role - role
+    * @param _member - member
+    * @return whether the member has the role
+    */
+    function hasRole(bytes32 _role, address _member) external view returns (bool) {
+        return roleMembers[_role].contains(_member);
+    }
+
+    /**
+    * @notice Get the amount of members with a role
+    * @param _role - role
+    * @return amount of members
+    */
+    function roleMembersCount(bytes32 _role) external view returns (uint256) {
+        return roleMembers[_role].length();
+    }
+
+    /**
+    * @notice Get the members with a role
+    * @dev The order is not kept when members are removed
+    * @param _role - role
+    * @return members with the role
+    */
+    function getRoleMembers(bytes32 _role) external view returns (address[] memory) {
+        EnumerableSet.AddressSet storage set = roleMembers[_role];
+        address[] memory roleMembersList = new address[](set.length());
+
+        for (uint256 i = 0; i < roleMembersList.length; i++) {
+            roleMembersList[i] = set.at(i);
+        }
+
+        return roleMembersList;
+    }
+
+    /**
+    * @notice Get the amount of reviews of a collection
+    * @param _collection - collection
+    * @return amount of reviews
+    */
+    function collectionReviewsCount(address _collection) external view returns (uint256) {
+        return collectionReviews[_collection].length;
+    }
+
+    /**
+    * @notice Get the decisions and appeals of a collection
+    * @param _collection - collection
+    * @return reviews, from the oldest to the newest
+    */
+    function getCollectionReviews(address _collection) external view returns (Review[] memory) {
+        return collectionReviews[_collection];
+    }
+
+    /**
+    * @notice Check whether a member has the role needed for a collection call
+    * @param _member - member
+    * @param _data - collection call data
+    * @return whether the method has no role or the member has it
+    */
+    function _hasMethodRole(address _member, bytes memory _data) internal view returns (bool) {
+        (bytes4 method) = abi.decode(_data, (bytes4));
+        bytes32 role = methodRoles[method];
+
+        return role == bytes32(0) || roleMembers[role].contains(_member);
+    }
+
+    /**
+    * @notice Count the votes of a proposal which count for the quorum
+    * @param _proposalId - proposal id
+    * @return votes - amount of votes of the voters which are still members
+    */
+    function _countVotes(uint256 _proposalId) internal view returns (uint256 votes) {
+        address[] storage voters = proposalVoters[_proposalId];
+
+        for (uint256 i = 0; i < voters.length; i++) {
+            if (members[voters[i]]) {
+                votes++;
+            }
+        }
+    }
+
+    /**
+    * @notice Check whether a proposal can still be voted
+    * @param _proposal - proposal
+    * @return whether the proposal is open and its deadline has not passed
+    */
+    function _isOpen(Proposal storage _proposal) internal view returns (bool) {
+        return _proposal.status == ProposalStatus.Open && block.timestamp < _proposal.deadline;
     }
-}
\ No newline at end of file
+}
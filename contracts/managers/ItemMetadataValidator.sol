@@ -0,0 +1,237 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "../interfaces/IERC721CollectionV2.sol";
+import "../interfaces/IItemMetadataValidator.sol";
+import "../commons/OwnableInitializable.sol";
+import "../commons/NativeMetaTransaction.sol";
+
+
+/**
+ * @notice Parser and validator of the items metadata: `version:name:category:bodyShape1,bodyShape2`.
+ * E.g: `1:bird_mask:hat:female,male`.
+ */
+contract ItemMetadataValidator is IItemMetadataValidator, OwnableInitializable, NativeMetaTransaction {
+
+    struct Metadata {
+        string version;
+        string name;
+        string category;
+        string[] bodyShapes;
+    }
+
+    bytes1 constant internal FIELD_SEPARATOR = ":";
+    bytes1 constant internal BODY_SHAPE_SEPARATOR = ",";
+    uint256 constant internal FIELDS_COUNT = 4;
+
+    mapping(bytes32 => bool) public categories;
+    mapping(bytes32 => bool) public bodyShapes;
+
+    event SetCategory(string _category, bool _value);
+    event SetBodyShape(string _bodyShape, bool _value);
+
+    /**
+    * @notice Create the contract
+    * @param _owner - owner of the contract
+    * @param _categories - categories allowed
+    * @param _bodyShapes - body shapes allowed
+    */
+    constructor(address _owner, string[] memory _categories, string[] memory _bodyShapes) {
+        // EIP712 init
+        _initializeEIP712('Decentraland Item Metadata Validator', '1');
+        // Ownable init
+        _initOwnable();
+        transferOwnership(_owner);
+
+        for (uint256 i = 0; i < _categories.length; i++) {
+            _setCategory(_categories[i], true);
+        }
+
+        for (uint256 i = 0; i < _bodyShapes.length; i++) {
+            _setBodyShape(_bodyShapes[i], true);
+        }
+    }
+
+    /**
+    * @notice Set categories
+    * @param _categories - categories
+    * @param _values - whether the categories are allowed or not
+    */
+    function setCategories(string[] calldata _categories, bool[] calldata _values) external onlyOwner {
+        require(_categories.length == _values.length, "ItemMetadataValidator#setCategories: LENGTH_MISMATCH");
+
+        for (uint256 i = 0; i < _categories.length; i++) {
+            _setCategory(_categories[i], _values[i]);
+        }
+    }
+
+    /**
+    * @notice Set body shapes
+    * @param _bodyShapes - body shapes
+    * @param _values - whether the body shapes are allowed or not
+    */
+    function setBodyShapes(string[] calldata _bodyShapes, bool[] calldata _values) external onlyOwner {
+        require(_bodyShapes.length == _values.length, "ItemMetadataValidator#setBodyShapes: LENGTH_MISMATCH");
+
+        for (uint256 i = 0; i < _bodyShapes.length; i++) {
+            _setBodyShape(_bodyShapes[i], _values[i]);
+        }
+    }
+
+    /**
+    * @notice Set a category
+    * @param _category - category
+    * @param _value - whether the category is allowed or not
+    */
+    function _setCategory(string memory _category, bool _value) internal {
+        require(bytes(_category).length > 0, "ItemMetadataValidator#_setCategory: EMPTY_CATEGORY");
+
+        categories[keccak256(bytes(_category))] = _value;
+
+        emit SetCategory(_category, _value);
+    }
+
+    /**
+    * @notice Set a body shape
+    * @param _bodyShape - body shape
+    * @param _value - whether the body shape is allowed or not
+    */
+    function _setBodyShape(string memory _bodyShape, bool _value) internal {
+        require(bytes(_bodyShape).length > 0, "ItemMetadataValidator#_setBodyShape: EMPTY_BODY_SHAPE");
+
+        bodyShapes[keccak256(bytes(_bodyShape))] = _value;
+
+        emit SetBodyShape(_bodyShape, _value);
+    }
+
+    /**
+    * @notice Check whether a category is allowed
+    * @param _category - category
+    * @return whether the category is allowed
+    */
+    function isValidCategory(string memory _category) public view returns (bool) {
+        return categories[keccak256(bytes(_category))];
+    }
+
+    /**
+    * @notice Check whether a body shape is allowed
+    * @param _bodyShape - body shape
+    * @return whether the body shape is allowed
+    */
+    function isValidBodyShape(string memory _bodyShape) public view returns (bool) {
+        return bodyShapes[keccak256(bytes(_bodyShape))];
+    }
+
+    /**
+    * @notice Check whether a metadata follows the format
+    * @param _metadata - item metadata
+    * @return whether the metadata is valid
+    */
+    function isValid(string calldata _metadata) external view override returns (bool) {
+        string[] memory fields = _split(_metadata, FIELD_SEPARATOR);
+
+        if (fields.length != FIELDS_COUNT || !_isVersion(fields[0]) || bytes(fields[1]).length == 0 || !isValidCategory(fields[2])) {
+            return false;
+        }
+
+        string[] memory shapes = _split(fields[3], BODY_SHAPE_SEPARATOR);
+
+        for (uint256 i = 0; i < shapes.length; i++) {
+            if (!isValidBodyShape(shapes[i])) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+    * @notice Parse a metadata
+    * @dev It only checks the amount of fields. Use `isValid` to validate them
+    * @param _metadata - item metadata
+    * @return metadata fields
+    */
+    function parse(string memory _metadata) public pure returns (Metadata memory) {
+        string[] memory fields = _split(_metadata, FIELD_SEPARATOR);
+
+        require(fields.length == FIELDS_COUNT, "ItemMetadataValidator#parse: INVALID_METADATA");
+
+        return Metadata({
+            version: fields[0],
+            name: fields[1],
+            category: fields[2],
+            bodyShapes: _split(fields[3], BODY_SHAPE_SEPARATOR)
+        });
+    }
+
+    /**
+    * @notice Get the parsed metadata of a collection item
+    * @param _collection - collection address
+    * @param _itemId - item id
+    * @return metadata fields
+    */
+    function getItemMetadata(IERC721CollectionV2 _collection, uint256 _itemId) external view returns (Metadata memory) {
+        (,,,,, string memory metadata,) = _collection.items(_itemId);
+
+        return parse(metadata);
+    }
+
+    /**
+    * @notice Check whether a version is a non-empty number
+    * @param _version - version
+    * @return whether the version is valid
+    */
+    function _isVersion(string memory _version) internal pure returns (bool) {
+        bytes memory version = bytes(_version);
+
+        if (version.length == 0) {
+            return false;
+        }
+
+        for (uint256 i = 0; i < version.length; i++) {
+            if (version[i] < "0" || version[i] > "9") {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+    * @notice Split a string by a separator
+    * @param _str - string to split
+    * @param _separator - separator
+    * @return parts of the string
+    */
+    function _split(string memory _str, bytes1 _separator) internal pure returns (string[] memory) {
+        bytes memory str = bytes(_str);
+        uint256 partsCount = 1;
+
+        for (uint256 i = 0; i < str.length; i++) {
+            if (str[i] == _separator) {
+                partsCount++;
+            }
+        }
+
+        string[] memory parts = new string[](partsCount);
+        uint256 partIndex;
+        uint256 start;
+
+        for (uint256 i = 0; i <= str.length; i++) {
+            if (i == str.length || str[i] == _separator) {
+                bytes memory part = new bytes(i - start);
+
+                for (uint256 j = start; j < i; j++) {
+                    part[j - start] = str[j];
+                }
+
+                parts[partIndex++] = string(part);
+                start = i + 1;
+            }
+        }
+
+        return parts;
+    }
+}
@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+
+import "../../interfaces/IERC20.sol";
+import "../../interfaces/IERC721CollectionV2.sol";
+import "../../commons/OwnableInitializable.sol";
+import "../../commons/NativeMetaTransaction.sol";
+
+/**
+* @notice Primary sales of collection v2 items where the price paid is burned instead of transferred
+* to the items' beneficiaries. The fee, if any, is transferred to the fee owner.
+*/
+contract BurningStoreV2 is OwnableInitializable, NativeMetaTransaction {
+    using SafeMath for uint256;
+
+    struct ItemToBuy {
+        IERC721CollectionV2 collection;
+        uint256[] ids;
+        uint256[] prices;
+        address[] beneficiaries;
+    }
+
+    uint256 constant public BASE_FEE = 1000000;
+    IERC20 public acceptedToken;
+    uint256 public fee;
+    address public feeOwner;
+
+    /// @dev A price of 0 means the item is not for sale
+    mapping(IERC721CollectionV2 => mapping(uint256 => uint256)) public itemBurnPrices;
+
+    event Bought(ItemToBuy[] _itemsToBuy);
+    event SetItemBurnPrice(IERC721CollectionV2 indexed _collection, uint256 indexed _itemId, uint256 _price);
+    event SetFee(uint256 _oldFee, uint256 _newFee);
+    event SetFeeOwner(address indexed _oldFeeOwner, address indexed _newFeeOwner);
+
+    /**
+    * @notice Constructor of the contract.
+    * @param _owner - owner of the contract
+    * @param _acceptedToken - Address of the ERC20 token accepted. It must be burnable
+    * @param _feeOwner - address where fees will be transferred
+    * @param _fee - fee to charge for each sale. 0 to burn the whole price
+    */
+    constructor(address _owner, IERC20 _acceptedToken, address _feeOwner, uint256 _fee) {
+        // EIP712 init
+        _initializeEIP712('Decentraland Burning Store', '1');
+        // Ownable init
+        _initOwnable();
+
+        acceptedToken = _acceptedToken;
+        feeOwner = _feeOwner;
+
+        // The fee is optional
+        if (_fee > 0) {
+            setFee(_fee);
+        }
+
+        transferOwnership(_owner);
+    }
+
+    /**
+    * @notice Buy collection's items by burning their price.
+    * @dev There is a maximum amount of NFTs that can be issued per call by the block's limit.
+    * @param _itemsToBuy - items to buy
+    */
+    function buy(ItemToBuy[] memory _itemsToBuy) external {
+        uint256 totalPrice = 0;
+        uint256 totalFee = 0;
+        address sender = _msgSender();
+
+        for (uint256 i = 0; i < _itemsToBuy.length; i++) {
+            ItemToBuy memory itemToBuy = _itemsToBuy[i];
+            IERC721CollectionV2 collection = itemToBuy.collection;
+            uint256 amountOfItems = itemToBuy.ids.length;
+
+            require(amountOfItems == itemToBuy.prices.length, "BurningStoreV2#buy: LENGTH_MISMATCH");
+
+            for (uint256 j = 0; j < amountOfItems; j++) {
+                uint256 itemPrice = itemBurnPrices[collection][itemToBuy.ids[j]];
+
+                require(itemPrice > 0, "BurningStoreV2#buy: ITEM_NOT_FOR_SALE");
+                require(itemToBuy.prices[j] == itemPrice, "BurningStoreV2#buy: ITEM_PRICE_MISMATCH");
+
+                totalPrice = totalPrice.add(itemPrice);
+
+                // Calculate sale share
+                totalFee = totalFee.add(itemPrice.mul(fee).div(BASE_FEE));
+            }
+
+            // Mint Token
+            collection.issueTokens(itemToBuy.beneficiaries, itemToBuy.ids);
+        }
+
+        if (totalPrice > 0) {
+            // Debit the price from the sender
+            require(
+                acceptedToken.transferFrom(sender, address(this), totalPrice),
+                "BurningStoreV2#buy: TRANSFER_PRICE_FAILED"
+            );
+
+            if (totalFee > 0) {
+                // Transfer share amount for fees owner
+                require(acceptedToken.transfer(feeOwner, totalFee), "BurningStoreV2#buy: TRANSFER_FEES_FAILED");
+            }
+
+            // Burn the rest
+            acceptedToken.burn(totalPrice.sub(totalFee));
+        }
+
+        emit Bought(_itemsToBuy);
+    }
+
+    // Creator functions
+
+    /**
+    * @notice Set the burn prices of collection's items.
+    * @dev Use a price of 0 to stop selling an item. The store must be a minter of the items.
+    * @param _collection - collection address
+    * @param _itemIds - item ids
+    * @param _prices - prices to burn for each item
+    */
+    function setItemsBurnPrices(
+        IERC721CollectionV2 _collection,
+        uint256[] calldata _itemIds,
+        uint256[] calldata _prices
+    ) external {
+        require(_itemIds.length == _prices.length, "BurningStoreV2#setItemsBurnPrices: LENGTH_MISMATCH");
+        require(_collection.creator() == _msgSender(), "BurningStoreV2#setItemsBurnPrices: CALLER_IS_NOT_CREATOR");
+
+        uint256 itemsCount = _collection.itemsCount();
+
+        for (uint256 i = 0; i < _itemIds.length; i++) {
+            require(_itemIds[i] < itemsCount, "BurningStoreV2#setItemsBurnPrices: ITEM_DOES_NOT_EXIST");
+
+            itemBurnPrices[_collection][_itemIds[i]] = _prices[i];
+
+            emit SetItemBurnPrice(_collection, _itemIds[i], _prices[i]);
+        }
+    }
+
+    // Owner functions
+
+    /**
+     * @notice Sets the fee of the contract that's charged on each sale
+     * @param _newFee - Fee from 0 to 999,999
+     */
+    function setFee(uint256 _newFee) public onlyOwner {
+        require(_newFee < BASE_FEE, "BurningStoreV2#setFee: FEE_SHOULD_BE_LOWER_THAN_BASE_FEE");
+        require(_newFee != fee, "BurningStoreV2#setFee: SAME_FEE");
+
+        emit SetFee(fee, _newFee);
+        fee = _newFee;
+    }
+
+    /**
+     * @notice Set a new fee owner.
+     * @param _newFeeOwner - Address of the new fee owner
+     */
+    function setFeeOwner(address _newFeeOwner) external onlyOwner {
+        require(_newFeeOwner != address(0), "BurningStoreV2#setFeeOwner: INVALID_ADDRESS");
+        require(_newFeeOwner != feeOwner, "BurningStoreV2#setFeeOwner: SAME_FEE_OWNER");
+
+        emit SetFeeOwner(feeOwner, _newFeeOwner);
+        feeOwner = _newFeeOwner;
+    }
+}
@@ -0,0 +1,365 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+
+import "../../interfaces/IERC20.sol";
+import "../../interfaces/IERC721CollectionV2.sol";
+import "../../commons/OwnableInitializable.sol";
+import "../../commons/NativeMetaTransaction.sol";
+
+contract CollectionCrafting is OwnableInitializable, NativeMetaTransaction {
+    using SafeMath for uint256;
+
+    struct Ingredient {
+        IERC721CollectionV2 collection;
+        uint256 itemId;
+    }
+
+    /// @dev The crafted item is minted from `collection`, where the crafting contract must be a minter.
+    /// A `price` of 0 means the recipe is free.
+    struct Recipe {
+        IERC721CollectionV2 collection;
+        uint256 itemId;
+        Ingredient[] ingredients;
+        uint256 price;
+        address beneficiary;
+        bool isActive;
+    }
+
+    /// @dev `tokenIds` are the tokens to burn, one for each recipe's ingredient and in the same order.
+    /// A zero `beneficiary` means the crafter
+    struct Craft {
+        uint256 recipeId;
+        uint256[] tokenIds;
+        address beneficiary;
+    }
+
+    uint256 constant public BASE_FEE = 1000000;
+    IERC20 public acceptedToken;
+    uint256 public fee;
+    address public feeOwner;
+
+    Recipe[] internal recipes;
+
+    event AddRecipe(
+        uint256 indexed _recipeId,
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _itemId,
+        Ingredient[] _ingredients,
+        uint256 _price,
+        address _beneficiary
+    );
+    event SetRecipeActive(uint256 indexed _recipeId, bool _value);
+    event Crafted(
+        uint256 indexed _recipeId,
+        address indexed _crafter,
+        address indexed _beneficiary,
+        uint256[] _tokenIds,
+        uint256 _price
+    );
+    event SetFee(uint256 _oldFee, uint256 _newFee);
+    event SetFeeOwner(address indexed _oldFeeOwner, address indexed _newFeeOwner);
+
+    /**
+    * @notice Constructor of the contract.
+    * @param _owner - owner of the contract
+    * @param _acceptedToken - Address of the ERC20 token accepted
+    * @param _feeOwner - address where fees will be transferred
+    * @param _fee - fee to charge for each paid craft
+    */
+    constructor(address _owner, IERC20 _acceptedToken, address _feeOwner, uint256 _fee) {
+        // EIP712 init
+        _initializeEIP712('Decentraland Collection Crafting', '1');
+        // Ownable init
+        _initOwnable();
+
+        acceptedToken = _acceptedToken;
+        feeOwner = _feeOwner;
+        setFee(_fee);
+
+        transferOwnership(_owner);
+    }
+
+    // Creator functions
+
+    /**
+    * @notice Add a recipe to craft a collection's item by burning tokens of other items.
+    * @dev Only the collection's creator can add recipes for its items. Ingredients can be items of any collection
+    * v2 with burns, and the same item can be used many times.
+    * @param _collection - collection of the item crafted
+    * @param _itemId - item crafted
+    * @param _ingredients - items of the tokens to burn
+    * @param _price - price in the accepted token to pay for each craft
+    * @param _beneficiary - beneficiary of the price
+    * @return recipeId - id of the recipe added
+    */
+    function addRecipe(
+        IERC721CollectionV2 _collection,
+        uint256 _itemId,
+        Ingredient[] calldata _ingredients,
+        uint256 _price,
+        address _beneficiary
+    ) external returns (uint256 recipeId) {
+        require(_collection.creator() == _msgSender(), "CollectionCrafting#addRecipe: CALLER_IS_NOT_CREATOR");
+        require(_itemId < _collection.itemsCount(), "CollectionCrafting#addRecipe: ITEM_DOES_NOT_EXIST");
+        require(_ingredients.length > 0, "CollectionCrafting#addRecipe: EMPTY_INGREDIENTS");
+        require(_price == 0 || _beneficiary != address(0), "CollectionCrafting#addRecipe: INVALID_BENEFICIARY");
+
+        recipeId = recipes.length;
+        recipes.push();
+
+        Recipe storage recipe = recipes[recipeId];
+        recipe.collection = _collection;
+        recipe.itemId = _itemId;
+        recipe.price = _price;
+        recipe.beneficiary = _beneficiary;
+        recipe.isActive = true;
+
+        for (uint256 i = 0; i < _ingredients.length; i++) {
+            Ingredient memory ingredient = _ingredients[i];
+
+            require(
+                ingredient.itemId < ingredient.collection.itemsCount(),
+                "CollectionCrafting#addRecipe: INGREDIENT_DOES_NOT_EXIST"
+            );
+
+            recipe.ingredients.push(ingredient);
+        }
+
+        emit AddRecipe(recipeId, _collection, _itemId, _ingredients, _price, _beneficiary);
+    }
+
+    /**
+    * @notice Activate or deactivate recipes. Inactive recipes can not be crafted.
+    * @dev Only the creator of the collection of the item crafted can call it
+    * @param _recipeIds - recipe ids
+    * @param _values - whether the recipes are active
+    */
+    function setRecipesActive(uint256[] calldata _recipeIds, bool[] calldata _values) external {
+        require(_recipeIds.length == _values.length, "CollectionCrafting#setRecipesActive: LENGTH_MISMATCH");
+
+        address sender = _msgSender();
+
+        for (uint256 i = 0; i < _recipeIds.length; i++) {
+            uint256 recipeId = _recipeIds[i];
+
+            require(recipeId < recipes.length, "CollectionCrafting#setRecipesActive: RECIPE_DOES_NOT_EXIST");
+
+            Recipe storage recipe = recipes[recipeId];
+
+            require(recipe.collection.creator() == sender, "CollectionCrafting#setRecipesActive: CALLER_IS_NOT_CREATOR");
+            require(recipe.isActive != _values[i], "CollectionCrafting#setRecipesActive: VALUE_IS_THE_SAME");
+
+            recipe.isActive = _values[i];
+
+            emit SetRecipeActive(recipeId, _values[i]);
+        }
+    }
+
+    // Crafter functions
+
+    /**
+    * @notice Craft items by burning the tokens of their recipes' ingredients.
+    * @dev The sender must own every token to burn and have approved this contract to burn them
+    * (`setApprovalForAll` in each ingredient's collection). Paid recipes are paid with the accepted token.
+    * There is a maximum amount of NFTs that can be burned and issued per call by the block's limit.
+    * @param _crafts - crafts
+    */
+    function craft(Craft[] memory _crafts) external {
+        address sender = _msgSender();
+        uint256 totalFee = 0;
+
+        for (uint256 i = 0; i < _crafts.length; i++) {
+            totalFee = totalFee.add(_craft(_crafts[i], sender));
+        }
+
+        if (totalFee > 0) {
+            // Transfer share amount for fees owner
+            require(
+                acceptedToken.transferFrom(sender, feeOwner, totalFee),
+                "CollectionCrafting#craft: TRANSFER_FEES_FAILED"
+            );
+        }
+    }
+
+    /**
+    * @notice Craft an item
+    * @param _craftToDo - craft
+    * @param _sender - crafter
+    * @return saleShareAmount - fee to charge
+    */
+    function _craft(Craft memory _craftToDo, address _sender) internal returns (uint256 saleShareAmount) {
+        require(_craftToDo.recipeId < recipes.length, "CollectionCrafting#craft: RECIPE_DOES_NOT_EXIST");
+
+        Recipe storage recipe = recipes[_craftToDo.recipeId];
+
+        require(recipe.isActive, "CollectionCrafting#craft: RECIPE_NOT_ACTIVE");
+        require(_craftToDo.tokenIds.length == recipe.ingredients.length, "CollectionCrafting#craft: LENGTH_MISMATCH");
+
+        for (uint256 i = 0; i < _craftToDo.tokenIds.length; i++) {
+            _burnIngredient(recipe.ingredients[i], _craftToDo.tokenIds[i], _sender);
+        }
+
+        uint256 price = recipe.price;
+
+        if (price > 0) {
+            // Calculate sale share
+            saleShareAmount = price.mul(fee).div(BASE_FEE);
+
+            // Transfer sale amount to the recipe beneficiary
+            require(
+                acceptedToken.transferFrom(_sender, recipe.beneficiary, price.sub(saleShareAmount)),
+                "CollectionCrafting#craft: TRANSFER_PRICE_FAILED"
+            );
+        }
+
+        address[] memory beneficiaries = new address[](1);
+        beneficiaries[0] = _craftToDo.beneficiary == address(0) ? _sender : _craftToDo.beneficiary;
+        uint256[] memory itemIds = new uint256[](1);
+        itemIds[0] = recipe.itemId;
+
+        // Mint Token
+        recipe.collection.issueTokens(beneficiaries, itemIds);
+
+        emit Crafted(_craftToDo.recipeId, _sender, beneficiaries[0], _craftToDo.tokenIds, price);
+    }
+
+    /**
+    * @notice Burn the token of an ingredient
+    * @dev The ownership is checked so tokens approved to this contract can only be burned by their owners
+    * @param _ingredient - ingredient
+    * @param _tokenId - token id
+    * @param _sender - crafter
+    */
+    function _burnIngredient(Ingredient storage _ingredient, uint256 _tokenId, address _sender) internal {
+        IERC721CollectionV2 collection = _ingredient.collection;
+        (uint256 itemId,) = collection.decodeTokenId(_tokenId);
+
+        require(itemId == _ingredient.itemId, "CollectionCrafting#craft: INVALID_INGREDIENT");
+        require(collection.ownerOf(_tokenId) == _sender, "CollectionCrafting#craft: CALLER_IS_NOT_OWNER");
+
+        collection.burn(_tokenId);
+    }
+
+    // Views
+
+    /**
+    * @notice Get the amount of recipes
+    * @return amount of recipes
+    */
+    function recipesCount() external view returns (uint256) {
+        return recipes.length;
+    }
+
+    /**
+    * @notice Get a recipe
+    * @param _recipeId - recipe id
+    * @return recipe
+    */
+    function getRecipe(uint256 _recipeId) external view returns (Recipe memory) {
+        require(_recipeId < recipes.length, "CollectionCrafting#getRecipe: RECIPE_DOES_NOT_EXIST");
+
+        return recipes[_recipeId];
+    }
+
+    /**
+    * @notice Get a page of recipes. Their ids are their positions
+    * @param _offset - id of the first recipe
+    * @param _limit - max amount of recipes
+    * @return page - recipes
+    */
+    function getRecipes(uint256 _offset, uint256 _limit) external view returns (Recipe[] memory page) {
+        uint256 end = _getPageEnd(_offset, _limit);
+
+        page = new Recipe[](end - _offset);
+
+        for (uint256 i = _offset; i < end; i++) {
+            page[i - _offset] = recipes[i];
+        }
+    }
+
+    /**
+    * @notice Get the recipes of a collection's items within a page of recipes
+    * @dev The page is applied to every recipe and not only to the collection ones, so a page may return less
+    * recipes than the limit, or none, while there are more recipes of the collection in the next pages
+    * @param _collection - collection of the items crafted
+    * @param _offset - id of the first recipe to look at
+    * @param _limit - max amount of recipes to look at
+    * @return recipeIds - recipe ids
+    * @return page - recipes
+    */
+    function getRecipesByCollection(
+        IERC721CollectionV2 _collection,
+        uint256 _offset,
+        uint256 _limit
+    ) external view returns (uint256[] memory recipeIds, Recipe[] memory page) {
+        uint256 end = _getPageEnd(_offset, _limit);
+        uint256 count;
+
+        for (uint256 i = _offset; i < end; i++) {
+            if (recipes[i].collection == _collection) {
+                count++;
+            }
+        }
+
+        recipeIds = new uint256[](count);
+        page = new Recipe[](count);
+        count = 0;
+
+        for (uint256 i = _offset; i < end; i++) {
+            if (recipes[i].collection == _collection) {
+                recipeIds[count] = i;
+                page[count] = recipes[i];
+                count++;
+            }
+        }
+    }
+
+    /**
+    * @notice Get the end of a page of recipes
+    * @dev It is the offset when the page is out of range
+    * @param _offset - id of the first recipe
+    * @param _limit - max amount of recipes
+    * @return end - id after the last recipe of the page
+    */
+    function _getPageEnd(uint256 _offset, uint256 _limit) internal view returns (uint256 end) {
+        if (_offset >= recipes.length) {
+            return _offset;
+        }
+
+        end = recipes.length;
+
+        if (_limit < end - _offset) {
+            end = _offset + _limit;
+        }
+    }
+
+    // Owner functions
+
+    /**
+     * @notice Sets the fee of the contract that's charged on each paid craft
+     * @param _newFee - Fee from 0 to 999,999
+     */
+    function setFee(uint256 _newFee) public onlyOwner {
+        require(_newFee < BASE_FEE, "CollectionCrafting#setFee: FEE_SHOULD_BE_LOWER_THAN_BASE_FEE");
+        require(_newFee != fee, "CollectionCrafting#setFee: SAME_FEE");
+
+        emit SetFee(fee, _newFee);
+        fee = _newFee;
+    }
+
+    /**
+     * @notice Set a new fee owner.
+     * @param _newFeeOwner - Address of the new fee owner
+     */
+    function setFeeOwner(address _newFeeOwner) external onlyOwner {
+        require(_newFeeOwner != address(0), "CollectionCrafting#setFeeOwner: INVALID_ADDRESS");
+        require(_newFeeOwner != feeOwner, "CollectionCrafting#setFeeOwner: SAME_FEE_OWNER");
+
+        emit SetFeeOwner(feeOwner, _newFeeOwner);
+        feeOwner = _newFeeOwner;
+    }
+}
@@ -0,0 +1,572 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/cryptography/ECDSA.sol";
+
+import "../../interfaces/IERC20.sol";
+import "../../interfaces/IERC721CollectionV2.sol";
+import "../../commons/OwnableInitializable.sol";
+import "../../commons/NativeMetaTransaction.sol";
+
+/**
+* @notice Secondary sales of collection v2 tokens. Tokens are listed with orders, and bought with bids for a token
+* or for any issued token of an item. Orders can also be signed off-chain by the seller and settled by the buyer.
+* Each sale pays a fee to the fee owner and the collection's royalty.
+*/
+contract CollectionMarketplace is OwnableInitializable, NativeMetaTransaction {
+    using SafeMath for uint256;
+
+    struct Order {
+        bytes32 id;
+        address seller;
+        uint256 price;
+        uint256 expiresAt;
+    }
+
+    /// @dev `owner` is the token owner when the bid was placed. Zero for item bids
+    struct Bid {
+        bytes32 id;
+        address owner;
+        uint256 price;
+        uint256 expiresAt;
+    }
+
+    /// @dev Sell order signed off-chain by the seller. A zero `tokenId` means any issued token of `itemId`
+    struct SignedOrder {
+        address seller;
+        IERC721CollectionV2 collection;
+        uint256 tokenId;
+        uint256 itemId;
+        uint256 price;
+        IERC20 token;
+        uint256 expiresAt;
+        uint256 salt;
+        uint256 nonce;
+    }
+
+    bytes32 constant public SIGNED_ORDER_TYPEHASH = keccak256(
+        "SignedOrder(address seller,address collection,uint256 tokenId,uint256 itemId,uint256 price,address token,uint256 expiresAt,uint256 salt,uint256 nonce)"
+    );
+
+    uint256 constant public BASE_FEE = 1000000;
+    IERC20 public acceptedToken;
+    uint256 public fee;
+    address public feeOwner;
+
+    mapping(IERC721CollectionV2 => mapping(uint256 => Order)) public orders;
+    /// @dev Bids for a token: collection => token id => bidder => bid
+    mapping(IERC721CollectionV2 => mapping(uint256 => mapping(address => Bid))) public tokenBids;
+    /// @dev Bids for any issued token of an item: collection => item id => bidder => bid
+    mapping(IERC721CollectionV2 => mapping(uint256 => mapping(address => Bid))) public itemBids;
+    /// @dev Signed orders are valid only with the current nonce of their seller
+    mapping(address => uint256) public sellerNonces;
+    mapping(bytes32 => bool) public executedSignedOrders;
+
+    event OrderCreated(
+        bytes32 _id,
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _tokenId,
+        address indexed _seller,
+        uint256 _price,
+        uint256 _expiresAt
+    );
+    event OrderCancelled(bytes32 _id, IERC721CollectionV2 indexed _collection, uint256 indexed _tokenId, address indexed _seller);
+    event OrderSuccessful(
+        bytes32 _id,
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _tokenId,
+        address indexed _seller,
+        address _buyer,
+        uint256 _price
+    );
+    event BidCreated(
+        bytes32 _id,
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _tokenId,
+        address indexed _bidder,
+        uint256 _price,
+        uint256 _expiresAt
+    );
+    event BidCancelled(bytes32 _id, IERC721CollectionV2 indexed _collection, uint256 indexed _tokenId, address indexed _bidder);
+    event BidAccepted(
+        bytes32 _id,
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _tokenId,
+        address indexed _bidder,
+        address _seller,
+        uint256 _price
+    );
+    event ItemBidCreated(
+        bytes32 _id,
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _itemId,
+        address indexed _bidder,
+        uint256 _price,
+        uint256 _expiresAt
+    );
+    event ItemBidCancelled(bytes32 _id, IERC721CollectionV2 indexed _collection, uint256 indexed _itemId, address indexed _bidder);
+    event ItemBidAccepted(
+        bytes32 _id,
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _itemId,
+        address indexed _bidder,
+        uint256 _tokenId,
+        address _seller,
+        uint256 _price
+    );
+    event SignedOrderExecuted(
+        bytes32 indexed _hash,
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _tokenId,
+        address _seller,
+        address _buyer,
+        IERC20 _token,
+        uint256 _price
+    );
+    event SellerNonceBumped(address indexed _seller, uint256 _nonce);
+    event RoyaltyPaid(
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _tokenId,
+        address indexed _receiver,
+        uint256 _amount
+    );
+    event SetFee(uint256 _oldFee, uint256 _newFee);
+    event SetFeeOwner(address indexed _oldFeeOwner, address indexed _newFeeOwner);
+
+    /**
+    * @notice Constructor of the contract.
+    * @param _owner - owner of the contract
+    * @param _acceptedToken - Address of the ERC20 token accepted
+    * @param _feeOwner - address where fees will be transferred
+    * @param _fee - fee to charge for each sale
+    */
+    constructor(address _owner, IERC20 _acceptedToken, address _feeOwner, uint256 _fee) {
+        // EIP712 init
+        _initializeEIP712('Decentraland Collection Marketplace', '1');
+        // Ownable init
+        _initOwnable();
+
+        acceptedToken = _acceptedToken;
+        feeOwner = _feeOwner;
+        setFee(_fee);
+
+        transferOwnership(_owner);
+    }
+
+    // Orders
+
+    /**
+    * @notice List a token for sale. It replaces the previous order of the token.
+    * @dev The marketplace must be approved to transfer the token
+    * @param _collection - collection address
+    * @param _tokenId - token id
+    * @param _price - price of the token
+    * @param _expiresAt - timestamp when the order expires
+    */
+    function createOrder(IERC721CollectionV2 _collection, uint256 _tokenId, uint256 _price, uint256 _expiresAt) external {
+        address sender = _msgSender();
+
+        require(_collection.ownerOf(_tokenId) == sender, "CollectionMarketplace#createOrder: CALLER_IS_NOT_OWNER");
+        require(_isAuthorized(_collection, _tokenId, sender), "CollectionMarketplace#createOrder: NOT_AUTHORIZED");
+        require(_price > 0, "CollectionMarketplace#createOrder: INVALID_PRICE");
+        require(_expiresAt > block.timestamp, "CollectionMarketplace#createOrder: INVALID_EXPIRES_AT");
+
+        bytes32 orderId = keccak256(abi.encodePacked(block.timestamp, sender, _collection, _tokenId, _price));
+
+        orders[_collection][_tokenId] = Order(orderId, sender, _price, _expiresAt);
+
+        emit OrderCreated(orderId, _collection, _tokenId, sender, _price, _expiresAt);
+    }
+
+    /**
+    * @notice Cancel a token's order
+    * @param _collection - collection address
+    * @param _tokenId - token id
+    */
+    function cancelOrder(IERC721CollectionV2 _collection, uint256 _tokenId) external {
+        Order memory order = orders[_collection][_tokenId];
+
+        require(order.id != 0, "CollectionMarketplace#cancelOrder: ORDER_DOES_NOT_EXIST");
+        require(order.seller == _msgSender(), "CollectionMarketplace#cancelOrder: CALLER_IS_NOT_SELLER");
+
+        delete orders[_collection][_tokenId];
+
+        emit OrderCancelled(order.id, _collection, _tokenId, order.seller);
+    }
+
+    /**
+    * @notice Buy a listed token
+    * @param _collection - collection address
+    * @param _tokenId - token id
+    * @param _price - price of the order. It protects the buyer from price changes
+    */
+    function executeOrder(IERC721CollectionV2 _collection, uint256 _tokenId, uint256 _price) external {
+        Order memory order = orders[_collection][_tokenId];
+
+        require(order.id != 0, "CollectionMarketplace#executeOrder: ORDER_DOES_NOT_EXIST");
+        require(order.price == _price, "CollectionMarketplace#executeOrder: PRICE_MISMATCH");
+        require(block.timestamp < order.expiresAt, "CollectionMarketplace#executeOrder: ORDER_EXPIRED");
+        require(_collection.ownerOf(_tokenId) == order.seller, "CollectionMarketplace#executeOrder: SELLER_IS_NOT_OWNER");
+
+        address buyer = _msgSender();
+        require(buyer != order.seller, "CollectionMarketplace#executeOrder: CALLER_IS_SELLER");
+
+        _settle(_collection, _tokenId, order.seller, buyer, acceptedToken, _price);
+
+        emit OrderSuccessful(order.id, _collection, _tokenId, order.seller, buyer, _price);
+    }
+
+    // Bids
+
+    /**
+    * @notice Bid for a token. It replaces the previous bid of the sender for the token.
+    * @dev The bidder must approve the marketplace to transfer the price when the bid is accepted.
+    * Only the current owner of the token can accept it, the bid is invalid once the token is transferred
+    * @param _collection - collection address
+    * @param _tokenId - token id
+    * @param _price - price offered
+    * @param _expiresAt - timestamp when the bid expires
+    */
+    function placeBid(IERC721CollectionV2 _collection, uint256 _tokenId, uint256 _price, uint256 _expiresAt) external {
+        address sender = _msgSender();
+
+        address owner = _collection.ownerOf(_tokenId);
+        require(owner != sender, "CollectionMarketplace#placeBid: CALLER_IS_OWNER");
+
+        bytes32 bidId = _placeBid(
+            tokenBids[_collection][_tokenId],
+            _collection,
+            _tokenId,
+            sender,
+            owner,
+            _price,
+            _expiresAt
+        );
+
+        emit BidCreated(bidId, _collection, _tokenId, sender, _price, _expiresAt);
+    }
+
+    /**
+    * @notice Bid for any issued token of an item. It replaces the previous bid of the sender for the item.
+    * @dev The bidder must approve the marketplace to transfer the price when the bid is accepted
+    * @param _collection - collection address
+    * @param _itemId - item id
+    * @param _price - price offered
+    * @param _expiresAt - timestamp when the bid expires
+    */
+    function placeItemBid(IERC721CollectionV2 _collection, uint256 _itemId, uint256 _price, uint256 _expiresAt) external {
+        require(_itemId < _collection.itemsCount(), "CollectionMarketplace#placeItemBid: ITEM_DOES_NOT_EXIST");
+
+        address sender = _msgSender();
+        bytes32 bidId = _placeBid(
+            itemBids[_collection][_itemId],
+            _collection,
+            _itemId,
+            sender,
+            address(0),
+            _price,
+            _expiresAt
+        );
+
+        emit ItemBidCreated(bidId, _collection, _itemId, sender, _price, _expiresAt);
+    }
+
+    /**
+    * @notice Cancel a bid of the sender for a token
+    * @param _collection - collection address
+    * @param _tokenId - token id
+    */
+    function cancelBid(IERC721CollectionV2 _collection, uint256 _tokenId) external {
+        address sender = _msgSender();
+        Bid memory bid = tokenBids[_collection][_tokenId][sender];
+
+        require(bid.id != 0, "CollectionMarketplace#cancelBid: BID_DOES_NOT_EXIST");
+
+        delete tokenBids[_collection][_tokenId][sender];
+
+        emit BidCancelled(bid.id, _collection, _tokenId, sender);
+    }
+
+    /**
+    * @notice Cancel a bid of the sender for an item
+    * @param _collection - collection address
+    * @param _itemId - item id
+    */
+    function cancelItemBid(IERC721CollectionV2 _collection, uint256 _itemId) external {
+        address sender = _msgSender();
+        Bid memory bid = itemBids[_collection][_itemId][sender];
+
+        require(bid.id != 0, "CollectionMarketplace#cancelItemBid: BID_DOES_NOT_EXIST");
+
+        delete itemBids[_collection][_itemId][sender];
+
+        emit ItemBidCancelled(bid.id, _collection, _itemId, sender);
+    }
+
+    /**
+    * @notice Accept a bid for a token. Only the token's owner when the bid was placed can accept it.
+    * @dev The marketplace must be approved to transfer the token
+    * @param _collection - collection address
+    * @param _tokenId - token id
+    * @param _bidder - bidder
+    * @param _price - price of the bid. It protects the seller from price changes
+    */
+    function acceptBid(IERC721CollectionV2 _collection, uint256 _tokenId, address _bidder, uint256 _price) external {
+        Bid memory bid = tokenBids[_collection][_tokenId][_bidder];
+
+        _checkBid(bid, _price);
+
+        address seller = _msgSender();
+        require(_collection.ownerOf(_tokenId) == seller, "CollectionMarketplace#acceptBid: CALLER_IS_NOT_OWNER");
+        require(seller != _bidder, "CollectionMarketplace#acceptBid: CALLER_IS_BIDDER");
+        require(bid.owner == seller, "CollectionMarketplace#acceptBid: OWNER_CHANGED");
+
+        delete tokenBids[_collection][_tokenId][_bidder];
+
+        _settle(_collection, _tokenId, seller, _bidder, acceptedToken, _price);
+
+        emit BidAccepted(bid.id, _collection, _tokenId, _bidder, seller, _price);
+    }
+
+    /**
+    * @notice Accept a bid for an item with a token of the item. Only the token's owner can accept it.
+    * @dev The marketplace must be approved to transfer the token
+    * @param _collection - collection address
+    * @param _tokenId - token id of the item to sell
+    * @param _bidder - bidder
+    * @param _price - price of the bid. It protects the seller from price changes
+    */
+    function acceptItemBid(IERC721CollectionV2 _collection, uint256 _tokenId, address _bidder, uint256 _price) external {
+        (uint256 itemId,) = _collection.decodeTokenId(_tokenId);
+        Bid memory bid = itemBids[_collection][itemId][_bidder];
+
+        _checkBid(bid, _price);
+
+        address seller = _msgSender();
+        require(_collection.ownerOf(_tokenId) == seller, "CollectionMarketplace#acceptItemBid: CALLER_IS_NOT_OWNER");
+        require(seller != _bidder, "CollectionMarketplace#acceptItemBid: CALLER_IS_BIDDER");
+
+        delete itemBids[_collection][itemId][_bidder];
+
+        _settle(_collection, _tokenId, seller, _bidder, acceptedToken, _price);
+
+        emit ItemBidAccepted(bid.id, _collection, itemId, _bidder, _tokenId, seller, _price);
+    }
+
+    // Signed orders
+
+    /**
+    * @notice Buy a token with an order signed off-chain by its seller
+    * @dev The marketplace must be approved to transfer the token and the price in the order's token
+    * @param _order - signed order
+    * @param _tokenId - token id to buy. It must be the order's token, or a token of the order's item if the order has
+    * no token
+    * @param _signature - EIP712 signature of the order
+    */
+    function executeSignedOrder(SignedOrder memory _order, uint256 _tokenId, bytes memory _signature) external {
+        bytes32 orderHash = _hashSignedOrder(_order);
+        address seller = _order.seller;
+
+        require(
+            ECDSA.recover(toTypedMessageHash(orderHash), _signature) == seller,
+            "CollectionMarketplace#executeSignedOrder: INVALID_SIGNER"
+        );
+        require(_order.nonce == sellerNonces[seller], "CollectionMarketplace#executeSignedOrder: INVALID_NONCE");
+        require(!executedSignedOrders[orderHash], "CollectionMarketplace#executeSignedOrder: ORDER_ALREADY_EXECUTED");
+        require(block.timestamp < _order.expiresAt, "CollectionMarketplace#executeSignedOrder: ORDER_EXPIRED");
+
+        IERC721CollectionV2 collection = _order.collection;
+
+        if (_order.tokenId != 0) {
+            require(_tokenId == _order.tokenId, "CollectionMarketplace#executeSignedOrder: TOKEN_MISMATCH");
+        } else {
+            (uint256 itemId,) = collection.decodeTokenId(_tokenId);
+            require(itemId == _order.itemId, "CollectionMarketplace#executeSignedOrder: TOKEN_MISMATCH");
+        }
+
+        require(collection.ownerOf(_tokenId) == seller, "CollectionMarketplace#executeSignedOrder: SELLER_IS_NOT_OWNER");
+
+        address buyer = _msgSender();
+        require(buyer != seller, "CollectionMarketplace#executeSignedOrder: CALLER_IS_SELLER");
+
+        executedSignedOrders[orderHash] = true;
+
+        _settle(collection, _tokenId, seller, buyer, _order.token, _order.price);
+
+        emit SignedOrderExecuted(orderHash, collection, _tokenId, seller, buyer, _order.token, _order.price);
+    }
+
+    /**
+    * @notice Cancel every order signed by the sender with the current nonce
+    */
+    function bumpNonce() external {
+        address sender = _msgSender();
+        uint256 nonce = sellerNonces[sender].add(1);
+
+        sellerNonces[sender] = nonce;
+
+        emit SellerNonceBumped(sender, nonce);
+    }
+
+    /**
+    * @notice Hash a signed order following EIP712
+    * @param _order - signed order
+    * @return bytes32 of the order hash
+    */
+    function _hashSignedOrder(SignedOrder memory _order) internal pure returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                SIGNED_ORDER_TYPEHASH,
+                _order.seller,
+                _order.collection,
+                _order.tokenId,
+                _order.itemId,
+                _order.price,
+                _order.token,
+                _order.expiresAt,
+                _order.salt,
+                _order.nonce
+            )
+        );
+    }
+
+    /**
+    * @notice Save a bid
+    * @param _bids - bids of the token or item by bidder
+    * @param _collection - collection address
+    * @param _id - token or item id
+    * @param _bidder - bidder
+    * @param _owner - token owner. Zero for item bids
+    * @param _price - price offered
+    * @param _expiresAt - timestamp when the bid expires
+    * @return bidId - id of the bid
+    */
+    function _placeBid(
+        mapping(address => Bid) storage _bids,
+        IERC721CollectionV2 _collection,
+        uint256 _id,
+        address _bidder,
+        address _owner,
+        uint256 _price,
+        uint256 _expiresAt
+    ) internal returns (bytes32 bidId) {
+        require(_price > 0, "CollectionMarketplace#_placeBid: INVALID_PRICE");
+        require(_expiresAt > block.timestamp, "CollectionMarketplace#_placeBid: INVALID_EXPIRES_AT");
+
+        bidId = keccak256(abi.encodePacked(block.timestamp, _bidder, _collection, _id, _price));
+
+        _bids[_bidder] = Bid(bidId, _owner, _price, _expiresAt);
+    }
+
+    /**
+    * @notice Check that a bid can be accepted
+    * @param _bid - bid
+    * @param _price - price expected by the seller
+    */
+    function _checkBid(Bid memory _bid, uint256 _price) internal view {
+        require(_bid.id != 0, "CollectionMarketplace#_checkBid: BID_DOES_NOT_EXIST");
+        require(_bid.price == _price, "CollectionMarketplace#_checkBid: PRICE_MISMATCH");
+        require(block.timestamp < _bid.expiresAt, "CollectionMarketplace#_checkBid: BID_EXPIRED");
+    }
+
+    /**
+    * @notice Pay a sale and transfer the token to the buyer
+    * @dev The fee goes to the fee owner and the collection's royalty to its receiver. The royalty is capped to the
+    * price without the fee. The rest goes to the seller. The order of the token, if any, is removed
+    * @param _collection - collection address
+    * @param _tokenId - token id
+    * @param _seller - token owner
+    * @param _buyer - buyer
+    * @param _token - token used to pay the sale
+    * @param _price - sale price
+    */
+    function _settle(
+        IERC721CollectionV2 _collection,
+        uint256 _tokenId,
+        address _seller,
+        address _buyer,
+        IERC20 _token,
+        uint256 _price
+    ) internal {
+        delete orders[_collection][_tokenId];
+
+        uint256 saleShareAmount = _price.mul(fee).div(BASE_FEE);
+
+        if (saleShareAmount > 0) {
+            // Transfer share amount for fees owner
+            require(
+                _token.transferFrom(_buyer, feeOwner, saleShareAmount),
+                "CollectionMarketplace#_settle: TRANSFER_FEES_FAILED"
+            );
+        }
+
+        (address royaltyReceiver, uint256 royaltyAmount) = _collection.royaltyInfo(_tokenId, _price);
+        uint256 sellerAmount = _price.sub(saleShareAmount);
+
+        if (royaltyReceiver != address(0) && royaltyReceiver != _seller && royaltyAmount > 0) {
+            if (royaltyAmount > sellerAmount) {
+                royaltyAmount = sellerAmount;
+            }
+
+            sellerAmount = sellerAmount.sub(royaltyAmount);
+
+            // Transfer royalty to the royalty receiver
+            require(
+                _token.transferFrom(_buyer, royaltyReceiver, royaltyAmount),
+                "CollectionMarketplace#_settle: TRANSFER_ROYALTY_FAILED"
+            );
+
+            emit RoyaltyPaid(_collection, _tokenId, royaltyReceiver, royaltyAmount);
+        }
+
+        if (sellerAmount > 0) {
+            // Transfer sale amount to the seller
+            require(
+                _token.transferFrom(_buyer, _seller, sellerAmount),
+                "CollectionMarketplace#_settle: TRANSFER_PRICE_FAILED"
+            );
+        }
+
+        _collection.safeTransferFrom(_seller, _buyer, _tokenId);
+    }
+
+    /**
+    * @notice Check whether the marketplace can transfer a token
+    * @param _collection - collection address
+    * @param _tokenId - token id
+    * @param _owner - token owner
+    * @return bool whether the marketplace is approved for the token
+    */
+    function _isAuthorized(IERC721CollectionV2 _collection, uint256 _tokenId, address _owner) internal view returns (bool) {
+        return _collection.getApproved(_tokenId) == address(this) || _collection.isApprovedForAll(_owner, address(this));
+    }
+
+    // Owner functions
+
+    /**
+     * @notice Sets the fee of the contract that's charged to the seller on each sale
+     * @param _newFee - Fee from 0 to 999,999
+     */
+    function setFee(uint256 _newFee) public onlyOwner {
+        require(_newFee < BASE_FEE, "CollectionMarketplace#setFee: FEE_SHOULD_BE_LOWER_THAN_BASE_FEE");
+        require(_newFee != fee, "CollectionMarketplace#setFee: SAME_FEE");
+
+        emit SetFee(fee, _newFee);
+        fee = _newFee;
+    }
+
+    /**
+     * @notice Set a new fee owner.
+     * @param _newFeeOwner - Address of the new fee owner
+     */
+    function setFeeOwner(address _newFeeOwner) external onlyOwner {
+        require(_newFeeOwner != address(0), "CollectionMarketplace#setFeeOwner: INVALID_ADDRESS");
+        require(_newFeeOwner != feeOwner, "CollectionMarketplace#setFeeOwner: SAME_FEE_OWNER");
+
+        emit SetFeeOwner(feeOwner, _newFeeOwner);
+        feeOwner = _newFeeOwner;
+    }
+}
@@ -4,14 +4,21 @@ pragma solidity ^0.7.6;
 pragma experimental ABIEncoderV2;
 
 import "@openzeppelin/contracts/math/SafeMath.sol";
+import "@openzeppelin/contracts/cryptography/MerkleProof.sol";
+import "@openzeppelin/contracts/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import {IERC20 as OZIERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/SafeERC20.sol";
 
 import "../../interfaces/IERC20.sol";
 import "../../interfaces/IERC721CollectionV2.sol";
+import "../../interfaces/IPriceOracle.sol";
 import "../../commons/OwnableInitializable.sol";
 import "../../commons/NativeMetaTransaction.sol";
 
-contract CollectionStore is OwnableInitializable, NativeMetaTransaction {
+contract CollectionStore is OwnableInitializable, NativeMetaTransaction, ReentrancyGuard {
     using SafeMath for uint256;
+    using SafeERC20 for OZIERC20;
 
 
     struct ItemToBuy {
@@ -21,14 +28,88 @@ contract CollectionStore is OwnableInitializable, NativeMetaTransaction {
         address[] beneficiaries;
     }
 
+    /// @dev The price moves from `startPrice` to `endPrice` between `startTime` and `endTime`.
+    /// If `steps` is 0 it moves linearly, otherwise it changes in `steps` equal jumps.
+    struct PriceCurve {
+        uint256 startTime;
+        uint256 endTime;
+        uint256 startPrice;
+        uint256 endPrice;
+        uint256 steps;
+    }
+
+    /// @dev Leaves are `keccak256(abi.encodePacked(buyer))`. A `maxPerWallet` of 0 means no cap.
+    struct Allowlist {
+        bytes32 root;
+        uint256 maxPerWallet;
+    }
+
+    /// @dev Lazy mint voucher signed by the collection's creator or a minter. A zero `beneficiary` means the redeemer
+    struct Voucher {
+        IERC721CollectionV2 collection;
+        uint256 itemId;
+        address beneficiary;
+        uint256 price;
+        uint256 nonce;
+        uint256 expiry;
+    }
+
+    /// @dev Price of an item denominated in a payment token. A zero `token` means the item's price set in the collection,
+    /// denominated in the accepted token
+    struct TokenPrice {
+        IERC20 token;
+        uint256 price;
+    }
+
+    bytes32 constant public VOUCHER_TYPEHASH = keccak256(
+        "Voucher(address collection,uint256 itemId,address beneficiary,uint256 price,uint256 nonce,uint256 expiry)"
+    );
+
+    /// @dev Address used as the payment token of the native currency (ETH, MATIC)
+    IERC20 constant public NATIVE_TOKEN = IERC20(0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE);
+
     uint256 constant public BASE_FEE = 1000000;
     IERC20 public acceptedToken;
     uint256 public fee;
     address public feeOwner;
+    IPriceOracle public priceOracle;
+
+    mapping(IERC721CollectionV2 => mapping(uint256 => PriceCurve)) public itemPriceCurves;
+    mapping(IERC721CollectionV2 => mapping(uint256 => Allowlist)) public itemAllowlists;
+    mapping(IERC721CollectionV2 => mapping(uint256 => mapping(address => uint256))) public allowlistPurchases;
+    mapping(address => mapping(uint256 => bool)) public usedVoucherNonces;
+    mapping(IERC721CollectionV2 => mapping(uint256 => mapping(address => uint256))) public itemMinterRedeemedVouchers;
+    mapping(IERC20 => bool) public paymentTokens;
+    mapping(IERC721CollectionV2 => mapping(uint256 => TokenPrice)) public itemTokenPrices;
+    mapping(address => uint256) public nativeBalances;
 
     event Bought(ItemToBuy[] _itemsToBuy);
+    event BoughtWithToken(IERC20 indexed _paymentToken, ItemToBuy[] _itemsToBuy);
     event SetFee(uint256 _oldFee, uint256 _newFee);
     event SetFeeOwner(address indexed _oldFeeOwner, address indexed _newFeeOwner);
+    event SetItemPriceCurve(IERC721CollectionV2 indexed _collection, uint256 indexed _itemId, PriceCurve _priceCurve);
+    event SetItemAllowlist(IERC721CollectionV2 indexed _collection, uint256 indexed _itemId, bytes32 _root, uint256 _maxPerWallet);
+    event AllowlistLeafConsumed(
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _itemId,
+        address indexed _buyer,
+        bytes32 _leaf,
+        uint256 _purchases
+    );
+    event VoucherRedeemed(
+        IERC721CollectionV2 indexed _collection,
+        uint256 indexed _itemId,
+        address indexed _signer,
+        address _beneficiary,
+        uint256 _price,
+        uint256 _nonce
+    );
+    event VoucherNonceCancelled(address indexed _signer, uint256 _nonce);
+    event SetItemTokenPrice(IERC721CollectionV2 indexed _collection, uint256 indexed _itemId, TokenPrice _tokenPrice);
+    event SetPaymentToken(IERC20 indexed _token, bool _value);
+    event SetPriceOracle(IPriceOracle indexed _oldPriceOracle, IPriceOracle indexed _newPriceOracle);
+    event NativeBalanceCredited(address indexed _account, uint256 _amount);
+    event NativeBalanceWithdrawn(address indexed _account, address indexed _to, uint256 _amount);
 
     /**
     * @notice Constructor of the contract.
@@ -52,9 +133,138 @@ contract CollectionStore is OwnableInitializable, NativeMetaTransaction {
     /**
     * @notice Buy collection's items.
     * @dev There is a maximum amount of NFTs that can be issued per call by the block's limit.
+    * Items with a price curve are bought at their current price, the price sent is the maximum the buyer is willing to pay.
+    * Items with an allowlist must be bought with `buyWithProofs`.
+    * @param _itemsToBuy - items to buy
+    */
+    function buy(ItemToBuy[] memory _itemsToBuy) external nonReentrant {
+        _buy(acceptedToken, _itemsToBuy, new bytes32[][][](0));
+    }
+
+    /**
+    * @notice Buy collection's items with Merkle proofs for the items with an allowlist.
+    * @dev Proofs are sent for every item to buy, following the `_itemsToBuy` structure.
+    * Items without an allowlist can use an empty proof.
     * @param _itemsToBuy - items to buy
+    * @param _proofs - proofs of the sender being part of the items' allowlists
     */
-    function buy(ItemToBuy[] memory _itemsToBuy) external {
+    function buyWithProofs(ItemToBuy[] memory _itemsToBuy, bytes32[][][] memory _proofs) external nonReentrant {
+        require(_proofsMatch(_itemsToBuy, _proofs), "CollectionStore#buyWithProofs: LENGTH_MISMATCH");
+
+        _buy(acceptedToken, _itemsToBuy, _proofs);
+    }
+
+    /**
+    * @notice Buy collection's items paying with a payment token.
+    * @dev Items denominated in another token are converted through the price oracle, the price sent is the maximum
+    * the buyer is willing to pay. Proofs are only needed for items with an allowlist, as in `buyWithProofs`.
+    * @param _paymentToken - token to pay with. The accepted token or a payment token
+    * @param _itemsToBuy - items to buy
+    * @param _proofs - proofs of the sender being part of the items' allowlists. Empty if no item has an allowlist
+    */
+    function buyWithToken(
+        IERC20 _paymentToken,
+        ItemToBuy[] memory _itemsToBuy,
+        bytes32[][][] memory _proofs
+    ) external nonReentrant {
+        require(_paymentToken != NATIVE_TOKEN, "CollectionStore#buyWithToken: INVALID_PAYMENT_TOKEN");
+        require(
+            _proofs.length == 0 || _proofsMatch(_itemsToBuy, _proofs),
+            "CollectionStore#buyWithToken: LENGTH_MISMATCH"
+        );
+
+        _buy(_paymentToken, _itemsToBuy, _proofs);
+    }
+
+    /**
+    * @notice Buy collection's items paying with the native currency.
+    * @dev The native currency must be allowed as a payment token (`NATIVE_TOKEN`). Items denominated in another token
+    * are converted through the price oracle, the price sent is the maximum the buyer is willing to pay.
+    * The value sent over the total price is refunded to the sender. It can not be called through meta transactions
+    * because the value would be sent by the relayer.
+    * Beneficiaries which can not receive the native currency get it credited to withdraw it with `withdrawNative`.
+    * @param _itemsToBuy - items to buy
+    * @param _proofs - proofs of the sender being part of the items' allowlists. Empty if no item has an allowlist
+    */
+    function buyWithNative(
+        ItemToBuy[] memory _itemsToBuy,
+        bytes32[][][] memory _proofs
+    ) external payable nonReentrant {
+        require(msg.sender != address(this), "CollectionStore#buyWithNative: META_TRANSACTIONS_NOT_ALLOWED");
+        require(
+            _proofs.length == 0 || _proofsMatch(_itemsToBuy, _proofs),
+            "CollectionStore#buyWithNative: LENGTH_MISMATCH"
+        );
+
+        _buy(NATIVE_TOKEN, _itemsToBuy, _proofs);
+
+        // Prices were updated to the ones paid
+        uint256 totalPrice = 0;
+
+        for (uint256 i = 0; i < _itemsToBuy.length; i++) {
+            for (uint256 j = 0; j < _itemsToBuy[i].prices.length; j++) {
+                totalPrice = totalPrice.add(_itemsToBuy[i].prices[j]);
+            }
+        }
+
+        require(msg.value >= totalPrice, "CollectionStore#buyWithNative: INSUFFICIENT_VALUE");
+
+        if (msg.value > totalPrice) {
+            // Refund the overpayment
+            _sendNative(msg.sender, msg.value - totalPrice);
+        }
+    }
+
+    /**
+    * @notice Withdraw the native currency credited to the sender
+    * @dev The native currency is credited when a payment or refund can not be sent to its receiver
+    * @param _to - address to send the native currency to
+    */
+    function withdrawNative(address _to) external nonReentrant {
+        require(_to != address(0), "CollectionStore#withdrawNative: INVALID_ADDRESS");
+
+        address sender = _msgSender();
+        uint256 amount = nativeBalances[sender];
+
+        require(amount > 0, "CollectionStore#withdrawNative: NOTHING_TO_WITHDRAW");
+
+        nativeBalances[sender] = 0;
+
+        (bool success,) = _to.call{value: amount}("");
+        require(success, "CollectionStore#withdrawNative: TRANSFER_FAILED");
+
+        emit NativeBalanceWithdrawn(sender, _to, amount);
+    }
+
+    /**
+    * @notice Check that there is a proof for each item to buy
+    * @param _itemsToBuy - items to buy
+    * @param _proofs - allowlists proofs
+    * @return bool whether the proofs follow the `_itemsToBuy` structure
+    */
+    function _proofsMatch(ItemToBuy[] memory _itemsToBuy, bytes32[][][] memory _proofs) internal pure returns (bool) {
+        if (_itemsToBuy.length != _proofs.length) {
+            return false;
+        }
+
+        for (uint256 i = 0; i < _itemsToBuy.length; i++) {
+            if (_itemsToBuy[i].ids.length != _proofs[i].length) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+    * @notice Buy collection's items.
+    * @param _paymentToken - token to pay with
+    * @param _itemsToBuy - items to buy
+    * @param _proofs - allowlists proofs. Empty if they were not sent
+    */
+    function _buy(IERC20 _paymentToken, ItemToBuy[] memory _itemsToBuy, bytes32[][][] memory _proofs) internal {
+        require(isPaymentToken(_paymentToken), "CollectionStore#buy: PAYMENT_TOKEN_NOT_ALLOWED");
+
         uint256 totalFee = 0;
         address sender = _msgSender();
 
@@ -67,22 +277,13 @@ contract CollectionStore is OwnableInitializable, NativeMetaTransaction {
 
             for (uint256 j = 0; j < amountOfItems; j++) {
                 uint256 itemId = itemToBuy.ids[j];
-                uint256 price = itemToBuy.prices[j];
-
-                (uint256 itemPrice, address itemBeneficiary) = getItemBuyData(collection, itemId);
-                require(price == itemPrice, "CollectionStore#buy: ITEM_PRICE_MISMATCH");
 
-                if (itemPrice > 0) {
-                    // Calculate sale share
-                    uint256 saleShareAmount = itemPrice.mul(fee).div(BASE_FEE);
-                    totalFee = totalFee.add(saleShareAmount);
-
-                    // Transfer sale amount to the item beneficiary
-                    require(
-                        acceptedToken.transferFrom(sender, itemBeneficiary, itemPrice.sub(saleShareAmount)),
-                        "CollectionStore#buy: TRANSFER_PRICE_FAILED"
-                    );
+                if (itemAllowlists[collection][itemId].root != bytes32(0)) {
+                    require(_proofs.length > 0, "CollectionStore#buy: ITEM_REQUIRES_PROOF");
+                    _consumeAllowlist(collection, itemId, sender, _proofs[i][j]);
                 }
+
+                totalFee = totalFee.add(_payItem(_paymentToken, itemToBuy, j, sender));
             }
 
             // Mint Token
@@ -92,23 +293,489 @@ contract CollectionStore is OwnableInitializable, NativeMetaTransaction {
         if (totalFee > 0) {
             // Transfer share amount for fees owner
             require(
-                acceptedToken.transferFrom(sender, feeOwner, totalFee),
+                _transferPayment(_paymentToken, sender, feeOwner, totalFee),
                 "CollectionStore#buy: TRANSFER_FEES_FAILED"
             );
         }
-        emit Bought(_itemsToBuy);
+
+        if (_paymentToken == acceptedToken) {
+            emit Bought(_itemsToBuy);
+        } else {
+            emit BoughtWithToken(_paymentToken, _itemsToBuy);
+        }
+    }
+
+    /**
+    * @notice Pay an item's price to its beneficiary, except for the sale share.
+    * @dev Prices which can change are updated in `_itemToBuy` to the price paid
+    * @param _paymentToken - token to pay with
+    * @param _itemToBuy - items to buy from a collection
+    * @param _index - index of the item to pay
+    * @param _sender - buyer
+    * @return saleShareAmount - sale share to be transferred to the fee owner
+    */
+    function _payItem(
+        IERC20 _paymentToken,
+        ItemToBuy memory _itemToBuy,
+        uint256 _index,
+        address _sender
+    ) internal returns (uint256 saleShareAmount) {
+        (uint256 itemPrice, address itemBeneficiary, bool isMaxPrice) = _getItemBuyDataInToken(
+            _itemToBuy.collection,
+            _itemToBuy.ids[_index],
+            _paymentToken
+        );
+
+        if (isMaxPrice) {
+            require(_itemToBuy.prices[_index] >= itemPrice, "CollectionStore#buy: ITEM_PRICE_ABOVE_MAX");
+            _itemToBuy.prices[_index] = itemPrice;
+        } else {
+            require(_itemToBuy.prices[_index] == itemPrice, "CollectionStore#buy: ITEM_PRICE_MISMATCH");
+        }
+
+        if (itemPrice > 0) {
+            require(itemBeneficiary != address(0), "CollectionStore#buy: INVALID_BENEFICIARY");
+
+            // Calculate sale share
+            saleShareAmount = itemPrice.mul(fee).div(BASE_FEE);
+
+            // Transfer sale amount to the item beneficiary
+            require(
+                _transferPayment(_paymentToken, _sender, itemBeneficiary, itemPrice.sub(saleShareAmount)),
+                "CollectionStore#buy: TRANSFER_PRICE_FAILED"
+            );
+        }
+    }
+
+    /**
+    * @notice Transfer an amount of a payment token
+    * @dev The native currency is paid from the value sent to the store, see `_sendNative`. Tokens are transferred with
+    * `safeTransferFrom` so tokens which do not return a value are supported and tokens which return false revert
+    * @param _paymentToken - payment token
+    * @param _from - payer
+    * @param _to - receiver
+    * @param _amount - amount to transfer
+    * @return bool whether the transfer succeeded
+    */
+    function _transferPayment(IERC20 _paymentToken, address _from, address _to, uint256 _amount) internal returns (bool) {
+        if (_paymentToken == NATIVE_TOKEN) {
+            _sendNative(_to, _amount);
+        } else {
+            OZIERC20(address(_paymentToken)).safeTransferFrom(_from, _to, _amount);
+        }
+
+        return true;
+    }
+
+    /**
+    * @notice Send native currency held by the store
+    * @dev If the receiver can not receive it, the amount is credited to be withdrawn later with `withdrawNative`.
+    * Purchases check afterwards that the value sent covers every payment
+    * @param _to - receiver
+    * @param _amount - amount to send
+    */
+    function _sendNative(address _to, uint256 _amount) internal {
+        (bool success,) = _to.call{value: _amount}("");
+
+        if (!success) {
+            nativeBalances[_to] = nativeBalances[_to].add(_amount);
+
+            emit NativeBalanceCredited(_to, _amount);
+        }
+    }
+
+    /**
+    * @notice Redeem a voucher to mint an item at the price signed by the collection's creator or a minter.
+    * @dev The store must be a minter of the item. Price curves, token prices and allowlists do not apply to vouchers,
+    * which are always paid with the accepted token.
+    * Each voucher signed by an item minter consumes one of the mints allowed to the minter in the collection.
+    * The sale amount goes to the item's beneficiary, or to the collection's creator if the item has not one.
+    * @param _voucher - voucher
+    * @param _signature - EIP712 signature of the voucher
+    */
+    function redeemVoucher(Voucher memory _voucher, bytes memory _signature) external nonReentrant {
+        require(block.timestamp <= _voucher.expiry, "CollectionStore#redeemVoucher: VOUCHER_EXPIRED");
+
+        IERC721CollectionV2 collection = _voucher.collection;
+        address signer = ECDSA.recover(toTypedMessageHash(_hashVoucher(_voucher)), _signature);
+
+        if (collection.creator() != signer && !collection.globalMinters(signer)) {
+            uint256 redeemed = itemMinterRedeemedVouchers[collection][_voucher.itemId][signer];
+
+            require(
+                redeemed < collection.itemMinters(_voucher.itemId, signer),
+                "CollectionStore#redeemVoucher: INVALID_SIGNER"
+            );
+
+            itemMinterRedeemedVouchers[collection][_voucher.itemId][signer] = redeemed.add(1);
+        }
+
+        require(!usedVoucherNonces[signer][_voucher.nonce], "CollectionStore#redeemVoucher: VOUCHER_ALREADY_USED");
+
+        usedVoucherNonces[signer][_voucher.nonce] = true;
+
+        address sender = _msgSender();
+        address beneficiary = _voucher.beneficiary == address(0) ? sender : _voucher.beneficiary;
+
+        if (_voucher.price > 0) {
+            (, address itemBeneficiary) = getItemBuyData(collection, _voucher.itemId);
+            if (itemBeneficiary == address(0)) {
+                itemBeneficiary = collection.creator();
+            }
+
+            // Calculate sale share
+            uint256 saleShareAmount = _voucher.price.mul(fee).div(BASE_FEE);
+
+            // Transfer sale amount to the item beneficiary
+            require(
+                acceptedToken.transferFrom(sender, itemBeneficiary, _voucher.price.sub(saleShareAmount)),
+                "CollectionStore#redeemVoucher: TRANSFER_PRICE_FAILED"
+            );
+
+            if (saleShareAmount > 0) {
+                // Transfer share amount for fees owner
+                require(
+                    acceptedToken.transferFrom(sender, feeOwner, saleShareAmount),
+                    "CollectionStore#redeemVoucher: TRANSFER_FEES_FAILED"
+                );
+            }
+        }
+
+        address[] memory beneficiaries = new address[](1);
+        beneficiaries[0] = beneficiary;
+        uint256[] memory itemIds = new uint256[](1);
+        itemIds[0] = _voucher.itemId;
+
+        // Mint Token
+        collection.issueTokens(beneficiaries, itemIds);
+
+        emit VoucherRedeemed(collection, _voucher.itemId, signer, beneficiary, _voucher.price, _voucher.nonce);
+    }
+
+    /**
+    * @notice Cancel vouchers signed by the sender
+    * @param _nonces - nonces of the vouchers to cancel
+    */
+    function cancelVoucherNonces(uint256[] calldata _nonces) external {
+        address sender = _msgSender();
+
+        for (uint256 i = 0; i < _nonces.length; i++) {
+            require(!usedVoucherNonces[sender][_nonces[i]], "CollectionStore#cancelVoucherNonces: VOUCHER_ALREADY_USED");
+
+            usedVoucherNonces[sender][_nonces[i]] = true;
+
+            emit VoucherNonceCancelled(sender, _nonces[i]);
+        }
+    }
+
+    /**
+    * @notice Hash a voucher following EIP712
+    * @param _voucher - voucher
+    * @return bytes32 of the voucher hash
+    */
+    function _hashVoucher(Voucher memory _voucher) internal pure returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                VOUCHER_TYPEHASH,
+                _voucher.collection,
+                _voucher.itemId,
+                _voucher.beneficiary,
+                _voucher.price,
+                _voucher.nonce,
+                _voucher.expiry
+            )
+        );
     }
 
     /**
      * @notice Get item's price and beneficiary
+     * @dev If the item has a price curve, the price is its current price. The price is denominated in the item's
+     * payment token
      * @param _collection - collection address
      * @param _itemId - item id
      * @return uint256 of the item's price
      * @return address of the item's beneficiary
      */
     function getItemBuyData(IERC721CollectionV2 _collection, uint256 _itemId) public view returns (uint256, address) {
-      (,,,uint256 price, address beneficiary,,) = _collection.items(_itemId);
-       return (price, beneficiary);
+        (uint256 price, address beneficiary) = _getItemPriceAndBeneficiary(_collection, _itemId);
+
+        if (_hasPriceCurve(_collection, _itemId)) {
+            price = _getPriceCurvePrice(itemPriceCurves[_collection][_itemId], block.timestamp);
+        }
+
+        return (price, beneficiary);
+    }
+
+    /**
+     * @notice Get item's price in a payment token and beneficiary
+     * @dev Prices denominated in another token are converted through the price oracle
+     * @param _collection - collection address
+     * @param _itemId - item id
+     * @param _paymentToken - token to pay with
+     * @return uint256 of the item's price
+     * @return address of the item's beneficiary
+     */
+    function getItemBuyDataInToken(
+        IERC721CollectionV2 _collection,
+        uint256 _itemId,
+        IERC20 _paymentToken
+    ) external view returns (uint256, address) {
+        (uint256 price, address beneficiary,) = _getItemBuyDataInToken(_collection, _itemId, _paymentToken);
+
+        return (price, beneficiary);
+    }
+
+    /**
+     * @notice Get the token the item's price is denominated in
+     * @param _collection - collection address
+     * @param _itemId - item id
+     * @return IERC20 of the item's payment token
+     */
+    function getItemPaymentToken(IERC721CollectionV2 _collection, uint256 _itemId) public view returns (IERC20) {
+        IERC20 token = itemTokenPrices[_collection][_itemId].token;
+
+        return address(token) == address(0) ? acceptedToken : token;
+    }
+
+    /**
+     * @notice Check whether a token can be used to pay
+     * @param _token - token address
+     * @return bool whether the token is the accepted token or an allowed payment token
+     */
+    function isPaymentToken(IERC20 _token) public view returns (bool) {
+        return _token == acceptedToken || paymentTokens[_token];
+    }
+
+    /**
+     * @notice Get item's price in a payment token and beneficiary
+     * @param _collection - collection address
+     * @param _itemId - item id
+     * @param _paymentToken - token to pay with
+     * @return price - item's price
+     * @return beneficiary - item's beneficiary
+     * @return isMaxPrice - whether the price can change, so the price sent by the buyer is the maximum to pay
+     */
+    function _getItemBuyDataInToken(
+        IERC721CollectionV2 _collection,
+        uint256 _itemId,
+        IERC20 _paymentToken
+    ) internal view returns (uint256 price, address beneficiary, bool isMaxPrice) {
+        (price, beneficiary) = getItemBuyData(_collection, _itemId);
+        isMaxPrice = _hasPriceCurve(_collection, _itemId);
+
+        IERC20 itemToken = getItemPaymentToken(_collection, _itemId);
+
+        if (itemToken != _paymentToken && price > 0) {
+            require(address(priceOracle) != address(0), "CollectionStore#_getItemBuyDataInToken: PRICE_ORACLE_NOT_SET");
+
+            price = priceOracle.convert(itemToken, _paymentToken, price);
+            isMaxPrice = true;
+
+            require(price > 0, "CollectionStore#_getItemBuyDataInToken: INVALID_CONVERSION");
+        }
+    }
+
+    /**
+     * @notice Get item's price without price curves and beneficiary
+     * @param _collection - collection address
+     * @param _itemId - item id
+     * @return price - the token price if the item has one, otherwise the price set in the collection
+     * @return beneficiary - item's beneficiary
+     */
+    function _getItemPriceAndBeneficiary(
+        IERC721CollectionV2 _collection,
+        uint256 _itemId
+    ) internal view returns (uint256 price, address beneficiary) {
+        (,,,price, beneficiary,,) = _collection.items(_itemId);
+
+        TokenPrice memory tokenPrice = itemTokenPrices[_collection][_itemId];
+
+        if (address(tokenPrice.token) != address(0)) {
+            price = tokenPrice.price;
+        }
+    }
+
+    /**
+     * @notice Get item's price at a given time
+     * @param _collection - collection address
+     * @param _itemId - item id
+     * @param _timestamp - time to quote the price
+     * @return uint256 of the item's price
+     */
+    function getItemPriceAt(IERC721CollectionV2 _collection, uint256 _itemId, uint256 _timestamp) external view returns (uint256) {
+        if (_hasPriceCurve(_collection, _itemId)) {
+            return _getPriceCurvePrice(itemPriceCurves[_collection][_itemId], _timestamp);
+        }
+
+        (uint256 price,) = _getItemPriceAndBeneficiary(_collection, _itemId);
+        return price;
+    }
+
+    // Creator functions
+
+    /**
+     * @notice Set price curves for collection's items. Dutch auctions are curves with a start price greater than the end price.
+     * @dev Use an empty curve (`endTime` = 0) to remove it and go back to the item's price.
+     * The item's beneficiary set in the collection keeps receiving the sale amount.
+     * @param _collection - collection address
+     * @param _itemIds - item ids
+     * @param _priceCurves - price curves
+     */
+    function setItemsPriceCurves(
+        IERC721CollectionV2 _collection,
+        uint256[] calldata _itemIds,
+        PriceCurve[] calldata _priceCurves
+    ) external {
+        require(_itemIds.length == _priceCurves.length, "CollectionStore#setItemsPriceCurves: LENGTH_MISMATCH");
+        require(_collection.creator() == _msgSender(), "CollectionStore#setItemsPriceCurves: CALLER_IS_NOT_CREATOR");
+
+        uint256 itemsCount = _collection.itemsCount();
+
+        for (uint256 i = 0; i < _itemIds.length; i++) {
+            PriceCurve memory priceCurve = _priceCurves[i];
+
+            require(_itemIds[i] < itemsCount, "CollectionStore#setItemsPriceCurves: ITEM_DOES_NOT_EXIST");
+            require(
+                priceCurve.endTime == 0 || priceCurve.endTime > priceCurve.startTime,
+                "CollectionStore#setItemsPriceCurves: INVALID_PRICE_CURVE"
+            );
+
+            itemPriceCurves[_collection][_itemIds[i]] = priceCurve;
+
+            emit SetItemPriceCurve(_collection, _itemIds[i], priceCurve);
+        }
+    }
+
+    /**
+     * @notice Set prices denominated in a payment token for collection's items. They replace the prices set in the collection.
+     * @dev Use an empty token price (`token` = 0) to remove it and go back to the item's price in the accepted token.
+     * Items with a price curve keep using it, denominated in the item's payment token.
+     * @param _collection - collection address
+     * @param _itemIds - item ids
+     * @param _tokenPrices - token prices
+     */
+    function setItemsTokenPrices(
+        IERC721CollectionV2 _collection,
+        uint256[] calldata _itemIds,
+        TokenPrice[] calldata _tokenPrices
+    ) external {
+        require(_itemIds.length == _tokenPrices.length, "CollectionStore#setItemsTokenPrices: LENGTH_MISMATCH");
+        require(_collection.creator() == _msgSender(), "CollectionStore#setItemsTokenPrices: CALLER_IS_NOT_CREATOR");
+
+        for (uint256 i = 0; i < _itemIds.length; i++) {
+            TokenPrice memory tokenPrice = _tokenPrices[i];
+
+            require(
+                address(tokenPrice.token) == address(0) || isPaymentToken(tokenPrice.token),
+                "CollectionStore#setItemsTokenPrices: PAYMENT_TOKEN_NOT_ALLOWED"
+            );
+
+            itemTokenPrices[_collection][_itemIds[i]] = tokenPrice;
+
+            emit SetItemTokenPrice(_collection, _itemIds[i], tokenPrice);
+        }
+    }
+
+    /**
+     * @notice Set allowlists for collection's items. Only the wallets in the allowlist can buy the item.
+     * @dev Use an empty root to remove it. Purchases made are kept when the allowlist changes.
+     * @param _collection - collection address
+     * @param _itemIds - item ids
+     * @param _roots - Merkle roots of the allowlists
+     * @param _maxPerWallet - maximum amount of items each wallet can buy. 0 for no cap
+     */
+    function setItemsAllowlists(
+        IERC721CollectionV2 _collection,
+        uint256[] calldata _itemIds,
+        bytes32[] calldata _roots,
+        uint256[] calldata _maxPerWallet
+    ) external {
+        require(
+            _itemIds.length == _roots.length && _itemIds.length == _maxPerWallet.length,
+            "CollectionStore#setItemsAllowlists: LENGTH_MISMATCH"
+        );
+        require(_collection.creator() == _msgSender(), "CollectionStore#setItemsAllowlists: CALLER_IS_NOT_CREATOR");
+
+        for (uint256 i = 0; i < _itemIds.length; i++) {
+            itemAllowlists[_collection][_itemIds[i]] = Allowlist(_roots[i], _maxPerWallet[i]);
+
+            emit SetItemAllowlist(_collection, _itemIds[i], _roots[i], _maxPerWallet[i]);
+        }
+    }
+
+    /**
+     * @notice Check that the buyer is part of the item's allowlist and has not reached the cap
+     * @param _collection - collection address
+     * @param _itemId - item id
+     * @param _buyer - buyer
+     * @param _proof - proof of the buyer being part of the allowlist
+     */
+    function _consumeAllowlist(
+        IERC721CollectionV2 _collection,
+        uint256 _itemId,
+        address _buyer,
+        bytes32[] memory _proof
+    ) internal {
+        Allowlist memory allowlist = itemAllowlists[_collection][_itemId];
+        bytes32 leaf = keccak256(abi.encodePacked(_buyer));
+
+        require(MerkleProof.verify(_proof, allowlist.root, leaf), "CollectionStore#buy: INVALID_PROOF");
+
+        uint256 purchases = allowlistPurchases[_collection][_itemId][_buyer].add(1);
+        require(
+            allowlist.maxPerWallet == 0 || purchases <= allowlist.maxPerWallet,
+            "CollectionStore#buy: ALLOWLIST_CAP_REACHED"
+        );
+
+        allowlistPurchases[_collection][_itemId][_buyer] = purchases;
+
+        emit AllowlistLeafConsumed(_collection, _itemId, _buyer, leaf, purchases);
+    }
+
+    /**
+     * @notice Check whether an item has a price curve
+     * @param _collection - collection address
+     * @param _itemId - item id
+     * @return bool whether the item has a price curve
+     */
+    function _hasPriceCurve(IERC721CollectionV2 _collection, uint256 _itemId) internal view returns (bool) {
+        return itemPriceCurves[_collection][_itemId].endTime > 0;
+    }
+
+    /**
+     * @notice Get the price of a curve at a given time
+     * @param _priceCurve - price curve
+     * @param _timestamp - time to quote the price
+     * @return uint256 of the price
+     */
+    function _getPriceCurvePrice(PriceCurve memory _priceCurve, uint256 _timestamp) internal pure returns (uint256) {
+        if (_timestamp <= _priceCurve.startTime) {
+            return _priceCurve.startPrice;
+        }
+
+        if (_timestamp >= _priceCurve.endTime) {
+            return _priceCurve.endPrice;
+        }
+
+        // Progress of the curve as a fraction
+        uint256 elapsed = _timestamp.sub(_priceCurve.startTime);
+        uint256 duration = _priceCurve.endTime.sub(_priceCurve.startTime);
+
+        if (_priceCurve.steps > 0) {
+            // Round the progress down to the last step reached
+            elapsed = elapsed.mul(_priceCurve.steps).div(duration);
+            duration = _priceCurve.steps;
+        }
+
+        if (_priceCurve.startPrice >= _priceCurve.endPrice) {
+            return _priceCurve.startPrice.sub(
+                _priceCurve.startPrice.sub(_priceCurve.endPrice).mul(elapsed).div(duration)
+            );
+        }
+
+        return _priceCurve.startPrice.add(
+            _priceCurve.endPrice.sub(_priceCurve.startPrice).mul(elapsed).div(duration)
+        );
     }
 
     // Owner functions
@@ -125,6 +792,44 @@ contract CollectionStore is OwnableInitializable, NativeMetaTransaction {
         fee = _newFee;
     }
 
+    /**
+     * @notice Allow or disallow ERC20 tokens to pay for items. The accepted token is always allowed
+     * @dev Use `NATIVE_TOKEN` for the native currency.
+     * Items already priced in a disallowed token can still be bought with other tokens through the price oracle
+     * @param _tokens - token addresses
+     * @param _values - whether the tokens are allowed
+     */
+    function setPaymentTokens(IERC20[] calldata _tokens, bool[] calldata _values) external onlyOwner {
+        require(_tokens.length == _values.length, "CollectionStore#setPaymentTokens: LENGTH_MISMATCH");
+
+        for (uint256 i = 0; i < _tokens.length; i++) {
+            IERC20 token = _tokens[i];
+            bool value = _values[i];
+
+            require(
+                address(token) != address(0) && token != acceptedToken,
+                "CollectionStore#setPaymentTokens: INVALID_TOKEN"
+            );
+            require(paymentTokens[token] != value, "CollectionStore#setPaymentTokens: VALUE_IS_THE_SAME");
+
+            paymentTokens[token] = value;
+
+            emit SetPaymentToken(token, value);
+        }
+    }
+
+    /**
+     * @notice Set the price oracle used to convert prices between tokens
+     * @dev Use the zero address to disable conversions
+     * @param _newPriceOracle - price oracle address
+     */
+    function setPriceOracle(IPriceOracle _newPriceOracle) external onlyOwner {
+        require(_newPriceOracle != priceOracle, "CollectionStore#setPriceOracle: SAME_PRICE_ORACLE");
+
+        emit SetPriceOracle(priceOracle, _newPriceOracle);
+        priceOracle = _newPriceOracle;
+    }
+
     /**
      * @notice Set a new fee owner.
     * @param _newFeeOwner - Address of the new fee owner
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "../markets/v2/BurningStoreV2.sol";
+
+interface BurningStoreV2EventsInterface {
+    event Issue(address indexed _beneficiary, uint256 indexed _tokenId, uint256 indexed _itemId, uint256 _issuedId, address _caller);
+    event Transfer(address indexed _from, address indexed _to, uint256 _value);
+    event Burn(address indexed burner, uint256 value);
+}
+
+contract DummyBurningStoreV2 is BurningStoreV2EventsInterface, BurningStoreV2 {
+    constructor (
+        address _owner,
+        IERC20 _acceptedToken,
+        address _feeOwner,
+        uint256 _fee
+    ) BurningStoreV2(_owner, _acceptedToken, _feeOwner, _fee) {}
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "../markets/v2/CollectionCrafting.sol";
+
+interface CraftingEventsInterface {
+    event Issue(address indexed _beneficiary, uint256 indexed _tokenId, uint256 indexed _itemId, uint256 _issuedId, address _caller);
+    event Burn(address indexed _owner, uint256 indexed _tokenId, uint256 indexed _itemId, address _caller);
+    event Transfer(address indexed _from, address indexed _to, uint256 _value);
+}
+
+contract DummyCollectionCrafting is CraftingEventsInterface, CollectionCrafting {
+    constructor (
+        address _owner,
+        IERC20 _acceptedToken,
+        address _feeOwner,
+        uint256 _fee
+    ) CollectionCrafting(_owner, _acceptedToken, _feeOwner, _fee) {}
+}
@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "../markets/v2/CollectionMarketplace.sol";
+
+interface CollectionMarketplaceEventsInterface {
+    event Transfer(address indexed _from, address indexed _to, uint256 _value);
+}
+
+contract DummyCollectionMarketplace is CollectionMarketplaceEventsInterface, CollectionMarketplace {
+    constructor (
+        address _owner,
+        IERC20 _acceptedToken,
+        address _feeOwner,
+        uint256 _fee
+    ) CollectionMarketplace(_owner, _acceptedToken, _feeOwner, _fee) {}
+}
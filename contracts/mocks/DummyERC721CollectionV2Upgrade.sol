@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+pragma experimental ABIEncoderV2;
+
+import "../collections/v2/ERC721CollectionV2.sol";
+
+contract DummyERC721CollectionV2Upgrade is ERC721CollectionV2 {
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+
+    function deposit() external payable {}
+}
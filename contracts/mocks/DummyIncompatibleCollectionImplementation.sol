@@ -0,0 +1,7 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+
+contract DummyIncompatibleCollectionImplementation {
+    bytes32 constant public STORAGE_LAYOUT = keccak256("Decentraland Collection Storage V2");
+}
@@ -0,0 +1,13 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+
+/**
+* @notice Contract which can not receive the native currency
+*/
+contract DummyNativeRejecter {
+    function execute(address _target, bytes calldata _data) external {
+        (bool success,) = _target.call(_data);
+        require(success, "DummyNativeRejecter#execute: CALL_FAILED");
+    }
+}
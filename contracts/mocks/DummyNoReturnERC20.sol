@@ -0,0 +1,33 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+
+/**
+* @notice ERC20 which does not return a value on transfers, like USDT
+*/
+contract DummyNoReturnERC20 {
+    using SafeMath for uint256;
+
+    mapping(address => uint256) public balanceOf;
+    mapping(address => mapping(address => uint256)) public allowance;
+
+    event Transfer(address indexed from, address indexed to, uint256 value);
+
+    function mint(address _to, uint256 _amount) external {
+        balanceOf[_to] = balanceOf[_to].add(_amount);
+    }
+
+    function approve(address _spender, uint256 _amount) external {
+        allowance[msg.sender][_spender] = _amount;
+    }
+
+    function transferFrom(address _from, address _to, uint256 _amount) external {
+        allowance[_from][msg.sender] = allowance[_from][msg.sender].sub(_amount);
+        balanceOf[_from] = balanceOf[_from].sub(_amount);
+        balanceOf[_to] = balanceOf[_to].add(_amount);
+
+        emit Transfer(_from, _to, _amount);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+
+pragma solidity ^0.7.6;
+
+import "@openzeppelin/contracts/math/SafeMath.sol";
+
+import "../interfaces/IPriceOracle.sol";
+
+contract DummyPriceOracle is IPriceOracle {
+    using SafeMath for uint256;
+
+    struct Rate {
+        uint256 numerator;
+        uint256 denominator;
+    }
+
+    mapping(IERC20 => mapping(IERC20 => Rate)) public rates;
+
+    function setRate(IERC20 _from, IERC20 _to, uint256 _numerator, uint256 _denominator) external {
+        rates[_from][_to] = Rate(_numerator, _denominator);
+    }
+
+    function convert(IERC20 _from, IERC20 _to, uint256 _amount) external view override returns (uint256) {
+        Rate memory rate = rates[_from][_to];
+
+        if (rate.denominator == 0) {
+            return 0;
+        }
+
+        return _amount.mul(rate.numerator).div(rate.denominator);
+    }
+}
@@ -7,6 +7,7 @@ import '@nomiclabs/hardhat-ethers'
 import '@nomiclabs/hardhat-etherscan'
 import 'hardhat-gas-reporter'
 import 'decentraland-contract-plugins/dist/src/mana/tasks/load-mana'
+import './scripts/tasks'
 
 import { getDeployParams } from './scripts/deploy/utils'
 
@@ -5,7 +5,8 @@ import * as ManaConfig from 'decentraland-mana/build/contracts/MANAToken.json'
 import {
   MANA_BYTECODE, RESCUE_ITEMS_SELECTOR,
   SET_APPROVE_COLLECTION_SELECTOR,
-  SET_EDITABLE_SELECTOR
+  SET_EDITABLE_SELECTOR,
+  MIGRATE_TO_VERSION_SELECTOR
 } from './utils'
 
 
@@ -41,11 +42,13 @@ const OWNER_CUT_PER_MILLION = 25000
 
 /**
  * @dev Steps:
- * Deploy the Collection implementation
- * Deploy the committee with the desired members. The owner will be the DAO bridge
+ * Deploy the Collection items and helpers libraries
+ * Deploy the Collection implementation linked to the libraries
+ * Deploy the committee with the desired members. The owner will be the deployer until it is configured
  * Deploy the collection Manager. The owner will be the DAO bridge
  * Deploy the forwarder. Caller Is the collection manager.
  * Deploy the collection Factory. Owner is the forwarder.
+ * Set the collection factory in the committee and transfer its ownership to the DAO bridge
  */
 async function main() {
   const owner = process.env['OWNER']
@@ -59,8 +62,19 @@ async function main() {
     throw ('Invalid network')
   }
 
+  // Deploy the collection libraries
+  const CollectionItemsV2 = await ethers.getContractFactory("CollectionItemsV2")
+  const collectionItems = await CollectionItemsV2.deploy()
+  const CollectionHelpersV2 = await ethers.getContractFactory("CollectionHelpersV2")
+  const collectionHelpers = await CollectionHelpersV2.deploy()
+
   // Deploy the collection implementation
-  const Collection = await ethers.getContractFactory("ERC721CollectionV2")
+  const Collection = await ethers.getContractFactory("ERC721CollectionV2", {
+    libraries: {
+      CollectionItemsV2: collectionItems.address,
+      CollectionHelpersV2: collectionHelpers.address,
+    }
+  })
   const collectonImp = await Collection.deploy()
 
   // Deploy the rarities
@@ -73,12 +87,12 @@ async function main() {
 
   // Deploy the committee
   const Committee = await ethers.getContractFactory("Committee")
-  const committee = await Committee.deploy(owner, process.env['COMMITTEE_MEMBERS']?.split(','))
+  const committee = await Committee.deploy(accountAddress, process.env['COMMITTEE_MEMBERS']?.split(','))
 
   // Deploy the collection manager
   const CollectionManager = await ethers.getContractFactory("CollectionManager")
   const collectionManager = await CollectionManager.deploy(owner, MANA[network], committee.address, collectionDeploymentsFeesCollector, rarities.address, [RESCUE_ITEMS_SELECTOR,
-    SET_APPROVE_COLLECTION_SELECTOR, SET_EDITABLE_SELECTOR], [true, true, true])
+    SET_APPROVE_COLLECTION_SELECTOR, SET_EDITABLE_SELECTOR, MIGRATE_TO_VERSION_SELECTOR], [true, true, true, true])
 
   // Deploy the forwarder
   const Forwarder = await ethers.getContractFactory("Forwarder")
@@ -88,6 +102,10 @@ async function main() {
   const ERC721CollectionFactoryV2 = await ethers.getContractFactory("ERC721CollectionFactoryV2")
   const collectionFactoryV2 = await ERC721CollectionFactoryV2.deploy(forwarder.address, collectonImp.address)
 
+  // Configure the committee and transfer its ownership
+  await committee.setCollectionFactory(collectionFactoryV2.address)
+  await committee.transferOwnership(owner)
+
   // Deploy collection marketplace
   let acceptedToken: string = MANA[network]
 
@@ -108,7 +126,21 @@ async function main() {
   const CollectionStore = await ethers.getContractFactory("CollectionStore")
   const collectionStore = await CollectionStore.deploy(owner, MANA[network], owner, OWNER_CUT_PER_MILLION)
 
+  // Deploy collection crafting
+  const CollectionCrafting = await ethers.getContractFactory("CollectionCrafting")
+  const collectionCrafting = await CollectionCrafting.deploy(owner, MANA[network], owner, OWNER_CUT_PER_MILLION)
+
+  // Deploy burning store
+  const BurningStoreV2 = await ethers.getContractFactory("BurningStoreV2")
+  const burningStore = await BurningStoreV2.deploy(owner, MANA[network], owner, OWNER_CUT_PER_MILLION)
+
+  // Deploy collection marketplace
+  const CollectionMarketplace = await ethers.getContractFactory("CollectionMarketplace")
+  const collectionMarketplace = await CollectionMarketplace.deploy(owner, MANA[network], owner, OWNER_CUT_PER_MILLION)
+
   console.log(`Contract deployed by: ${accountAddress}`)
+  console.log('Collection items library:', collectionItems.address)
+  console.log('Collection helpers library:', collectionHelpers.address)
   console.log('Collection imp:', collectonImp.address)
   console.log('Rarities:', rarities.address)
   console.log('Committee:', committee.address)
@@ -116,7 +148,10 @@ async function main() {
   console.log('Forwarder:', forwarder.address)
   console.log('Collection Factory:', collectionFactoryV2.address)
   console.log('Collection Store:', collectionStore.address)
+  console.log('Collection Crafting:', collectionCrafting.address)
+  console.log('Burning Store:', burningStore.address)
   console.log('NFT Marketplace:', marketplace.address)
+  console.log('Collection Marketplace:', collectionMarketplace.address)
 }
 
 main()
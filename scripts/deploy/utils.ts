@@ -4,6 +4,7 @@ export const MANA_BYTECODE = '0x60606040526003805460a060020a61ffff02191690555b60
 export const RESCUE_ITEMS_SELECTOR = '0x3c963655'
 export const SET_APPROVE_COLLECTION_SELECTOR = '0x46d5a568'
 export const SET_EDITABLE_SELECTOR = '0x2cb0d48a'
+export const MIGRATE_TO_VERSION_SELECTOR = '0x670a58a9'
 
 
 export function getDeployParams() {
@@ -0,0 +1,26 @@
+import { task } from 'hardhat/config'
+
+import { execute, getSigner, splitList } from './utils'
+
+const { BurningStoreV2 } = require('../../sdk')
+
+task('burning-store:set-prices', 'Set the burn prices of collection items')
+  .addParam('store', 'BurningStoreV2 address')
+  .addParam('collection', 'Collection address. The store must be a minter of the items')
+  .addParam('itemIds', 'Comma separated item ids')
+  .addParam('prices', 'Comma separated prices in MANA wei. 0 to stop selling an item')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const store = new BurningStoreV2(args.store, await getSigner(hre))
+    const itemIds = splitList(args.itemIds)
+
+    await execute(
+      hre,
+      {
+        description: `Set the burn prices of ${itemIds.length} items of ${args.collection}`,
+        to: store.address,
+        data: store.encode('setItemsBurnPrices', [args.collection, itemIds, splitList(args.prices)]),
+      },
+      args.dryRun
+    )
+  })
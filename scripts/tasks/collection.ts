@@ -0,0 +1,282 @@
+import { task, types } from 'hardhat/config'
+import { HardhatRuntimeEnvironment } from 'hardhat/types'
+
+import { chunk, checkMANA, execute, getSigner, readJSON, splitList } from './utils'
+
+const { CollectionFactoryV2, CollectionManager, CollectionV2 } = require('../../sdk')
+const { toItemParam } = require('../../sdk/collection')
+
+function printBreakdown(hre: HardhatRuntimeEnvironment, breakdown: any[]) {
+  for (const rarityFee of breakdown) {
+    console.log(
+      `${rarityFee.count} ${rarityFee.rarity} items x ${hre.ethers.utils.formatEther(rarityFee.price)} MANA = ${hre.ethers.utils.formatEther(rarityFee.fee)} MANA`
+    )
+  }
+}
+
+/**
+ * Items file: [{ "rarity": "common", "price": "1000000000000000000", "beneficiary": "0x..", "metadata": "1:bird_mask:hat:female,male", "maxSupply": "500" }]
+ * maxSupply is optional, the rarity max supply by default
+ */
+task('collection:create', 'Create a collection through the CollectionManager')
+  .addParam('manager', 'CollectionManager address')
+  .addParam('forwarder', 'Forwarder address, owner of the factory')
+  .addParam('factory', 'ERC721CollectionFactoryV2 address')
+  .addParam('name', 'Collection name')
+  .addParam('symbol', 'Collection symbol')
+  .addParam('baseUri', 'Base URI for token URIs')
+  .addParam('creator', 'Creator address')
+  .addParam('items', 'JSON file with the items to be added')
+  .addOptionalParam('salt', 'Arbitrary 32 bytes hexa. Random by default')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const signer = await getSigner(hre)
+    const manager = new CollectionManager(args.manager, signer)
+    const items = readJSON(args.items).map(toItemParam)
+    const salt = args.salt || hre.ethers.utils.hexlify(hre.ethers.utils.randomBytes(32))
+
+    const { total: fee, breakdown } = await manager.quoteCreationFee(items)
+    printBreakdown(hre, breakdown)
+    const [mana] = await manager.call('acceptedToken')
+
+    if (!(await checkMANA(hre, mana, manager.address, fee)) && !args.dryRun) {
+      throw new Error('Not enough MANA balance or allowance to pay the fee')
+    }
+
+    const receipt = await execute(
+      hre,
+      {
+        description: `Create collection ${args.name} (${args.symbol}) with ${items.length} items. Salt: ${salt}`,
+        to: manager.address,
+        data: manager.encode('createCollection', [
+          args.forwarder,
+          args.factory,
+          salt,
+          args.name,
+          args.symbol,
+          args.baseUri,
+          args.creator,
+          items,
+        ]),
+        fee,
+      },
+      args.dryRun
+    )
+
+    if (receipt) {
+      const factory = await hre.ethers.getContractAt('ERC721CollectionFactoryV2', args.factory)
+
+      for (const log of receipt.logs) {
+        if (log.address.toLowerCase() === args.factory.toLowerCase()) {
+          const { name, args: eventArgs } = factory.interface.parseLog(log)
+          if (name === 'ProxyCreated') {
+            console.log('Collection:', eventArgs._address)
+          }
+        }
+      }
+    }
+  })
+
+/**
+ * Items file: same format as collection:create
+ */
+task('collection:add-items', 'Add items to a collection not completed through the CollectionManager')
+  .addParam('manager', 'CollectionManager address')
+  .addParam('forwarder', 'Forwarder address, owner of the collection')
+  .addParam('collection', 'Collection address')
+  .addParam('items', 'JSON file with the items to be added')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const manager = new CollectionManager(args.manager, await getSigner(hre))
+    const items = readJSON(args.items).map(toItemParam)
+
+    const { total: fee, breakdown } = await manager.quoteAddItemsFee(items)
+    printBreakdown(hre, breakdown)
+
+    const [mana] = await manager.call('acceptedToken')
+
+    if (!(await checkMANA(hre, mana, manager.address, fee)) && !args.dryRun) {
+      throw new Error('Not enough MANA balance or allowance to pay the fee')
+    }
+
+    await execute(
+      hre,
+      {
+        description: `Add ${items.length} items to ${args.collection}`,
+        to: manager.address,
+        data: manager.encode('addItems', [args.forwarder, args.collection, items]),
+        fee,
+      },
+      args.dryRun
+    )
+  })
+
+/**
+ * Items file: [{ "itemId": "0", "price": "1000000000000000000", "beneficiary": "0x..", "metadata": "1:bird_mask:hat:female,male" }]
+ */
+task('collection:edit-items', 'Edit the price, beneficiary and metadata of items')
+  .addParam('collection', 'Collection address')
+  .addParam('items', 'JSON file with the items data')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const collection = new CollectionV2(args.collection, await getSigner(hre))
+    const items = readJSON(args.items)
+
+    await execute(
+      hre,
+      {
+        description: `Edit ${items.length} items of ${args.collection}`,
+        to: collection.address,
+        data: collection.encode('editItemsData', [
+          items.map((item: any) => item.itemId),
+          items.map((item: any) => item.price),
+          items.map((item: any) => item.beneficiary),
+          items.map((item: any) => item.metadata),
+        ]),
+      },
+      args.dryRun
+    )
+  })
+
+task('collection:set-minters', 'Set global minters, or item minters if item ids are passed')
+  .addParam('collection', 'Collection address')
+  .addParam('accounts', 'Comma separated minter addresses')
+  .addParam('values', 'Comma separated values: true/false for global minters, amount of tokens allowed for item minters')
+  .addOptionalParam('itemIds', 'Comma separated item ids')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const collection = new CollectionV2(args.collection, await getSigner(hre))
+    const accounts = splitList(args.accounts)
+    const values = splitList(args.values)
+
+    const data = args.itemIds
+      ? collection.encode('setItemsMinters', [splitList(args.itemIds), accounts, values])
+      : collection.encode('setMinters', [accounts, values.map((value) => value === 'true')])
+
+    await execute(
+      hre,
+      {
+        description: `Set ${accounts.length} ${args.itemIds ? 'item' : 'global'} minters of ${args.collection}`,
+        to: collection.address,
+        data,
+      },
+      args.dryRun
+    )
+  })
+
+task('collection:set-managers', 'Set global managers, or item managers if item ids are passed')
+  .addParam('collection', 'Collection address')
+  .addParam('accounts', 'Comma separated manager addresses')
+  .addParam('values', 'Comma separated true/false values')
+  .addOptionalParam('itemIds', 'Comma separated item ids')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const collection = new CollectionV2(args.collection, await getSigner(hre))
+    const accounts = splitList(args.accounts)
+    const values = splitList(args.values).map((value) => value === 'true')
+
+    const data = args.itemIds
+      ? collection.encode('setItemsManagers', [splitList(args.itemIds), accounts, values])
+      : collection.encode('setManagers', [accounts, values])
+
+    await execute(
+      hre,
+      {
+        description: `Set ${accounts.length} ${args.itemIds ? 'item' : 'global'} managers of ${args.collection}`,
+        to: collection.address,
+        data,
+      },
+      args.dryRun
+    )
+  })
+
+task('collection:set-max-supply', 'Lower the max supply of items')
+  .addParam('collection', 'Collection address')
+  .addParam('itemIds', 'Comma separated item ids')
+  .addParam('maxSupplies', 'Comma separated max supplies')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const collection = new CollectionV2(args.collection, await getSigner(hre))
+    const itemIds = splitList(args.itemIds)
+
+    await execute(
+      hre,
+      {
+        description: `Set the max supply of ${itemIds.length} items of ${args.collection}`,
+        to: collection.address,
+        data: collection.encode('setItemsMaxSupply', [itemIds, splitList(args.maxSupplies)]),
+      },
+      args.dryRun
+    )
+  })
+
+/**
+ * Tokens file: [{ "beneficiary": "0x..", "itemId": "0" }]
+ */
+task('collection:issue-tokens', 'Issue tokens in batches')
+  .addParam('collection', 'Collection address')
+  .addParam('tokens', 'JSON file with the beneficiaries and item ids')
+  .addOptionalParam('batchSize', 'Amount of tokens issued per transaction', 50, types.int)
+  .addFlag('dryRun', 'Print the calls without sending them')
+  .setAction(async (args, hre) => {
+    const collection = new CollectionV2(args.collection, await getSigner(hre))
+    const batches = chunk(readJSON(args.tokens), args.batchSize)
+
+    for (let i = 0; i < batches.length; i++) {
+      const batch = batches[i]
+
+      await execute(
+        hre,
+        {
+          description: `Issue batch ${i + 1}/${batches.length}: ${batch.length} tokens of ${args.collection}`,
+          to: collection.address,
+          data: collection.encode('issueTokens', [
+            batch.map((token: any) => token.beneficiary),
+            batch.map((token: any) => token.itemId),
+          ]),
+        },
+        args.dryRun
+      )
+    }
+  })
+
+task('collection:request-migration', 'Request the migration of a collection to a newer implementation version')
+  .addParam('factory', 'ERC721CollectionFactoryV2 address')
+  .addParam('collection', 'Collection address')
+  .addParam('toVersion', 'Implementation version. 0 to cancel the request')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const factory = new CollectionFactoryV2(args.factory, await getSigner(hre))
+    const { version, implementation } = await factory.getCollectionVersion(args.collection)
+
+    console.log(`Current version: ${version} (${implementation})`)
+
+    await execute(
+      hre,
+      {
+        description: `Request the migration of ${args.collection} to version ${args.toVersion}`,
+        to: factory.address,
+        data: factory.encode('requestMigration', [args.collection, args.toVersion]),
+      },
+      args.dryRun
+    )
+  })
+
+task('collection:appeal', 'Request, as the creator, the committee to review a collection which is not approved')
+  .addParam('committee', 'Committee address')
+  .addParam('collection', 'Collection address')
+  .addParam('reasonUri', 'URI with the details of the appeal')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const committee = await hre.ethers.getContractAt('Committee', args.committee)
+
+    await execute(
+      hre,
+      {
+        description: `Appeal ${args.collection}`,
+        to: committee.address,
+        data: committee.interface.encodeFunctionData('appealCollection', [args.collection, args.reasonUri]),
+      },
+      args.dryRun
+    )
+  })
@@ -0,0 +1,303 @@
+import { task, types } from 'hardhat/config'
+import { HardhatRuntimeEnvironment } from 'hardhat/types'
+
+import { execute, getSigner, readJSON } from './utils'
+
+const { CollectionManager } = require('../../sdk')
+
+type ManageCollectionArgs = {
+  committee: string
+  manager: string
+  forwarder: string
+  collection: string
+  dryRun: boolean
+}
+
+/**
+ * Create a committee proposal to call a collection through the CollectionManager.
+ * The proposal is executed right away if the sender vote reaches the quorum
+ */
+async function manageCollection(
+  hre: HardhatRuntimeEnvironment,
+  args: ManageCollectionArgs,
+  description: string,
+  method: string,
+  params: any[]
+) {
+  const committee = await hre.ethers.getContractAt('Committee', args.committee)
+  const collectionData = CollectionManager.encodeCollectionCall(method, params)
+
+  console.log(`Collection call data (${method}):`, collectionData)
+
+  const receipt = await execute(
+    hre,
+    {
+      description,
+      to: committee.address,
+      data: committee.interface.encodeFunctionData('manageCollection', [
+        args.manager,
+        args.forwarder,
+        args.collection,
+        collectionData,
+      ]),
+    },
+    args.dryRun
+  )
+
+  if (receipt) {
+    printProposalEvents(committee, receipt)
+    printCommitteeActionEvents(hre, args.manager, receipt)
+  }
+}
+
+function printProposalEvents(committee: any, receipt: any) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== committee.address.toLowerCase()) {
+      continue
+    }
+
+    const { name, args } = committee.interface.parseLog(log)
+
+    switch (name) {
+      case 'ProposalCreated':
+        console.log(`Proposal ${args._proposalId} created. Deadline: ${args._deadline}`)
+        break
+      case 'ProposalVoted':
+        console.log(`Proposal ${args._proposalId} voted by ${args._voter}. Votes: ${args._votes}`)
+        break
+      case 'ProposalExecuted':
+        console.log(`Proposal ${args._proposalId} executed`)
+        break
+      case 'CollectionReviewed':
+        console.log(
+          `Review ${args._reviewId} of ${args._collection} added` +
+            (args._queued ? `. Queued as committee action ${args._actionId}` : '')
+        )
+        break
+    }
+  }
+}
+
+/**
+ * Print the actions queued, executed or cancelled in the CollectionManager
+ */
+function printCommitteeActionEvents(hre: HardhatRuntimeEnvironment, manager: string, receipt: any) {
+  const iface = new hre.ethers.utils.Interface(CollectionManager.ABI)
+
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== manager.toLowerCase()) {
+      continue
+    }
+
+    const { name, args } = iface.parseLog(log)
+
+    switch (name) {
+      case 'CommitteeActionQueued':
+        console.log(`Action ${args._actionId} queued. It can be executed from ${args._eta}`)
+        break
+      case 'CommitteeActionExecuted':
+        console.log(`Action ${args._actionId} executed`)
+        break
+      case 'CommitteeActionCancelled':
+        console.log(`Action ${args._actionId} cancelled`)
+        break
+    }
+  }
+}
+
+function manageCollectionTask(name: string, description: string) {
+  return task(name, description)
+    .addParam('committee', 'Committee address')
+    .addParam('manager', 'CollectionManager address')
+    .addParam('forwarder', 'Forwarder address, owner of the collection')
+    .addParam('collection', 'Collection address')
+    .addFlag('dryRun', 'Print the call without sending it')
+}
+
+/**
+ * Create a committee proposal to approve or reject a collection with a reason.
+ * The decision is added to the collection reviews once the proposal is executed
+ */
+async function reviewCollection(hre: HardhatRuntimeEnvironment, args: any, approve: boolean) {
+  const committee = await hre.ethers.getContractAt('Committee', args.committee)
+
+  const receipt = await execute(
+    hre,
+    {
+      description: `${approve ? 'Approve' : 'Reject'} ${args.collection}. Reason: ${args.reasonCode} ${args.reasonUri}`,
+      to: committee.address,
+      data: committee.interface.encodeFunctionData('reviewCollection', [
+        args.manager,
+        args.forwarder,
+        args.collection,
+        approve,
+        args.reasonCode,
+        args.reasonUri,
+      ]),
+    },
+    args.dryRun
+  )
+
+  if (receipt) {
+    printProposalEvents(committee, receipt)
+    printCommitteeActionEvents(hre, args.manager, receipt)
+  }
+}
+
+manageCollectionTask('committee:approve', 'Approve a collection')
+  .addOptionalParam('reasonCode', 'Reason code', '0')
+  .addOptionalParam('reasonUri', 'URI with the details of the decision', '')
+  .setAction(async (args, hre) => {
+    await reviewCollection(hre, args, true)
+  })
+
+manageCollectionTask('committee:reject', 'Reject a collection')
+  .addParam('reasonCode', 'Reason code. It can not be 0')
+  .addOptionalParam('reasonUri', 'URI with the details of the decision', '')
+  .setAction(async (args, hre) => {
+    await reviewCollection(hre, args, false)
+  })
+
+/**
+ * Items file: [{ "itemId": "0", "contentHash": "QmSomeHash", "metadata": "1:bird_mask:hat:female,male" }]
+ */
+manageCollectionTask('committee:rescue-items', 'Rescue the content hash and metadata of items')
+  .addParam('items', 'JSON file with the items to be rescued')
+  .setAction(async (args, hre) => {
+    const items = readJSON(args.items)
+
+    await manageCollection(
+      hre,
+      args,
+      `Rescue ${items.length} items of ${args.collection}`,
+      'rescueItems',
+      [
+        items.map((item: any) => item.itemId),
+        items.map((item: any) => item.contentHash),
+        items.map((item: any) => item.metadata),
+      ]
+    )
+  })
+
+manageCollectionTask('committee:migrate', 'Migrate a collection to the implementation version requested by its creator')
+  .addParam('toVersion', 'Implementation version')
+  .setAction(async (args, hre) => {
+    await manageCollection(
+      hre,
+      args,
+      `Migrate ${args.collection} to version ${args.toVersion}`,
+      'migrateToVersion',
+      [args.toVersion]
+    )
+  })
+
+task('committee:vote', 'Vote a committee proposal')
+  .addParam('committee', 'Committee address')
+  .addParam('proposalId', 'Proposal id')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const committee = await hre.ethers.getContractAt('Committee', args.committee)
+
+    const receipt = await execute(
+      hre,
+      {
+        description: `Vote proposal ${args.proposalId}`,
+        to: committee.address,
+        data: committee.interface.encodeFunctionData('vote', [args.proposalId]),
+      },
+      args.dryRun
+    )
+
+    if (receipt) {
+      printProposalEvents(committee, receipt)
+    }
+  })
+
+task('committee:list-reviews', 'List the decisions and appeals of a collection')
+  .addParam('committee', 'Committee address')
+  .addParam('collection', 'Collection address')
+  .setAction(async (args, hre) => {
+    const committee = await hre.ethers.getContractAt('Committee', args.committee)
+    const reviews = await committee.getCollectionReviews(args.collection)
+    const kinds = ['Approval', 'Rejection', 'Appeal']
+
+    reviews.forEach((review: any, i: number) => {
+      console.log(
+        `#${i} ${new Date(review.createdAt.toNumber() * 1000).toISOString()} ${kinds[review.kind]} by ${review.author}. ` +
+          `Reason: ${review.reasonCode} ${review.reasonURI}` +
+          (review.queued ? `. Queued as committee action ${review.actionId}` : '')
+      )
+    })
+  })
+
+task('committee:list-roles', 'List the committee members of each role')
+  .addParam('committee', 'Committee address')
+  .setAction(async (args, hre) => {
+    const committee = await hre.ethers.getContractAt('Committee', args.committee)
+
+    for (const name of ['CURATOR_ROLE', 'RESCUER_ROLE', 'EDITOR_LOCK_ROLE']) {
+      const members = await committee.getRoleMembers(await committee[name]())
+
+      console.log(`${name}: ${members.length ? members.join(', ') : '-'}`)
+    }
+  })
+
+task('committee:list-actions', 'List the committee actions queued in the CollectionManager')
+  .addParam('manager', 'CollectionManager address')
+  .addOptionalParam('offset', 'Id of the first action to look at', 0, types.int)
+  .addOptionalParam('limit', 'Max amount of actions to look at', 100, types.int)
+  .setAction(async (args, hre) => {
+    const manager = new CollectionManager(args.manager, await getSigner(hre))
+    const actions = await manager.getPendingCommitteeActions({ offset: args.offset, limit: args.limit })
+
+    for (const action of actions) {
+      const method = CollectionManager.decodeCollectionCall(action.data)
+
+      console.log(`#${action.id} ${action.collection}: ${method}. ETA: ${new Date(Number(action.eta) * 1000).toISOString()}`)
+    }
+  })
+
+function committeeActionTask(name: string, description: string) {
+  return task(name, description)
+    .addParam('manager', 'CollectionManager address')
+    .addParam('actionId', 'Action id')
+    .addFlag('dryRun', 'Print the call without sending it')
+}
+
+committeeActionTask('committee:execute-action', 'Execute a committee action whose delay has passed')
+  .setAction(async (args, hre) => {
+    const manager = await hre.ethers.getContractAt('CollectionManager', args.manager)
+
+    const receipt = await execute(
+      hre,
+      {
+        description: `Execute action ${args.actionId}`,
+        to: manager.address,
+        data: manager.interface.encodeFunctionData('executeCommitteeAction', [args.actionId]),
+      },
+      args.dryRun
+    )
+
+    if (receipt) {
+      printCommitteeActionEvents(hre, args.manager, receipt)
+    }
+  })
+
+committeeActionTask('committee:cancel-action', 'Veto a committee action, as the owner of the CollectionManager')
+  .setAction(async (args, hre) => {
+    const manager = await hre.ethers.getContractAt('CollectionManager', args.manager)
+
+    const receipt = await execute(
+      hre,
+      {
+        description: `Cancel action ${args.actionId}`,
+        to: manager.address,
+        data: manager.interface.encodeFunctionData('cancelCommitteeAction', [args.actionId]),
+      },
+      args.dryRun
+    )
+
+    if (receipt) {
+      printCommitteeActionEvents(hre, args.manager, receipt)
+    }
+  })
@@ -0,0 +1,69 @@
+import { task } from 'hardhat/config'
+
+import { execute, getSigner, readJSON, splitList } from './utils'
+
+const { CollectionCrafting } = require('../../sdk')
+const { toIngredient } = require('../../sdk/collectionCrafting')
+
+/**
+ * Ingredients file: [{ "collection": "0x..", "itemId": "0" }]
+ */
+task('crafting:add-recipe', 'Add a recipe to craft an item by burning tokens of other items')
+  .addParam('crafting', 'CollectionCrafting address')
+  .addParam('collection', 'Collection of the item crafted. The crafting contract must be a minter of the item')
+  .addParam('itemId', 'Item crafted')
+  .addParam('ingredients', 'JSON file with the items of the tokens to burn')
+  .addOptionalParam('price', 'Price in MANA wei of each craft', '0')
+  .addOptionalParam('beneficiary', 'Beneficiary of the price', '0x0000000000000000000000000000000000000000')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const crafting = new CollectionCrafting(args.crafting, await getSigner(hre))
+    const ingredients = readJSON(args.ingredients).map(toIngredient)
+
+    await execute(
+      hre,
+      {
+        description: `Add a recipe of ${ingredients.length} ingredients to craft the item ${args.itemId} of ${args.collection}`,
+        to: crafting.address,
+        data: crafting.encode('addRecipe', [args.collection, args.itemId, ingredients, args.price, args.beneficiary]),
+      },
+      args.dryRun
+    )
+  })
+
+task('crafting:set-recipes-active', 'Activate or deactivate recipes')
+  .addParam('crafting', 'CollectionCrafting address')
+  .addParam('recipeIds', 'Comma separated recipe ids')
+  .addParam('values', 'Comma separated true/false values')
+  .addFlag('dryRun', 'Print the call without sending it')
+  .setAction(async (args, hre) => {
+    const crafting = new CollectionCrafting(args.crafting, await getSigner(hre))
+    const recipeIds = splitList(args.recipeIds)
+
+    await execute(
+      hre,
+      {
+        description: `Set ${recipeIds.length} recipes of ${args.crafting} as active/inactive`,
+        to: crafting.address,
+        data: crafting.encode('setRecipesActive', [recipeIds, splitList(args.values).map((value) => value === 'true')]),
+      },
+      args.dryRun
+    )
+  })
+
+task('crafting:list-recipes', 'List the recipes')
+  .addParam('crafting', 'CollectionCrafting address')
+  .addOptionalParam('collection', 'Only the recipes of the items of a collection')
+  .setAction(async (args, hre) => {
+    const crafting = new CollectionCrafting(args.crafting, await getSigner(hre))
+    const recipes = await crafting.getRecipes({ collection: args.collection })
+
+    for (const recipe of recipes) {
+      const ingredients = recipe.ingredients.map((ingredient: any) => `${ingredient.collection}:${ingredient.itemId}`)
+
+      console.log(
+        `#${recipe.recipeId} ${recipe.collection}:${recipe.itemId} <- ${ingredients.join(', ')}. ` +
+          `Price: ${hre.ethers.utils.formatEther(recipe.price)} MANA.${recipe.isActive ? '' : ' Inactive'}`
+      )
+    }
+  })
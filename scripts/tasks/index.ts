@@ -0,0 +1,4 @@
+import './burningStore'
+import './collection'
+import './committee'
+import './crafting'
@@ -0,0 +1,103 @@
+import * as fs from 'fs'
+import * as path from 'path'
+import { HardhatRuntimeEnvironment } from 'hardhat/types'
+
+export type Call = {
+  description: string
+  to: string
+  data: string
+  fee?: string // Amount of MANA to be paid, in wei
+}
+
+const MANA_ABI = [
+  'function balanceOf(address) view returns (uint256)',
+  'function allowance(address, address) view returns (uint256)',
+]
+
+/**
+ * Read a JSON file. The path is resolved from the current directory
+ */
+export function readJSON(file: string) {
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'))
+}
+
+/**
+ * Split a comma separated list param. E.g: `0x12..,0x34..`
+ */
+export function splitList(value: string): string[] {
+  return value
+    .split(',')
+    .map((item) => item.trim())
+    .filter((item) => item.length > 0)
+}
+
+/**
+ * Split a list in chunks of `size` elements
+ */
+export function chunk<T>(list: T[], size: number): T[][] {
+  if (size <= 0) {
+    throw new Error(`Invalid batch size: ${size}`)
+  }
+
+  const chunks: T[][] = []
+
+  for (let i = 0; i < list.length; i += size) {
+    chunks.push(list.slice(i, i + size))
+  }
+
+  return chunks
+}
+
+export async function getSigner(hre: HardhatRuntimeEnvironment) {
+  const [signer] = await hre.ethers.getSigners()
+  return signer
+}
+
+/**
+ * Check that the signer has approved and owns enough MANA to pay a fee
+ */
+export async function checkMANA(
+  hre: HardhatRuntimeEnvironment,
+  mana: string,
+  spender: string,
+  fee: string
+) {
+  const signer = await getSigner(hre)
+  const from = await signer.getAddress()
+  const contract = new hre.ethers.Contract(mana, MANA_ABI, signer)
+  const balance = await contract.balanceOf(from)
+  const allowance = await contract.allowance(from, spender)
+
+  console.log(`MANA balance of ${from}: ${hre.ethers.utils.formatEther(balance)}`)
+  console.log(`MANA allowance to ${spender}: ${hre.ethers.utils.formatEther(allowance)}`)
+
+  return balance.gte(fee) && allowance.gte(fee)
+}
+
+/**
+ * Print a call and send it unless it is a dry run
+ * @return the receipt of the transaction or undefined if it is a dry run
+ */
+export async function execute(
+  hre: HardhatRuntimeEnvironment,
+  call: Call,
+  dryRun: boolean
+) {
+  console.log(`\n${call.description}`)
+  console.log('  to:', call.to)
+  console.log('  data:', call.data)
+  console.log('  MANA fee:', hre.ethers.utils.formatEther(call.fee || '0'))
+
+  if (dryRun) {
+    return
+  }
+
+  const signer = await getSigner(hre)
+  const tx = await signer.sendTransaction({ to: call.to, data: call.data })
+  console.log('  tx:', tx.hash)
+
+  const receipt = await tx.wait()
+  console.log('  gas used:', receipt.gasUsed.toString())
+
+  return receipt
+}
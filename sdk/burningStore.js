@@ -0,0 +1,104 @@
+const { BigNumber } = require('@ethersproject/bignumber')
+
+const { Contract } = require('./contract')
+const { toUint } = require('./utils')
+const { toItemToBuy } = require('./collectionStore')
+
+const ITEM_TO_BUY =
+  'tuple(address collection, uint256[] ids, uint256[] prices, address[] beneficiaries)'
+
+const BURNING_STORE_V2_ABI = [
+  'function BASE_FEE() view returns (uint256)',
+  'function acceptedToken() view returns (address)',
+  'function fee() view returns (uint256)',
+  'function feeOwner() view returns (address)',
+  'function itemBurnPrices(address, uint256) view returns (uint256)',
+  'function setItemsBurnPrices(address _collection, uint256[] _itemIds, uint256[] _prices)',
+  `function buy(${ITEM_TO_BUY}[] _itemsToBuy)`,
+  'function getNonce(address) view returns (uint256)',
+  'function executeMetaTransaction(address userAddress, bytes functionSignature, bytes32 sigR, bytes32 sigS, uint8 sigV) payable returns (bytes)',
+  'event MetaTransactionExecuted(address userAddress, address relayerAddress, bytes functionSignature)',
+  `event Bought(${ITEM_TO_BUY}[] _itemsToBuy)`,
+  'event SetItemBurnPrice(address indexed _collection, uint256 indexed _itemId, uint256 _price)',
+  'event SetFee(uint256 _oldFee, uint256 _newFee)',
+  'event SetFeeOwner(address indexed _oldFeeOwner, address indexed _newFeeOwner)',
+]
+
+/**
+ * Client for the BurningStoreV2 contract
+ */
+class BurningStoreV2 extends Contract {
+  /**
+   * @param {string} address - store address
+   * @param {Object} provider - web3 instance or ethers provider/signer
+   */
+  constructor(address, provider) {
+    super(BURNING_STORE_V2_ABI, address, provider)
+  }
+
+  /**
+   * Get item's burn price
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @return {Promise<string>} price. 0 if the item is not for sale
+   */
+  async getItemBurnPrice(collection, itemId) {
+    const [price] = await this.call('itemBurnPrices', [
+      collection,
+      toUint(itemId),
+    ])
+
+    return price.toString()
+  }
+
+  /**
+   * Set burn prices for collection's items. Only the collection's creator can
+   * do it
+   * @param {string} collection - collection address
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {Array<number|string|Object>} prices - prices. 0 to stop selling
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setItemsBurnPrices(collection, itemIds, prices, txParams) {
+    return this.send(
+      'setItemsBurnPrices',
+      [collection, itemIds.map(toUint), prices.map(toUint)],
+      txParams
+    )
+  }
+
+  /**
+   * Get the total amount of accepted token to be paid for a purchase
+   * @param {Array<ItemToBuy|Array>} itemsToBuy - items to buy
+   * @return {Promise<string>} total price
+   */
+  async getTotalPrice(itemsToBuy) {
+    let total = BigNumber.from(0)
+
+    for (const { collection, ids } of itemsToBuy.map(toItemToBuy)) {
+      for (const id of ids) {
+        total = total.add(await this.getItemBurnPrice(collection, id))
+      }
+    }
+
+    return total.toString()
+  }
+
+  /**
+   * Buy collection's items burning their price
+   * @param {Array<ItemToBuy|Array>} itemsToBuy - items to buy
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  buy(itemsToBuy, txParams) {
+    return this.send('buy', [itemsToBuy.map(toItemToBuy)], txParams)
+  }
+}
+
+BurningStoreV2.ABI = BURNING_STORE_V2_ABI
+
+module.exports = {
+  BurningStoreV2,
+  BURNING_STORE_V2_ABI,
+}
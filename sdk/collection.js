@@ -0,0 +1,613 @@
+const { Interface } = require('@ethersproject/abi')
+
+const { Contract } = require('./contract')
+const {
+  ZERO_ADDRESS,
+  MAX_UINT256,
+  toUint,
+  encodeTokenId,
+  decodeTokenId,
+} = require('./utils')
+
+const ITEM_PARAM =
+  'tuple(string rarity, uint256 price, address beneficiary, string metadata, uint256 maxSupply)'
+
+const COLLECTION_V2_ABI = [
+  `function initialize(string _name, string _symbol, string _baseURI, address _creator, bool _shouldComplete, bool _isApproved, address _rarities, ${ITEM_PARAM}[] _items)`,
+  'function COLLECTION_HASH() view returns (bytes32)',
+  'function STORAGE_LAYOUT() view returns (bytes32)',
+  'function name() view returns (string)',
+  'function symbol() view returns (string)',
+  'function baseURI() view returns (string)',
+  'function owner() view returns (address)',
+  'function creator() view returns (address)',
+  'function rarities() view returns (address)',
+  'function createdAt() view returns (uint256)',
+  'function isApproved() view returns (bool)',
+  'function isCompleted() view returns (bool)',
+  'function isEditable() view returns (bool)',
+  'function isMintingAllowed() view returns (bool)',
+  'function globalMinters(address) view returns (bool)',
+  'function globalManagers(address) view returns (bool)',
+  'function itemMinters(uint256, address) view returns (uint256)',
+  'function itemManagers(uint256, address) view returns (bool)',
+  'function items(uint256) view returns (string rarity, uint256 maxSupply, uint256 totalSupply, uint256 price, address beneficiary, string metadata, string contentHash)',
+  'function itemsCount() view returns (uint256)',
+  'function itemMintWindows(uint256) view returns (uint256 startTime, uint256 endTime)',
+  'function defaultRoyalty() view returns (address receiver, bool isSet, uint256 basisPoints)',
+  'function itemRoyalties(uint256) view returns (address receiver, bool isSet, uint256 basisPoints)',
+  'function metadataValidator() view returns (address)',
+  'function itemBurnedSupply(uint256) view returns (uint256)',
+  'function itemReissuable(uint256) view returns (bool)',
+  'function royaltyInfo(uint256 _tokenId, uint256 _salePrice) view returns (address receiver, uint256 royaltyAmount)',
+  'function supportsInterface(bytes4 _interfaceId) view returns (bool)',
+  'function totalSupply() view returns (uint256)',
+  'function balanceOf(address) view returns (uint256)',
+  'function ownerOf(uint256) view returns (address)',
+  'function tokenURI(uint256) view returns (string)',
+  'function tokenOfOwnerByIndex(address, uint256) view returns (uint256)',
+  'function getApproved(uint256) view returns (address)',
+  'function isApprovedForAll(address, address) view returns (bool)',
+  'function setApprovalForAll(address _operator, bool _approved)',
+  'function getNonce(address) view returns (uint256)',
+  'function setMinters(address[] _minters, bool[] _values)',
+  'function setItemsMinters(uint256[] _itemIds, address[] _minters, uint256[] _values)',
+  'function setManagers(address[] _managers, bool[] _values)',
+  'function setItemsManagers(uint256[] _itemIds, address[] _managers, bool[] _values)',
+  'function transferCreatorship(address _newCreator)',
+  `function addItems(${ITEM_PARAM}[] _items)`,
+  'function setItemsMaxSupply(uint256[] _itemIds, uint256[] _maxSupplies)',
+  'function setItemsMintWindows(uint256[] _itemIds, uint256[] _startTimes, uint256[] _endTimes)',
+  'function setDefaultRoyalty(address _receiver, uint256 _basisPoints)',
+  'function setItemsRoyalties(uint256[] _itemIds, address[] _receivers, uint256[] _basisPoints)',
+  'function editItemsData(uint256[] _itemIds, uint256[] _prices, address[] _beneficiaries, string[] _metadatas)',
+  'function issueTokens(address[] _beneficiaries, uint256[] _itemIds)',
+  'function burn(uint256 _tokenId)',
+  'function batchBurn(uint256[] _tokenIds)',
+  'function setItemsReissuable(uint256[] _itemIds, bool[] _values)',
+  'function rescueItems(uint256[] _itemIds, string[] _contentHashes, string[] _metadatas)',
+  'function completeCollection()',
+  'function setApproved(bool _value)',
+  'function setEditable(bool _value)',
+  'function setMetadataValidator(address _metadataValidator)',
+  'function migrateToVersion(uint256 _version)',
+  'function setBaseURI(string _baseURI)',
+  'function batchTransferFrom(address _from, address _to, uint256[] _tokenIds)',
+  'function executeMetaTransaction(address userAddress, bytes functionSignature, bytes32 sigR, bytes32 sigS, uint8 sigV) payable returns (bytes)',
+  'event MetaTransactionExecuted(address userAddress, address relayerAddress, bytes functionSignature)',
+  'event BaseURI(string _oldBaseURI, string _newBaseURI)',
+  'event SetGlobalMinter(address indexed _minter, bool _value)',
+  'event SetGlobalManager(address indexed _manager, bool _value)',
+  'event SetItemMinter(uint256 indexed _itemId, address indexed _minter, uint256 _value)',
+  'event SetItemManager(uint256 indexed _itemId, address indexed _manager, bool _value)',
+  'event AddItem(uint256 indexed _itemId, tuple(string rarity, uint256 maxSupply, uint256 totalSupply, uint256 price, address beneficiary, string metadata, string contentHash) _item)',
+  'event Issue(address indexed _beneficiary, uint256 indexed _tokenId, uint256 indexed _itemId, uint256 _issuedId, address _caller)',
+  'event Burn(address indexed _owner, uint256 indexed _tokenId, uint256 indexed _itemId, address _caller)',
+  'event SetItemReissuable(uint256 indexed _itemId, bool _value)',
+  'event UpdateItemData(uint256 indexed _itemId, uint256 _price, address _beneficiary, string _metadata)',
+  'event SetItemMaxSupply(uint256 indexed _itemId, uint256 _maxSupply)',
+  'event SetItemMintWindow(uint256 indexed _itemId, uint256 _startTime, uint256 _endTime)',
+  'event SetDefaultRoyalty(address _receiver, uint256 _basisPoints)',
+  'event SetItemRoyalty(uint256 indexed _itemId, address _receiver, uint256 _basisPoints)',
+  'event RemoveItemRoyalty(uint256 indexed _itemId)',
+  'event RescueItem(uint256 indexed _itemId, string _contentHash, string _metadata)',
+  'event CreatorshipTransferred(address indexed _previousCreator, address indexed _newCreator)',
+  'event SetApproved(bool _previousValue, bool _newValue)',
+  'event SetEditable(bool _previousValue, bool _newValue)',
+  'event SetMetadataValidator(address indexed _previousMetadataValidator, address indexed _newMetadataValidator)',
+  'event Complete()',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+]
+
+/**
+ * Collection item as stored on-chain
+ * @typedef {Object} Item
+ * @property {string} rarity
+ * @property {string} maxSupply
+ * @property {string} totalSupply
+ * @property {string} price
+ * @property {string} beneficiary
+ * @property {string} metadata
+ * @property {string} contentHash
+ */
+
+/**
+ * Item to be added to a collection. Arrays following the struct order are
+ * also accepted.
+ * @typedef {Object} ItemParam
+ * @property {string} rarity
+ * @property {number|string|Object} price
+ * @property {string} beneficiary
+ * @property {string} metadata
+ * @property {number|string|Object} [maxSupply] - lower than the rarity max
+ *  supply. 0 or empty to use the rarity one
+ */
+
+/**
+ * Normalize an item param to the struct expected by the contract
+ * @param {ItemParam|Array} item - item param
+ * @return {ItemParam} item param
+ */
+function toItemParam(item) {
+  const [rarity, price, beneficiary, metadata, maxSupply = 0] = Array.isArray(
+    item
+  )
+    ? item
+    : [item.rarity, item.price, item.beneficiary, item.metadata, item.maxSupply]
+
+  return {
+    rarity,
+    price: toUint(price),
+    beneficiary,
+    metadata,
+    maxSupply: toUint(maxSupply),
+  }
+}
+
+/**
+ * Client for ERC721CollectionV2 collections
+ */
+class CollectionV2 extends Contract {
+  /**
+   * @param {string} address - collection address
+   * @param {Object} provider - web3 instance or ethers provider/signer
+   */
+  constructor(address, provider) {
+    super(COLLECTION_V2_ABI, address, provider)
+  }
+
+  /**
+   * Encode the initialize call used when creating a collection
+   * @param {Object} params - initialize params
+   * @param {string} params.name - name of the contract
+   * @param {string} params.symbol - symbol of the contract
+   * @param {string} params.baseURI - base URI for token URIs
+   * @param {string} params.creator - creator address
+   * @param {boolean} params.shouldComplete - whether to complete the collection
+   * @param {boolean} params.isApproved - whether to approve the collection
+   * @param {string} params.rarities - rarities address
+   * @param {Array<ItemParam|Array>} params.items - items to be added
+   * @return {string} call data
+   */
+  static encodeInitialize({
+    name,
+    symbol,
+    baseURI,
+    creator,
+    shouldComplete,
+    isApproved,
+    rarities,
+    items,
+  }) {
+    return new Interface(COLLECTION_V2_ABI).encodeFunctionData('initialize', [
+      name,
+      symbol,
+      baseURI,
+      creator,
+      !!shouldComplete,
+      !!isApproved,
+      rarities,
+      items.map(toItemParam),
+    ])
+  }
+
+  /**
+   * Get an item
+   * @param {number|string|Object} itemId - item id
+   * @return {Promise<Item>}
+   */
+  async getItem(itemId) {
+    const item = await this.call('items', [toUint(itemId)])
+
+    return {
+      rarity: item.rarity,
+      maxSupply: item.maxSupply.toString(),
+      totalSupply: item.totalSupply.toString(),
+      price: item.price.toString(),
+      beneficiary: item.beneficiary,
+      metadata: item.metadata,
+      contentHash: item.contentHash,
+    }
+  }
+
+  /**
+   * Get every item of the collection
+   * @return {Promise<Item[]>}
+   */
+  async getItems() {
+    const count = Number(await this.itemsCount())
+    const items = []
+
+    for (let i = 0; i < count; i++) {
+      items.push(await this.getItem(i))
+    }
+
+    return items
+  }
+
+  /**
+   * @return {Promise<string>} amount of items
+   */
+  async itemsCount() {
+    const [count] = await this.call('itemsCount')
+    return count.toString()
+  }
+
+  /**
+   * @return {Promise<string>} creator address
+   */
+  async creator() {
+    const [creator] = await this.call('creator')
+    return creator
+  }
+
+  /**
+   * @return {Promise<Object>} isApproved, isCompleted, isEditable and
+   *  isMintingAllowed flags
+   */
+  async getStatus() {
+    const [isApproved] = await this.call('isApproved')
+    const [isCompleted] = await this.call('isCompleted')
+    const [isEditable] = await this.call('isEditable')
+    const [isMintingAllowed] = await this.call('isMintingAllowed')
+
+    return { isApproved, isCompleted, isEditable, isMintingAllowed }
+  }
+
+  /**
+   * Get the time window in which an item can be minted
+   * @dev A time of '0' means that side of the window is open
+   * @param {number|string|Object} itemId - item id
+   * @return {Promise<Object>} startTime and endTime as unix timestamps
+   */
+  async getItemMintWindow(itemId) {
+    const { startTime, endTime } = await this.call('itemMintWindows', [
+      toUint(itemId),
+    ])
+
+    return { startTime: startTime.toString(), endTime: endTime.toString() }
+  }
+
+  /**
+   * Get the burned supply of an item and whether it can be issued again
+   * @param {number|string|Object} itemId - item id
+   * @return {Promise<Object>} burnedSupply and isReissuable
+   */
+  async getItemBurns(itemId) {
+    const [burnedSupply] = await this.call('itemBurnedSupply', [toUint(itemId)])
+    const [isReissuable] = await this.call('itemReissuable', [toUint(itemId)])
+
+    return { burnedSupply: burnedSupply.toString(), isReissuable }
+  }
+
+  /**
+   * Get the royalty of a token sale (EIP-2981)
+   * @param {number|string|Object} tokenId - token id
+   * @param {number|string|Object} salePrice - sale price
+   * @return {Promise<Object>} receiver and royaltyAmount
+   */
+  async getRoyaltyInfo(tokenId, salePrice) {
+    const { receiver, royaltyAmount } = await this.call('royaltyInfo', [
+      toUint(tokenId),
+      toUint(salePrice),
+    ])
+
+    return { receiver, royaltyAmount: royaltyAmount.toString() }
+  }
+
+  /**
+   * Get the amount of tokens an account can mint for an item
+   * @dev `MAX_UINT256` for creators and global minters
+   * @param {number|string|Object} itemId - item id
+   * @param {string} minter - minter address
+   * @return {Promise<string>} allowance
+   */
+  async getMintAllowance(itemId, minter) {
+    const [isGlobalMinter] = await this.call('globalMinters', [minter])
+    const creator = await this.creator()
+
+    if (isGlobalMinter || creator.toLowerCase() === minter.toLowerCase()) {
+      return MAX_UINT256.toString()
+    }
+
+    const [allowance] = await this.call('itemMinters', [toUint(itemId), minter])
+    return allowance.toString()
+  }
+
+  /**
+   * @param {number|string|Object} tokenId - token id
+   * @return {Promise<string>} owner of the token
+   */
+  async ownerOf(tokenId) {
+    const [owner] = await this.call('ownerOf', [toUint(tokenId)])
+    return owner
+  }
+
+  /**
+   * @param {string} owner - owner address
+   * @return {Promise<string>} amount of tokens
+   */
+  async balanceOf(owner) {
+    const [balance] = await this.call('balanceOf', [owner])
+    return balance.toString()
+  }
+
+  /**
+   * @param {number|string|Object} tokenId - token id
+   * @return {Promise<string>} address approved to transfer the token
+   */
+  async getApproved(tokenId) {
+    const [approved] = await this.call('getApproved', [toUint(tokenId)])
+    return approved
+  }
+
+  /**
+   * @param {string} owner - owner address
+   * @param {string} operator - operator address
+   * @return {Promise<boolean>} whether the operator can manage every token of the owner
+   */
+  async isApprovedForAll(owner, operator) {
+    const [approved] = await this.call('isApprovedForAll', [owner, operator])
+    return approved
+  }
+
+  /**
+   * Approve or revoke an operator to manage every token of the sender
+   * @param {string} operator - operator address
+   * @param {boolean} approved - whether the operator is approved
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setApprovalForAll(operator, approved, txParams) {
+    return this.send('setApprovalForAll', [operator, approved], txParams)
+  }
+
+  /**
+   * @param {number|string|Object} tokenId - token id
+   * @return {Promise<string>} token URI
+   */
+  async tokenURI(tokenId) {
+    const [uri] = await this.call('tokenURI', [toUint(tokenId)])
+    return uri
+  }
+
+  /**
+   * Issue tokens by item ids
+   * @param {string[]} beneficiaries - owners of the tokens
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  issueTokens(beneficiaries, itemIds, txParams) {
+    return this.send(
+      'issueTokens',
+      [beneficiaries, itemIds.map(toUint)],
+      txParams
+    )
+  }
+
+  /**
+   * Burn tokens. Only the owner or an approved operator of each token can
+   * burn it
+   * @param {Array<number|string|Object>} tokenIds - token ids
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  burn(tokenIds, txParams) {
+    return tokenIds.length === 1
+      ? this.send('burn', [toUint(tokenIds[0])], txParams)
+      : this.send('batchBurn', [tokenIds.map(toUint)], txParams)
+  }
+
+  /**
+   * Set whether the burned tokens of items can be issued again
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {boolean[]} values - whether the burned tokens can be issued again
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setItemsReissuable(itemIds, values, txParams) {
+    return this.send(
+      'setItemsReissuable',
+      [itemIds.map(toUint), values],
+      txParams
+    )
+  }
+
+  /**
+   * Add items to the collection
+   * @param {Array<ItemParam|Array>} items - items to add
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  addItems(items, txParams) {
+    return this.send('addItems', [items.map(toItemParam)], txParams)
+  }
+
+  /**
+   * Edit items
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {Array<number|string|Object>} prices - new prices
+   * @param {string[]} beneficiaries - new beneficiaries
+   * @param {string[]} metadatas - new metadatas
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  editItemsData(itemIds, prices, beneficiaries, metadatas, txParams) {
+    return this.send(
+      'editItemsData',
+      [itemIds.map(toUint), prices.map(toUint), beneficiaries, metadatas],
+      txParams
+    )
+  }
+
+  /**
+   * Lower the max supply of items. It can not be raised nor set below the
+   * current supply
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {Array<number|string|Object>} maxSupplies - new max supplies
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setItemsMaxSupply(itemIds, maxSupplies, txParams) {
+    return this.send(
+      'setItemsMaxSupply',
+      [itemIds.map(toUint), maxSupplies.map(toUint)],
+      txParams
+    )
+  }
+
+  /**
+   * Set the time window in which items can be minted
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {Array<number|string|Object>} startTimes - unix timestamps, 0 to
+   *  not restrict the start
+   * @param {Array<number|string|Object>} endTimes - unix timestamps, 0 to not
+   *  restrict the end
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setItemsMintWindows(itemIds, startTimes, endTimes, txParams) {
+    return this.send(
+      'setItemsMintWindows',
+      [itemIds.map(toUint), startTimes.map(toUint), endTimes.map(toUint)],
+      txParams
+    )
+  }
+
+  /**
+   * Set the royalty used by the items without their own
+   * @param {string} receiver - royalty receiver, zero address to use the item
+   *  beneficiary or the creator
+   * @param {number|string|Object} basisPoints - royalty in basis points
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setDefaultRoyalty(receiver, basisPoints, txParams) {
+    return this.send(
+      'setDefaultRoyalty',
+      [receiver, toUint(basisPoints)],
+      txParams
+    )
+  }
+
+  /**
+   * Set items royalties
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {string[]} receivers - royalty receivers, zero address to use the
+   *  item beneficiary or the creator
+   * @param {Array<number|string|Object>} basisPoints - royalties in basis
+   *  points, 0 to opt the item out of royalties. See `removeItemsRoyalties`
+   *  to use the default royalty again
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setItemsRoyalties(itemIds, receivers, basisPoints, txParams) {
+    return this.send(
+      'setItemsRoyalties',
+      [itemIds.map(toUint), receivers, basisPoints.map(toUint)],
+      txParams
+    )
+  }
+
+  /**
+   * Remove items royalties, so they use the default royalty
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  removeItemsRoyalties(itemIds, txParams) {
+    return this.send(
+      'setItemsRoyalties',
+      [
+        itemIds.map(toUint),
+        itemIds.map(() => ZERO_ADDRESS),
+        itemIds.map(() => MAX_UINT256.toString()),
+      ],
+      txParams
+    )
+  }
+
+  /**
+   * Set global minters
+   * @param {string[]} minters - minter addresses
+   * @param {boolean[]} values - whether they are minters or not
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setMinters(minters, values, txParams) {
+    return this.send('setMinters', [minters, values], txParams)
+  }
+
+  /**
+   * Set item minters
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {string[]} minters - minter addresses
+   * @param {Array<number|string|Object>} values - amount of tokens allowed
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setItemsMinters(itemIds, minters, values, txParams) {
+    return this.send(
+      'setItemsMinters',
+      [itemIds.map(toUint), minters, values.map(toUint)],
+      txParams
+    )
+  }
+
+  /**
+   * Set global managers
+   * @param {string[]} managers - manager addresses
+   * @param {boolean[]} values - whether they are managers or not
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setManagers(managers, values, txParams) {
+    return this.send('setManagers', [managers, values], txParams)
+  }
+
+  /**
+   * Set item managers
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {string[]} managers - manager addresses
+   * @param {boolean[]} values - whether they are managers or not
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setItemsManagers(itemIds, managers, values, txParams) {
+    return this.send(
+      'setItemsManagers',
+      [itemIds.map(toUint), managers, values],
+      txParams
+    )
+  }
+
+  /**
+   * Complete the collection
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  completeCollection(txParams) {
+    return this.send('completeCollection', [], txParams)
+  }
+
+  /**
+   * Transfer the creator role
+   * @param {string} newCreator - new creator address
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  transferCreatorship(newCreator, txParams) {
+    return this.send('transferCreatorship', [newCreator], txParams)
+  }
+}
+
+CollectionV2.ABI = COLLECTION_V2_ABI
+CollectionV2.encodeTokenId = encodeTokenId
+CollectionV2.decodeTokenId = decodeTokenId
+
+module.exports = {
+  CollectionV2,
+  COLLECTION_V2_ABI,
+  toItemParam,
+}
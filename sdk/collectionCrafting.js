@@ -0,0 +1,239 @@
+const { BigNumber } = require('@ethersproject/bignumber')
+
+const { Contract } = require('./contract')
+const { ZERO_ADDRESS, toUint } = require('./utils')
+
+const INGREDIENT = 'tuple(address collection, uint256 itemId)'
+
+const RECIPE = `tuple(address collection, uint256 itemId, ${INGREDIENT}[] ingredients, uint256 price, address beneficiary, bool isActive)`
+
+const CRAFT = 'tuple(uint256 recipeId, uint256[] tokenIds, address beneficiary)'
+
+const COLLECTION_CRAFTING_ABI = [
+  'function BASE_FEE() view returns (uint256)',
+  'function acceptedToken() view returns (address)',
+  'function fee() view returns (uint256)',
+  'function feeOwner() view returns (address)',
+  'function recipesCount() view returns (uint256)',
+  `function getRecipe(uint256 _recipeId) view returns (${RECIPE})`,
+  `function getRecipes(uint256 _offset, uint256 _limit) view returns (${RECIPE}[] page)`,
+  `function getRecipesByCollection(address _collection, uint256 _offset, uint256 _limit) view returns (uint256[] recipeIds, ${RECIPE}[] page)`,
+  `function addRecipe(address _collection, uint256 _itemId, ${INGREDIENT}[] _ingredients, uint256 _price, address _beneficiary) returns (uint256 recipeId)`,
+  'function setRecipesActive(uint256[] _recipeIds, bool[] _values)',
+  `function craft(${CRAFT}[] _crafts)`,
+  'function getNonce(address) view returns (uint256)',
+  'function executeMetaTransaction(address userAddress, bytes functionSignature, bytes32 sigR, bytes32 sigS, uint8 sigV) payable returns (bytes)',
+  'event MetaTransactionExecuted(address userAddress, address relayerAddress, bytes functionSignature)',
+  `event AddRecipe(uint256 indexed _recipeId, address indexed _collection, uint256 indexed _itemId, ${INGREDIENT}[] _ingredients, uint256 _price, address _beneficiary)`,
+  'event SetRecipeActive(uint256 indexed _recipeId, bool _value)',
+  'event Crafted(uint256 indexed _recipeId, address indexed _crafter, address indexed _beneficiary, uint256[] _tokenIds, uint256 _price)',
+  'event SetFee(uint256 _oldFee, uint256 _newFee)',
+  'event SetFeeOwner(address indexed _oldFeeOwner, address indexed _newFeeOwner)',
+]
+
+/**
+ * Recipe's ingredient. Arrays following the struct order are also accepted.
+ * @typedef {Object} Ingredient
+ * @property {string} collection - collection address
+ * @property {number|string|Object} itemId - item id of the token to burn
+ */
+
+/**
+ * Craft to do. Arrays following the struct order are also accepted.
+ * @typedef {Object} Craft
+ * @property {number|string|Object} recipeId - recipe id
+ * @property {Array<number|string|Object>} tokenIds - tokens to burn, one for
+ * each recipe's ingredient and in the same order
+ * @property {string} [beneficiary] - owner of the token crafted. The crafter
+ * by default
+ */
+
+/**
+ * Normalize an ingredient to the struct expected by the contract
+ * @param {Ingredient|Array} ingredient - ingredient
+ * @return {Ingredient}
+ */
+function toIngredient(ingredient) {
+  const [collection, itemId] = Array.isArray(ingredient)
+    ? ingredient
+    : [ingredient.collection, ingredient.itemId]
+
+  return { collection, itemId: toUint(itemId) }
+}
+
+/**
+ * Normalize a craft to the struct expected by the contract
+ * @param {Craft|Array} craft - craft
+ * @return {Craft}
+ */
+function toCraft(craft) {
+  const [recipeId, tokenIds, beneficiary] = Array.isArray(craft)
+    ? craft
+    : [craft.recipeId, craft.tokenIds, craft.beneficiary]
+
+  return {
+    recipeId: toUint(recipeId),
+    tokenIds: tokenIds.map(toUint),
+    beneficiary: beneficiary || ZERO_ADDRESS,
+  }
+}
+
+/**
+ * Format a recipe returned by the contract
+ * @param {Object} recipe - recipe
+ * @return {Object} recipe: { collection, itemId, ingredients, price, beneficiary, isActive }
+ */
+function fromRecipe(recipe) {
+  return {
+    collection: recipe.collection,
+    itemId: recipe.itemId.toString(),
+    ingredients: recipe.ingredients.map((ingredient) => ({
+      collection: ingredient.collection,
+      itemId: ingredient.itemId.toString(),
+    })),
+    price: recipe.price.toString(),
+    beneficiary: recipe.beneficiary,
+    isActive: recipe.isActive,
+  }
+}
+
+/**
+ * Client for the CollectionCrafting contract
+ */
+class CollectionCrafting extends Contract {
+  /**
+   * @param {string} address - crafting address
+   * @param {Object} provider - web3 instance or ethers provider/signer
+   */
+  constructor(address, provider) {
+    super(COLLECTION_CRAFTING_ABI, address, provider)
+  }
+
+  /**
+   * Get a recipe
+   * @param {number|string|Object} recipeId - recipe id
+   * @return {Promise<Object>} recipe: { recipeId, collection, itemId, ingredients, price, beneficiary, isActive }
+   */
+  async getRecipe(recipeId) {
+    const [recipe] = await this.call('getRecipe', [toUint(recipeId)])
+
+    return { recipeId: toUint(recipeId), ...fromRecipe(recipe) }
+  }
+
+  /**
+   * Get the recipes, in pages of `pageSize` recipes
+   * @param {Object} [options]
+   * @param {string} [options.collection] - only the recipes of the items of
+   * a collection
+   * @param {number} [options.pageSize] - recipes per call. 100 by default
+   * @return {Promise<Object[]>} recipes: { recipeId, collection, itemId, ingredients, price, beneficiary, isActive }
+   */
+  async getRecipes({ collection, pageSize = 100 } = {}) {
+    const [count] = await this.call('recipesCount')
+    const recipes = []
+
+    for (let offset = 0; count.gt(offset); offset += pageSize) {
+      if (collection) {
+        const { recipeIds, page } = await this.call('getRecipesByCollection', [
+          collection,
+          offset,
+          pageSize,
+        ])
+
+        page.forEach((recipe, i) =>
+          recipes.push({
+            recipeId: recipeIds[i].toString(),
+            ...fromRecipe(recipe),
+          })
+        )
+      } else {
+        const [page] = await this.call('getRecipes', [offset, pageSize])
+
+        page.forEach((recipe, i) =>
+          recipes.push({
+            recipeId: (offset + i).toString(),
+            ...fromRecipe(recipe),
+          })
+        )
+      }
+    }
+
+    return recipes
+  }
+
+  /**
+   * Add a recipe. Only the collection's creator can do it
+   * @param {string} collection - collection of the item crafted
+   * @param {number|string|Object} itemId - item crafted
+   * @param {Array<Ingredient|Array>} ingredients - items of the tokens to burn
+   * @param {number|string|Object} price - price of each craft. 0 for free
+   * @param {string} beneficiary - beneficiary of the price
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  addRecipe(collection, itemId, ingredients, price, beneficiary, txParams) {
+    return this.send(
+      'addRecipe',
+      [
+        collection,
+        toUint(itemId),
+        ingredients.map(toIngredient),
+        toUint(price),
+        beneficiary,
+      ],
+      txParams
+    )
+  }
+
+  /**
+   * Activate or deactivate recipes. Only the creator of the collection of the
+   * item crafted can do it
+   * @param {Array<number|string|Object>} recipeIds - recipe ids
+   * @param {boolean[]} values - whether the recipes are active
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setRecipesActive(recipeIds, values, txParams) {
+    return this.send(
+      'setRecipesActive',
+      [recipeIds.map(toUint), values],
+      txParams
+    )
+  }
+
+  /**
+   * Get the total amount of accepted token to be paid for crafts
+   * @param {Array<Craft|Array>} crafts - crafts
+   * @return {Promise<string>} total price
+   */
+  async getTotalPrice(crafts) {
+    let total = BigNumber.from(0)
+
+    for (const { recipeId } of crafts.map(toCraft)) {
+      const { price } = await this.getRecipe(recipeId)
+      total = total.add(price)
+    }
+
+    return total.toString()
+  }
+
+  /**
+   * Craft items. The crafter must have approved the crafting contract in the
+   * collections of the tokens to burn (`setApprovalForAll`)
+   * @param {Array<Craft|Array>} crafts - crafts
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  craft(crafts, txParams) {
+    return this.send('craft', [crafts.map(toCraft)], txParams)
+  }
+}
+
+CollectionCrafting.ABI = COLLECTION_CRAFTING_ABI
+
+module.exports = {
+  CollectionCrafting,
+  COLLECTION_CRAFTING_ABI,
+  toIngredient,
+  toCraft,
+}
@@ -0,0 +1,207 @@
+const { Contract } = require('./contract')
+const { toUint } = require('./utils')
+
+const COLLECTION_SUMMARY =
+  'tuple(address collection, address creator, bool isApproved, bool isCompleted, uint256 itemsCount, uint256 createdAt, uint256 version)'
+
+const COLLECTION_FACTORY_V2_ABI = [
+  'function implementation() view returns (address)',
+  'function codeHash() view returns (bytes32)',
+  'function getAddress(bytes32 _salt, address _address, bytes _data) view returns (address)',
+  'function collections(uint256) view returns (address)',
+  'function collectionsSize() view returns (uint256)',
+  'function isCollectionFromFactory(address) view returns (bool)',
+  'function implementations(uint256) view returns (address)',
+  'function implementationsSize() view returns (uint256)',
+  'function collectionVersion(address) view returns (uint256)',
+  'function migrationRequests(address) view returns (uint256)',
+  'function getCollectionImplementation(address _collection) view returns (address)',
+  `function getCollectionSummary(address _collection) view returns (${COLLECTION_SUMMARY})`,
+  `function getCollections(uint256 _offset, uint256 _limit) view returns (${COLLECTION_SUMMARY}[] summaries)`,
+  `function getCollectionsByCreator(address _creator, uint256 _offset, uint256 _limit) view returns (${COLLECTION_SUMMARY}[] summaries)`,
+  'function createCollection(bytes32 _salt, bytes _data) returns (address addr)',
+  'function addImplementation(address _implementation)',
+  'function requestMigration(address _collection, uint256 _version)',
+  'event ProxyCreated(address indexed _address, bytes32 _salt)',
+  'event ImplementationAdded(uint256 indexed _version, address indexed _implementation)',
+  'event MigrationRequested(address indexed _collection, uint256 _version, address indexed _creator)',
+  'event CollectionMigrated(address indexed _collection, uint256 _oldVersion, uint256 _newVersion)',
+]
+
+/**
+ * @typedef {Object} CollectionSummary
+ * @property {string} collection - collection address
+ * @property {string} creator
+ * @property {boolean} isApproved
+ * @property {boolean} isCompleted
+ * @property {string} itemsCount
+ * @property {string} createdAt - creation timestamp in seconds
+ * @property {string} version - implementation version of the collection
+ */
+
+function toCollectionSummary(summary) {
+  return {
+    collection: summary.collection,
+    creator: summary.creator,
+    isApproved: summary.isApproved,
+    isCompleted: summary.isCompleted,
+    itemsCount: summary.itemsCount.toString(),
+    createdAt: summary.createdAt.toString(),
+    version: summary.version.toString(),
+  }
+}
+
+/**
+ * @typedef {Object} CollectionVersion
+ * @property {string} version - implementation version of the collection
+ * @property {string} implementation - implementation address of the collection
+ * @property {string} requestedVersion - version requested by the creator to migrate to. 0 if none
+ */
+
+/**
+ * Client for the ERC721CollectionFactoryV2 contract
+ */
+class CollectionFactoryV2 extends Contract {
+  /**
+   * @param {string} address - factory address
+   * @param {Object} provider - web3 instance or ethers provider/signer
+   */
+  constructor(address, provider) {
+    super(COLLECTION_FACTORY_V2_ABI, address, provider)
+  }
+
+  /**
+   * @param {string} collection - collection address
+   * @return {Promise<CollectionSummary>}
+   */
+  async getCollectionSummary(collection) {
+    const [summary] = await this.call('getCollectionSummary', [collection])
+    return toCollectionSummary(summary)
+  }
+
+  /**
+   * Get a page of collections, in creation order
+   * @param {Object} page
+   * @param {number} page.offset - index of the first collection
+   * @param {number} page.limit - max amount of collections
+   * @return {Promise<CollectionSummary[]>}
+   */
+  async getCollections({ offset = 0, limit = 100 } = {}) {
+    const [summaries] = await this.call('getCollections', [
+      toUint(offset),
+      toUint(limit),
+    ])
+    return summaries.map(toCollectionSummary)
+  }
+
+  /**
+   * Get the collections of a creator within a page of collections.
+   * The page is applied to every collection, so it may return less collections than the limit
+   * while there are more collections of the creator in the next pages
+   * @param {string} creator - creator address
+   * @param {Object} page
+   * @param {number} page.offset - index of the first collection to look at
+   * @param {number} page.limit - max amount of collections to look at
+   * @return {Promise<CollectionSummary[]>}
+   */
+  async getCollectionsByCreator(creator, { offset = 0, limit = 100 } = {}) {
+    const [summaries] = await this.call('getCollectionsByCreator', [
+      creator,
+      toUint(offset),
+      toUint(limit),
+    ])
+    return summaries.map(toCollectionSummary)
+  }
+
+  /**
+   * Get every collection of a creator, looking at the collections in pages
+   * @param {string} creator - creator address
+   * @param {number} pageSize - amount of collections to look at per call
+   * @return {Promise<CollectionSummary[]>}
+   */
+  async getAllCollectionsByCreator(creator, pageSize = 100) {
+    const [size] = await this.call('collectionsSize')
+    const summaries = []
+
+    for (let offset = 0; offset < size.toNumber(); offset += pageSize) {
+      summaries.push(
+        ...(await this.getCollectionsByCreator(creator, {
+          offset,
+          limit: pageSize,
+        }))
+      )
+    }
+
+    return summaries
+  }
+
+  /**
+   * @return {Promise<string[]>} implementation addresses by version
+   */
+  async getImplementations() {
+    const [size] = await this.call('implementationsSize')
+    const implementations = []
+
+    for (let i = 0; i < size.toNumber(); i++) {
+      const [implementation] = await this.call('implementations', [i])
+      implementations.push(implementation)
+    }
+
+    return implementations
+  }
+
+  /**
+   * @param {string} collection - collection address
+   * @return {Promise<CollectionVersion>}
+   */
+  async getCollectionVersion(collection) {
+    const [version] = await this.call('collectionVersion', [collection])
+    const [implementation] = await this.call('getCollectionImplementation', [
+      collection,
+    ])
+    const [requestedVersion] = await this.call('migrationRequests', [
+      collection,
+    ])
+
+    return {
+      version: version.toString(),
+      implementation,
+      requestedVersion: requestedVersion.toString(),
+    }
+  }
+
+  /**
+   * Request the migration of a collection to a newer implementation version.
+   * Only the collection's creator can request it. The migration takes place once
+   * the committee calls `migrateToVersion` on the collection
+   * @param {Object} params
+   * @param {string} params.collection - collection address
+   * @param {number|string|Object} params.version - implementation version
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  requestMigration({ collection, version }, txParams) {
+    return this.send(
+      'requestMigration',
+      [collection, toUint(version)],
+      txParams
+    )
+  }
+
+  /**
+   * Cancel a migration request
+   * @param {string} collection - collection address
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  cancelMigration(collection, txParams) {
+    return this.send('requestMigration', [collection, 0], txParams)
+  }
+}
+
+CollectionFactoryV2.ABI = COLLECTION_FACTORY_V2_ABI
+
+module.exports = {
+  CollectionFactoryV2,
+  COLLECTION_FACTORY_V2_ABI,
+}
@@ -0,0 +1,334 @@
+const { Interface } = require('@ethersproject/abi')
+const { getAddress } = require('@ethersproject/address')
+const { BigNumber } = require('@ethersproject/bignumber')
+const { hexDataSlice } = require('@ethersproject/bytes')
+const { id } = require('@ethersproject/hash')
+
+const { Contract } = require('./contract')
+const { COLLECTION_V2_ABI, toItemParam } = require('./collection')
+const { Rarities } = require('./rarities')
+const { toUint } = require('./utils')
+
+const PROXY_CREATED_TOPIC = id('ProxyCreated(address,bytes32)')
+
+const ITEM_PARAM =
+  'tuple(string rarity, uint256 price, address beneficiary, string metadata, uint256 maxSupply)'
+const RARITY_FEE =
+  'tuple(string rarity, uint256 count, uint256 price, uint256 fee)'
+
+const COLLECTION_MANAGER_ABI = [
+  'function acceptedToken() view returns (address)',
+  'function rarities() view returns (address)',
+  'function committee() view returns (address)',
+  'function feesCollector() view returns (address)',
+  'function metadataValidator() view returns (address)',
+  'function allowedCommitteeMethods(bytes4) view returns (bool)',
+  'function committeeMethodsDelays(bytes4) view returns (uint256)',
+  'function committeeActions(uint256) view returns (address forwarder, address collection, bytes data, address committee, uint256 eta, uint8 status)',
+  'function committeeActionsCount() view returns (uint256)',
+  'function getPendingCommitteeActions(uint256 _offset, uint256 _limit) view returns (uint256[] actionIds)',
+  `function getCreationFee(${ITEM_PARAM}[] _items) view returns (uint256 total, ${RARITY_FEE}[] breakdown)`,
+  `function getAddItemsFee(${ITEM_PARAM}[] _items) view returns (uint256 total, ${RARITY_FEE}[] breakdown)`,
+  `function getRaritiesFee(string[] _rarities, uint256[] _counts) view returns (uint256 total, ${RARITY_FEE}[] breakdown)`,
+  `function createCollection(address _forwarder, address _factory, bytes32 _salt, string _name, string _symbol, string _baseURI, address _creator, ${ITEM_PARAM}[] _items)`,
+  `function addItems(address _forwarder, address _collection, ${ITEM_PARAM}[] _items)`,
+  'function manageCollection(address _forwarder, address _collection, bytes _data) returns (bool queued, uint256 actionId)',
+  'function executeCommitteeAction(uint256 _actionId)',
+  'function cancelCommitteeAction(uint256 _actionId)',
+  'function getNonce(address) view returns (uint256)',
+  'function executeMetaTransaction(address userAddress, bytes functionSignature, bytes32 sigR, bytes32 sigS, uint8 sigV) payable returns (bytes)',
+  'event MetaTransactionExecuted(address userAddress, address relayerAddress, bytes functionSignature)',
+  'event AcceptedTokenSet(address indexed _oldAcceptedToken, address indexed _newAcceptedToken)',
+  'event CommitteeSet(address indexed _oldCommittee, address indexed _newCommittee)',
+  'event CommitteeMethodSet(bytes4 indexed _method, bool _isAllowed)',
+  'event CommitteeMethodDelaySet(bytes4 indexed _method, uint256 _delay)',
+  'event CommitteeActionQueued(uint256 indexed _actionId, address indexed _creator, address indexed _collection, address _forwarder, bytes _data, uint256 _eta)',
+  'event CommitteeActionExecuted(uint256 indexed _actionId, address indexed _executor)',
+  'event CommitteeActionCancelled(uint256 indexed _actionId)',
+  'event FeesCollectorSet(address indexed _oldFeesCollector, address indexed _newFeesCollector)',
+  'event RaritiesSet(address indexed _oldRarities, address indexed _newRarities)',
+  'event MetadataValidatorSet(address indexed _oldMetadataValidator, address indexed _newMetadataValidator)',
+]
+
+const COMMITTEE_ACTION_STATUSES = ['queued', 'executed', 'cancelled']
+
+/**
+ * Fee quote
+ * @typedef {Object} FeeQuote
+ * @property {string} total - total fee in MANA
+ * @property {Array<RarityFee>} breakdown - fee per rarity
+ */
+
+/**
+ * @typedef {Object} RarityFee
+ * @property {string} rarity - rarity name
+ * @property {string} count - amount of items
+ * @property {string} price - price in MANA of an item
+ * @property {string} fee - fee in MANA of the items
+ */
+
+/**
+ * Committee action queued until its delay passes
+ * @typedef {Object} CommitteeAction
+ * @property {string} id - action id
+ * @property {string} forwarder - forwarder owner of the collection
+ * @property {string} collection - collection address
+ * @property {string} data - collection call data
+ * @property {string} committee - committee which queued the action. The
+ *  action can only be executed while it is the committee
+ * @property {string} eta - timestamp from which the action can be executed
+ * @property {string} status - queued, executed or cancelled
+ */
+
+function toFeeQuote({ total, breakdown }) {
+  return {
+    total: total.toString(),
+    breakdown: breakdown.map(({ rarity, count, price, fee }) => ({
+      rarity,
+      count: count.toString(),
+      price: price.toString(),
+      fee: fee.toString(),
+    })),
+  }
+}
+
+/**
+ * Client for the CollectionManager contract
+ */
+class CollectionManager extends Contract {
+  /**
+   * @param {string} address - collection manager address
+   * @param {Object} provider - web3 instance or ethers provider/signer
+   */
+  constructor(address, provider) {
+    super(COLLECTION_MANAGER_ABI, address, provider)
+  }
+
+  /**
+   * Get the amount of accepted token to be paid for creating a collection
+   * @param {Array<ItemParam|Array>} items - items to be added
+   * @return {Promise<string>} fee
+   */
+  async getCreationFee(items) {
+    const [raritiesAddress] = await this.call('rarities')
+    const rarities = new Rarities(raritiesAddress, this.transport)
+    const prices = {}
+    let fee = BigNumber.from(0)
+
+    for (const { rarity } of items.map(toItemParam)) {
+      if (prices[rarity] === undefined) {
+        prices[rarity] = (await rarities.getRarityByName(rarity)).price
+      }
+
+      fee = fee.add(prices[rarity])
+    }
+
+    return fee.toString()
+  }
+
+  /**
+   * Quote the fee for creating a collection
+   * @param {Array<ItemParam|Array>} items - items to be added
+   * @return {Promise<FeeQuote>}
+   */
+  async quoteCreationFee(items) {
+    return toFeeQuote(
+      await this.call('getCreationFee', [items.map(toItemParam)])
+    )
+  }
+
+  /**
+   * Quote the fee for adding items to a collection
+   * @param {Array<ItemParam|Array>} items - items to be added
+   * @return {Promise<FeeQuote>}
+   */
+  async quoteAddItemsFee(items) {
+    return toFeeQuote(
+      await this.call('getAddItemsFee', [items.map(toItemParam)])
+    )
+  }
+
+  /**
+   * Quote the fee for an amount of items of each rarity
+   * @param {string[]} rarities - rarity names
+   * @param {Array<number|string|Object>} counts - amount of items of each
+   *  rarity
+   * @return {Promise<FeeQuote>}
+   */
+  async quoteRaritiesFee(rarities, counts) {
+    return toFeeQuote(
+      await this.call('getRaritiesFee', [rarities, counts.map(toUint)])
+    )
+  }
+
+  /**
+   * Create a collection
+   * @param {Object} params - collection params
+   * @param {string} params.forwarder - forwarder owner of the factory
+   * @param {string} params.factory - collection factory
+   * @param {string} params.salt - arbitrary 32 bytes hexa
+   * @param {string} params.name - name of the contract
+   * @param {string} params.symbol - symbol of the contract
+   * @param {string} params.baseURI - base URI for token URIs
+   * @param {string} params.creator - creator address
+   * @param {Array<ItemParam|Array>} params.items - items to be added
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>} receipt. The new collection address is at
+   *  `collection`
+   */
+  async createCollection(
+    { forwarder, factory, salt, name, symbol, baseURI, creator, items },
+    txParams
+  ) {
+    const receipt = await this.send(
+      'createCollection',
+      [
+        forwarder,
+        factory,
+        salt,
+        name,
+        symbol,
+        baseURI,
+        creator,
+        items.map(toItemParam),
+      ],
+      txParams
+    )
+
+    const proxyCreated = receipt.logs.find(
+      (log) => log.topics[0] === PROXY_CREATED_TOPIC
+    )
+    const collection = getAddress(hexDataSlice(proxyCreated.topics[1], 12))
+
+    return { ...receipt, collection }
+  }
+
+  /**
+   * Add items to a collection which is not completed by paying the fee.
+   * Only the creator of the collection can add items
+   * @param {Object} params - params
+   * @param {string} params.forwarder - forwarder owner of the collection
+   * @param {string} params.collection - collection address
+   * @param {Array<ItemParam|Array>} params.items - items to be added
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  addItems({ forwarder, collection, items }, txParams) {
+    return this.send(
+      'addItems',
+      [forwarder, collection, items.map(toItemParam)],
+      txParams
+    )
+  }
+
+  /**
+   * Get the time the committee calls to a method are queued before they can
+   * be executed
+   * @param {string} method - collection function name, signature or selector
+   * @return {Promise<string>} delay in seconds. 0 if the calls are executed
+   *  right away
+   */
+  async getCommitteeMethodDelay(method) {
+    const selector = method.startsWith('0x')
+      ? method
+      : new Interface(COLLECTION_V2_ABI).getSighash(method)
+    const [delay] = await this.call('committeeMethodsDelays', [selector])
+
+    return delay.toString()
+  }
+
+  /**
+   * Get a committee action
+   * @param {number|string|Object} actionId - action id
+   * @return {Promise<CommitteeAction>}
+   */
+  async getCommitteeAction(actionId) {
+    const [
+      forwarder,
+      collection,
+      data,
+      committee,
+      eta,
+      status,
+    ] = await this.call('committeeActions', [toUint(actionId)])
+
+    return {
+      id: toUint(actionId),
+      forwarder,
+      collection,
+      data,
+      committee,
+      eta: eta.toString(),
+      status: COMMITTEE_ACTION_STATUSES[status],
+    }
+  }
+
+  /**
+   * Get the committee actions which were neither executed nor cancelled
+   * within a page of actions.
+   * The page is applied to every action, so it may return less actions than
+   * the limit while there are more pending actions in the next pages
+   * @param {Object} page
+   * @param {number} page.offset - id of the first action to look at
+   * @param {number} page.limit - max amount of actions to look at
+   * @return {Promise<CommitteeAction[]>}
+   */
+  async getPendingCommitteeActions({ offset = 0, limit = 100 } = {}) {
+    const [actionIds] = await this.call('getPendingCommitteeActions', [
+      toUint(offset),
+      toUint(limit),
+    ])
+
+    return Promise.all(
+      actionIds.map((actionId) => this.getCommitteeAction(actionId))
+    )
+  }
+
+  /**
+   * Execute a queued committee action once its delay has passed
+   * @param {number|string|Object} actionId - action id
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  executeCommitteeAction(actionId, txParams) {
+    return this.send('executeCommitteeAction', [toUint(actionId)], txParams)
+  }
+
+  /**
+   * Veto a queued committee action. Only the owner can cancel it
+   * @param {number|string|Object} actionId - action id
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  cancelCommitteeAction(actionId, txParams) {
+    return this.send('cancelCommitteeAction', [toUint(actionId)], txParams)
+  }
+
+  /**
+   * Encode a call to be used by the committee to manage a collection
+   * @param {string} method - collection function name or signature. E.g:
+   *  setApproved
+   * @param {Array} args - function arguments
+   * @return {string} call data
+   */
+  static encodeCollectionCall(method, args = []) {
+    return new Interface(COLLECTION_V2_ABI).encodeFunctionData(method, args)
+  }
+
+  /**
+   * Decode a call used by the committee to manage a collection. E.g: the data
+   * of a committee action
+   * @param {string} data - call data
+   * @return {string} collection function signature. E.g: setApproved(bool)
+   */
+  static decodeCollectionCall(data) {
+    return new Interface(COLLECTION_V2_ABI).parseTransaction({ data }).signature
+  }
+}
+
+CollectionManager.ABI = COLLECTION_MANAGER_ABI
+
+module.exports = {
+  CollectionManager,
+  COLLECTION_MANAGER_ABI,
+}
@@ -0,0 +1,329 @@
+const { Contract } = require('./contract')
+const { toUint } = require('./utils')
+const { toSignedOrder } = require('./signedOrders')
+
+const SIGNED_ORDER =
+  'tuple(address seller, address collection, uint256 tokenId, uint256 itemId, uint256 price, address token, uint256 expiresAt, uint256 salt, uint256 nonce)'
+
+const ZERO_ID =
+  '0x0000000000000000000000000000000000000000000000000000000000000000'
+
+const COLLECTION_MARKETPLACE_ABI = [
+  'function BASE_FEE() view returns (uint256)',
+  'function acceptedToken() view returns (address)',
+  'function fee() view returns (uint256)',
+  'function feeOwner() view returns (address)',
+  'function orders(address, uint256) view returns (bytes32 id, address seller, uint256 price, uint256 expiresAt)',
+  'function tokenBids(address, uint256, address) view returns (bytes32 id, address owner, uint256 price, uint256 expiresAt)',
+  'function itemBids(address, uint256, address) view returns (bytes32 id, address owner, uint256 price, uint256 expiresAt)',
+  'function SIGNED_ORDER_TYPEHASH() view returns (bytes32)',
+  'function sellerNonces(address) view returns (uint256)',
+  'function executedSignedOrders(bytes32) view returns (bool)',
+  'function createOrder(address _collection, uint256 _tokenId, uint256 _price, uint256 _expiresAt)',
+  'function cancelOrder(address _collection, uint256 _tokenId)',
+  'function executeOrder(address _collection, uint256 _tokenId, uint256 _price)',
+  'function placeBid(address _collection, uint256 _tokenId, uint256 _price, uint256 _expiresAt)',
+  'function placeItemBid(address _collection, uint256 _itemId, uint256 _price, uint256 _expiresAt)',
+  'function cancelBid(address _collection, uint256 _tokenId)',
+  'function cancelItemBid(address _collection, uint256 _itemId)',
+  'function acceptBid(address _collection, uint256 _tokenId, address _bidder, uint256 _price)',
+  'function acceptItemBid(address _collection, uint256 _tokenId, address _bidder, uint256 _price)',
+  `function executeSignedOrder(${SIGNED_ORDER} _order, uint256 _tokenId, bytes _signature)`,
+  'function bumpNonce()',
+  'function getNonce(address) view returns (uint256)',
+  'function executeMetaTransaction(address userAddress, bytes functionSignature, bytes32 sigR, bytes32 sigS, uint8 sigV) payable returns (bytes)',
+  'event MetaTransactionExecuted(address userAddress, address relayerAddress, bytes functionSignature)',
+  'event OrderCreated(bytes32 _id, address indexed _collection, uint256 indexed _tokenId, address indexed _seller, uint256 _price, uint256 _expiresAt)',
+  'event OrderCancelled(bytes32 _id, address indexed _collection, uint256 indexed _tokenId, address indexed _seller)',
+  'event OrderSuccessful(bytes32 _id, address indexed _collection, uint256 indexed _tokenId, address indexed _seller, address _buyer, uint256 _price)',
+  'event BidCreated(bytes32 _id, address indexed _collection, uint256 indexed _tokenId, address indexed _bidder, uint256 _price, uint256 _expiresAt)',
+  'event BidCancelled(bytes32 _id, address indexed _collection, uint256 indexed _tokenId, address indexed _bidder)',
+  'event BidAccepted(bytes32 _id, address indexed _collection, uint256 indexed _tokenId, address indexed _bidder, address _seller, uint256 _price)',
+  'event ItemBidCreated(bytes32 _id, address indexed _collection, uint256 indexed _itemId, address indexed _bidder, uint256 _price, uint256 _expiresAt)',
+  'event ItemBidCancelled(bytes32 _id, address indexed _collection, uint256 indexed _itemId, address indexed _bidder)',
+  'event ItemBidAccepted(bytes32 _id, address indexed _collection, uint256 indexed _itemId, address indexed _bidder, uint256 _tokenId, address _seller, uint256 _price)',
+  'event SignedOrderExecuted(bytes32 indexed _hash, address indexed _collection, uint256 indexed _tokenId, address _seller, address _buyer, address _token, uint256 _price)',
+  'event SellerNonceBumped(address indexed _seller, uint256 _nonce)',
+  'event RoyaltyPaid(address indexed _collection, uint256 indexed _tokenId, address indexed _receiver, uint256 _amount)',
+  'event SetFee(uint256 _oldFee, uint256 _newFee)',
+  'event SetFeeOwner(address indexed _oldFeeOwner, address indexed _newFeeOwner)',
+]
+
+/**
+ * Format a bid returned by the contract
+ * @param {Array} bid - bid
+ * @return {Object|null} bid: { id, owner, price, expiresAt }. null if it does
+ * not exist. `owner` is the token owner when the bid was placed, zero for item
+ * bids
+ */
+function fromBid([id, owner, price, expiresAt]) {
+  if (id === ZERO_ID) {
+    return null
+  }
+
+  return {
+    id,
+    owner,
+    price: price.toString(),
+    expiresAt: expiresAt.toString(),
+  }
+}
+
+/**
+ * Client for the CollectionMarketplace contract
+ */
+class CollectionMarketplace extends Contract {
+  /**
+   * @param {string} address - marketplace address
+   * @param {Object} provider - web3 instance or ethers provider/signer
+   */
+  constructor(address, provider) {
+    super(COLLECTION_MARKETPLACE_ABI, address, provider)
+  }
+
+  /**
+   * Get the order of a token
+   * @param {string} collection - collection address
+   * @param {number|string|Object} tokenId - token id
+   * @return {Promise<Object|null>} order: { id, seller, price, expiresAt }.
+   * null if the token is not listed
+   */
+  async getOrder(collection, tokenId) {
+    const [id, seller, price, expiresAt] = await this.call('orders', [
+      collection,
+      toUint(tokenId),
+    ])
+
+    if (id === ZERO_ID) {
+      return null
+    }
+
+    return {
+      id,
+      seller,
+      price: price.toString(),
+      expiresAt: expiresAt.toString(),
+    }
+  }
+
+  /**
+   * Get the bid of a bidder for a token
+   * @param {string} collection - collection address
+   * @param {number|string|Object} tokenId - token id
+   * @param {string} bidder - bidder
+   * @return {Promise<Object|null>} bid: { id, owner, price, expiresAt }. null
+   * if it does not exist
+   */
+  async getBid(collection, tokenId, bidder) {
+    return fromBid(
+      await this.call('tokenBids', [collection, toUint(tokenId), bidder])
+    )
+  }
+
+  /**
+   * Get the bid of a bidder for an item
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @param {string} bidder - bidder
+   * @return {Promise<Object|null>} bid: { id, owner, price, expiresAt }. null
+   * if it does not exist
+   */
+  async getItemBid(collection, itemId, bidder) {
+    return fromBid(
+      await this.call('itemBids', [collection, toUint(itemId), bidder])
+    )
+  }
+
+  /**
+   * List a token for sale. The marketplace must be approved to transfer it
+   * @param {string} collection - collection address
+   * @param {number|string|Object} tokenId - token id
+   * @param {number|string|Object} price - price
+   * @param {number|string|Object} expiresAt - expiration timestamp in seconds
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  createOrder(collection, tokenId, price, expiresAt, txParams) {
+    return this.send(
+      'createOrder',
+      [collection, toUint(tokenId), toUint(price), toUint(expiresAt)],
+      txParams
+    )
+  }
+
+  /**
+   * Cancel the order of a token
+   * @param {string} collection - collection address
+   * @param {number|string|Object} tokenId - token id
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  cancelOrder(collection, tokenId, txParams) {
+    return this.send('cancelOrder', [collection, toUint(tokenId)], txParams)
+  }
+
+  /**
+   * Buy a listed token. The marketplace must be approved to transfer the
+   * price in the accepted token
+   * @param {string} collection - collection address
+   * @param {number|string|Object} tokenId - token id
+   * @param {number|string|Object} price - price of the order
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  executeOrder(collection, tokenId, price, txParams) {
+    return this.send(
+      'executeOrder',
+      [collection, toUint(tokenId), toUint(price)],
+      txParams
+    )
+  }
+
+  /**
+   * Bid for a token
+   * @param {string} collection - collection address
+   * @param {number|string|Object} tokenId - token id
+   * @param {number|string|Object} price - price offered
+   * @param {number|string|Object} expiresAt - expiration timestamp in seconds
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  placeBid(collection, tokenId, price, expiresAt, txParams) {
+    return this.send(
+      'placeBid',
+      [collection, toUint(tokenId), toUint(price), toUint(expiresAt)],
+      txParams
+    )
+  }
+
+  /**
+   * Bid for any issued token of an item
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @param {number|string|Object} price - price offered
+   * @param {number|string|Object} expiresAt - expiration timestamp in seconds
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  placeItemBid(collection, itemId, price, expiresAt, txParams) {
+    return this.send(
+      'placeItemBid',
+      [collection, toUint(itemId), toUint(price), toUint(expiresAt)],
+      txParams
+    )
+  }
+
+  /**
+   * Cancel the sender's bid for a token
+   * @param {string} collection - collection address
+   * @param {number|string|Object} tokenId - token id
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  cancelBid(collection, tokenId, txParams) {
+    return this.send('cancelBid', [collection, toUint(tokenId)], txParams)
+  }
+
+  /**
+   * Cancel the sender's bid for an item
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  cancelItemBid(collection, itemId, txParams) {
+    return this.send('cancelItemBid', [collection, toUint(itemId)], txParams)
+  }
+
+  /**
+   * Accept a bid for a token. Only the token's owner can do it
+   * @param {string} collection - collection address
+   * @param {number|string|Object} tokenId - token id
+   * @param {string} bidder - bidder
+   * @param {number|string|Object} price - price of the bid
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  acceptBid(collection, tokenId, bidder, price, txParams) {
+    return this.send(
+      'acceptBid',
+      [collection, toUint(tokenId), bidder, toUint(price)],
+      txParams
+    )
+  }
+
+  /**
+   * Accept a bid for an item with a token of the item. Only the token's owner
+   * can do it
+   * @param {string} collection - collection address
+   * @param {number|string|Object} tokenId - token id to sell
+   * @param {string} bidder - bidder
+   * @param {number|string|Object} price - price of the bid
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  acceptItemBid(collection, tokenId, bidder, price, txParams) {
+    return this.send(
+      'acceptItemBid',
+      [collection, toUint(tokenId), bidder, toUint(price)],
+      txParams
+    )
+  }
+
+  /**
+   * Get the current nonce of a seller. Only the orders signed with it are
+   * valid
+   * @param {string} seller - seller
+   * @return {Promise<string>} nonce
+   */
+  async getSellerNonce(seller) {
+    const [nonce] = await this.call('sellerNonces', [seller])
+
+    return nonce.toString()
+  }
+
+  /**
+   * Check whether a signed order was executed
+   * @param {string} orderHash - order hash. See hashSignedOrder
+   * @return {Promise<boolean>}
+   */
+  async isSignedOrderExecuted(orderHash) {
+    const [executed] = await this.call('executedSignedOrders', [orderHash])
+
+    return executed
+  }
+
+  /**
+   * Buy a token with an order signed by its seller. The marketplace must be
+   * approved to transfer the price in the order's token
+   * @param {SignedOrder} order - signed order
+   * @param {number|string|Object} tokenId - token id to buy. It must be the
+   * order's token, or a token of the order's item if the order has no token
+   * @param {string} signature - seller's signature. See signOrder
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  executeSignedOrder(order, tokenId, signature, txParams) {
+    return this.send(
+      'executeSignedOrder',
+      [toSignedOrder(order), toUint(tokenId), signature],
+      txParams
+    )
+  }
+
+  /**
+   * Cancel every order signed by the sender with its current nonce
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  bumpNonce(txParams) {
+    return this.send('bumpNonce', [], txParams)
+  }
+}
+
+CollectionMarketplace.ABI = COLLECTION_MARKETPLACE_ABI
+
+module.exports = {
+  CollectionMarketplace,
+  COLLECTION_MARKETPLACE_ABI,
+}
@@ -0,0 +1,542 @@
+const { BigNumber } = require('@ethersproject/bignumber')
+
+const { Contract } = require('./contract')
+const { toUint } = require('./utils')
+const { toVoucher } = require('./vouchers')
+
+const ITEM_TO_BUY =
+  'tuple(address collection, uint256[] ids, uint256[] prices, address[] beneficiaries)'
+
+const PRICE_CURVE =
+  'tuple(uint256 startTime, uint256 endTime, uint256 startPrice, uint256 endPrice, uint256 steps)'
+
+const TOKEN_PRICE = 'tuple(address token, uint256 price)'
+
+const VOUCHER =
+  'tuple(address collection, uint256 itemId, address beneficiary, uint256 price, uint256 nonce, uint256 expiry)'
+
+const COLLECTION_STORE_ABI = [
+  'function BASE_FEE() view returns (uint256)',
+  'function NATIVE_TOKEN() view returns (address)',
+  'function acceptedToken() view returns (address)',
+  'function fee() view returns (uint256)',
+  'function feeOwner() view returns (address)',
+  'function getItemBuyData(address _collection, uint256 _itemId) view returns (uint256, address)',
+  'function priceOracle() view returns (address)',
+  'function paymentTokens(address) view returns (bool)',
+  'function isPaymentToken(address _token) view returns (bool)',
+  'function getItemPaymentToken(address _collection, uint256 _itemId) view returns (address)',
+  'function getItemBuyDataInToken(address _collection, uint256 _itemId, address _paymentToken) view returns (uint256, address)',
+  'function itemTokenPrices(address, uint256) view returns (address token, uint256 price)',
+  `function setItemsTokenPrices(address _collection, uint256[] _itemIds, ${TOKEN_PRICE}[] _tokenPrices)`,
+  'function setPaymentTokens(address[] _tokens, bool[] _values)',
+  'function setPriceOracle(address _newPriceOracle)',
+  'function getItemPriceAt(address _collection, uint256 _itemId, uint256 _timestamp) view returns (uint256)',
+  'function itemPriceCurves(address, uint256) view returns (uint256 startTime, uint256 endTime, uint256 startPrice, uint256 endPrice, uint256 steps)',
+  `function setItemsPriceCurves(address _collection, uint256[] _itemIds, ${PRICE_CURVE}[] _priceCurves)`,
+  'function itemAllowlists(address, uint256) view returns (bytes32 root, uint256 maxPerWallet)',
+  'function allowlistPurchases(address, uint256, address) view returns (uint256)',
+  'function setItemsAllowlists(address _collection, uint256[] _itemIds, bytes32[] _roots, uint256[] _maxPerWallet)',
+  `function buy(${ITEM_TO_BUY}[] _itemsToBuy)`,
+  `function buyWithProofs(${ITEM_TO_BUY}[] _itemsToBuy, bytes32[][][] _proofs)`,
+  `function buyWithToken(address _paymentToken, ${ITEM_TO_BUY}[] _itemsToBuy, bytes32[][][] _proofs)`,
+  `function buyWithNative(${ITEM_TO_BUY}[] _itemsToBuy, bytes32[][][] _proofs) payable`,
+  'function nativeBalances(address) view returns (uint256)',
+  'function withdrawNative(address _to)',
+  'function VOUCHER_TYPEHASH() view returns (bytes32)',
+  'function usedVoucherNonces(address, uint256) view returns (bool)',
+  'function itemMinterRedeemedVouchers(address, uint256, address) view returns (uint256)',
+  `function redeemVoucher(${VOUCHER} _voucher, bytes _signature)`,
+  'function cancelVoucherNonces(uint256[] _nonces)',
+  'function getNonce(address) view returns (uint256)',
+  'function executeMetaTransaction(address userAddress, bytes functionSignature, bytes32 sigR, bytes32 sigS, uint8 sigV) payable returns (bytes)',
+  'event MetaTransactionExecuted(address userAddress, address relayerAddress, bytes functionSignature)',
+  `event Bought(${ITEM_TO_BUY}[] _itemsToBuy)`,
+  `event BoughtWithToken(address indexed _paymentToken, ${ITEM_TO_BUY}[] _itemsToBuy)`,
+  'event SetFee(uint256 _oldFee, uint256 _newFee)',
+  'event SetFeeOwner(address indexed _oldFeeOwner, address indexed _newFeeOwner)',
+  `event SetItemPriceCurve(address indexed _collection, uint256 indexed _itemId, ${PRICE_CURVE} _priceCurve)`,
+  'event SetItemAllowlist(address indexed _collection, uint256 indexed _itemId, bytes32 _root, uint256 _maxPerWallet)',
+  'event AllowlistLeafConsumed(address indexed _collection, uint256 indexed _itemId, address indexed _buyer, bytes32 _leaf, uint256 _purchases)',
+  'event VoucherRedeemed(address indexed _collection, uint256 indexed _itemId, address indexed _signer, address _beneficiary, uint256 _price, uint256 _nonce)',
+  'event VoucherNonceCancelled(address indexed _signer, uint256 _nonce)',
+  `event SetItemTokenPrice(address indexed _collection, uint256 indexed _itemId, ${TOKEN_PRICE} _tokenPrice)`,
+  'event SetPaymentToken(address indexed _token, bool _value)',
+  'event SetPriceOracle(address indexed _oldPriceOracle, address indexed _newPriceOracle)',
+  'event NativeBalanceCredited(address indexed _account, uint256 _amount)',
+  'event NativeBalanceWithdrawn(address indexed _account, address indexed _to, uint256 _amount)',
+]
+
+/**
+ * Items to buy from a collection. Arrays following the struct order are also
+ * accepted.
+ * @typedef {Object} ItemToBuy
+ * @property {string} collection - collection address
+ * @property {Array<number|string|Object>} ids - item ids
+ * @property {Array<number|string|Object>} prices - expected item prices
+ * @property {string[]} beneficiaries - owners of the tokens
+ */
+
+/**
+ * Normalize an item to buy to the struct expected by the contract
+ * @param {ItemToBuy|Array} itemToBuy - item to buy
+ * @return {ItemToBuy}
+ */
+function toItemToBuy(itemToBuy) {
+  const [collection, ids, prices, beneficiaries] = Array.isArray(itemToBuy)
+    ? itemToBuy
+    : [
+        itemToBuy.collection,
+        itemToBuy.ids,
+        itemToBuy.prices,
+        itemToBuy.beneficiaries,
+      ]
+
+  return {
+    collection,
+    ids: ids.map(toUint),
+    prices: prices.map(toUint),
+    beneficiaries,
+  }
+}
+
+/**
+ * Item price curve. Arrays following the struct order are also accepted.
+ * @typedef {Object} PriceCurve
+ * @property {number|string|Object} startTime - timestamp from which the price starts moving
+ * @property {number|string|Object} endTime - timestamp from which the price is the end price
+ * @property {number|string|Object} startPrice - price at the start time
+ * @property {number|string|Object} endPrice - price at the end time
+ * @property {number|string|Object} steps - amount of price changes. 0 for a linear curve
+ */
+
+/**
+ * Normalize a price curve to the struct expected by the contract
+ * @param {PriceCurve|Array} priceCurve - price curve
+ * @return {PriceCurve}
+ */
+function toPriceCurve(priceCurve) {
+  const [startTime, endTime, startPrice, endPrice, steps] = Array.isArray(
+    priceCurve
+  )
+    ? priceCurve
+    : [
+        priceCurve.startTime,
+        priceCurve.endTime,
+        priceCurve.startPrice,
+        priceCurve.endPrice,
+        priceCurve.steps,
+      ]
+
+  return {
+    startTime: toUint(startTime),
+    endTime: toUint(endTime),
+    startPrice: toUint(startPrice),
+    endPrice: toUint(endPrice),
+    steps: toUint(steps),
+  }
+}
+
+/**
+ * Item price denominated in a payment token. Arrays following the struct
+ * order are also accepted.
+ * @typedef {Object} TokenPrice
+ * @property {string} token - payment token address. The zero address to use
+ * the item's price set in the collection
+ * @property {number|string|Object} price - price in the token's base units
+ */
+
+/**
+ * Normalize a token price to the struct expected by the contract
+ * @param {TokenPrice|Array} tokenPrice - token price
+ * @return {TokenPrice}
+ */
+function toTokenPrice(tokenPrice) {
+  const [token, price] = Array.isArray(tokenPrice)
+    ? tokenPrice
+    : [tokenPrice.token, tokenPrice.price]
+
+  return { token, price: toUint(price) }
+}
+
+/**
+ * Client for the CollectionStore contract
+ */
+class CollectionStore extends Contract {
+  /**
+   * @param {string} address - store address
+   * @param {Object} provider - web3 instance or ethers provider/signer
+   */
+  constructor(address, provider) {
+    super(COLLECTION_STORE_ABI, address, provider)
+  }
+
+  /**
+   * Get item's price and beneficiary
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @return {Promise<Object>} price and beneficiary
+   */
+  async getItemBuyData(collection, itemId) {
+    const [price, beneficiary] = await this.call('getItemBuyData', [
+      collection,
+      toUint(itemId),
+    ])
+
+    return { price: price.toString(), beneficiary }
+  }
+
+  /**
+   * Get item's price in a payment token and beneficiary. Prices denominated
+   * in another token are converted through the store's price oracle
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @param {string} paymentToken - token to pay with
+   * @return {Promise<Object>} price and beneficiary
+   */
+  async getItemBuyDataInToken(collection, itemId, paymentToken) {
+    const [price, beneficiary] = await this.call('getItemBuyDataInToken', [
+      collection,
+      toUint(itemId),
+      paymentToken,
+    ])
+
+    return { price: price.toString(), beneficiary }
+  }
+
+  /**
+   * Get the token an item's price is denominated in
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @return {Promise<string>} token address
+   */
+  async getItemPaymentToken(collection, itemId) {
+    const [token] = await this.call('getItemPaymentToken', [
+      collection,
+      toUint(itemId),
+    ])
+
+    return token
+  }
+
+  /**
+   * Check whether a token can be used to pay
+   * @param {string} token - token address
+   * @return {Promise<boolean>}
+   */
+  async isPaymentToken(token) {
+    const [isPaymentToken] = await this.call('isPaymentToken', [token])
+    return isPaymentToken
+  }
+
+  /**
+   * Set prices denominated in payment tokens for collection's items. Only the
+   * collection's creator can do it
+   * @param {string} collection - collection address
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {Array<TokenPrice|Array>} tokenPrices - token prices
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setItemsTokenPrices(collection, itemIds, tokenPrices, txParams) {
+    return this.send(
+      'setItemsTokenPrices',
+      [collection, itemIds.map(toUint), tokenPrices.map(toTokenPrice)],
+      txParams
+    )
+  }
+
+  /**
+   * Quote an item's price at a given time
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @param {number|string|Object} timestamp - time in seconds
+   * @return {Promise<string>} price
+   */
+  async getItemPriceAt(collection, itemId, timestamp) {
+    const [price] = await this.call('getItemPriceAt', [
+      collection,
+      toUint(itemId),
+      toUint(timestamp),
+    ])
+
+    return price.toString()
+  }
+
+  /**
+   * Get item's price curve
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @return {Promise<PriceCurve|null>} price curve or null if the item has not one
+   */
+  async getItemPriceCurve(collection, itemId) {
+    const curve = await this.call('itemPriceCurves', [
+      collection,
+      toUint(itemId),
+    ])
+
+    if (curve.endTime.isZero()) {
+      return null
+    }
+
+    return {
+      startTime: curve.startTime.toString(),
+      endTime: curve.endTime.toString(),
+      startPrice: curve.startPrice.toString(),
+      endPrice: curve.endPrice.toString(),
+      steps: curve.steps.toString(),
+    }
+  }
+
+  /**
+   * Set price curves for collection's items. Only the collection's creator
+   * can do it
+   * @param {string} collection - collection address
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {Array<PriceCurve|Array>} priceCurves - price curves
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setItemsPriceCurves(collection, itemIds, priceCurves, txParams) {
+    return this.send(
+      'setItemsPriceCurves',
+      [collection, itemIds.map(toUint), priceCurves.map(toPriceCurve)],
+      txParams
+    )
+  }
+
+  /**
+   * Get item's allowlist
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @return {Promise<Object|null>} root and max per wallet or null if the item has not one
+   */
+  async getItemAllowlist(collection, itemId) {
+    const { root, maxPerWallet } = await this.call('itemAllowlists', [
+      collection,
+      toUint(itemId),
+    ])
+
+    if (BigNumber.from(root).isZero()) {
+      return null
+    }
+
+    return { root, maxPerWallet: maxPerWallet.toString() }
+  }
+
+  /**
+   * Get the amount of items bought by a wallet through an item's allowlist
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @param {string} buyer - wallet address
+   * @return {Promise<string>} amount of items bought
+   */
+  async getAllowlistPurchases(collection, itemId, buyer) {
+    const [purchases] = await this.call('allowlistPurchases', [
+      collection,
+      toUint(itemId),
+      buyer,
+    ])
+
+    return purchases.toString()
+  }
+
+  /**
+   * Set allowlists for collection's items. Only the collection's creator can
+   * do it. Roots can be built with `createAllowlist`
+   * @param {string} collection - collection address
+   * @param {Array<number|string|Object>} itemIds - item ids
+   * @param {string[]} roots - Merkle roots
+   * @param {Array<number|string|Object>} maxPerWallet - caps per wallet. 0 for no cap
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setItemsAllowlists(collection, itemIds, roots, maxPerWallet, txParams) {
+    return this.send(
+      'setItemsAllowlists',
+      [collection, itemIds.map(toUint), roots, maxPerWallet.map(toUint)],
+      txParams
+    )
+  }
+
+  /**
+   * Get the fee charged for a sale
+   * @param {number|string|Object} price - sale price
+   * @return {Promise<string>} fee
+   */
+  async getSaleFee(price) {
+    const [fee] = await this.call('fee')
+    const [baseFee] = await this.call('BASE_FEE')
+
+    return fee.mul(toUint(price)).div(baseFee).toString()
+  }
+
+  /**
+   * Get the total amount of a payment token to be paid for a purchase
+   * @param {Array<ItemToBuy|Array>} itemsToBuy - items to buy
+   * @param {string} [paymentToken] - token to pay with. The accepted token
+   * by default
+   * @return {Promise<string>} total price
+   */
+  async getTotalPrice(itemsToBuy, paymentToken) {
+    const [token] = paymentToken
+      ? [paymentToken]
+      : await this.call('acceptedToken')
+    let total = BigNumber.from(0)
+
+    for (const { collection, ids } of itemsToBuy.map(toItemToBuy)) {
+      for (const id of ids) {
+        const { price } = await this.getItemBuyDataInToken(
+          collection,
+          id,
+          token
+        )
+        total = total.add(price)
+      }
+    }
+
+    return total.toString()
+  }
+
+  /**
+   * Buy collection's items
+   * @param {Array<ItemToBuy|Array>} itemsToBuy - items to buy
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  buy(itemsToBuy, txParams) {
+    return this.send('buy', [itemsToBuy.map(toItemToBuy)], txParams)
+  }
+
+  /**
+   * Buy collection's items with allowlists proofs
+   * @param {Array<ItemToBuy|Array>} itemsToBuy - items to buy
+   * @param {Array<Array<string[]>>} proofs - a proof for each item id to buy.
+   * Empty for items without an allowlist
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  buyWithProofs(itemsToBuy, proofs, txParams) {
+    return this.send(
+      'buyWithProofs',
+      [itemsToBuy.map(toItemToBuy), proofs],
+      txParams
+    )
+  }
+
+  /**
+   * Buy collection's items paying with a payment token
+   * @param {string} paymentToken - token to pay with
+   * @param {Array<ItemToBuy|Array>} itemsToBuy - items to buy. Prices of
+   * items denominated in another token are the maximum to pay
+   * @param {Array<Array<string[]>>} [proofs] - a proof for each item id to
+   * buy, as in `buyWithProofs`. Empty if no item has an allowlist
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  buyWithToken(paymentToken, itemsToBuy, proofs = [], txParams) {
+    return this.send(
+      'buyWithToken',
+      [paymentToken, itemsToBuy.map(toItemToBuy), proofs],
+      txParams
+    )
+  }
+
+  /**
+   * Buy collection's items paying with the native currency. The value over
+   * the total price is refunded. It can not be sent as a meta transaction
+   * @param {Array<ItemToBuy|Array>} itemsToBuy - items to buy. Prices of
+   * items denominated in another token are the maximum to pay
+   * @param {Array<Array<string[]>>} [proofs] - a proof for each item id to
+   * buy, as in `buyWithProofs`. Empty if no item has an allowlist
+   * @param {Object} txParams - transaction params. `value` is the amount of
+   * native currency to pay, which can be quoted with
+   * `getTotalPrice(itemsToBuy, NATIVE_TOKEN)`
+   * @return {Promise<Receipt>}
+   */
+  buyWithNative(itemsToBuy, proofs = [], txParams) {
+    return this.send(
+      'buyWithNative',
+      [itemsToBuy.map(toItemToBuy), proofs],
+      txParams
+    )
+  }
+
+  /**
+   * Get the native currency credited to an account which could not receive it
+   * @param {string} account - account address
+   * @return {Promise<string>}
+   */
+  async getNativeBalance(account) {
+    const [balance] = await this.call('nativeBalances', [account])
+    return balance.toString()
+  }
+
+  /**
+   * Withdraw the native currency credited to the sender
+   * @param {string} to - address to send the native currency to
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  withdrawNative(to, txParams) {
+    return this.send('withdrawNative', [to], txParams)
+  }
+
+  /**
+   * Check whether a voucher nonce of a signer was redeemed or cancelled
+   * @param {string} signer - voucher signer
+   * @param {number|string|Object} nonce - voucher nonce
+   * @return {Promise<boolean>}
+   */
+  async isVoucherNonceUsed(signer, nonce) {
+    const [used] = await this.call('usedVoucherNonces', [signer, toUint(nonce)])
+    return used
+  }
+
+  /**
+   * Get the amount of vouchers of an item signed by an item minter that were redeemed
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @param {string} minter - item minter
+   * @return {Promise<string>}
+   */
+  async getItemMinterRedeemedVouchers(collection, itemId, minter) {
+    const [redeemed] = await this.call('itemMinterRedeemedVouchers', [
+      collection,
+      toUint(itemId),
+      minter,
+    ])
+    return redeemed.toString()
+  }
+
+  /**
+   * Redeem a voucher signed with `signVoucher`
+   * @param {Voucher} voucher - voucher
+   * @param {string} signature - voucher signature
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  redeemVoucher(voucher, signature, txParams) {
+    return this.send('redeemVoucher', [toVoucher(voucher), signature], txParams)
+  }
+
+  /**
+   * Cancel vouchers signed by the sender
+   * @param {Array<number|string|Object>} nonces - voucher nonces
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  cancelVoucherNonces(nonces, txParams) {
+    return this.send('cancelVoucherNonces', [nonces.map(toUint)], txParams)
+  }
+}
+
+CollectionStore.ABI = COLLECTION_STORE_ABI
+
+module.exports = {
+  CollectionStore,
+  COLLECTION_STORE_ABI,
+  toItemToBuy,
+  toPriceCurve,
+  toTokenPrice,
+}
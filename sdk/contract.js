@@ -0,0 +1,95 @@
+const { Interface } = require('@ethersproject/abi')
+
+const { getTransport } = require('./transport')
+
+/**
+ * Base client for a deployed contract. It encodes calls with the contract
+ * ABI and relies on the transport to reach the network.
+ */
+class Contract {
+  /**
+   * @param {string[]} abi - human readable ABI
+   * @param {string} address - contract address
+   * @param {Object} provider - web3 instance or ethers provider/signer
+   */
+  constructor(abi, address, provider) {
+    this.interface = new Interface(abi)
+    this.address = address
+    this.transport = getTransport(provider)
+  }
+
+  /**
+   * Encode a function call
+   * @param {string} method - function name or signature
+   * @param {Array} args - function arguments
+   * @return {string} call data
+   */
+  encode(method, args = []) {
+    return this.interface.encodeFunctionData(method, args)
+  }
+
+  /**
+   * Call a view function
+   * @param {string} method - function name or signature
+   * @param {Array} args - function arguments
+   * @return {Promise<Object>} decoded result
+   */
+  async call(method, args = []) {
+    const data = await this.transport.call({
+      to: this.address,
+      data: this.encode(method, args),
+    })
+
+    return this.interface.decodeFunctionResult(method, data)
+  }
+
+  /**
+   * Send a transaction
+   * @param {string} method - function name or signature
+   * @param {Array} args - function arguments
+   * @param {Object} txParams - from, gas, gasPrice, etc.
+   * @return {Promise<Receipt>} receipt with the contract events decoded
+   */
+  async send(method, args = [], txParams = {}) {
+    const receipt = await this.transport.sendTransaction({
+      ...txParams,
+      to: this.address,
+      data: this.encode(method, args),
+    })
+
+    return { ...receipt, events: this.parseLogs(receipt.logs) }
+  }
+
+  /**
+   * Decode the logs emitted by this contract
+   * @param {Object[]} logs - raw logs
+   * @return {Object[]} events: { event, args, address, logIndex }
+   */
+  parseLogs(logs) {
+    const events = []
+
+    for (const log of logs) {
+      if (log.address.toLowerCase() !== this.address.toLowerCase()) {
+        continue
+      }
+
+      try {
+        const { name, args } = this.interface.parseLog(log)
+        events.push({
+          event: name,
+          args,
+          address: log.address,
+          logIndex: log.logIndex,
+        })
+      } catch (e) {
+        // Unknown event for this ABI
+      }
+    }
+
+    return events
+  }
+}
+
+module.exports = {
+  Contract,
+}
@@ -0,0 +1,63 @@
+const { BurningStoreV2, BURNING_STORE_V2_ABI } = require('./burningStore')
+const { CollectionV2, COLLECTION_V2_ABI } = require('./collection')
+const {
+  CollectionFactoryV2,
+  COLLECTION_FACTORY_V2_ABI,
+} = require('./collectionFactory')
+const {
+  CollectionManager,
+  COLLECTION_MANAGER_ABI,
+} = require('./collectionManager')
+const { CollectionStore, COLLECTION_STORE_ABI } = require('./collectionStore')
+const {
+  CollectionCrafting,
+  COLLECTION_CRAFTING_ABI,
+} = require('./collectionCrafting')
+const {
+  CollectionMarketplace,
+  COLLECTION_MARKETPLACE_ABI,
+} = require('./collectionMarketplace')
+const { Contract } = require('./contract')
+const { Indexer, MemoryStore, JsonFileStore } = require('./indexer')
+const {
+  ItemMetadataValidator,
+  ITEM_METADATA_VALIDATOR_ABI,
+} = require('./itemMetadataValidator')
+const merkle = require('./merkle')
+const { Rarities, RARITIES_ABI } = require('./rarities')
+const { getTransport } = require('./transport')
+const signedOrders = require('./signedOrders')
+const metaTx = require('./metaTx')
+const utils = require('./utils')
+const vouchers = require('./vouchers')
+
+module.exports = {
+  CollectionV2,
+  CollectionFactoryV2,
+  CollectionManager,
+  CollectionStore,
+  CollectionCrafting,
+  BurningStoreV2,
+  CollectionMarketplace,
+  Contract,
+  Indexer,
+  MemoryStore,
+  JsonFileStore,
+  ItemMetadataValidator,
+  Rarities,
+  COLLECTION_V2_ABI,
+  COLLECTION_FACTORY_V2_ABI,
+  COLLECTION_MANAGER_ABI,
+  COLLECTION_STORE_ABI,
+  COLLECTION_CRAFTING_ABI,
+  BURNING_STORE_V2_ABI,
+  COLLECTION_MARKETPLACE_ABI,
+  ITEM_METADATA_VALIDATOR_ABI,
+  RARITIES_ABI,
+  getTransport,
+  ...merkle,
+  ...metaTx,
+  ...signedOrders,
+  ...utils,
+  ...vouchers,
+}
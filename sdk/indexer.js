@@ -0,0 +1,829 @@
+const { Interface } = require('@ethersproject/abi')
+const { BigNumber } = require('@ethersproject/bignumber')
+
+const { COLLECTION_V2_ABI } = require('./collection')
+const { COLLECTION_FACTORY_V2_ABI } = require('./collectionFactory')
+const { COLLECTION_STORE_ABI } = require('./collectionStore')
+const { COLLECTION_MANAGER_ABI } = require('./collectionManager')
+const { getTransport } = require('./transport')
+
+const COMMITTEE_ABI = [
+  'event ProposalCreated(uint256 indexed _proposalId, address indexed _proposer, address _collectionManager, address _forwarder, address _collection, bytes _data, uint256 _deadline)',
+  'event ProposalVoted(uint256 indexed _proposalId, address indexed _voter, uint256 _votes)',
+  'event ProposalExecuted(uint256 indexed _proposalId)',
+  'event ProposalExpired(uint256 indexed _proposalId)',
+  'event CollectionReviewed(address indexed _collection, uint256 indexed _proposalId, address indexed _reviewer, uint256 _reviewId, bool _approved, bool _queued, uint256 _actionId, uint256 _reasonCode, string _reasonURI)',
+  'event CollectionAppealed(address indexed _collection, address indexed _creator, uint256 _reviewId, string _reasonURI)',
+]
+
+// Events indexed by kind of source
+const SOURCES = {
+  factory: {
+    abi: COLLECTION_FACTORY_V2_ABI,
+    events: [
+      'ProxyCreated',
+      'ImplementationAdded',
+      'MigrationRequested',
+      'CollectionMigrated',
+    ],
+  },
+  collection: {
+    abi: COLLECTION_V2_ABI,
+    events: [
+      'AddItem',
+      'Issue',
+      'Burn',
+      'SetItemReissuable',
+      'UpdateItemData',
+      'RescueItem',
+      'SetItemMaxSupply',
+      'SetApproved',
+      'CreatorshipTransferred',
+      'Complete',
+    ],
+  },
+  store: {
+    abi: COLLECTION_STORE_ABI,
+    events: ['Bought', 'BoughtWithToken'],
+  },
+  committee: {
+    abi: COMMITTEE_ABI,
+    events: [
+      'ProposalCreated',
+      'ProposalVoted',
+      'ProposalExecuted',
+      'ProposalExpired',
+      'CollectionReviewed',
+      'CollectionAppealed',
+    ],
+  },
+  manager: {
+    abi: COLLECTION_MANAGER_ABI,
+    events: [
+      'CommitteeActionQueued',
+      'CommitteeActionExecuted',
+      'CommitteeActionCancelled',
+    ],
+  },
+}
+
+const STATE_VERSION = 1
+
+/**
+ * Indexed event
+ * @typedef {Object} IndexedEvent
+ * @property {string} source - factory, collection, store, committee or manager
+ * @property {string} event - event name
+ * @property {string} address - emitter address, lower case
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {number} timestamp - block timestamp in seconds
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {Object} args - event args. Numbers are decimal strings
+ */
+
+/**
+ * Indexer state. It is plain JSON so stores can persist it as is
+ * @typedef {Object} IndexerState
+ * @property {number} version - state format version
+ * @property {number} lastBlock - last block indexed. -1 if none
+ * @property {Object<number, string>} blocks - hashes of the recent blocks indexed, used to detect reorgs
+ * @property {Object<string, string>} creators - creator of each collection read when it was found
+ * @property {IndexedEvent[]} events - events sorted by block and log index
+ */
+
+function emptyState(fromBlock) {
+  return {
+    version: STATE_VERSION,
+    lastBlock: fromBlock - 1,
+    blocks: {},
+    creators: {},
+    events: [],
+  }
+}
+
+function toJSONValue(value, param) {
+  if (param.baseType === 'array') {
+    return value.map((item) => toJSONValue(item, param.arrayChildren))
+  }
+
+  if (param.baseType === 'tuple') {
+    const tuple = {}
+    param.components.forEach((component, i) => {
+      tuple[component.name] = toJSONValue(value[i], component)
+    })
+    return tuple
+  }
+
+  if (BigNumber.isBigNumber(value)) {
+    return value.toString()
+  }
+
+  if (param.type === 'address') {
+    return value.toLowerCase()
+  }
+
+  return value
+}
+
+function toJSONArgs(args, fragment) {
+  const json = {}
+  fragment.inputs.forEach((input, i) => {
+    json[input.name] = toJSONValue(args[i], input)
+  })
+  return json
+}
+
+function lower(address) {
+  return address ? address.toLowerCase() : address
+}
+
+function matches(value, expected) {
+  return expected === undefined || lower(`${value}`) === lower(`${expected}`)
+}
+
+/**
+ * Store which keeps the state in memory
+ */
+class MemoryStore {
+  /**
+   * @param {IndexerState} state - initial state
+   */
+  constructor(state) {
+    this.state = state
+  }
+
+  /**
+   * @return {Promise<IndexerState|undefined>}
+   */
+  async load() {
+    return this.state && JSON.parse(JSON.stringify(this.state))
+  }
+
+  /**
+   * @param {IndexerState} state
+   */
+  async save(state) {
+    this.state = JSON.parse(JSON.stringify(state))
+  }
+}
+
+/**
+ * Store which persists the state in a JSON file
+ */
+class JsonFileStore {
+  /**
+   * @param {string} path - file path
+   */
+  constructor(path) {
+    this.path = path
+  }
+
+  /**
+   * @return {Promise<IndexerState|undefined>}
+   */
+  async load() {
+    const fs = require('fs')
+
+    if (!fs.existsSync(this.path)) {
+      return
+    }
+
+    return JSON.parse(fs.readFileSync(this.path, 'utf8'))
+  }
+
+  /**
+   * Write to a temporary file first so the state is never left half written
+   * @param {IndexerState} state
+   */
+  async save(state) {
+    const fs = require('fs')
+    const tmp = `${this.path}.tmp`
+
+    fs.writeFileSync(tmp, JSON.stringify(state))
+    fs.renameSync(tmp, this.path)
+  }
+}
+
+/**
+ * Index the events of a collection factory and its collections, stores, committees and collection managers.
+ * Collections are found through the `ProxyCreated` events of the factory.
+ */
+class Indexer {
+  /**
+   * @param {Object} options
+   * @param {Object} options.provider - web3 instance or ethers provider/signer
+   * @param {string} options.factory - ERC721CollectionFactoryV2 address
+   * @param {string[]} options.stores - CollectionStore addresses
+   * @param {string[]} options.committees - Committee addresses
+   * @param {string[]} options.managers - CollectionManager addresses
+   * @param {number} options.fromBlock - first block to index. Usually the factory deployment block
+   * @param {Object} options.store - where the state is kept: MemoryStore by default
+   * @param {number} options.batchSize - amount of blocks per eth_getLogs call
+   * @param {number} options.confirmations - blocks to wait before indexing a block
+   * @param {number} options.reorgDepth - amount of recent block hashes kept to detect reorgs
+   */
+  constructor({
+    provider,
+    factory,
+    stores = [],
+    committees = [],
+    managers = [],
+    fromBlock = 0,
+    store = new MemoryStore(),
+    batchSize = 1000,
+    confirmations = 0,
+    reorgDepth = 64,
+  }) {
+    this.transport = getTransport(provider)
+    this.store = store
+    this.fromBlock = fromBlock
+    this.batchSize = batchSize
+    this.confirmations = confirmations
+    this.reorgDepth = reorgDepth
+    this.state = null
+
+    this.addresses = {
+      factory: new Set([lower(factory)]),
+      store: new Set(stores.map(lower)),
+      committee: new Set(committees.map(lower)),
+      manager: new Set(managers.map(lower)),
+    }
+
+    // topic => { source, fragment, interface }
+    this.topics = {}
+
+    for (const source of Object.keys(SOURCES)) {
+      const iface = new Interface(SOURCES[source].abi)
+
+      for (const name of SOURCES[source].events) {
+        const fragment = iface.getEvent(name)
+        this.topics[iface.getEventTopic(fragment)] = {
+          source,
+          fragment,
+          interface: iface,
+        }
+      }
+    }
+  }
+
+  /**
+   * Index the blocks from the last one indexed up to `toBlock`.
+   * If a reorg is detected, the events of the blocks reorganized are removed and indexed again
+   * @param {number} toBlock - last block to index. The latest confirmed block by default
+   * @return {Promise<Object>} { fromBlock, toBlock, events, removed }: amount of events added and removed
+   */
+  async sync(toBlock) {
+    const state = await this._getState()
+
+    if (toBlock === undefined) {
+      toBlock = (await this.transport.getBlockNumber()) - this.confirmations
+    }
+
+    const removed = await this._handleReorg(state)
+    const fromBlock = state.lastBlock + 1
+    let added = 0
+
+    for (let start = fromBlock; start <= toBlock; start += this.batchSize) {
+      const end = Math.min(start + this.batchSize - 1, toBlock)
+
+      added += await this._indexRange(state, start, end)
+
+      state.lastBlock = end
+      state.blocks[end] = (await this.transport.getBlock(end)).hash
+      this._pruneBlocks(state)
+
+      await this.store.save(state)
+    }
+
+    return { fromBlock, toBlock, events: added, removed }
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.source - factory, collection, store, committee or manager
+   * @param {string} filters.event - event name
+   * @param {string} filters.address - emitter address
+   * @return {Promise<IndexedEvent[]>}
+   */
+  async getEvents({ source, event, address } = {}) {
+    const state = await this._getState()
+
+    return state.events.filter(
+      (e) =>
+        matches(e.source, source) &&
+        matches(e.event, event) &&
+        matches(e.address, address)
+    )
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.creator - current creator
+   * @param {boolean} filters.isApproved
+   * @return {Promise<Object[]>} collections: { address, salt, creator, isApproved, isCompleted, itemsCount, mintsCount, createdAt, blockNumber, transactionHash }
+   */
+  async getCollections({ creator, isApproved } = {}) {
+    const state = await this._getState()
+    const collections = {}
+
+    for (const e of state.events) {
+      if (e.source === 'factory' && e.event === 'ProxyCreated') {
+        const address = e.args._address
+
+        collections[address] = {
+          address,
+          salt: e.args._salt,
+          creator: state.creators[address],
+          isApproved: false,
+          isCompleted: false,
+          itemsCount: 0,
+          mintsCount: 0,
+          createdAt: e.timestamp,
+          blockNumber: e.blockNumber,
+          transactionHash: e.transactionHash,
+        }
+        continue
+      }
+
+      const collection = e.source === 'collection' && collections[e.address]
+
+      if (!collection) {
+        continue
+      }
+
+      switch (e.event) {
+        case 'AddItem':
+          collection.itemsCount++
+          break
+        case 'Issue':
+          collection.mintsCount++
+          break
+        case 'SetApproved':
+          collection.isApproved = e.args._newValue
+          break
+        case 'CreatorshipTransferred':
+          collection.creator = e.args._newCreator
+          break
+        case 'Complete':
+          collection.isCompleted = true
+          break
+      }
+    }
+
+    return Object.values(collections).filter(
+      (collection) =>
+        matches(collection.creator, creator) &&
+        (isApproved === undefined || collection.isApproved === isApproved)
+    )
+  }
+
+  /**
+   * @param {string} collection - collection address
+   * @return {Promise<Object[]>} items: { collection, itemId, rarity, maxSupply, totalSupply, burnedSupply, isReissuable, price, beneficiary, metadata, contentHash }
+   */
+  async getItems(collection) {
+    const events = await this.getEvents({
+      source: 'collection',
+      address: collection,
+    })
+    const items = {}
+
+    for (const e of events) {
+      const item = items[e.args._itemId]
+
+      switch (e.event) {
+        case 'AddItem':
+          items[e.args._itemId] = {
+            collection: e.address,
+            itemId: e.args._itemId,
+            ...e.args._item,
+            totalSupply: '0',
+            burnedSupply: '0',
+            isReissuable: false,
+          }
+          break
+        case 'Issue':
+          item.totalSupply = BigNumber.from(item.totalSupply).add(1).toString()
+          break
+        case 'Burn':
+          item.burnedSupply = BigNumber.from(item.burnedSupply)
+            .add(1)
+            .toString()
+          // Burns of reissuable items free their supply
+          if (item.isReissuable) {
+            item.totalSupply = BigNumber.from(item.totalSupply)
+              .sub(1)
+              .toString()
+          }
+          break
+        case 'SetItemReissuable':
+          item.isReissuable = e.args._value
+          break
+        case 'UpdateItemData':
+          item.price = e.args._price
+          item.beneficiary = e.args._beneficiary
+          item.metadata = e.args._metadata
+          break
+        case 'RescueItem':
+          item.contentHash = e.args._contentHash
+          item.metadata = e.args._metadata
+          break
+        case 'SetItemMaxSupply':
+          item.maxSupply = e.args._maxSupply
+          break
+      }
+    }
+
+    return Object.values(items)
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.collection - collection address
+   * @param {string} filters.itemId
+   * @param {string} filters.beneficiary
+   * @param {string} filters.caller - minter, e.g. a store
+   * @return {Promise<Object[]>} mints: { collection, itemId, tokenId, issuedId, beneficiary, caller, blockNumber, timestamp, transactionHash }
+   */
+  async getMints({ collection, itemId, beneficiary, caller } = {}) {
+    const events = await this.getEvents({
+      source: 'collection',
+      event: 'Issue',
+      address: collection,
+    })
+
+    return events
+      .map((e) => ({
+        collection: e.address,
+        itemId: e.args._itemId,
+        tokenId: e.args._tokenId,
+        issuedId: e.args._issuedId,
+        beneficiary: e.args._beneficiary,
+        caller: e.args._caller,
+        blockNumber: e.blockNumber,
+        timestamp: e.timestamp,
+        transactionHash: e.transactionHash,
+      }))
+      .filter(
+        (mint) =>
+          matches(mint.itemId, itemId) &&
+          matches(mint.beneficiary, beneficiary) &&
+          matches(mint.caller, caller)
+      )
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.collection - collection address
+   * @param {string} filters.itemId
+   * @param {string} filters.owner - owner of the token burned
+   * @return {Promise<Object[]>} burns: { collection, itemId, tokenId, owner, caller, blockNumber, timestamp, transactionHash }
+   */
+  async getBurns({ collection, itemId, owner } = {}) {
+    const events = await this.getEvents({
+      source: 'collection',
+      event: 'Burn',
+      address: collection,
+    })
+
+    return events
+      .map((e) => ({
+        collection: e.address,
+        itemId: e.args._itemId,
+        tokenId: e.args._tokenId,
+        owner: e.args._owner,
+        caller: e.args._caller,
+        blockNumber: e.blockNumber,
+        timestamp: e.timestamp,
+        transactionHash: e.transactionHash,
+      }))
+      .filter(
+        (burn) => matches(burn.itemId, itemId) && matches(burn.owner, owner)
+      )
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.store - store address
+   * @param {string} filters.collection - collection address
+   * @param {string} filters.beneficiary
+   * @return {Promise<Object[]>} purchases, one per item bought: { store, collection, itemId, price, paymentToken, beneficiary, blockNumber, timestamp, transactionHash }.
+   * The payment token is null for purchases paid with the store's accepted token
+   */
+  async getPurchases({ store, collection, beneficiary } = {}) {
+    const events = (
+      await this.getEvents({ source: 'store', address: store })
+    ).filter(({ event }) => event === 'Bought' || event === 'BoughtWithToken')
+    const purchases = []
+
+    for (const e of events) {
+      for (const itemToBuy of e.args._itemsToBuy) {
+        itemToBuy.ids.forEach((itemId, i) => {
+          purchases.push({
+            store: e.address,
+            collection: itemToBuy.collection,
+            itemId,
+            price: itemToBuy.prices[i],
+            paymentToken: e.args._paymentToken || null,
+            beneficiary: itemToBuy.beneficiaries[i],
+            blockNumber: e.blockNumber,
+            timestamp: e.timestamp,
+            transactionHash: e.transactionHash,
+          })
+        })
+      }
+    }
+
+    return purchases.filter(
+      (purchase) =>
+        matches(purchase.collection, collection) &&
+        matches(purchase.beneficiary, beneficiary)
+    )
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.committee - committee address
+   * @param {string} filters.collection - collection address
+   * @return {Promise<Object[]>} proposals: { committee, proposalId, proposer, collectionManager, forwarder, collection, data, deadline, voters, status }.
+   * The status is open, executed or expired
+   */
+  async getProposals({ committee, collection } = {}) {
+    const events = await this.getEvents({
+      source: 'committee',
+      address: committee,
+    })
+    const proposals = {}
+
+    for (const e of events) {
+      const key = `${e.address}-${e.args._proposalId}`
+      const proposal = proposals[key]
+
+      switch (e.event) {
+        case 'ProposalCreated':
+          proposals[key] = {
+            committee: e.address,
+            proposalId: e.args._proposalId,
+            proposer: e.args._proposer,
+            collectionManager: e.args._collectionManager,
+            forwarder: e.args._forwarder,
+            collection: e.args._collection,
+            data: e.args._data,
+            deadline: e.args._deadline,
+            voters: [],
+            status: 'open',
+          }
+          break
+        case 'ProposalVoted':
+          proposal.voters.push(e.args._voter)
+          break
+        case 'ProposalExecuted':
+          proposal.status = 'executed'
+          break
+        case 'ProposalExpired':
+          proposal.status = 'expired'
+          break
+      }
+    }
+
+    return Object.values(proposals).filter((proposal) =>
+      matches(proposal.collection, collection)
+    )
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.committee - committee address
+   * @param {string} filters.collection - collection address
+   * @return {Promise<Object[]>} reviews: { committee, collection, reviewId, kind, author, proposalId, queued, actionId, reasonCode, reasonURI, timestamp }, from the oldest to the newest.
+   * The kind is approval, rejection or appeal. Appeals have no proposal id, committee action nor reason code.
+   * Decisions queued by the collection manager have the id of the committee action which applies them
+   */
+  async getReviews({ committee, collection } = {}) {
+    const events = await this.getEvents({
+      source: 'committee',
+      address: committee,
+    })
+
+    return events
+      .filter(
+        (e) =>
+          (e.event === 'CollectionReviewed' ||
+            e.event === 'CollectionAppealed') &&
+          matches(e.args._collection, collection)
+      )
+      .map((e) => {
+        const isAppeal = e.event === 'CollectionAppealed'
+
+        return {
+          committee: e.address,
+          collection: e.args._collection,
+          reviewId: e.args._reviewId,
+          kind: isAppeal
+            ? 'appeal'
+            : e.args._approved
+            ? 'approval'
+            : 'rejection',
+          author: isAppeal ? e.args._creator : e.args._reviewer,
+          proposalId: isAppeal ? null : e.args._proposalId,
+          queued: isAppeal ? false : e.args._queued,
+          actionId: isAppeal || !e.args._queued ? null : e.args._actionId,
+          reasonCode: isAppeal ? null : e.args._reasonCode,
+          reasonURI: e.args._reasonURI,
+          timestamp: e.timestamp,
+        }
+      })
+  }
+
+  /**
+   * @param {Object} filters
+   * @param {string} filters.manager - collection manager address
+   * @param {string} filters.collection - collection address
+   * @param {string} filters.creator - creator of the collection
+   * @return {Promise<Object[]>} committee actions: { manager, actionId, creator, collection, forwarder, data, eta, status }.
+   * The status is queued, executed or cancelled
+   */
+  async getCommitteeActions({ manager, collection, creator } = {}) {
+    const events = await this.getEvents({
+      source: 'manager',
+      address: manager,
+    })
+    const actions = {}
+
+    for (const e of events) {
+      const key = `${e.address}-${e.args._actionId}`
+      const action = actions[key]
+
+      switch (e.event) {
+        case 'CommitteeActionQueued':
+          actions[key] = {
+            manager: e.address,
+            actionId: e.args._actionId,
+            creator: e.args._creator,
+            collection: e.args._collection,
+            forwarder: e.args._forwarder,
+            data: e.args._data,
+            eta: e.args._eta,
+            status: 'queued',
+          }
+          break
+        case 'CommitteeActionExecuted':
+          action.status = 'executed'
+          break
+        case 'CommitteeActionCancelled':
+          action.status = 'cancelled'
+          break
+      }
+    }
+
+    return Object.values(actions).filter(
+      (action) =>
+        matches(action.collection, collection) &&
+        matches(action.creator, creator)
+    )
+  }
+
+  async _getState() {
+    if (!this.state) {
+      const state = await this.store.load()
+
+      if (state && state.version !== STATE_VERSION) {
+        throw new Error('Indexer: INVALID_STATE_VERSION')
+      }
+
+      this.state = state || emptyState(this.fromBlock)
+    }
+
+    return this.state
+  }
+
+  /**
+   * Look for the last block indexed which is still in the chain and remove every event after it
+   * @return {Promise<number>} amount of events removed
+   */
+  async _handleReorg(state) {
+    const numbers = Object.keys(state.blocks)
+      .map(Number)
+      .sort((a, b) => b - a)
+
+    let ancestor = this.fromBlock - 1
+
+    for (const number of numbers) {
+      const block = await this.transport.getBlock(number)
+
+      if (block && block.hash === state.blocks[number]) {
+        ancestor = number
+        break
+      }
+
+      delete state.blocks[number]
+    }
+
+    if (numbers.length === 0 || ancestor === state.lastBlock) {
+      return 0
+    }
+
+    const count = state.events.length
+    state.events = state.events.filter((e) => e.blockNumber <= ancestor)
+    state.lastBlock = ancestor
+
+    await this.store.save(state)
+
+    return count - state.events.length
+  }
+
+  /**
+   * Index the events between two blocks, both included
+   * @return {Promise<number>} amount of events added
+   */
+  async _indexRange(state, fromBlock, toBlock) {
+    const logs = await this.transport.getLogs({
+      fromBlock,
+      toBlock,
+      topics: [Object.keys(this.topics)],
+    })
+
+    logs.sort(
+      (a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex
+    )
+
+    const collections = new Set(
+      state.events
+        .filter((e) => e.source === 'factory' && e.event === 'ProxyCreated')
+        .map((e) => e.args._address)
+    )
+    const timestamps = {}
+    let added = 0
+
+    for (const log of logs) {
+      const { source, fragment, interface: iface } = this.topics[log.topics[0]]
+      const address = lower(log.address)
+      const isKnown =
+        source === 'collection'
+          ? collections.has(address)
+          : this.addresses[source].has(address)
+
+      if (!isKnown) {
+        continue
+      }
+
+      const args = toJSONArgs(
+        iface.decodeEventLog(fragment, log.data, log.topics),
+        fragment
+      )
+
+      if (source === 'factory' && fragment.name === 'ProxyCreated') {
+        collections.add(args._address)
+        state.creators[args._address] = await this._getCreator(args._address)
+      }
+
+      if (timestamps[log.blockNumber] === undefined) {
+        const block = await this.transport.getBlock(log.blockNumber)
+        timestamps[log.blockNumber] = block.timestamp
+        state.blocks[log.blockNumber] = block.hash
+      }
+
+      state.events.push({
+        source,
+        event: fragment.name,
+        address,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        timestamp: timestamps[log.blockNumber],
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        args,
+      })
+      added++
+    }
+
+    return added
+  }
+
+  async _getCreator(collection) {
+    const iface = new Interface(COLLECTION_V2_ABI)
+    const data = await this.transport.call({
+      to: collection,
+      data: iface.encodeFunctionData('creator'),
+    })
+
+    return lower(iface.decodeFunctionResult('creator', data)[0])
+  }
+
+  _pruneBlocks(state) {
+    for (const number of Object.keys(state.blocks)) {
+      if (Number(number) <= state.lastBlock - this.reorgDepth) {
+        delete state.blocks[number]
+      }
+    }
+  }
+}
+
+module.exports = {
+  Indexer,
+  MemoryStore,
+  JsonFileStore,
+  INDEXER_SOURCES: SOURCES,
+}
@@ -0,0 +1,110 @@
+const { Contract } = require('./contract')
+const { toUint } = require('./utils')
+
+const ITEM_METADATA_VALIDATOR_ABI = [
+  'function categories(bytes32) view returns (bool)',
+  'function bodyShapes(bytes32) view returns (bool)',
+  'function isValidCategory(string _category) view returns (bool)',
+  'function isValidBodyShape(string _bodyShape) view returns (bool)',
+  'function isValid(string _metadata) view returns (bool)',
+  'function parse(string _metadata) pure returns (tuple(string version, string name, string category, string[] bodyShapes))',
+  'function getItemMetadata(address _collection, uint256 _itemId) view returns (tuple(string version, string name, string category, string[] bodyShapes))',
+  'function setCategories(string[] _categories, bool[] _values)',
+  'function setBodyShapes(string[] _bodyShapes, bool[] _values)',
+  'function getNonce(address) view returns (uint256)',
+  'function executeMetaTransaction(address userAddress, bytes functionSignature, bytes32 sigR, bytes32 sigS, uint8 sigV) payable returns (bytes)',
+  'event MetaTransactionExecuted(address userAddress, address relayerAddress, bytes functionSignature)',
+  'event SetCategory(string _category, bool _value)',
+  'event SetBodyShape(string _bodyShape, bool _value)',
+]
+
+/**
+ * Item metadata parsed on-chain
+ * @typedef {Object} ItemMetadata
+ * @property {string} version
+ * @property {string} name
+ * @property {string} category
+ * @property {string[]} bodyShapes
+ */
+
+function toItemMetadata(metadata) {
+  return {
+    version: metadata.version,
+    name: metadata.name,
+    category: metadata.category,
+    bodyShapes: [...metadata.bodyShapes],
+  }
+}
+
+/**
+ * Client for the ItemMetadataValidator contract
+ */
+class ItemMetadataValidator extends Contract {
+  /**
+   * @param {string} address - item metadata validator address
+   * @param {Object} provider - web3 instance or ethers provider/signer
+   */
+  constructor(address, provider) {
+    super(ITEM_METADATA_VALIDATOR_ABI, address, provider)
+  }
+
+  /**
+   * @param {string} metadata - item metadata
+   * @return {Promise<boolean>} whether the metadata is accepted
+   */
+  async isValid(metadata) {
+    const [isValid] = await this.call('isValid', [metadata])
+    return isValid
+  }
+
+  /**
+   * @param {string} metadata - item metadata
+   * @return {Promise<ItemMetadata>}
+   */
+  async parse(metadata) {
+    const [parsed] = await this.call('parse', [metadata])
+    return toItemMetadata(parsed)
+  }
+
+  /**
+   * @param {string} collection - collection address
+   * @param {number|string|Object} itemId - item id
+   * @return {Promise<ItemMetadata>}
+   */
+  async getItemMetadata(collection, itemId) {
+    const [parsed] = await this.call('getItemMetadata', [
+      collection,
+      toUint(itemId),
+    ])
+    return toItemMetadata(parsed)
+  }
+
+  /**
+   * Allow or disallow categories
+   * @param {string[]} categories - category names
+   * @param {boolean[]} values - whether they are allowed or not
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setCategories(categories, values, txParams) {
+    return this.send('setCategories', [categories, values], txParams)
+  }
+
+  /**
+   * Allow or disallow body shapes
+   * @param {string[]} bodyShapes - body shape names
+   * @param {boolean[]} values - whether they are allowed or not
+   * @param {Object} txParams - transaction params
+   * @return {Promise<Receipt>}
+   */
+  setBodyShapes(bodyShapes, values, txParams) {
+    return this.send('setBodyShapes', [bodyShapes, values], txParams)
+  }
+}
+
+ItemMetadataValidator.ABI = ITEM_METADATA_VALIDATOR_ABI
+
+module.exports = {
+  ItemMetadataValidator,
+  ITEM_METADATA_VALIDATOR_ABI,
+}
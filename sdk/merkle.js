@@ -0,0 +1,131 @@
+const { getAddress } = require('@ethersproject/address')
+const { concat, hexlify } = require('@ethersproject/bytes')
+const { keccak256 } = require('@ethersproject/keccak256')
+
+/**
+ * Merkle trees compatible with OpenZeppelin's MerkleProof: pairs are sorted
+ * before being hashed and the odd node of a layer is promoted as it is.
+ */
+
+/**
+ * Get the allowlist leaf of a wallet as the CollectionStore computes it
+ * @param {string} address - wallet address
+ * @return {string} leaf
+ */
+function getAllowlistLeaf(address) {
+  return keccak256(getAddress(address))
+}
+
+/**
+ * Hash a pair of nodes
+ * @param {string} a - node
+ * @param {string} b - node
+ * @return {string} parent node
+ */
+function hashPair(a, b) {
+  return a.toLowerCase() < b.toLowerCase()
+    ? keccak256(concat([a, b]))
+    : keccak256(concat([b, a]))
+}
+
+/**
+ * Get the layers of a tree, from the leaves to the root
+ * @param {string[]} leaves - leaves
+ * @return {Array<string[]>} layers
+ */
+function getLayers(leaves) {
+  if (leaves.length === 0) {
+    throw new Error('getMerkleRoot: EMPTY_LEAVES')
+  }
+
+  const layers = [leaves.map((leaf) => hexlify(leaf))]
+
+  while (layers[layers.length - 1].length > 1) {
+    const layer = layers[layers.length - 1]
+    const nextLayer = []
+
+    for (let i = 0; i < layer.length; i += 2) {
+      nextLayer.push(
+        i + 1 < layer.length ? hashPair(layer[i], layer[i + 1]) : layer[i]
+      )
+    }
+
+    layers.push(nextLayer)
+  }
+
+  return layers
+}
+
+/**
+ * Get the root of a tree
+ * @param {string[]} leaves - leaves
+ * @return {string} root
+ */
+function getMerkleRoot(leaves) {
+  const layers = getLayers(leaves)
+  return layers[layers.length - 1][0]
+}
+
+/**
+ * Get the proof of a leaf
+ * @param {string[]} leaves - leaves
+ * @param {string} leaf - leaf to prove
+ * @return {string[]} proof
+ */
+function getMerkleProof(leaves, leaf) {
+  const layers = getLayers(leaves)
+  let index = layers[0].indexOf(hexlify(leaf))
+
+  if (index === -1) {
+    throw new Error('getMerkleProof: LEAF_NOT_FOUND')
+  }
+
+  const proof = []
+
+  for (const layer of layers.slice(0, -1)) {
+    const siblingIndex = index % 2 === 0 ? index + 1 : index - 1
+
+    if (siblingIndex < layer.length) {
+      proof.push(layer[siblingIndex])
+    }
+
+    index = Math.floor(index / 2)
+  }
+
+  return proof
+}
+
+/**
+ * Verify a proof
+ * @param {string[]} proof - proof
+ * @param {string} root - root
+ * @param {string} leaf - leaf
+ * @return {boolean} whether the leaf is part of the tree
+ */
+function verifyMerkleProof(proof, root, leaf) {
+  return proof.reduce(hashPair, hexlify(leaf)) === hexlify(root)
+}
+
+/**
+ * Create an allowlist to be set in the CollectionStore
+ * @param {string[]} addresses - wallets allowed to buy
+ * @return {Object} root of the allowlist and a function to get the proof of a wallet
+ */
+function createAllowlist(addresses) {
+  const leaves = [
+    ...new Set(addresses.map((address) => getAllowlistLeaf(address))),
+  ]
+
+  return {
+    root: getMerkleRoot(leaves),
+    getProof: (address) => getMerkleProof(leaves, getAllowlistLeaf(address)),
+  }
+}
+
+module.exports = {
+  getAllowlistLeaf,
+  getMerkleRoot,
+  getMerkleProof,
+  verifyMerkleProof,
+  createAllowlist,
+}
@@ -0,0 +1,160 @@
+const { _TypedDataEncoder } = require('@ethersproject/hash')
+const { hexZeroPad, hexlify, splitSignature } = require('@ethersproject/bytes')
+
+const { getTransport } = require('./transport')
+
+const DOMAIN_TYPE = [
+  { name: 'name', type: 'string' },
+  { name: 'version', type: 'string' },
+  { name: 'verifyingContract', type: 'address' },
+  { name: 'salt', type: 'bytes32' },
+]
+
+const META_TRANSACTION_TYPE = [
+  { name: 'nonce', type: 'uint256' },
+  { name: 'from', type: 'address' },
+  { name: 'functionSignature', type: 'bytes' },
+]
+
+/**
+ * EIP712 domains used by each contract
+ */
+const DOMAINS = {
+  CollectionV2: { name: 'Decentraland Collection', version: '2' },
+  CollectionManager: { name: 'Decentraland Collection Manager', version: '1' },
+  CollectionStore: { name: 'Decentraland Collection Store', version: '1' },
+  CollectionCrafting: {
+    name: 'Decentraland Collection Crafting',
+    version: '1',
+  },
+  BurningStoreV2: { name: 'Decentraland Burning Store', version: '1' },
+  CollectionMarketplace: {
+    name: 'Decentraland Collection Marketplace',
+    version: '1',
+  },
+  Committee: { name: 'Decentraland Collection Committee', version: '1' },
+  Rarities: { name: 'Decentraland Rarities', version: '1' },
+}
+
+/**
+ * Get the EIP712 domain of a contract. The chain id is used as the salt as
+ * EIP712Base does.
+ * @param {Object} params
+ * @param {string} params.name - domain name
+ * @param {string} params.version - domain version
+ * @param {string} params.verifyingContract - contract address
+ * @param {number|string|Object} params.chainId - chain id
+ * @return {Object} domain
+ */
+function getDomain({ name, version, verifyingContract, chainId }) {
+  return {
+    name,
+    version,
+    verifyingContract,
+    salt: hexZeroPad(hexlify(Number(chainId.toString())), 32),
+  }
+}
+
+/**
+ * Get the domain separator of a contract
+ * @param {Object} domain - see getDomain
+ * @return {string} domain separator
+ */
+function getDomainSeparator(domain) {
+  return _TypedDataEncoder.hashDomain(getDomain(domain))
+}
+
+/**
+ * Get the typed data to be signed for a meta transaction
+ * @param {Object} domain - see getDomain
+ * @param {Object} metaTx
+ * @param {number|string|Object} metaTx.nonce - signer nonce
+ * @param {string} metaTx.from - signer
+ * @param {string} metaTx.functionSignature - call data to be executed
+ * @return {Object} typed data
+ */
+function getMetaTxTypedData(domain, { nonce, from, functionSignature }) {
+  return {
+    types: {
+      EIP712Domain: DOMAIN_TYPE,
+      MetaTransaction: META_TRANSACTION_TYPE,
+    },
+    domain: getDomain(domain),
+    primaryType: 'MetaTransaction',
+    message: { nonce: nonce.toString(), from, functionSignature },
+  }
+}
+
+/**
+ * Sign a meta transaction for a contract client
+ * @param {Contract} contract - contract client
+ * @param {Object} domain - name and version of the contract domain
+ * @param {string} functionSignature - call data to be executed
+ * @param {string} signer - signer address
+ * @return {Promise<Object>} signature split in r, s & v
+ */
+async function signMetaTx(contract, domain, functionSignature, signer) {
+  const [nonce] = await contract.call('getNonce', [signer])
+  const chainId = await contract.transport.getChainId()
+
+  const typedData = getMetaTxTypedData(
+    { ...domain, verifyingContract: contract.address, chainId },
+    { nonce, from: signer, functionSignature }
+  )
+
+  const signature = await contract.transport.signTypedData(signer, typedData)
+  const { r, s, v } = splitSignature(signature)
+
+  return { r, s, v, signature }
+}
+
+/**
+ * Sign and relay a meta transaction
+ * @param {Contract} contract - contract client with the signer transport
+ * @param {Object} domain - name and version of the contract domain
+ * @param {string} functionSignature - call data to be executed
+ * @param {string} signer - signer address
+ * @param {Object} relayer - web3 instance or ethers provider/signer used to
+ *  send the transaction
+ * @param {Object} txParams - relayer transaction params
+ * @return {Promise<Receipt>}
+ */
+async function sendMetaTx(
+  contract,
+  domain,
+  functionSignature,
+  signer,
+  relayer,
+  txParams = {}
+) {
+  const { r, s, v } = await signMetaTx(
+    contract,
+    domain,
+    functionSignature,
+    signer
+  )
+
+  const receipt = await getTransport(relayer).sendTransaction({
+    ...txParams,
+    to: contract.address,
+    data: contract.encode('executeMetaTransaction', [
+      signer,
+      functionSignature,
+      r,
+      s,
+      v,
+    ]),
+  })
+
+  return { ...receipt, events: contract.parseLogs(receipt.logs) }
+}
+
+module.exports = {
+  DOMAIN_TYPE,
+  DOMAINS,
+  getDomain,
+  getDomainSeparator,
+  getMetaTxTypedData,
+  signMetaTx,
+  sendMetaTx,
+}
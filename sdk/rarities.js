@@ -0,0 +1,69 @@
+const { Contract } = require('./contract')
+
+const RARITIES_ABI = [
+  'function rarities(uint256) view returns (string name, uint256 maxSupply, uint256 price)',
+  'function raritiesCount() view returns (uint256)',
+  'function getRarityByName(string _rarity) view returns (tuple(string name, uint256 maxSupply, uint256 price))',
+  'function addRarities(tuple(string name, uint256 maxSupply, uint256 price)[] _rarities)',
+  'function updatePrices(string[] _names, uint256[] _prices)',
+  'event AddRarity(tuple(string name, uint256 maxSupply, uint256 price) _rarity)',
+  'event UpdatePrice(string _name, uint256 _price)',
+]
+
+/**
+ * @typedef {Object} Rarity
+ * @property {string} name
+ * @property {string} maxSupply
+ * @property {string} price - price in MANA to add an item with this rarity
+ */
+
+function toRarity(rarity) {
+  return {
+    name: rarity.name,
+    maxSupply: rarity.maxSupply.toString(),
+    price: rarity.price.toString(),
+  }
+}
+
+/**
+ * Client for the Rarities contract
+ */
+class Rarities extends Contract {
+  /**
+   * @param {string} address - rarities address
+   * @param {Object} provider - web3 instance or ethers provider/signer
+   */
+  constructor(address, provider) {
+    super(RARITIES_ABI, address, provider)
+  }
+
+  /**
+   * @param {string} name - rarity name
+   * @return {Promise<Rarity>}
+   */
+  async getRarityByName(name) {
+    const [rarity] = await this.call('getRarityByName', [name])
+    return toRarity(rarity)
+  }
+
+  /**
+   * @return {Promise<Rarity[]>} every rarity
+   */
+  async getRarities() {
+    const [count] = await this.call('raritiesCount')
+    const rarities = []
+
+    for (let i = 0; i < count.toNumber(); i++) {
+      rarities.push(toRarity(await this.call('rarities', [i])))
+    }
+
+    return rarities
+  }
+}
+
+Rarities.ABI = RARITIES_ABI
+
+module.exports = {
+  Rarities,
+  RARITIES_ABI,
+}
@@ -0,0 +1,263 @@
+const { BigNumber } = require('@ethersproject/bignumber')
+const { splitSignature } = require('@ethersproject/bytes')
+const { _TypedDataEncoder } = require('@ethersproject/hash')
+const { randomBytes } = require('@ethersproject/random')
+const { recoverAddress } = require('@ethersproject/transactions')
+
+const { CollectionV2 } = require('./collection')
+const { DOMAIN_TYPE, DOMAINS, getDomain } = require('./metaTx')
+const { toUint, decodeTokenId } = require('./utils')
+
+const SIGNED_ORDER_TYPE = [
+  { name: 'seller', type: 'address' },
+  { name: 'collection', type: 'address' },
+  { name: 'tokenId', type: 'uint256' },
+  { name: 'itemId', type: 'uint256' },
+  { name: 'price', type: 'uint256' },
+  { name: 'token', type: 'address' },
+  { name: 'expiresAt', type: 'uint256' },
+  { name: 'salt', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+]
+
+/**
+ * Sell order signed off-chain and executed through the CollectionMarketplace
+ * @typedef {Object} SignedOrder
+ * @property {string} seller - token owner and signer of the order
+ * @property {string} collection - collection address
+ * @property {number|string|Object} tokenId - token id. 0 to sell any token of the item
+ * @property {number|string|Object} itemId - item id. Only used when the order has no token
+ * @property {number|string|Object} price - price
+ * @property {string} token - ERC20 token used to pay the price
+ * @property {number|string|Object} expiresAt - timestamp when the order expires
+ * @property {number|string|Object} salt - random value to tell apart equal orders
+ * @property {number|string|Object} nonce - seller nonce in the marketplace
+ */
+
+/**
+ * Normalize a signed order to the struct expected by the contract
+ * @param {SignedOrder} order - signed order
+ * @return {SignedOrder}
+ */
+function toSignedOrder({
+  seller,
+  collection,
+  tokenId,
+  itemId,
+  price,
+  token,
+  expiresAt,
+  salt,
+  nonce,
+}) {
+  return {
+    seller,
+    collection,
+    tokenId: toUint(tokenId || 0),
+    itemId: toUint(itemId || 0),
+    price: toUint(price),
+    token,
+    expiresAt: toUint(expiresAt),
+    salt: toUint(salt),
+    nonce: toUint(nonce),
+  }
+}
+
+/**
+ * Create an order to be signed by the seller. The nonce is the current seller
+ * nonce in the marketplace, the token is the marketplace's accepted token and
+ * the salt is random unless they are passed
+ * @param {Contract} marketplace - CollectionMarketplace client
+ * @param {Object} params - order params. See SignedOrder
+ * @return {Promise<SignedOrder>}
+ */
+async function createSignedOrder(marketplace, params) {
+  const { token, salt, nonce } = params
+
+  return toSignedOrder({
+    ...params,
+    token: token || (await marketplace.call('acceptedToken'))[0],
+    salt: salt === undefined ? BigNumber.from(randomBytes(32)) : salt,
+    nonce:
+      nonce === undefined
+        ? await marketplace.getSellerNonce(params.seller)
+        : nonce,
+  })
+}
+
+/**
+ * Get the typed data to be signed for an order
+ * @param {Object} domain - see getDomain
+ * @param {SignedOrder} order - signed order
+ * @return {Object} typed data
+ */
+function getSignedOrderTypedData(domain, order) {
+  return {
+    types: {
+      EIP712Domain: DOMAIN_TYPE,
+      SignedOrder: SIGNED_ORDER_TYPE,
+    },
+    domain: getDomain(domain),
+    primaryType: 'SignedOrder',
+    message: toSignedOrder(order),
+  }
+}
+
+/**
+ * Hash an order as the marketplace does to track the executed ones
+ * @param {SignedOrder} order - signed order
+ * @return {string} order hash
+ */
+function hashSignedOrder(order) {
+  return _TypedDataEncoder.hashStruct(
+    'SignedOrder',
+    { SignedOrder: SIGNED_ORDER_TYPE },
+    toSignedOrder(order)
+  )
+}
+
+/**
+ * Get the EIP712 domain of a marketplace
+ * @param {Contract} marketplace - CollectionMarketplace client
+ * @return {Promise<Object>} domain. See getDomain
+ */
+async function getMarketplaceDomain(marketplace) {
+  const chainId = await marketplace.transport.getChainId()
+
+  return {
+    ...DOMAINS.CollectionMarketplace,
+    verifyingContract: marketplace.address,
+    chainId,
+  }
+}
+
+/**
+ * Sign an order to be executed in a marketplace
+ * @param {Contract} marketplace - CollectionMarketplace client with the signer
+ * transport
+ * @param {SignedOrder} order - signed order
+ * @param {string} signer - seller address
+ * @return {Promise<Object>} signature and its split in r, s & v
+ */
+async function signOrder(marketplace, order, signer) {
+  const typedData = getSignedOrderTypedData(
+    await getMarketplaceDomain(marketplace),
+    order
+  )
+
+  const signature = await marketplace.transport.signTypedData(signer, typedData)
+  const { r, s, v } = splitSignature(signature)
+
+  return { r, s, v, signature }
+}
+
+/**
+ * Get the signer of an order
+ * @param {Object} domain - see getDomain
+ * @param {SignedOrder} order - signed order
+ * @param {string} signature - signature
+ * @return {string} signer address
+ */
+function recoverOrderSigner(domain, order, signature) {
+  const digest = _TypedDataEncoder.hash(
+    getDomain(domain),
+    { SignedOrder: SIGNED_ORDER_TYPE },
+    toSignedOrder(order)
+  )
+
+  return recoverAddress(digest, signature)
+}
+
+/**
+ * Check whether an order can be executed. The errors are the ones the
+ * marketplace reverts with, plus NOT_AUTHORIZED if the marketplace can not
+ * transfer the token
+ * @param {Contract} marketplace - CollectionMarketplace client
+ * @param {SignedOrder} order - signed order
+ * @param {string} signature - seller's signature
+ * @param {number|string|Object} [tokenId] - token id to buy. The order's token
+ * by default
+ * @return {Promise<string[]>} errors. Empty if the order is valid
+ */
+async function validateSignedOrder(marketplace, order, signature, tokenId) {
+  const signedOrder = toSignedOrder(order)
+  const errors = []
+
+  let signer
+  try {
+    signer = recoverOrderSigner(
+      await getMarketplaceDomain(marketplace),
+      signedOrder,
+      signature
+    )
+  } catch (error) {
+    signer = null
+  }
+
+  if (!signer || signer.toLowerCase() !== signedOrder.seller.toLowerCase()) {
+    errors.push('INVALID_SIGNER')
+  }
+
+  if (
+    signedOrder.nonce !== (await marketplace.getSellerNonce(signedOrder.seller))
+  ) {
+    errors.push('INVALID_NONCE')
+  }
+
+  if (await marketplace.isSignedOrderExecuted(hashSignedOrder(signedOrder))) {
+    errors.push('ORDER_ALREADY_EXECUTED')
+  }
+
+  const { timestamp } = await marketplace.transport.getBlock('latest')
+  if (BigNumber.from(signedOrder.expiresAt).lte(timestamp)) {
+    errors.push('ORDER_EXPIRED')
+  }
+
+  const id = toUint(tokenId === undefined ? signedOrder.tokenId : tokenId)
+  const isItemOrder = signedOrder.tokenId === '0'
+  if (
+    isItemOrder
+      ? id === '0' || decodeTokenId(id)[0] !== signedOrder.itemId
+      : id !== signedOrder.tokenId
+  ) {
+    errors.push('TOKEN_MISMATCH')
+    return errors
+  }
+
+  const collection = new CollectionV2(
+    signedOrder.collection,
+    marketplace.transport
+  )
+
+  let owner
+  try {
+    owner = await collection.ownerOf(id)
+  } catch (error) {
+    owner = null
+  }
+
+  if (!owner || owner.toLowerCase() !== signedOrder.seller.toLowerCase()) {
+    errors.push('SELLER_IS_NOT_OWNER')
+  } else {
+    const approved = await collection.getApproved(id)
+    if (
+      approved.toLowerCase() !== marketplace.address.toLowerCase() &&
+      !(await collection.isApprovedForAll(owner, marketplace.address))
+    ) {
+      errors.push('NOT_AUTHORIZED')
+    }
+  }
+
+  return errors
+}
+
+module.exports = {
+  SIGNED_ORDER_TYPE,
+  toSignedOrder,
+  createSignedOrder,
+  getSignedOrderTypedData,
+  hashSignedOrder,
+  signOrder,
+  recoverOrderSigner,
+  validateSignedOrder,
+}
@@ -0,0 +1,243 @@
+const { BigNumber } = require('@ethersproject/bignumber')
+
+const { toUint } = require('./utils')
+
+/**
+ * A transport is the minimum surface the clients need from a provider: read
+ * calls, sending transactions and signing typed data. Both web3 instances and
+ * ethers providers/signers are supported.
+ * @typedef {Object} Transport
+ * @property {string} type - 'web3' or 'ethers'
+ * @property {function(Object): Promise<string>} call - eth_call
+ * @property {function(Object): Promise<Receipt>} sendTransaction - send and wait
+ * @property {function(string, Object): Promise<string>} signTypedData - EIP712
+ * @property {function(string=): Promise<string>} getAddress - sender address
+ * @property {function(): Promise<number>} getChainId - chain id
+ * @property {function(): Promise<number>} getBlockNumber - latest block number
+ * @property {function(number): Promise<Block|null>} getBlock - block by number
+ * @property {function(Object): Promise<Log[]>} getLogs - eth_getLogs
+ */
+
+/**
+ * Provider agnostic block
+ * @typedef {Object} Block
+ * @property {number} number
+ * @property {string} hash
+ * @property {string} parentHash
+ * @property {number} timestamp
+ */
+
+/**
+ * Provider agnostic log
+ * @typedef {Object} Log
+ * @property {string} address
+ * @property {string[]} topics
+ * @property {string} data
+ * @property {number} blockNumber
+ * @property {string} blockHash
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ */
+
+/**
+ * Provider agnostic transaction receipt
+ * @typedef {Object} Receipt
+ * @property {string} transactionHash
+ * @property {number} blockNumber
+ * @property {string} gasUsed
+ * @property {boolean} status
+ * @property {Object[]} logs - raw logs: { address, topics, data, logIndex }
+ */
+
+function toBlock(block) {
+  if (!block) {
+    return null
+  }
+
+  return {
+    number: Number(block.number),
+    hash: block.hash,
+    parentHash: block.parentHash,
+    timestamp: Number(block.timestamp),
+  }
+}
+
+function toLog(log) {
+  return {
+    address: log.address,
+    topics: log.topics,
+    data: log.data,
+    blockNumber: Number(log.blockNumber),
+    blockHash: log.blockHash,
+    transactionHash: log.transactionHash,
+    logIndex: Number(log.logIndex),
+  }
+}
+
+function isWeb3(provider) {
+  return !!(provider && provider.eth && provider.utils)
+}
+
+function isEthers(provider) {
+  return !!(provider && (provider._isSigner || provider._isProvider))
+}
+
+/**
+ * Get the transport for a web3 instance or an ethers provider/signer
+ * @param {Object} provider - web3 instance or ethers provider/signer
+ * @return {Transport}
+ */
+function getTransport(provider) {
+  if (provider && provider.type && provider.call && provider.sendTransaction) {
+    // Already a transport
+    return provider
+  }
+
+  if (isWeb3(provider)) {
+    return web3Transport(provider)
+  }
+
+  if (isEthers(provider)) {
+    return ethersTransport(provider)
+  }
+
+  throw new Error('getTransport: INVALID_PROVIDER')
+}
+
+function web3Transport(web3) {
+  async function getAddress(from) {
+    if (from) {
+      return from
+    }
+
+    if (web3.eth.defaultAccount) {
+      return web3.eth.defaultAccount
+    }
+
+    const [account] = await web3.eth.getAccounts()
+    if (!account) {
+      throw new Error('getAddress: NO_ACCOUNT')
+    }
+
+    return account
+  }
+
+  return {
+    type: 'web3',
+    getAddress,
+    getChainId: () => web3.eth.getChainId(),
+    getBlockNumber: () => web3.eth.getBlockNumber(),
+    getBlock: async (number) => toBlock(await web3.eth.getBlock(number)),
+    getLogs: async (filter) => (await web3.eth.getPastLogs(filter)).map(toLog),
+    call: ({ to, data }) => web3.eth.call({ to, data }),
+    sendTransaction: async ({ from, to, data, ...txParams }) => {
+      const sender = await getAddress(from)
+      const receipt = await web3.eth.sendTransaction({
+        ...txParams,
+        from: sender,
+        to,
+        data,
+      })
+
+      return {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status,
+        logs: receipt.logs,
+      }
+    },
+    signTypedData: async (signer, typedData) =>
+      new Promise((resolve, reject) =>
+        web3.currentProvider.send(
+          {
+            method: 'eth_signTypedData_v4',
+            params: [signer, typedData],
+            jsonrpc: '2.0',
+            id: Date.now(),
+          },
+          function (err, result) {
+            if (err || result.error) {
+              return reject(err || result.error)
+            }
+            return resolve(result.result)
+          }
+        )
+      ),
+  }
+}
+
+function ethersTransport(providerOrSigner) {
+  const signer = providerOrSigner._isSigner
+    ? providerOrSigner
+    : providerOrSigner.getSigner
+    ? providerOrSigner.getSigner()
+    : null
+  const provider = providerOrSigner._isSigner
+    ? providerOrSigner.provider
+    : providerOrSigner
+
+  function getSigner() {
+    if (!signer) {
+      throw new Error('getSigner: READ_ONLY_PROVIDER')
+    }
+
+    return signer
+  }
+
+  async function getAddress(from) {
+    return from || getSigner().getAddress()
+  }
+
+  return {
+    type: 'ethers',
+    getAddress,
+    getChainId: async () => (await provider.getNetwork()).chainId,
+    getBlockNumber: () => provider.getBlockNumber(),
+    getBlock: async (number) => toBlock(await provider.getBlock(number)),
+    getLogs: async (filter) => (await provider.getLogs(filter)).map(toLog),
+    call: ({ to, data }) => provider.call({ to, data }),
+    sendTransaction: async ({ from, to, data, gas, value, ...txParams }) => {
+      const sender = getSigner()
+      if (from && from.toLowerCase() !== (await getAddress()).toLowerCase()) {
+        throw new Error('sendTransaction: SENDER_IS_NOT_THE_SIGNER')
+      }
+
+      const tx = await sender.sendTransaction({
+        ...txParams,
+        ...(gas ? { gasLimit: gas } : {}),
+        // JSON-RPC signers can not hexlify decimal strings nor web3 BNs
+        ...(value ? { value: BigNumber.from(toUint(value)) } : {}),
+        to,
+        data,
+      })
+      const receipt = await tx.wait()
+
+      return {
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        status: receipt.status === 1,
+        logs: receipt.logs,
+      }
+    },
+    signTypedData: async (from, typedData) => {
+      const sender = getSigner()
+      if (from.toLowerCase() !== (await getAddress()).toLowerCase()) {
+        throw new Error('signTypedData: SIGNER_MISMATCH')
+      }
+
+      // ethers computes the EIP712Domain type by itself
+      // eslint-disable-next-line no-unused-vars
+      const { EIP712Domain, ...types } = typedData.types
+
+      return sender._signTypedData(typedData.domain, types, typedData.message)
+    },
+  }
+}
+
+module.exports = {
+  getTransport,
+  isWeb3,
+  isEthers,
+}
@@ -0,0 +1,70 @@
+const { BigNumber } = require('@ethersproject/bignumber')
+const { id } = require('@ethersproject/hash')
+
+const ITEM_ID_BITS = 40
+const ISSUED_ID_BITS = 216
+const MAX_ITEM_ID = BigNumber.from(2).pow(ITEM_ID_BITS).sub(1)
+const MAX_ISSUED_ID = BigNumber.from(2).pow(ISSUED_ID_BITS).sub(1)
+const MAX_UINT256 = BigNumber.from(2).pow(256).sub(1)
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+// Payment token address of the native currency (ETH, MATIC) in the store
+const NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE'
+const COLLECTION_HASH = id('Decentraland Collection')
+
+/**
+ * Normalize a numeric value coming from web3 (BN), ethers (BigNumber) or
+ * plain js (number, string) to a decimal string.
+ * @param {number|string|Object} value - numeric value
+ * @return {string} decimal string
+ */
+function toUint(value) {
+  return value.toString()
+}
+
+/**
+ * Encode token id
+ * @dev itemId (40 bits) + issuedId (216 bits)
+ * @param {number|string|Object} itemId - item id
+ * @param {number|string|Object} issuedId - issued id
+ * @return {string} decimal string of the encoded id
+ */
+function encodeTokenId(itemId, issuedId) {
+  const item = BigNumber.from(toUint(itemId))
+  const issued = BigNumber.from(toUint(issuedId))
+
+  if (item.gt(MAX_ITEM_ID)) {
+    throw new Error('encodeTokenId: INVALID_ITEM_ID')
+  }
+
+  if (issued.gt(MAX_ISSUED_ID)) {
+    throw new Error('encodeTokenId: INVALID_ISSUED_ID')
+  }
+
+  return item.shl(ISSUED_ID_BITS).or(issued).toString()
+}
+
+/**
+ * Decode token id
+ * @dev itemId (40 bits) + issuedId (216 bits)
+ * @param {number|string|Object} tokenId - token id
+ * @return {string[]} decimal strings of the item id and the issued id
+ */
+function decodeTokenId(tokenId) {
+  const id = BigNumber.from(toUint(tokenId))
+
+  return [id.shr(ISSUED_ID_BITS).toString(), id.and(MAX_ISSUED_ID).toString()]
+}
+
+module.exports = {
+  ITEM_ID_BITS,
+  ISSUED_ID_BITS,
+  MAX_ITEM_ID,
+  MAX_ISSUED_ID,
+  MAX_UINT256,
+  ZERO_ADDRESS,
+  NATIVE_TOKEN,
+  COLLECTION_HASH,
+  toUint,
+  encodeTokenId,
+  decodeTokenId,
+}
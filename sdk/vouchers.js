@@ -0,0 +1,86 @@
+const { splitSignature } = require('@ethersproject/bytes')
+
+const { DOMAIN_TYPE, DOMAINS, getDomain } = require('./metaTx')
+const { toUint } = require('./utils')
+
+const VOUCHER_TYPE = [
+  { name: 'collection', type: 'address' },
+  { name: 'itemId', type: 'uint256' },
+  { name: 'beneficiary', type: 'address' },
+  { name: 'price', type: 'uint256' },
+  { name: 'nonce', type: 'uint256' },
+  { name: 'expiry', type: 'uint256' },
+]
+
+/**
+ * Lazy mint voucher redeemed through the CollectionStore
+ * @typedef {Object} Voucher
+ * @property {string} collection - collection address
+ * @property {number|string|Object} itemId - item id
+ * @property {string} beneficiary - owner of the token. Zero address for the redeemer
+ * @property {number|string|Object} price - price to be paid in the store's accepted token
+ * @property {number|string|Object} nonce - signer nonce. Each nonce can be used once
+ * @property {number|string|Object} expiry - timestamp after which the voucher can not be redeemed
+ */
+
+/**
+ * Normalize a voucher to the struct expected by the contract
+ * @param {Voucher} voucher - voucher
+ * @return {Voucher}
+ */
+function toVoucher({ collection, itemId, beneficiary, price, nonce, expiry }) {
+  return {
+    collection,
+    itemId: toUint(itemId),
+    beneficiary,
+    price: toUint(price),
+    nonce: toUint(nonce),
+    expiry: toUint(expiry),
+  }
+}
+
+/**
+ * Get the typed data to be signed for a voucher
+ * @param {Object} domain - see getDomain
+ * @param {Voucher} voucher - voucher
+ * @return {Object} typed data
+ */
+function getVoucherTypedData(domain, voucher) {
+  return {
+    types: {
+      EIP712Domain: DOMAIN_TYPE,
+      Voucher: VOUCHER_TYPE,
+    },
+    domain: getDomain(domain),
+    primaryType: 'Voucher',
+    message: toVoucher(voucher),
+  }
+}
+
+/**
+ * Sign a voucher to be redeemed in a store
+ * @param {Contract} store - CollectionStore client with the signer transport
+ * @param {Voucher} voucher - voucher
+ * @param {string} signer - collection's creator or minter address
+ * @return {Promise<Object>} signature and its split in r, s & v
+ */
+async function signVoucher(store, voucher, signer) {
+  const chainId = await store.transport.getChainId()
+
+  const typedData = getVoucherTypedData(
+    { ...DOMAINS.CollectionStore, verifyingContract: store.address, chainId },
+    voucher
+  )
+
+  const signature = await store.transport.signTypedData(signer, typedData)
+  const { r, s, v } = splitSignature(signature)
+
+  return { r, s, v, signature }
+}
+
+module.exports = {
+  VOUCHER_TYPE,
+  toVoucher,
+  getVoucherTypedData,
+  signVoucher,
+}
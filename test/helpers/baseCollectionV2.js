@@ -3,6 +3,7 @@ import {
   EMPTY_HASH,
   ZERO_ADDRESS,
   BASE_URI,
+  BENEFICIARY_ADDRESS,
   MAX_UINT256,
   RARITIES,
   COLLECTION_HASH,
@@ -16,6 +17,7 @@ import {
   DEFAULT_DOMAIN,
   DEFAULT_VERSION,
 } from './metaTx'
+import { increaseTime, duration } from './increase'
 
 const BN = web3.utils.BN
 const expect = require('chai').use(require('bn-chai')(BN)).expect
@@ -1842,6 +1844,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         let itemLength = await contract.itemsCount()
@@ -1888,6 +1891,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         let itemLength = await contract.itemsCount()
@@ -1917,6 +1921,11 @@ export function doTest(
                     name: 'metadata',
                     type: 'string',
                   },
+                  {
+                    internalType: 'uint256',
+                    name: 'maxSupply',
+                    type: 'uint256',
+                  },
                 ],
                 internalType: 'struct BaseCollectionV2.ItemParam[]',
                 name: '_items',
@@ -1985,6 +1994,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         const newItem2 = [
@@ -1992,6 +2002,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:turtle_mask:hat:female,male',
+          0,
         ]
 
         let itemLength = await contract.itemsCount()
@@ -2075,6 +2086,7 @@ export function doTest(
           '0',
           ZERO_ADDRESS,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         const { logs } = await contract.addItems([newItem], fromDeployer)
@@ -2127,6 +2139,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         const newItem2 = [
@@ -2134,6 +2147,8 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:turtle_mask:hat:female,male',
+
+          0,
         ]
 
         await assertRevert(
@@ -2147,6 +2162,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         await assertRevert(contract.addItems([newItem], fromDeployer))
@@ -2158,6 +2174,7 @@ export function doTest(
           web3.utils.toWei('10'),
           ZERO_ADDRESS,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
         await assertRevert(
           contract.addItems([newItem], fromDeployer),
@@ -2171,6 +2188,7 @@ export function doTest(
           web3.utils.toWei('0'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
         await assertRevert(
           contract.addItems([newItem], fromDeployer),
@@ -2184,6 +2202,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '',
+          0,
         ]
         await assertRevert(
           contract.addItems([newItem], fromDeployer),
@@ -2202,6 +2221,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         await assertRevert(
@@ -2236,6 +2256,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         const functionSignature = web3.eth.abi.encodeFunctionCall(
@@ -2263,6 +2284,11 @@ export function doTest(
                     name: 'metadata',
                     type: 'string',
                   },
+                  {
+                    internalType: 'uint256',
+                    name: 'maxSupply',
+                    type: 'uint256',
+                  },
                 ],
                 internalType: 'struct BaseCollectionV2.ItemParam[]',
                 name: '_items',
@@ -2306,6 +2332,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         await assertRevert(
@@ -2313,6 +2340,57 @@ export function doTest(
           '_addItem: COLLECTION_COMPLETED'
         )
       })
+
+      it('should add an item with a custom max supply', async function () {
+        const newItem = [
+          RARITIES.legendary.name,
+          web3.utils.toWei('10'),
+          beneficiary,
+          '1:crocodile_mask:hat:female,male',
+          50,
+        ]
+
+        const { logs } = await contract.addItems([newItem], fromDeployer)
+
+        expect(logs.length).to.be.equal(1)
+        expect(logs[0].event).to.be.equal('AddItem')
+        expect(logs[0].args._item.maxSupply).to.be.eq.BN(50)
+
+        const item = await contract.items(logs[0].args._itemId)
+        expect(item.rarity).to.be.equal(RARITIES.legendary.name)
+        expect(item.maxSupply).to.be.eq.BN(50)
+        expect(item.totalSupply).to.be.eq.BN(0)
+      })
+
+      it('should add an item with the rarity max supply as custom max supply', async function () {
+        const newItem = [
+          RARITIES.legendary.name,
+          web3.utils.toWei('10'),
+          beneficiary,
+          '1:crocodile_mask:hat:female,male',
+          RARITIES.legendary.value,
+        ]
+
+        const { logs } = await contract.addItems([newItem], fromDeployer)
+
+        const item = await contract.items(logs[0].args._itemId)
+        expect(item.maxSupply).to.be.eq.BN(RARITIES.legendary.value)
+      })
+
+      it('reverts when trying to add an item with a max supply greater than the rarity one', async function () {
+        const newItem = [
+          RARITIES.legendary.name,
+          web3.utils.toWei('10'),
+          beneficiary,
+          '1:crocodile_mask:hat:female,male',
+          RARITIES.legendary.value + 1,
+        ]
+
+        await assertRevert(
+          contract.addItems([newItem], fromDeployer),
+          '_addItem: INVALID_MAX_SUPPLY'
+        )
+      })
     })
 
     describe('editItemsData', function () {
@@ -2333,9 +2411,21 @@ export function doTest(
         itemBeneficiary0 = beneficiary
         itemBeneficiary1 = beneficiary
 
-        item0 = [RARITIES.common.name, itemPrice0, itemBeneficiary0, metadata0]
+        item0 = [
+          RARITIES.common.name,
+          itemPrice0,
+          itemBeneficiary0,
+          metadata0,
+          0,
+        ]
 
-        item1 = [RARITIES.common.name, itemPrice1, itemBeneficiary1, metadata1]
+        item1 = [
+          RARITIES.common.name,
+          itemPrice1,
+          itemBeneficiary1,
+          metadata1,
+          0,
+        ]
 
         contract = await createContract(
           creator,
@@ -3086,6 +3176,735 @@ export function doTest(
       })
     })
 
+    describe('setItemsMintWindows', function () {
+      let contract
+      let itemId0
+      let itemId1
+      let now
+
+      this.beforeEach(async () => {
+        contract = await createContract(
+          creator,
+          false,
+          true,
+          true,
+          creationParams
+        )
+        await contract.addItems(
+          [
+            [RARITIES.common.name, 0, ZERO_ADDRESS, 'metadata:0', 0],
+            [RARITIES.common.name, 0, ZERO_ADDRESS, 'metadata:1', 0],
+          ],
+          fromDeployer
+        )
+        await contract.completeCollection(fromCreator)
+
+        const itemLength = await contract.itemsCount()
+        itemId0 = itemLength.sub(web3.utils.toBN(2))
+        itemId1 = itemLength.sub(web3.utils.toBN(1))
+
+        now = (await web3.eth.getBlock('latest')).timestamp
+      })
+
+      it('should set items mint windows', async function () {
+        let window = await contract.itemMintWindows(itemId0)
+        expect(window.startTime).to.be.eq.BN(0)
+        expect(window.endTime).to.be.eq.BN(0)
+
+        const { logs } = await contract.setItemsMintWindows(
+          [itemId0, itemId1],
+          [now + 100, 0],
+          [now + 200, now + 300],
+          fromCreator
+        )
+
+        expect(logs.length).to.be.equal(2)
+        expect(logs[0].event).to.be.equal('SetItemMintWindow')
+        expect(logs[0].args._itemId).to.be.eq.BN(itemId0)
+        expect(logs[0].args._startTime).to.be.eq.BN(now + 100)
+        expect(logs[0].args._endTime).to.be.eq.BN(now + 200)
+
+        expect(logs[1].event).to.be.equal('SetItemMintWindow')
+        expect(logs[1].args._itemId).to.be.eq.BN(itemId1)
+        expect(logs[1].args._startTime).to.be.eq.BN(0)
+        expect(logs[1].args._endTime).to.be.eq.BN(now + 300)
+
+        window = await contract.itemMintWindows(itemId0)
+        expect(window.startTime).to.be.eq.BN(now + 100)
+        expect(window.endTime).to.be.eq.BN(now + 200)
+
+        window = await contract.itemMintWindows(itemId1)
+        expect(window.startTime).to.be.eq.BN(0)
+        expect(window.endTime).to.be.eq.BN(now + 300)
+      })
+
+      it('should set items mint windows by a manager', async function () {
+        await contract.setItemsManagers(
+          [itemId0],
+          [manager],
+          [true],
+          fromCreator
+        )
+
+        await contract.setItemsMintWindows(
+          [itemId0],
+          [now + 100],
+          [0],
+          fromManager
+        )
+
+        const window = await contract.itemMintWindows(itemId0)
+        expect(window.startTime).to.be.eq.BN(now + 100)
+        expect(window.endTime).to.be.eq.BN(0)
+      })
+
+      it('should issue tokens only within the item mint window', async function () {
+        await contract.setItemsMintWindows(
+          [itemId0],
+          [now + 100],
+          [now + 200],
+          fromCreator
+        )
+
+        await assertRevert(
+          contract.issueTokens([holder], [itemId0], fromCreator),
+          '_issueToken: OUT_OF_MINT_WINDOW'
+        )
+
+        // Items without a window can be minted
+        await contract.issueTokens([holder], [itemId1], fromCreator)
+
+        await increaseTime(duration.seconds(100))
+
+        await contract.issueTokens([holder], [itemId0], fromCreator)
+
+        await increaseTime(duration.seconds(100))
+
+        await assertRevert(
+          contract.issueTokens([holder], [itemId0], fromCreator),
+          '_issueToken: OUT_OF_MINT_WINDOW'
+        )
+      })
+
+      it('should remove an item mint window', async function () {
+        await contract.setItemsMintWindows(
+          [itemId0],
+          [now + 100],
+          [0],
+          fromCreator
+        )
+
+        await assertRevert(
+          contract.issueTokens([holder], [itemId0], fromCreator),
+          '_issueToken: OUT_OF_MINT_WINDOW'
+        )
+
+        await contract.setItemsMintWindows([itemId0], [0], [0], fromCreator)
+
+        await contract.issueTokens([holder], [itemId0], fromCreator)
+      })
+
+      it('reverts when params mismatch', async function () {
+        await assertRevert(
+          contract.setItemsMintWindows(
+            [itemId0, itemId1],
+            [0],
+            [0],
+            fromCreator
+          ),
+          'setItemsMintWindows: LENGTH_MISMATCH'
+        )
+
+        await assertRevert(
+          contract.setItemsMintWindows([itemId0], [0, 0], [0], fromCreator),
+          'setItemsMintWindows: LENGTH_MISMATCH'
+        )
+
+        await assertRevert(
+          contract.setItemsMintWindows([itemId0], [0], [0, 0], fromCreator),
+          'setItemsMintWindows: LENGTH_MISMATCH'
+        )
+      })
+
+      it('reverts when setting a mint window by not the creator or manager', async function () {
+        await assertRevert(
+          contract.setItemsMintWindows([itemId0], [0], [0], fromDeployer),
+          'setItemsMintWindows: CALLER_IS_NOT_CREATOR_OR_MANAGER'
+        )
+
+        await contract.setItemsManagers(
+          [itemId1],
+          [manager],
+          [true],
+          fromCreator
+        )
+
+        await assertRevert(
+          contract.setItemsMintWindows([itemId0], [0], [0], fromManager),
+          'setItemsMintWindows: CALLER_IS_NOT_CREATOR_OR_MANAGER'
+        )
+
+        await assertRevert(
+          contract.setItemsMintWindows([itemId0], [0], [0], fromHacker),
+          'setItemsMintWindows: CALLER_IS_NOT_CREATOR_OR_MANAGER'
+        )
+      })
+
+      it('reverts when setting a mint window for an invalid item', async function () {
+        const itemLength = await contract.itemsCount()
+
+        await assertRevert(
+          contract.setItemsMintWindows([itemLength], [0], [0], fromCreator),
+          'setItemsMintWindows: ITEM_DOES_NOT_EXIST'
+        )
+      })
+
+      it('reverts when the mint window ends before it starts', async function () {
+        await assertRevert(
+          contract.setItemsMintWindows(
+            [itemId0],
+            [now + 100],
+            [now + 100],
+            fromCreator
+          ),
+          'setItemsMintWindows: INVALID_WINDOW'
+        )
+
+        await assertRevert(
+          contract.setItemsMintWindows(
+            [itemId0],
+            [now + 100],
+            [now + 50],
+            fromCreator
+          ),
+          'setItemsMintWindows: INVALID_WINDOW'
+        )
+      })
+
+      it('reverts when editable is set to false', async function () {
+        await contract.setEditable(false, fromDeployer)
+
+        await assertRevert(
+          contract.setItemsMintWindows([itemId0], [0], [0], fromCreator),
+          'setItemsMintWindows: COLLECTION_NOT_EDITABLE'
+        )
+      })
+    })
+
+    describe('setItemsMaxSupply', function () {
+      let contract
+      let itemId0
+      let itemId1
+
+      this.beforeEach(async () => {
+        contract = await createContract(
+          creator,
+          false,
+          true,
+          true,
+          creationParams
+        )
+        await contract.addItems(
+          [
+            [RARITIES.common.name, 0, ZERO_ADDRESS, 'metadata:0', 0],
+            [RARITIES.legendary.name, 0, ZERO_ADDRESS, 'metadata:1', 50],
+          ],
+          fromDeployer
+        )
+        await contract.completeCollection(fromCreator)
+
+        const itemLength = await contract.itemsCount()
+        itemId0 = itemLength.sub(web3.utils.toBN(2))
+        itemId1 = itemLength.sub(web3.utils.toBN(1))
+      })
+
+      it('should lower items max supply', async function () {
+        const { logs } = await contract.setItemsMaxSupply(
+          [itemId0, itemId1],
+          [10, 20],
+          fromCreator
+        )
+
+        expect(logs.length).to.be.equal(2)
+        expect(logs[0].event).to.be.equal('SetItemMaxSupply')
+        expect(logs[0].args._itemId).to.be.eq.BN(itemId0)
+        expect(logs[0].args._maxSupply).to.be.eq.BN(10)
+
+        expect(logs[1].event).to.be.equal('SetItemMaxSupply')
+        expect(logs[1].args._itemId).to.be.eq.BN(itemId1)
+        expect(logs[1].args._maxSupply).to.be.eq.BN(20)
+
+        let item = await contract.items(itemId0)
+        expect(item.maxSupply).to.be.eq.BN(10)
+
+        item = await contract.items(itemId1)
+        expect(item.maxSupply).to.be.eq.BN(20)
+      })
+
+      it('should lower items max supply by a manager', async function () {
+        await contract.setItemsManagers(
+          [itemId0],
+          [manager],
+          [true],
+          fromCreator
+        )
+
+        await contract.setItemsMaxSupply([itemId0], [10], fromManager)
+
+        const item = await contract.items(itemId0)
+        expect(item.maxSupply).to.be.eq.BN(10)
+      })
+
+      it('should lower the max supply to the current supply', async function () {
+        await contract.issueTokens(
+          [holder, holder],
+          [itemId0, itemId0],
+          fromCreator
+        )
+
+        await contract.setItemsMaxSupply([itemId0], [2], fromCreator)
+
+        await assertRevert(
+          contract.issueTokens([holder], [itemId0], fromCreator),
+          '_issueToken: ITEM_EXHAUSTED'
+        )
+      })
+
+      it('should issue tokens up to the new max supply', async function () {
+        await contract.setItemsMaxSupply([itemId1], [1], fromCreator)
+
+        await contract.issueTokens([holder], [itemId1], fromCreator)
+
+        await assertRevert(
+          contract.issueTokens([holder], [itemId1], fromCreator),
+          '_issueToken: ITEM_EXHAUSTED'
+        )
+      })
+
+      it('reverts when params mismatch', async function () {
+        await assertRevert(
+          contract.setItemsMaxSupply([itemId0, itemId1], [10], fromCreator),
+          'setItemsMaxSupply: LENGTH_MISMATCH'
+        )
+
+        await assertRevert(
+          contract.setItemsMaxSupply([itemId0], [10, 10], fromCreator),
+          'setItemsMaxSupply: LENGTH_MISMATCH'
+        )
+      })
+
+      it('reverts when lowering the max supply by not the creator or manager', async function () {
+        await assertRevert(
+          contract.setItemsMaxSupply([itemId0], [10], fromDeployer),
+          'setItemsMaxSupply: CALLER_IS_NOT_CREATOR_OR_MANAGER'
+        )
+
+        await contract.setItemsManagers(
+          [itemId1],
+          [manager],
+          [true],
+          fromCreator
+        )
+
+        await assertRevert(
+          contract.setItemsMaxSupply([itemId0], [10], fromManager),
+          'setItemsMaxSupply: CALLER_IS_NOT_CREATOR_OR_MANAGER'
+        )
+
+        await assertRevert(
+          contract.setItemsMaxSupply([itemId0], [10], fromHacker),
+          'setItemsMaxSupply: CALLER_IS_NOT_CREATOR_OR_MANAGER'
+        )
+      })
+
+      it('reverts when lowering the max supply of an invalid item', async function () {
+        const itemLength = await contract.itemsCount()
+
+        await assertRevert(
+          contract.setItemsMaxSupply([itemLength], [10], fromCreator),
+          'setItemsMaxSupply: ITEM_DOES_NOT_EXIST'
+        )
+      })
+
+      it('reverts when the max supply is not lowered', async function () {
+        await assertRevert(
+          contract.setItemsMaxSupply([itemId1], [50], fromCreator),
+          'setItemsMaxSupply: INVALID_MAX_SUPPLY'
+        )
+
+        await assertRevert(
+          contract.setItemsMaxSupply(
+            [itemId1],
+            [RARITIES.legendary.value],
+            fromCreator
+          ),
+          'setItemsMaxSupply: INVALID_MAX_SUPPLY'
+        )
+
+        await assertRevert(
+          contract.setItemsMaxSupply([itemId1], [0], fromCreator),
+          'setItemsMaxSupply: INVALID_MAX_SUPPLY'
+        )
+      })
+
+      it('reverts when lowering the max supply below the current supply', async function () {
+        await contract.issueTokens(
+          [holder, holder],
+          [itemId0, itemId0],
+          fromCreator
+        )
+
+        await assertRevert(
+          contract.setItemsMaxSupply([itemId0], [1], fromCreator),
+          'setItemsMaxSupply: INVALID_MAX_SUPPLY'
+        )
+      })
+
+      it('reverts when editable is set to false', async function () {
+        await contract.setEditable(false, fromDeployer)
+
+        await assertRevert(
+          contract.setItemsMaxSupply([itemId0], [10], fromCreator),
+          'setItemsMaxSupply: COLLECTION_NOT_EDITABLE'
+        )
+      })
+    })
+
+    describe('royalties', function () {
+      const salePrice = web3.utils.toWei('100')
+
+      let contract
+      let itemId0
+      let itemId1
+      let tokenId0
+      let tokenId1
+
+      this.beforeEach(async () => {
+        contract = await createContract(
+          creator,
+          false,
+          true,
+          true,
+          creationParams
+        )
+        await contract.addItems(
+          [
+            [RARITIES.common.name, 1, beneficiary, 'metadata:0', 0],
+            [RARITIES.common.name, 0, ZERO_ADDRESS, 'metadata:1', 0],
+          ],
+          fromDeployer
+        )
+        await contract.completeCollection(fromCreator)
+
+        const itemLength = await contract.itemsCount()
+        itemId0 = itemLength.sub(web3.utils.toBN(2))
+        itemId1 = itemLength.sub(web3.utils.toBN(1))
+
+        tokenId0 = encodeTokenId(itemId0, 1)
+        tokenId1 = encodeTokenId(itemId1, 1)
+      })
+
+      it('should support the EIP-2981 interface', async function () {
+        expect(await contract.supportsInterface('0x2a55205a')).to.be.equal(true)
+        // ERC721
+        expect(await contract.supportsInterface('0x80ac58cd')).to.be.equal(true)
+        expect(await contract.supportsInterface('0xffffffff')).to.be.equal(
+          false
+        )
+      })
+
+      it('should return no royalty by default', async function () {
+        const royalty = await contract.royaltyInfo(tokenId0, salePrice)
+        expect(royalty.receiver).to.be.equal(beneficiary)
+        expect(royalty.royaltyAmount).to.be.eq.BN(0)
+      })
+
+      it('should set the default royalty', async function () {
+        const { logs } = await contract.setDefaultRoyalty(
+          ZERO_ADDRESS,
+          500,
+          fromCreator
+        )
+
+        expect(logs.length).to.be.equal(1)
+        expect(logs[0].event).to.be.equal('SetDefaultRoyalty')
+        expect(logs[0].args._receiver).to.be.equal(ZERO_ADDRESS)
+        expect(logs[0].args._basisPoints).to.be.eq.BN(500)
+
+        const defaultRoyalty = await contract.defaultRoyalty()
+        expect(defaultRoyalty.receiver).to.be.equal(ZERO_ADDRESS)
+        expect(defaultRoyalty.basisPoints).to.be.eq.BN(500)
+
+        // Item with beneficiary
+        let royalty = await contract.royaltyInfo(tokenId0, salePrice)
+        expect(royalty.receiver).to.be.equal(beneficiary)
+        expect(royalty.royaltyAmount).to.be.eq.BN(web3.utils.toWei('5'))
+
+        // Item without beneficiary
+        royalty = await contract.royaltyInfo(tokenId1, salePrice)
+        expect(royalty.receiver).to.be.equal(creator)
+        expect(royalty.royaltyAmount).to.be.eq.BN(web3.utils.toWei('5'))
+
+        await contract.setDefaultRoyalty(holder, 1000, fromCreator)
+
+        royalty = await contract.royaltyInfo(tokenId0, salePrice)
+        expect(royalty.receiver).to.be.equal(holder)
+        expect(royalty.royaltyAmount).to.be.eq.BN(web3.utils.toWei('10'))
+      })
+
+      it('should set items royalties', async function () {
+        await contract.setDefaultRoyalty(holder, 1000, fromCreator)
+
+        const { logs } = await contract.setItemsRoyalties(
+          [itemId0, itemId1],
+          [anotherHolder, ZERO_ADDRESS],
+          [250, 10000],
+          fromCreator
+        )
+
+        expect(logs.length).to.be.equal(2)
+        expect(logs[0].event).to.be.equal('SetItemRoyalty')
+        expect(logs[0].args._itemId).to.be.eq.BN(itemId0)
+        expect(logs[0].args._receiver).to.be.equal(anotherHolder)
+        expect(logs[0].args._basisPoints).to.be.eq.BN(250)
+
+        expect(logs[1].event).to.be.equal('SetItemRoyalty')
+        expect(logs[1].args._itemId).to.be.eq.BN(itemId1)
+        expect(logs[1].args._receiver).to.be.equal(ZERO_ADDRESS)
+        expect(logs[1].args._basisPoints).to.be.eq.BN(10000)
+
+        const itemRoyalty = await contract.itemRoyalties(itemId0)
+        expect(itemRoyalty.receiver).to.be.equal(anotherHolder)
+        expect(itemRoyalty.isSet).to.be.equal(true)
+        expect(itemRoyalty.basisPoints).to.be.eq.BN(250)
+
+        let royalty = await contract.royaltyInfo(tokenId0, salePrice)
+        expect(royalty.receiver).to.be.equal(anotherHolder)
+        expect(royalty.royaltyAmount).to.be.eq.BN(web3.utils.toWei('2.5'))
+
+        royalty = await contract.royaltyInfo(tokenId1, salePrice)
+        expect(royalty.receiver).to.be.equal(creator)
+        expect(royalty.royaltyAmount).to.be.eq.BN(salePrice)
+
+        // Opt the item out of royalties
+        await contract.setItemsRoyalties(
+          [itemId0],
+          [ZERO_ADDRESS],
+          [0],
+          fromCreator
+        )
+
+        royalty = await contract.royaltyInfo(tokenId0, salePrice)
+        expect(royalty.receiver).to.be.equal(beneficiary)
+        expect(royalty.royaltyAmount).to.be.eq.BN(0)
+      })
+
+      it('should remove items royalties', async function () {
+        await contract.setDefaultRoyalty(holder, 1000, fromCreator)
+
+        await contract.setItemsRoyalties(
+          [itemId0, itemId1],
+          [anotherHolder, ZERO_ADDRESS],
+          [0, 250],
+          fromCreator
+        )
+
+        const { logs } = await contract.setItemsRoyalties(
+          [itemId0, itemId1],
+          [ZERO_ADDRESS, ZERO_ADDRESS],
+          [MAX_UINT256, MAX_UINT256],
+          fromCreator
+        )
+
+        expect(logs.length).to.be.equal(2)
+        expect(logs[0].event).to.be.equal('RemoveItemRoyalty')
+        expect(logs[0].args._itemId).to.be.eq.BN(itemId0)
+        expect(logs[1].event).to.be.equal('RemoveItemRoyalty')
+        expect(logs[1].args._itemId).to.be.eq.BN(itemId1)
+
+        const itemRoyalty = await contract.itemRoyalties(itemId0)
+        expect(itemRoyalty.receiver).to.be.equal(ZERO_ADDRESS)
+        expect(itemRoyalty.isSet).to.be.equal(false)
+        expect(itemRoyalty.basisPoints).to.be.eq.BN(0)
+
+        let royalty = await contract.royaltyInfo(tokenId0, salePrice)
+        expect(royalty.receiver).to.be.equal(holder)
+        expect(royalty.royaltyAmount).to.be.eq.BN(web3.utils.toWei('10'))
+
+        royalty = await contract.royaltyInfo(tokenId1, salePrice)
+        expect(royalty.receiver).to.be.equal(holder)
+        expect(royalty.royaltyAmount).to.be.eq.BN(web3.utils.toWei('10'))
+      })
+
+      it('should set items royalties by a manager', async function () {
+        await contract.setItemsManagers(
+          [itemId0],
+          [manager],
+          [true],
+          fromCreator
+        )
+
+        await contract.setItemsRoyalties(
+          [itemId0],
+          [ZERO_ADDRESS],
+          [100],
+          fromManager
+        )
+
+        const royalty = await contract.royaltyInfo(tokenId0, salePrice)
+        expect(royalty.receiver).to.be.equal(beneficiary)
+        expect(royalty.royaltyAmount).to.be.eq.BN(web3.utils.toWei('1'))
+      })
+
+      it('should set items royalties :: Relayed EIP721', async function () {
+        const functionSignature = web3.eth.abi.encodeFunctionCall(
+          {
+            inputs: [
+              {
+                internalType: 'uint256[]',
+                name: '_itemIds',
+                type: 'uint256[]',
+              },
+              {
+                internalType: 'address[]',
+                name: '_receivers',
+                type: 'address[]',
+              },
+              {
+                internalType: 'uint256[]',
+                name: '_basisPoints',
+                type: 'uint256[]',
+              },
+            ],
+            name: 'setItemsRoyalties',
+            outputs: [],
+            stateMutability: 'nonpayable',
+            type: 'function',
+          },
+          [[itemId0.toString()], [anotherHolder], ['100']]
+        )
+
+        const { logs } = await sendMetaTx(
+          contract,
+          functionSignature,
+          creator,
+          relayer
+        )
+
+        expect(logs.length).to.be.equal(2)
+        expect(logs[0].event).to.be.equal('MetaTransactionExecuted')
+        expect(logs[0].args.userAddress).to.be.equal(creator)
+        expect(logs[0].args.relayerAddress).to.be.equal(relayer)
+
+        expect(logs[1].event).to.be.equal('SetItemRoyalty')
+        expect(logs[1].args._receiver).to.be.equal(anotherHolder)
+
+        const royalty = await contract.royaltyInfo(tokenId0, salePrice)
+        expect(royalty.receiver).to.be.equal(anotherHolder)
+        expect(royalty.royaltyAmount).to.be.eq.BN(web3.utils.toWei('1'))
+      })
+
+      it('reverts when setting the default royalty by not the creator', async function () {
+        await assertRevert(
+          contract.setDefaultRoyalty(holder, 100, fromDeployer),
+          'onlyCreator: CALLER_IS_NOT_CREATOR'
+        )
+
+        await assertRevert(
+          contract.setDefaultRoyalty(holder, 100, fromHacker),
+          'onlyCreator: CALLER_IS_NOT_CREATOR'
+        )
+      })
+
+      it('reverts when setting an invalid default royalty', async function () {
+        await assertRevert(
+          contract.setDefaultRoyalty(holder, 10001, fromCreator),
+          'setDefaultRoyalty: INVALID_BASIS_POINTS'
+        )
+      })
+
+      it('reverts when params mismatch', async function () {
+        await assertRevert(
+          contract.setItemsRoyalties(
+            [itemId0, itemId1],
+            [holder],
+            [100],
+            fromCreator
+          ),
+          'setItemsRoyalties: LENGTH_MISMATCH'
+        )
+
+        await assertRevert(
+          contract.setItemsRoyalties(
+            [itemId0],
+            [holder],
+            [100, 100],
+            fromCreator
+          ),
+          'setItemsRoyalties: LENGTH_MISMATCH'
+        )
+      })
+
+      it('reverts when setting items royalties by not the creator or manager', async function () {
+        await assertRevert(
+          contract.setItemsRoyalties([itemId0], [holder], [100], fromDeployer),
+          'setItemsRoyalties: CALLER_IS_NOT_CREATOR_OR_MANAGER'
+        )
+
+        await contract.setItemsManagers(
+          [itemId1],
+          [manager],
+          [true],
+          fromCreator
+        )
+
+        await assertRevert(
+          contract.setItemsRoyalties([itemId0], [holder], [100], fromManager),
+          'setItemsRoyalties: CALLER_IS_NOT_CREATOR_OR_MANAGER'
+        )
+
+        await assertRevert(
+          contract.setItemsRoyalties([itemId0], [holder], [100], fromHacker),
+          'setItemsRoyalties: CALLER_IS_NOT_CREATOR_OR_MANAGER'
+        )
+      })
+
+      it('reverts when setting royalties for an invalid item', async function () {
+        const itemLength = await contract.itemsCount()
+
+        await assertRevert(
+          contract.setItemsRoyalties(
+            [itemLength],
+            [holder],
+            [100],
+            fromCreator
+          ),
+          'setItemsRoyalties: ITEM_DOES_NOT_EXIST'
+        )
+      })
+
+      it('reverts when setting an invalid item royalty', async function () {
+        await assertRevert(
+          contract.setItemsRoyalties([itemId0], [holder], [10001], fromCreator),
+          'setItemsRoyalties: INVALID_BASIS_POINTS'
+        )
+      })
+
+      it('reverts when editable is set to false', async function () {
+        await contract.setEditable(false, fromDeployer)
+
+        await assertRevert(
+          contract.setDefaultRoyalty(holder, 100, fromCreator),
+          'setDefaultRoyalty: COLLECTION_NOT_EDITABLE'
+        )
+
+        await assertRevert(
+          contract.setItemsRoyalties([itemId0], [holder], [100], fromCreator),
+          'setItemsRoyalties: COLLECTION_NOT_EDITABLE'
+        )
+      })
+    })
+
     describe('rescueItems', function () {
       let contract
       let itemId0
@@ -3099,6 +3918,7 @@ export function doTest(
           web3.utils.toBN(10).toString(),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         item1 = [
@@ -3106,6 +3926,7 @@ export function doTest(
           web3.utils.toBN(10).toString(),
           beneficiary,
           '1:turtle_mask:hat:female,male',
+          0,
         ]
 
         contract = await createContract(
@@ -3628,6 +4449,7 @@ export function doTest(
           '1',
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         anotherNewItem = [
@@ -3635,6 +4457,7 @@ export function doTest(
           '1',
           beneficiary,
           '1:turtle_mask:hat:female,male',
+          0,
         ]
 
         contract = await createContract(
@@ -4277,6 +5100,7 @@ export function doTest(
           '1',
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         const contract = await createContract(
@@ -4304,6 +5128,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         const contract = await createContract(
@@ -4883,6 +5708,322 @@ export function doTest(
         )
       })
     })
+    describe('burn', function () {
+      it('should burn a token', async function () {
+        const balance = await collectionContract.balanceOf(holder)
+        const { totalSupply } = await collectionContract.items(0)
+
+        const { logs } = await collectionContract.burn(token1, fromHolder)
+
+        const transferLog = logs.find(({ event }) => event === 'Transfer')
+        expect(transferLog.args.from).to.be.equal(holder)
+        expect(transferLog.args.to).to.be.equal(ZERO_ADDRESS)
+        expect(transferLog.args.tokenId).to.be.eq.BN(token1)
+
+        const burnLog = logs.find(({ event }) => event === 'Burn')
+        expect(burnLog.args._owner).to.be.equal(holder)
+        expect(burnLog.args._tokenId).to.be.eq.BN(token1)
+        expect(burnLog.args._itemId).to.be.eq.BN(0)
+        expect(burnLog.args._caller).to.be.equal(holder)
+
+        await assertRevert(
+          collectionContract.ownerOf(token1),
+          'ERC721: owner query for nonexistent token'
+        )
+        expect(await collectionContract.balanceOf(holder)).to.be.eq.BN(
+          balance.sub(web3.utils.toBN(1))
+        )
+        expect(await collectionContract.itemBurnedSupply(0)).to.be.eq.BN(1)
+
+        // The total supply is kept so issued ids are not reused
+        const item = await collectionContract.items(0)
+        expect(item.totalSupply).to.be.eq.BN(totalSupply)
+      })
+
+      it('should burn tokens in batch', async function () {
+        const { logs } = await collectionContract.batchBurn(
+          [token1, token2],
+          fromHolder
+        )
+
+        const burnLogs = logs.filter(({ event }) => event === 'Burn')
+        expect(burnLogs.length).to.be.equal(2)
+        expect(burnLogs[0].args._tokenId).to.be.eq.BN(token1)
+        expect(burnLogs[0].args._itemId).to.be.eq.BN(0)
+        expect(burnLogs[1].args._tokenId).to.be.eq.BN(token2)
+        expect(burnLogs[1].args._itemId).to.be.eq.BN(0)
+
+        expect(await collectionContract.balanceOf(holder)).to.be.eq.BN(0)
+        expect(await collectionContract.itemBurnedSupply(0)).to.be.eq.BN(2)
+        expect(await collectionContract.itemBurnedSupply(1)).to.be.eq.BN(0)
+      })
+
+      it('should burn a token by an approved operator', async function () {
+        await collectionContract.approve(operator, token1, fromHolder)
+
+        const { logs } = await collectionContract.burn(token1, {
+          from: operator,
+        })
+
+        const burnLog = logs.find(({ event }) => event === 'Burn')
+        expect(burnLog.args._owner).to.be.equal(holder)
+        expect(burnLog.args._caller).to.be.equal(operator)
+
+        await collectionContract.setApprovalForAll(
+          approvedForAll,
+          true,
+          fromHolder
+        )
+
+        await collectionContract.batchBurn([token2], fromApprovedForAll)
+
+        expect(await collectionContract.balanceOf(holder)).to.be.eq.BN(0)
+        expect(await collectionContract.itemBurnedSupply(0)).to.be.eq.BN(2)
+      })
+
+      it('should burn tokens in batch :: Relayed EIP721', async function () {
+        const functionSignature = web3.eth.abi.encodeFunctionCall(
+          {
+            inputs: [
+              {
+                internalType: 'uint256[]',
+                name: '_tokenIds',
+                type: 'uint256[]',
+              },
+            ],
+            name: 'batchBurn',
+            outputs: [],
+            stateMutability: 'nonpayable',
+            type: 'function',
+          },
+          [[token1.toString(), token2.toString()]]
+        )
+
+        const { logs } = await sendMetaTx(
+          collectionContract,
+          functionSignature,
+          holder,
+          relayer
+        )
+
+        expect(logs[0].event).to.be.equal('MetaTransactionExecuted')
+        expect(logs[0].args.userAddress).to.be.equal(holder)
+
+        const burnLogs = logs.filter(({ event }) => event === 'Burn')
+        expect(burnLogs.length).to.be.equal(2)
+        expect(burnLogs[0].args._caller).to.be.equal(holder)
+
+        expect(await collectionContract.balanceOf(holder)).to.be.eq.BN(0)
+      })
+
+      it('reverts when burning a token by not the owner or an approved operator', async function () {
+        await assertRevert(
+          collectionContract.burn(token1, fromHacker),
+          '_burnToken: CALLER_IS_NOT_OWNER_OR_APPROVED'
+        )
+
+        await assertRevert(
+          collectionContract.burn(token1, fromCreator),
+          '_burnToken: CALLER_IS_NOT_OWNER_OR_APPROVED'
+        )
+
+        await assertRevert(
+          collectionContract.batchBurn([token1, token3], fromHolder),
+          '_burnToken: CALLER_IS_NOT_OWNER_OR_APPROVED'
+        )
+      })
+
+      it('reverts when burning a token that does not exist', async function () {
+        await collectionContract.burn(token1, fromHolder)
+
+        await assertRevert(
+          collectionContract.burn(token1, fromHolder),
+          'ERC721: operator query for nonexistent token'
+        )
+
+        await assertRevert(
+          collectionContract.batchBurn([token2, token2], fromHolder),
+          'ERC721: operator query for nonexistent token'
+        )
+      })
+    })
+
+    describe('setItemsReissuable', function () {
+      let contract
+      let itemId
+
+      this.beforeEach(async () => {
+        contract = await createContract(
+          creator,
+          false,
+          true,
+          true,
+          creationParams
+        )
+        await contract.addItems(
+          [[RARITIES.common.name, 0, ZERO_ADDRESS, 'metadata:0', 2]],
+          fromDeployer
+        )
+        await contract.completeCollection(fromCreator)
+
+        itemId = (await contract.itemsCount()).sub(web3.utils.toBN(1))
+      })
+
+      it('should set items as reissuable', async function () {
+        expect(await contract.itemReissuable(itemId)).to.be.equal(false)
+
+        let res = await contract.setItemsReissuable(
+          [itemId],
+          [true],
+          fromCreator
+        )
+
+        expect(res.logs.length).to.be.equal(1)
+        expect(res.logs[0].event).to.be.equal('SetItemReissuable')
+        expect(res.logs[0].args._itemId).to.be.eq.BN(itemId)
+        expect(res.logs[0].args._value).to.be.equal(true)
+
+        expect(await contract.itemReissuable(itemId)).to.be.equal(true)
+
+        res = await contract.setItemsReissuable([itemId], [false], fromCreator)
+
+        expect(res.logs[0].args._value).to.be.equal(false)
+        expect(await contract.itemReissuable(itemId)).to.be.equal(false)
+      })
+
+      it('should issue again the burned tokens of reissuable items', async function () {
+        await contract.issueTokens(
+          [holder, holder],
+          [itemId, itemId],
+          fromCreator
+        )
+
+        await contract.burn(encodeTokenId(itemId, 1), fromHolder)
+
+        // Burned tokens are not issued again by default
+        await assertRevert(
+          contract.issueTokens([holder], [itemId], fromCreator),
+          '_issueToken: ITEM_EXHAUSTED'
+        )
+
+        // Tokens burned before the item is reissuable are not issued again
+        await contract.setItemsReissuable([itemId], [true], fromCreator)
+
+        await assertRevert(
+          contract.issueTokens([holder], [itemId], fromCreator),
+          '_issueToken: ITEM_EXHAUSTED'
+        )
+
+        await contract.burn(encodeTokenId(itemId, 2), fromHolder)
+
+        let item = await contract.items(itemId)
+        expect(item.totalSupply).to.be.eq.BN(1)
+        expect(await contract.itemBurnedSupply(itemId)).to.be.eq.BN(2)
+
+        const { logs } = await contract.issueTokens(
+          [anotherHolder],
+          [itemId],
+          fromCreator
+        )
+
+        // The issued ids keep growing
+        const issueLog = logs.find(({ event }) => event === 'Issue')
+        expect(issueLog.args._issuedId).to.be.eq.BN(3)
+        expect(await contract.ownerOf(encodeTokenId(itemId, 3))).to.be.equal(
+          anotherHolder
+        )
+
+        item = await contract.items(itemId)
+        expect(item.totalSupply).to.be.eq.BN(2)
+
+        await assertRevert(
+          contract.issueTokens([holder], [itemId], fromCreator),
+          '_issueToken: ITEM_EXHAUSTED'
+        )
+      })
+
+      it('should not issue again the tokens burned while the item was not reissuable', async function () {
+        await contract.setItemsReissuable([itemId], [true], fromCreator)
+        await contract.issueTokens(
+          [holder, holder],
+          [itemId, itemId],
+          fromCreator
+        )
+
+        await contract.setItemsReissuable([itemId], [false], fromCreator)
+        await contract.burn(encodeTokenId(itemId, 1), fromHolder)
+
+        const item = await contract.items(itemId)
+        expect(item.totalSupply).to.be.eq.BN(2)
+
+        await assertRevert(
+          contract.issueTokens([holder], [itemId], fromCreator),
+          '_issueToken: ITEM_EXHAUSTED'
+        )
+      })
+
+      it('should lower the max supply of reissuable items down to the tokens not burned', async function () {
+        await contract.setItemsReissuable([itemId], [true], fromCreator)
+        await contract.issueTokens(
+          [holder, holder],
+          [itemId, itemId],
+          fromCreator
+        )
+
+        await contract.burn(encodeTokenId(itemId, 1), fromHolder)
+
+        await contract.setItemsMaxSupply([itemId], [1], fromCreator)
+
+        const item = await contract.items(itemId)
+        expect(item.maxSupply).to.be.eq.BN(1)
+
+        await assertRevert(
+          contract.issueTokens([holder], [itemId], fromCreator),
+          '_issueToken: ITEM_EXHAUSTED'
+        )
+      })
+
+      it('reverts when params mismatch', async function () {
+        await assertRevert(
+          contract.setItemsReissuable([itemId], [true, false], fromCreator),
+          'setItemsReissuable: LENGTH_MISMATCH'
+        )
+      })
+
+      it('reverts when setting items as reissuable by not the creator', async function () {
+        await contract.setManagers([manager], [true], fromCreator)
+
+        await assertRevert(
+          contract.setItemsReissuable([itemId], [true], fromManager),
+          'onlyCreator: CALLER_IS_NOT_CREATOR'
+        )
+
+        await assertRevert(
+          contract.setItemsReissuable([itemId], [true], fromDeployer),
+          'onlyCreator: CALLER_IS_NOT_CREATOR'
+        )
+      })
+
+      it('reverts when setting an invalid item as reissuable', async function () {
+        await assertRevert(
+          contract.setItemsReissuable(
+            [itemId.add(web3.utils.toBN(1))],
+            [true],
+            fromCreator
+          ),
+          'setItemsReissuable: ITEM_DOES_NOT_EXIST'
+        )
+      })
+
+      it('reverts when editable is set to false', async function () {
+        await contract.setEditable(false, fromDeployer)
+
+        await assertRevert(
+          contract.setItemsReissuable([itemId], [true], fromCreator),
+          'setItemsReissuable: COLLECTION_NOT_EDITABLE'
+        )
+      })
+    })
 
     describe('setEditable', function () {
       it('should set editable', async function () {
@@ -5044,6 +6185,149 @@ export function doTest(
       })
     })
 
+    describe('setMetadataValidator', function () {
+      const ItemMetadataValidator = artifacts.require('ItemMetadataValidator')
+      const validItem = [
+        RARITIES.common.name,
+        web3.utils.toWei('10'),
+        BENEFICIARY_ADDRESS,
+        '1:crocodile_mask:hat:female,male',
+        0,
+      ]
+      const invalidItem = [
+        RARITIES.common.name,
+        web3.utils.toWei('10'),
+        BENEFICIARY_ADDRESS,
+        '1:crocodile_mask:shoes:female,male',
+        0,
+      ]
+
+      let contract
+      let validatorContract
+
+      beforeEach(async () => {
+        contract = await createContract(
+          creator,
+          false,
+          true,
+          true,
+          creationParams
+        )
+
+        validatorContract = await ItemMetadataValidator.new(
+          deployer,
+          ['hat'],
+          ['female', 'male']
+        )
+      })
+
+      it('should set the metadata validator', async function () {
+        let metadataValidator = await contract.metadataValidator()
+        expect(metadataValidator).to.be.equal(ZERO_ADDRESS)
+
+        let { logs } = await contract.setMetadataValidator(
+          validatorContract.address,
+          fromDeployer
+        )
+
+        expect(logs.length).to.be.equal(1)
+        expect(logs[0].event).to.be.equal('SetMetadataValidator')
+        expect(logs[0].args._previousMetadataValidator).to.be.equal(
+          ZERO_ADDRESS
+        )
+        expect(logs[0].args._newMetadataValidator).to.be.equal(
+          validatorContract.address
+        )
+
+        metadataValidator = await contract.metadataValidator()
+        expect(metadataValidator).to.be.equal(validatorContract.address)
+
+        logs = (await contract.setMetadataValidator(ZERO_ADDRESS, fromDeployer))
+          .logs
+
+        expect(logs.length).to.be.equal(1)
+        expect(logs[0].event).to.be.equal('SetMetadataValidator')
+        expect(logs[0].args._previousMetadataValidator).to.be.equal(
+          validatorContract.address
+        )
+        expect(logs[0].args._newMetadataValidator).to.be.equal(ZERO_ADDRESS)
+
+        metadataValidator = await contract.metadataValidator()
+        expect(metadataValidator).to.be.equal(ZERO_ADDRESS)
+      })
+
+      it('should validate the metadata of the items added', async function () {
+        await contract.addItems([invalidItem], fromDeployer)
+
+        await contract.setMetadataValidator(
+          validatorContract.address,
+          fromDeployer
+        )
+
+        await contract.addItems([validItem], fromDeployer)
+
+        await assertRevert(
+          contract.addItems([validItem, invalidItem], fromDeployer),
+          '_addItem: INVALID_METADATA'
+        )
+      })
+
+      it('should validate the metadata of the items edited', async function () {
+        await contract.addItems([validItem], fromDeployer)
+        const itemId = (await contract.itemsCount()).sub(web3.utils.toBN(1))
+        await contract.setApproved(false, fromDeployer)
+
+        await contract.setMetadataValidator(
+          validatorContract.address,
+          fromDeployer
+        )
+
+        await contract.editItemsData(
+          [itemId],
+          [validItem[1]],
+          [validItem[2]],
+          ['1:turtle_mask:hat:female'],
+          fromCreator
+        )
+
+        await assertRevert(
+          contract.editItemsData(
+            [itemId],
+            [invalidItem[1]],
+            [invalidItem[2]],
+            [invalidItem[3]],
+            fromCreator
+          ),
+          'editItemsData: INVALID_METADATA'
+        )
+
+        await contract.setMetadataValidator(ZERO_ADDRESS, fromDeployer)
+
+        await contract.editItemsData(
+          [itemId],
+          [invalidItem[1]],
+          [invalidItem[2]],
+          [invalidItem[3]],
+          fromCreator
+        )
+
+        const item = await contract.items(itemId)
+        expect(item.metadata).to.be.equal(invalidItem[3])
+      })
+
+      it('reverts when trying to set the metadata validator by not the owner', async function () {
+        await assertRevert(
+          contract.setMetadataValidator(validatorContract.address, fromCreator),
+          'Ownable: caller is not the owner'
+        )
+
+        await assertRevert(
+          contract.setMetadataValidator(validatorContract.address, fromHacker),
+          'Ownable: caller is not the owner'
+        )
+      })
+    })
+
     describe('setBaseURI', function () {
       it('should set Base URI', async function () {
         const newBaseURI = 'https://new-api.io/'
@@ -5271,6 +6555,7 @@ export function doTest(
           web3.utils.toWei('10'),
           beneficiary,
           '1:crocodile_mask:hat:female,male',
+          0,
         ]
 
         await assertRevert(
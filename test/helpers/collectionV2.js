@@ -1,5 +1,11 @@
 import { keccak256 } from '@ethersproject/solidity'
 
+import {
+  CollectionV2,
+  encodeTokenId as sdkEncodeTokenId,
+  decodeTokenId as sdkDecodeTokenId,
+} from '../../sdk'
+
 export const BENEFICIARY_ADDRESS = web3.utils.randomHex(20)
 export const OTHER_BENEFICIARY_ADDRESS = web3.utils.randomHex(20)
 
@@ -37,54 +43,63 @@ export const ITEMS = [
     web3.utils.toWei('10'),
     BENEFICIARY_ADDRESS,
     '1:bird_mask:hat:female,male',
+    0,
   ],
   [
     RARITIES.common.name,
     web3.utils.toWei('10'),
     BENEFICIARY_ADDRESS,
     '1:classic_mask:hat:female,male',
+    0,
   ],
   [
     RARITIES.common.name,
     web3.utils.toWei('10'),
     BENEFICIARY_ADDRESS,
     '1:clown_nose:hat:female,male',
+    0,
   ],
   [
     RARITIES.common.name,
     web3.utils.toWei('10'),
     BENEFICIARY_ADDRESS,
     '1:asian_fox:hat:female,male',
+    0,
   ],
   [
     RARITIES.common.name,
     web3.utils.toWei('10'),
     BENEFICIARY_ADDRESS,
     '1:killer_mask:hat:female,male',
+    0,
   ],
   [
     RARITIES.common.name,
     web3.utils.toWei('10'),
     BENEFICIARY_ADDRESS,
     '1:serial_killer_mask:hat:female,male',
+    0,
   ],
   [
     RARITIES.legendary.name,
     web3.utils.toWei('10'),
     BENEFICIARY_ADDRESS,
     '1:theater_mask:hat:female,male',
+    0,
   ],
   [
     RARITIES.legendary.name,
     web3.utils.toWei('10'),
     BENEFICIARY_ADDRESS,
     '1:tropical_mask:hat:female,male',
+    0,
   ],
 ]
 
 export const RESCUE_ITEMS_SELECTOR = '0x3c963655'
 export const SET_APPROVE_COLLECTION_SELECTOR = '0x46d5a568'
 export const SET_EDITABLE_SELECTOR = '0x2cb0d48a'
+export const MIGRATE_TO_VERSION_SELECTOR = '0x670a58a9'
 
 export function getInitialRarities() {
   return Object.keys(RARITIES).map((key) => [
@@ -102,11 +117,30 @@ export function getRarityDefaulPrices() {
   return Object.keys(RARITIES).map((_) => DEFAULT_RARITY_PRICE)
 }
 
+const linkedCollections = new Set()
+
+export async function linkCollectionV2Libraries(ERC721CollectionV2) {
+  // Truffle contracts can only be linked once to the same library
+  if (linkedCollections.has(ERC721CollectionV2)) {
+    return
+  }
+
+  const CollectionItemsV2 = artifacts.require('CollectionItemsV2')
+  const CollectionHelpersV2 = artifacts.require('CollectionHelpersV2')
+  const collectionItems = await CollectionItemsV2.new()
+  const collectionHelpers = await CollectionHelpersV2.new()
+
+  await ERC721CollectionV2.link(collectionItems)
+  await ERC721CollectionV2.link(collectionHelpers)
+  linkedCollections.add(ERC721CollectionV2)
+}
+
 export async function createDummyFactory(owner) {
   const ERC721CollectionFactoryV2 = artifacts.require(
     'ERC721CollectionFactoryV2'
   )
   const ERC721CollectionV2 = artifacts.require('ERC721CollectionV2')
+  await linkCollectionV2Libraries(ERC721CollectionV2)
 
   const collectionImplementation = await ERC721CollectionV2.new()
 
@@ -131,103 +165,22 @@ export async function setupItems(contract, items = ITEMS) {
 }
 
 export function getInitData(options) {
-  return web3.eth.abi.encodeFunctionCall(
-    {
-      inputs: [
-        {
-          internalType: 'string',
-          name: '_name',
-          type: 'string',
-        },
-        {
-          internalType: 'string',
-          name: '_symbol',
-          type: 'string',
-        },
-        {
-          internalType: 'string',
-          name: '_baseURI',
-          type: 'string',
-        },
-        {
-          internalType: 'address',
-          name: '_creator',
-          type: 'address',
-        },
-        {
-          internalType: 'bool',
-          name: '_shouldComplete',
-          type: 'bool',
-        },
-        {
-          internalType: 'bool',
-          name: '_isApproved',
-          type: 'bool',
-        },
-        {
-          internalType: 'address',
-          name: '_rarities',
-          type: 'address',
-        },
-        {
-          components: [
-            {
-              internalType: 'enum ERC721BaseCollectionV2.RARITY',
-              name: 'rarity',
-              type: 'string',
-            },
-            {
-              internalType: 'uint256',
-              name: 'price',
-              type: 'uint256',
-            },
-            {
-              internalType: 'address',
-              name: 'beneficiary',
-              type: 'address',
-            },
-            {
-              internalType: 'string',
-              name: 'metadata',
-              type: 'string',
-            },
-          ],
-          internalType: 'struct ERC721BaseCollectionV2.ItemParam[]',
-          name: '_items',
-          type: 'tuple[]',
-        },
-      ],
-      name: 'initialize',
-      outputs: [],
-      stateMutability: 'nonpayable',
-      type: 'function',
-    },
-    [
-      options.name || CONTRACT_NAME,
-      options.symbol || CONTRACT_SYMBOL,
-      options.baseURI || BASE_URI,
-      options.creator,
-      options.shouldComplete,
-      options.shouldApprove,
-      options.rarities,
-      options.items || ITEMS,
-    ]
-  )
+  return CollectionV2.encodeInitialize({
+    name: options.name || CONTRACT_NAME,
+    symbol: options.symbol || CONTRACT_SYMBOL,
+    baseURI: options.baseURI || BASE_URI,
+    creator: options.creator,
+    shouldComplete: options.shouldComplete,
+    isApproved: options.shouldApprove,
+    rarities: options.rarities,
+    items: options.items || ITEMS,
+  })
 }
 
 export function encodeTokenId(a, b) {
-  return web3.utils.toBN(
-    `0x${web3.utils.padLeft(a, 10).replace('0x', '')}${web3.utils
-      .padLeft(b, 54)
-      .replace('0x', '')}`
-  )
+  return web3.utils.toBN(sdkEncodeTokenId(a, b))
 }
 
 export function decodeTokenId(id) {
-  const hexId = web3.utils.padLeft(web3.utils.toHex(id), 64).replace('0x', '')
-
-  return [
-    web3.utils.toBN(hexId.substr(0, 10)),
-    web3.utils.toBN(hexId.substr(10, hexId.length)),
-  ]
+  return sdkDecodeTokenId(id).map((value) => web3.utils.toBN(value))
 }
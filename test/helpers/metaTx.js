@@ -1,3 +1,11 @@
+import {
+  DOMAINS,
+  getMetaTxTypedData,
+  getVoucherTypedData,
+  getSignedOrderTypedData,
+  getDomainSeparator as sdkGetDomainSeparator,
+} from '../../sdk'
+
 export const DEFAULT_DOMAIN = 'Decentraland Collection'
 export const DEFAULT_VERSION = '2'
 
@@ -36,46 +44,61 @@ export async function getSignature(
   version
 ) {
   const chainId = await contract.getChainId()
+  const nonce = await contract.getNonce(signer)
 
-  const domainType = [
-    { name: 'name', type: 'string' },
-    { name: 'version', type: 'string' },
-    { name: 'verifyingContract', type: 'address' },
-    { name: 'salt', type: 'bytes32' },
-  ]
+  const dataToSign = getMetaTxTypedData(
+    { name: domain, version, verifyingContract: contract.address, chainId },
+    { nonce, from: badSigner ? badSigner : signer, functionSignature }
+  )
 
-  const domainData = {
-    name: domain,
-    verifyingContract: contract.address,
-    salt: web3.utils.padLeft(web3.utils.toHex(chainId), 64),
-    version,
-  }
+  const signature = await new Promise((res, rej) =>
+    web3.currentProvider.send(
+      {
+        method: 'eth_signTypedData_v4',
+        params: [signer, dataToSign],
+        jsonrpc: '2.0',
+        id: 999999999999,
+      },
+      function (err, result) {
+        if (err || result.error) {
+          return rej(err || result.error)
+        }
+        return res(result.result)
+      }
+    )
+  )
+
+  return signature.substring(2)
+}
 
-  const metaTransactionType = [
-    { name: 'nonce', type: 'uint256' },
-    { name: 'from', type: 'address' },
-    { name: 'functionSignature', type: 'bytes' },
-  ]
+export async function getDomainSeparator(
+  contract,
+  domain = DEFAULT_DOMAIN,
+  version = DEFAULT_VERSION
+) {
+  const chainId = await contract.getChainId()
 
-  let nonce = await contract.getNonce(signer)
+  return sdkGetDomainSeparator({
+    name: domain,
+    version,
+    verifyingContract: contract.address,
+    chainId,
+  })
+}
 
-  let message = {
-    nonce: nonce,
-    from: badSigner ? badSigner : signer,
-    functionSignature: functionSignature,
-  }
+export async function getVoucherSignature(store, voucher, signer) {
+  const chainId = await store.getChainId()
 
-  const dataToSign = {
-    types: {
-      EIP712Domain: domainType,
-      MetaTransaction: metaTransactionType,
+  const dataToSign = getVoucherTypedData(
+    {
+      ...DOMAINS.CollectionStore,
+      verifyingContract: store.address,
+      chainId,
     },
-    domain: domainData,
-    primaryType: 'MetaTransaction',
-    message: message,
-  }
+    voucher
+  )
 
-  const signature = await new Promise((res, rej) =>
+  return new Promise((res, rej) =>
     web3.currentProvider.send(
       {
         method: 'eth_signTypedData_v4',
@@ -91,28 +114,34 @@ export async function getSignature(
       }
     )
   )
-
-  return signature.substring(2)
 }
 
-export async function getDomainSeparator(contract) {
-  const chainId = await contract.getChainId()
+export async function getSignedOrderSignature(marketplace, order, signer) {
+  const chainId = await marketplace.getChainId()
 
-  return web3.utils.soliditySha3({
-    t: 'bytes',
-    v: web3.eth.abi.encodeParameters(
-      ['bytes32', 'bytes32', 'bytes32', 'address', 'bytes32'],
-      [
-        web3.utils.soliditySha3({
-          t: 'string',
-          v:
-            'EIP712Domain(string name,string version,address verifyingContract,bytes32 salt)',
-        }),
-        web3.utils.soliditySha3({ t: 'string', v: 'Decentraland Collection' }),
-        web3.utils.soliditySha3({ t: 'string', v: '2' }),
-        contract.address,
-        web3.utils.padLeft(web3.utils.toHex(chainId), 64),
-      ]
-    ),
-  })
+  const dataToSign = getSignedOrderTypedData(
+    {
+      ...DOMAINS.CollectionMarketplace,
+      verifyingContract: marketplace.address,
+      chainId,
+    },
+    order
+  )
+
+  return new Promise((res, rej) =>
+    web3.currentProvider.send(
+      {
+        method: 'eth_signTypedData_v4',
+        params: [signer, dataToSign],
+        jsonrpc: '2.0',
+        id: 999999999999,
+      },
+      function (err, result) {
+        if (err || result.error) {
+          return rej(err || result.error)
+        }
+        return res(result.result)
+      }
+    )
+  )
 }
@@ -0,0 +1,525 @@
+import hr from 'hardhat'
+import { Mana, ADDRESS_INDEXES } from 'decentraland-contract-plugins'
+
+import { balanceSnap } from '../helpers/balanceSnap'
+import assertRevert from '../helpers/assertRevert'
+import {
+  ITEMS,
+  getInitialRarities,
+  createDummyFactory,
+  createDummyCollection,
+  encodeTokenId,
+  ZERO_ADDRESS,
+} from '../helpers/collectionV2'
+import { sendMetaTx } from '../helpers/metaTx'
+
+const BN = web3.utils.BN
+const expect = require('chai').use(require('bn-chai')(BN)).expect
+
+const Store = artifacts.require('DummyBurningStoreV2')
+const Rarities = artifacts.require('Rarities')
+
+describe('BurningStoreV2', function () {
+  const ONE_MILLION = web3.utils.toBN(1000000)
+  const FEE = web3.utils.toBN(10000)
+  const BURN_PRICE_0 = web3.utils.toBN(web3.utils.toWei('10'))
+  const BURN_PRICE_1 = web3.utils.toBN(web3.utils.toWei('25'))
+
+  // Contract
+  let manaContract
+  let storeContract
+  let collection1
+  let collection2
+
+  // Accounts
+  let accounts
+  let deployer
+  let buyer
+  let anotherBuyer
+  let storeOwner
+  let feeOwner
+  let hacker
+  let relayer
+  let fromHacker
+  let fromDeployer
+  let fromStoreOwner
+  let fromBuyer
+
+  let creationParams
+
+  beforeEach(async function () {
+    accounts = await web3.eth.getAccounts()
+    deployer = accounts[ADDRESS_INDEXES.deployer]
+    hacker = accounts[ADDRESS_INDEXES.hacker]
+    storeOwner = accounts[ADDRESS_INDEXES.operator]
+    feeOwner = accounts[ADDRESS_INDEXES.anotherUser]
+    buyer = accounts[ADDRESS_INDEXES.buyer]
+    anotherBuyer = accounts[ADDRESS_INDEXES.anotherBuyer]
+    relayer = accounts[ADDRESS_INDEXES.user]
+
+    fromStoreOwner = { from: storeOwner }
+    fromHacker = { from: hacker }
+    fromBuyer = { from: buyer }
+    fromDeployer = { from: deployer }
+
+    creationParams = {
+      ...fromDeployer,
+      gas: 6e6,
+      gasPrice: 21e9,
+    }
+
+    // Set up MANA Contract
+    const mana = new Mana({ accounts, artifacts: hr.artifacts })
+    await mana.deploy({ txParams: creationParams })
+    manaContract = mana.getContract()
+
+    const raritiesContract = await Rarities.new(deployer, getInitialRarities())
+
+    const factory = await createDummyFactory(deployer)
+
+    collection1 = await createDummyCollection(factory, {
+      creator: deployer,
+      items: ITEMS,
+      shouldComplete: true,
+      shouldApprove: true,
+      rarities: raritiesContract.address,
+    })
+
+    collection2 = await createDummyCollection(factory, {
+      creator: deployer,
+      items: ITEMS,
+      shouldComplete: true,
+      shouldApprove: true,
+      rarities: raritiesContract.address,
+    })
+
+    storeContract = await Store.new(
+      storeOwner,
+      manaContract.address,
+      feeOwner,
+      FEE,
+      fromStoreOwner
+    )
+
+    await collection1.setMinters([storeContract.address], [true])
+    await collection2.setMinters([storeContract.address], [true])
+
+    await storeContract.setItemsBurnPrices(
+      collection1.address,
+      [0, 1],
+      [BURN_PRICE_0, BURN_PRICE_1],
+      fromDeployer
+    )
+    await storeContract.setItemsBurnPrices(
+      collection2.address,
+      [0],
+      [BURN_PRICE_0],
+      fromDeployer
+    )
+
+    // Approve store
+    await manaContract.approve(storeContract.address, -1, fromBuyer)
+  })
+
+  describe('Deploy', async function () {
+    it('deploy with correct values', async function () {
+      const contract = await Store.new(
+        storeOwner,
+        manaContract.address,
+        feeOwner,
+        FEE,
+        fromStoreOwner
+      )
+
+      expect(await contract.owner()).to.be.equal(storeOwner)
+      expect(await contract.acceptedToken()).to.be.equal(manaContract.address)
+      expect(await contract.feeOwner()).to.be.equal(feeOwner)
+      expect(await contract.fee()).to.be.eq.BN(FEE)
+    })
+
+    it('deploy without fee', async function () {
+      const contract = await Store.new(
+        storeOwner,
+        manaContract.address,
+        feeOwner,
+        0,
+        fromStoreOwner
+      )
+
+      expect(await contract.fee()).to.be.eq.BN(0)
+    })
+
+    it('reverts when deploying with fee >= ONE_MILLION', async function () {
+      await assertRevert(
+        Store.new(
+          storeOwner,
+          manaContract.address,
+          feeOwner,
+          ONE_MILLION,
+          fromStoreOwner
+        ),
+        'BurningStoreV2#setFee: FEE_SHOULD_BE_LOWER_THAN_BASE_FEE'
+      )
+    })
+  })
+
+  describe('setItemsBurnPrices', function () {
+    it('should set items burn prices', async function () {
+      expect(
+        await storeContract.itemBurnPrices(collection1.address, 2)
+      ).to.be.eq.BN(0)
+
+      const { logs } = await storeContract.setItemsBurnPrices(
+        collection1.address,
+        [2, 0],
+        [BURN_PRICE_1, 0],
+        fromDeployer
+      )
+
+      expect(logs.length).to.be.equal(2)
+      expect(logs[0].event).to.be.equal('SetItemBurnPrice')
+      expect(logs[0].args._collection).to.be.equal(collection1.address)
+      expect(logs[0].args._itemId).to.be.eq.BN(2)
+      expect(logs[0].args._price).to.be.eq.BN(BURN_PRICE_1)
+      expect(logs[1].args._itemId).to.be.eq.BN(0)
+      expect(logs[1].args._price).to.be.eq.BN(0)
+
+      expect(
+        await storeContract.itemBurnPrices(collection1.address, 2)
+      ).to.be.eq.BN(BURN_PRICE_1)
+      expect(
+        await storeContract.itemBurnPrices(collection1.address, 0)
+      ).to.be.eq.BN(0)
+    })
+
+    it('reverts when params mismatch', async function () {
+      await assertRevert(
+        storeContract.setItemsBurnPrices(
+          collection1.address,
+          [0, 1],
+          [BURN_PRICE_0],
+          fromDeployer
+        ),
+        'BurningStoreV2#setItemsBurnPrices: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when setting prices by not the creator', async function () {
+      await assertRevert(
+        storeContract.setItemsBurnPrices(
+          collection1.address,
+          [0],
+          [BURN_PRICE_0],
+          fromHacker
+        ),
+        'BurningStoreV2#setItemsBurnPrices: CALLER_IS_NOT_CREATOR'
+      )
+
+      await assertRevert(
+        storeContract.setItemsBurnPrices(
+          collection1.address,
+          [0],
+          [BURN_PRICE_0],
+          fromStoreOwner
+        ),
+        'BurningStoreV2#setItemsBurnPrices: CALLER_IS_NOT_CREATOR'
+      )
+    })
+
+    it('reverts when setting the price of an invalid item', async function () {
+      await assertRevert(
+        storeContract.setItemsBurnPrices(
+          collection1.address,
+          [ITEMS.length],
+          [BURN_PRICE_0],
+          fromDeployer
+        ),
+        'BurningStoreV2#setItemsBurnPrices: ITEM_DOES_NOT_EXIST'
+      )
+    })
+  })
+
+  describe('buy', function () {
+    it('should buy by burning the price', async function () {
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+      const storeBalance = await balanceSnap(
+        manaContract,
+        storeContract.address,
+        'store'
+      )
+      const manaSupply = await manaContract.totalSupply()
+
+      const { logs } = await storeContract.buy(
+        [[collection1.address, [0], [BURN_PRICE_0], [buyer]]],
+        fromBuyer
+      )
+
+      const feeCharged = BURN_PRICE_0.mul(FEE).div(ONE_MILLION)
+
+      const issueLog = logs.find(({ event }) => event === 'Issue')
+      expect(issueLog.args._beneficiary).to.be.equal(buyer)
+      expect(issueLog.args._tokenId).to.be.eq.BN(encodeTokenId(0, 1))
+      expect(issueLog.args._caller).to.be.equal(storeContract.address)
+
+      const burnLog = logs.find(({ event }) => event === 'Burn')
+      expect(burnLog.args.burner).to.be.equal(storeContract.address)
+      expect(burnLog.args.value).to.be.eq.BN(BURN_PRICE_0.sub(feeCharged))
+
+      const boughtLog = logs.find(({ event }) => event === 'Bought')
+      expect(boughtLog.args._itemsToBuy).to.be.eql([
+        [collection1.address, ['0'], [BURN_PRICE_0.toString()], [buyer]],
+      ])
+
+      expect(await collection1.ownerOf(encodeTokenId(0, 1))).to.be.equal(buyer)
+
+      await buyerBalance.requireDecrease(BURN_PRICE_0)
+      await feeOwnerBalance.requireIncrease(feeCharged)
+      await storeBalance.requireConstant()
+
+      expect(await manaContract.totalSupply()).to.be.eq.BN(
+        manaSupply.sub(BURN_PRICE_0.sub(feeCharged))
+      )
+    })
+
+    it('should buy more than 1 item from different collections', async function () {
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+      const manaSupply = await manaContract.totalSupply()
+
+      await storeContract.buy(
+        [
+          [
+            collection1.address,
+            [0, 1, 0],
+            [BURN_PRICE_0, BURN_PRICE_1, BURN_PRICE_0],
+            [buyer, anotherBuyer, buyer],
+          ],
+          [collection2.address, [0], [BURN_PRICE_0], [anotherBuyer]],
+        ],
+        fromBuyer
+      )
+
+      const totalPrice = BURN_PRICE_0.mul(web3.utils.toBN(3)).add(BURN_PRICE_1)
+      const feeCharged = BURN_PRICE_0.mul(FEE)
+        .div(ONE_MILLION)
+        .mul(web3.utils.toBN(3))
+        .add(BURN_PRICE_1.mul(FEE).div(ONE_MILLION))
+
+      expect(await collection1.balanceOf(buyer)).to.be.eq.BN(2)
+      expect(await collection1.balanceOf(anotherBuyer)).to.be.eq.BN(1)
+      expect(await collection2.balanceOf(anotherBuyer)).to.be.eq.BN(1)
+
+      await buyerBalance.requireDecrease(totalPrice)
+      await feeOwnerBalance.requireIncrease(feeCharged)
+
+      expect(await manaContract.totalSupply()).to.be.eq.BN(
+        manaSupply.sub(totalPrice.sub(feeCharged))
+      )
+    })
+
+    it('should burn the whole price without fee', async function () {
+      await storeContract.setFee(0, fromStoreOwner)
+
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+      const manaSupply = await manaContract.totalSupply()
+
+      const { logs } = await storeContract.buy(
+        [[collection1.address, [1], [BURN_PRICE_1], [buyer]]],
+        fromBuyer
+      )
+
+      const burnLog = logs.find(({ event }) => event === 'Burn')
+      expect(burnLog.args.value).to.be.eq.BN(BURN_PRICE_1)
+
+      await feeOwnerBalance.requireConstant()
+      expect(await manaContract.totalSupply()).to.be.eq.BN(
+        manaSupply.sub(BURN_PRICE_1)
+      )
+    })
+
+    it('should buy :: Relayed EIP721', async function () {
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+
+      const functionSignature = storeContract.contract.methods
+        .buy([
+          [collection1.address, [0], [BURN_PRICE_0.toString()], [anotherBuyer]],
+        ])
+        .encodeABI()
+
+      const { logs } = await sendMetaTx(
+        storeContract,
+        functionSignature,
+        buyer,
+        relayer,
+        null,
+        'Decentraland Burning Store',
+        '1'
+      )
+
+      expect(logs[0].event).to.be.equal('MetaTransactionExecuted')
+      expect(logs[0].args.userAddress).to.be.equal(buyer)
+      expect(logs[0].args.relayerAddress).to.be.equal(relayer)
+
+      expect(await collection1.ownerOf(encodeTokenId(0, 1))).to.be.equal(
+        anotherBuyer
+      )
+
+      await buyerBalance.requireDecrease(BURN_PRICE_0)
+    })
+
+    it('reverts when buying an item not for sale', async function () {
+      await assertRevert(
+        storeContract.buy(
+          [[collection1.address, [2], [BURN_PRICE_0], [buyer]]],
+          fromBuyer
+        ),
+        'BurningStoreV2#buy: ITEM_NOT_FOR_SALE'
+      )
+
+      await storeContract.setItemsBurnPrices(
+        collection1.address,
+        [0],
+        [0],
+        fromDeployer
+      )
+
+      await assertRevert(
+        storeContract.buy(
+          [[collection1.address, [0], [0], [buyer]]],
+          fromBuyer
+        ),
+        'BurningStoreV2#buy: ITEM_NOT_FOR_SALE'
+      )
+    })
+
+    it('reverts when the price does not match', async function () {
+      await assertRevert(
+        storeContract.buy(
+          [[collection1.address, [0], [BURN_PRICE_1], [buyer]]],
+          fromBuyer
+        ),
+        'BurningStoreV2#buy: ITEM_PRICE_MISMATCH'
+      )
+    })
+
+    it('reverts when params mismatch', async function () {
+      await assertRevert(
+        storeContract.buy(
+          [[collection1.address, [0, 1], [BURN_PRICE_0], [buyer, buyer]]],
+          fromBuyer
+        ),
+        'BurningStoreV2#buy: LENGTH_MISMATCH'
+      )
+
+      await assertRevert(
+        storeContract.buy(
+          [[collection1.address, [0], [BURN_PRICE_0], [buyer, buyer]]],
+          fromBuyer
+        ),
+        'issueTokens: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when the store is not a minter', async function () {
+      await collection1.setMinters([storeContract.address], [false])
+
+      await assertRevert(
+        storeContract.buy(
+          [[collection1.address, [0], [BURN_PRICE_0], [buyer]]],
+          fromBuyer
+        ),
+        '_issueToken: CALLER_CAN_NOT_MINT'
+      )
+    })
+
+    it('reverts when the buyer has not enough MANA', async function () {
+      await manaContract.approve(storeContract.address, 0, fromBuyer)
+
+      await assertRevert(
+        storeContract.buy(
+          [[collection1.address, [0], [BURN_PRICE_0], [buyer]]],
+          fromBuyer
+        )
+      )
+    })
+  })
+
+  describe('setFee', function () {
+    it('should set fee', async function () {
+      const { logs } = await storeContract.setFee(10, fromStoreOwner)
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('SetFee')
+      expect(logs[0].args._oldFee).to.be.eq.BN(FEE)
+      expect(logs[0].args._newFee).to.be.eq.BN(10)
+
+      expect(await storeContract.fee()).to.be.eq.BN(10)
+    })
+
+    it('reverts when setting the same fee', async function () {
+      await assertRevert(
+        storeContract.setFee(FEE, fromStoreOwner),
+        'BurningStoreV2#setFee: SAME_FEE'
+      )
+    })
+
+    it('reverts when setting a fee >= ONE_MILLION', async function () {
+      await assertRevert(
+        storeContract.setFee(ONE_MILLION, fromStoreOwner),
+        'BurningStoreV2#setFee: FEE_SHOULD_BE_LOWER_THAN_BASE_FEE'
+      )
+    })
+
+    it('reverts when setting the fee by not the owner', async function () {
+      await assertRevert(
+        storeContract.setFee(10, fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('setFeeOwner', function () {
+    it('should set fee owner', async function () {
+      const { logs } = await storeContract.setFeeOwner(hacker, fromStoreOwner)
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('SetFeeOwner')
+      expect(logs[0].args._oldFeeOwner).to.be.equal(feeOwner)
+      expect(logs[0].args._newFeeOwner).to.be.equal(hacker)
+
+      expect(await storeContract.feeOwner()).to.be.equal(hacker)
+    })
+
+    it('reverts when setting an invalid fee owner', async function () {
+      await assertRevert(
+        storeContract.setFeeOwner(ZERO_ADDRESS, fromStoreOwner),
+        'BurningStoreV2#setFeeOwner: INVALID_ADDRESS'
+      )
+
+      await assertRevert(
+        storeContract.setFeeOwner(feeOwner, fromStoreOwner),
+        'BurningStoreV2#setFeeOwner: SAME_FEE_OWNER'
+      )
+    })
+
+    it('reverts when setting the fee owner by not the owner', async function () {
+      await assertRevert(
+        storeContract.setFeeOwner(hacker, fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+})
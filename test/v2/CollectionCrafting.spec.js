@@ -0,0 +1,775 @@
+import hr from 'hardhat'
+import { Mana, ADDRESS_INDEXES } from 'decentraland-contract-plugins'
+
+import { balanceSnap } from '../helpers/balanceSnap'
+import assertRevert from '../helpers/assertRevert'
+import {
+  ITEMS,
+  RARITIES,
+  BENEFICIARY_ADDRESS,
+  OTHER_BENEFICIARY_ADDRESS,
+  getInitialRarities,
+  createDummyFactory,
+  createDummyCollection,
+  encodeTokenId,
+  ZERO_ADDRESS,
+} from '../helpers/collectionV2'
+import { sendMetaTx } from '../helpers/metaTx'
+
+const BN = web3.utils.BN
+const expect = require('chai').use(require('bn-chai')(BN)).expect
+
+const Crafting = artifacts.require('DummyCollectionCrafting')
+const Rarities = artifacts.require('Rarities')
+
+describe('Collection Crafting', function () {
+  const ONE_MILLION = web3.utils.toBN(1000000)
+  const FEE = web3.utils.toBN(10000)
+  const RECIPE_PRICE = web3.utils.toBN(web3.utils.toWei('10'))
+
+  // Items crafted
+  const CRAFTED_ITEMS = [
+    [
+      RARITIES.legendary.name,
+      0,
+      ZERO_ADDRESS,
+      '1:coco_maso:hat:female,male',
+      0,
+    ],
+    [RARITIES.unique.name, 0, ZERO_ADDRESS, '1:banana_mask:hat:female,male', 0],
+  ]
+
+  // Contract
+  let manaContract
+  let craftingContract
+  let ingredientsCollection
+  let craftedCollection
+
+  // Accounts
+  let accounts
+  let deployer
+  let crafter
+  let anotherCrafter
+  let craftingOwner
+  let feeOwner
+  let hacker
+  let relayer
+  let fromHacker
+  let fromDeployer
+  let fromCraftingOwner
+  let fromCrafter
+
+  // Crafter tokens
+  let token1
+  let token2
+  let token3
+
+  let creationParams
+
+  beforeEach(async function () {
+    accounts = await web3.eth.getAccounts()
+    deployer = accounts[ADDRESS_INDEXES.deployer]
+    hacker = accounts[ADDRESS_INDEXES.hacker]
+    craftingOwner = accounts[ADDRESS_INDEXES.operator]
+    feeOwner = accounts[ADDRESS_INDEXES.anotherUser]
+    crafter = accounts[ADDRESS_INDEXES.buyer]
+    anotherCrafter = accounts[ADDRESS_INDEXES.anotherBuyer]
+    relayer = accounts[ADDRESS_INDEXES.user]
+
+    fromCraftingOwner = { from: craftingOwner }
+    fromHacker = { from: hacker }
+    fromCrafter = { from: crafter }
+    fromDeployer = { from: deployer }
+
+    creationParams = {
+      ...fromDeployer,
+      gas: 6e6,
+      gasPrice: 21e9,
+    }
+
+    // Set up MANA Contract
+    const mana = new Mana({ accounts, artifacts: hr.artifacts })
+    await mana.deploy({ txParams: creationParams })
+    manaContract = mana.getContract()
+
+    const raritiesContract = await Rarities.new(deployer, getInitialRarities())
+
+    const factory = await createDummyFactory(deployer)
+
+    ingredientsCollection = await createDummyCollection(factory, {
+      creator: deployer,
+      items: ITEMS,
+      shouldComplete: true,
+      shouldApprove: true,
+      rarities: raritiesContract.address,
+    })
+
+    craftedCollection = await createDummyCollection(factory, {
+      creator: deployer,
+      items: CRAFTED_ITEMS,
+      shouldComplete: true,
+      shouldApprove: true,
+      rarities: raritiesContract.address,
+    })
+
+    craftingContract = await Crafting.new(
+      craftingOwner,
+      manaContract.address,
+      feeOwner,
+      FEE,
+      fromCraftingOwner
+    )
+
+    await craftedCollection.setMinters(
+      [craftingContract.address],
+      [true],
+      fromDeployer
+    )
+
+    // Ingredients
+    await ingredientsCollection.issueTokens(
+      [crafter, crafter, crafter, anotherCrafter],
+      [0, 0, 1, 1],
+      fromDeployer
+    )
+    token1 = encodeTokenId(0, 1)
+    token2 = encodeTokenId(0, 2)
+    token3 = encodeTokenId(1, 1)
+
+    await ingredientsCollection.setApprovalForAll(
+      craftingContract.address,
+      true,
+      fromCrafter
+    )
+    await manaContract.approve(craftingContract.address, -1, fromCrafter)
+
+    // Recipe 0: free, burns items 0 and 1
+    await craftingContract.addRecipe(
+      craftedCollection.address,
+      0,
+      [
+        [ingredientsCollection.address, 0],
+        [ingredientsCollection.address, 1],
+      ],
+      0,
+      ZERO_ADDRESS,
+      fromDeployer
+    )
+
+    // Recipe 1: paid, burns item 0
+    await craftingContract.addRecipe(
+      craftedCollection.address,
+      1,
+      [[ingredientsCollection.address, 0]],
+      RECIPE_PRICE,
+      BENEFICIARY_ADDRESS,
+      fromDeployer
+    )
+  })
+
+  describe('Deploy', async function () {
+    it('deploy with correct values', async function () {
+      const contract = await Crafting.new(
+        craftingOwner,
+        manaContract.address,
+        feeOwner,
+        FEE,
+        fromCraftingOwner
+      )
+
+      expect(await contract.owner()).to.be.equal(craftingOwner)
+      expect(await contract.acceptedToken()).to.be.equal(manaContract.address)
+      expect(await contract.feeOwner()).to.be.equal(feeOwner)
+      expect(await contract.fee()).to.be.eq.BN(FEE)
+      expect(await contract.recipesCount()).to.be.eq.BN(0)
+    })
+
+    it('reverts when deploying with fee >= ONE_MILLION', async function () {
+      await assertRevert(
+        Crafting.new(
+          craftingOwner,
+          manaContract.address,
+          feeOwner,
+          ONE_MILLION,
+          fromCraftingOwner
+        ),
+        'CollectionCrafting#setFee: FEE_SHOULD_BE_LOWER_THAN_BASE_FEE'
+      )
+    })
+  })
+
+  describe('addRecipe', function () {
+    it('should add a recipe', async function () {
+      const recipeId = await craftingContract.recipesCount()
+
+      const { logs } = await craftingContract.addRecipe(
+        craftedCollection.address,
+        1,
+        [
+          [ingredientsCollection.address, 2],
+          [ingredientsCollection.address, 2],
+          [craftedCollection.address, 0],
+        ],
+        RECIPE_PRICE,
+        OTHER_BENEFICIARY_ADDRESS,
+        fromDeployer
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('AddRecipe')
+      expect(logs[0].args._recipeId).to.be.eq.BN(recipeId)
+      expect(logs[0].args._collection).to.be.equal(craftedCollection.address)
+      expect(logs[0].args._itemId).to.be.eq.BN(1)
+      expect(logs[0].args._ingredients).to.be.eql([
+        [ingredientsCollection.address, '2'],
+        [ingredientsCollection.address, '2'],
+        [craftedCollection.address, '0'],
+      ])
+      expect(logs[0].args._price).to.be.eq.BN(RECIPE_PRICE)
+      expect(logs[0].args._beneficiary.toLowerCase()).to.be.equal(
+        OTHER_BENEFICIARY_ADDRESS.toLowerCase()
+      )
+
+      expect(await craftingContract.recipesCount()).to.be.eq.BN(
+        recipeId.add(web3.utils.toBN(1))
+      )
+
+      const recipe = await craftingContract.getRecipe(recipeId)
+      expect(recipe.collection).to.be.equal(craftedCollection.address)
+      expect(recipe.itemId).to.be.equal('1')
+      expect(recipe.ingredients).to.be.eql([
+        [ingredientsCollection.address, '2'],
+        [ingredientsCollection.address, '2'],
+        [craftedCollection.address, '0'],
+      ])
+      expect(recipe.price).to.be.equal(RECIPE_PRICE.toString())
+      expect(recipe.beneficiary.toLowerCase()).to.be.equal(
+        OTHER_BENEFICIARY_ADDRESS.toLowerCase()
+      )
+      expect(recipe.isActive).to.be.equal(true)
+    })
+
+    it('reverts when adding a recipe by not the creator', async function () {
+      await assertRevert(
+        craftingContract.addRecipe(
+          craftedCollection.address,
+          0,
+          [[ingredientsCollection.address, 0]],
+          0,
+          ZERO_ADDRESS,
+          fromHacker
+        ),
+        'CollectionCrafting#addRecipe: CALLER_IS_NOT_CREATOR'
+      )
+    })
+
+    it('reverts when adding a recipe for an invalid item', async function () {
+      await assertRevert(
+        craftingContract.addRecipe(
+          craftedCollection.address,
+          CRAFTED_ITEMS.length,
+          [[ingredientsCollection.address, 0]],
+          0,
+          ZERO_ADDRESS,
+          fromDeployer
+        ),
+        'CollectionCrafting#addRecipe: ITEM_DOES_NOT_EXIST'
+      )
+    })
+
+    it('reverts when adding a recipe without ingredients', async function () {
+      await assertRevert(
+        craftingContract.addRecipe(
+          craftedCollection.address,
+          0,
+          [],
+          0,
+          ZERO_ADDRESS,
+          fromDeployer
+        ),
+        'CollectionCrafting#addRecipe: EMPTY_INGREDIENTS'
+      )
+    })
+
+    it('reverts when adding a recipe with an invalid ingredient', async function () {
+      await assertRevert(
+        craftingContract.addRecipe(
+          craftedCollection.address,
+          0,
+          [
+            [ingredientsCollection.address, 0],
+            [ingredientsCollection.address, ITEMS.length],
+          ],
+          0,
+          ZERO_ADDRESS,
+          fromDeployer
+        ),
+        'CollectionCrafting#addRecipe: INGREDIENT_DOES_NOT_EXIST'
+      )
+    })
+
+    it('reverts when adding a paid recipe without beneficiary', async function () {
+      await assertRevert(
+        craftingContract.addRecipe(
+          craftedCollection.address,
+          0,
+          [[ingredientsCollection.address, 0]],
+          RECIPE_PRICE,
+          ZERO_ADDRESS,
+          fromDeployer
+        ),
+        'CollectionCrafting#addRecipe: INVALID_BENEFICIARY'
+      )
+    })
+  })
+
+  describe('setRecipesActive', function () {
+    it('should activate and deactivate recipes', async function () {
+      let res = await craftingContract.setRecipesActive(
+        [0, 1],
+        [false, false],
+        fromDeployer
+      )
+
+      expect(res.logs.length).to.be.equal(2)
+      expect(res.logs[0].event).to.be.equal('SetRecipeActive')
+      expect(res.logs[0].args._recipeId).to.be.eq.BN(0)
+      expect(res.logs[0].args._value).to.be.equal(false)
+      expect(res.logs[1].args._recipeId).to.be.eq.BN(1)
+      expect(res.logs[1].args._value).to.be.equal(false)
+
+      expect((await craftingContract.getRecipe(0)).isActive).to.be.equal(false)
+      expect((await craftingContract.getRecipe(1)).isActive).to.be.equal(false)
+
+      res = await craftingContract.setRecipesActive([1], [true], fromDeployer)
+
+      expect(res.logs.length).to.be.equal(1)
+      expect(res.logs[0].args._value).to.be.equal(true)
+      expect((await craftingContract.getRecipe(1)).isActive).to.be.equal(true)
+    })
+
+    it('reverts when params mismatch', async function () {
+      await assertRevert(
+        craftingContract.setRecipesActive([0, 1], [false], fromDeployer),
+        'CollectionCrafting#setRecipesActive: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when the recipe does not exist', async function () {
+      await assertRevert(
+        craftingContract.setRecipesActive([2], [false], fromDeployer),
+        'CollectionCrafting#setRecipesActive: RECIPE_DOES_NOT_EXIST'
+      )
+    })
+
+    it('reverts when setting recipes by not the creator', async function () {
+      await assertRevert(
+        craftingContract.setRecipesActive([0], [false], fromHacker),
+        'CollectionCrafting#setRecipesActive: CALLER_IS_NOT_CREATOR'
+      )
+
+      await assertRevert(
+        craftingContract.setRecipesActive([0], [false], fromCraftingOwner),
+        'CollectionCrafting#setRecipesActive: CALLER_IS_NOT_CREATOR'
+      )
+    })
+
+    it('reverts when the value is the same', async function () {
+      await assertRevert(
+        craftingContract.setRecipesActive([0], [true], fromDeployer),
+        'CollectionCrafting#setRecipesActive: VALUE_IS_THE_SAME'
+      )
+    })
+  })
+
+  describe('craft', function () {
+    it('should craft a free recipe', async function () {
+      const crafterBalance = await balanceSnap(manaContract, crafter, 'crafter')
+
+      const { logs } = await craftingContract.craft(
+        [[0, [token1, token3], ZERO_ADDRESS]],
+        fromCrafter
+      )
+
+      const burnLogs = logs.filter(({ event }) => event === 'Burn')
+      expect(burnLogs.length).to.be.equal(2)
+      expect(burnLogs[0].args._owner).to.be.equal(crafter)
+      expect(burnLogs[0].args._tokenId).to.be.eq.BN(token1)
+      expect(burnLogs[0].args._caller).to.be.equal(craftingContract.address)
+      expect(burnLogs[1].args._tokenId).to.be.eq.BN(token3)
+
+      const issueLog = logs.find(({ event }) => event === 'Issue')
+      expect(issueLog.args._beneficiary).to.be.equal(crafter)
+      expect(issueLog.args._tokenId).to.be.eq.BN(encodeTokenId(0, 1))
+      expect(issueLog.args._caller).to.be.equal(craftingContract.address)
+
+      const craftedLog = logs.find(({ event }) => event === 'Crafted')
+      expect(craftedLog.args._recipeId).to.be.eq.BN(0)
+      expect(craftedLog.args._crafter).to.be.equal(crafter)
+      expect(craftedLog.args._beneficiary).to.be.equal(crafter)
+      expect(craftedLog.args._tokenIds.map((id) => id.toString())).to.be.eql([
+        token1.toString(),
+        token3.toString(),
+      ])
+      expect(craftedLog.args._price).to.be.eq.BN(0)
+
+      expect(await ingredientsCollection.balanceOf(crafter)).to.be.eq.BN(1)
+      expect(await ingredientsCollection.ownerOf(token2)).to.be.equal(crafter)
+      expect(await ingredientsCollection.itemBurnedSupply(0)).to.be.eq.BN(1)
+      expect(await ingredientsCollection.itemBurnedSupply(1)).to.be.eq.BN(1)
+
+      expect(await craftedCollection.ownerOf(encodeTokenId(0, 1))).to.be.equal(
+        crafter
+      )
+
+      await crafterBalance.requireConstant()
+    })
+
+    it('should craft a paid recipe', async function () {
+      const crafterBalance = await balanceSnap(manaContract, crafter, 'crafter')
+      const beneficiaryBalance = await balanceSnap(
+        manaContract,
+        BENEFICIARY_ADDRESS,
+        'beneficiary'
+      )
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+      const craftingBalance = await balanceSnap(
+        manaContract,
+        craftingContract.address,
+        'crafting'
+      )
+
+      const { logs } = await craftingContract.craft(
+        [[1, [token2], anotherCrafter]],
+        fromCrafter
+      )
+
+      const feeCharged = RECIPE_PRICE.mul(FEE).div(ONE_MILLION)
+
+      const transferLogs = logs.filter(({ event }) => event === 'Transfer')
+      expect(transferLogs.length).to.be.equal(2)
+      expect(transferLogs[0].args._from).to.be.equal(crafter)
+      expect(transferLogs[0].args._to.toLowerCase()).to.be.equal(
+        BENEFICIARY_ADDRESS.toLowerCase()
+      )
+      expect(transferLogs[0].args._value).to.be.eq.BN(
+        RECIPE_PRICE.sub(feeCharged)
+      )
+      expect(transferLogs[1].args._from).to.be.equal(crafter)
+      expect(transferLogs[1].args._to).to.be.equal(feeOwner)
+      expect(transferLogs[1].args._value).to.be.eq.BN(feeCharged)
+
+      const craftedLog = logs.find(({ event }) => event === 'Crafted')
+      expect(craftedLog.args._recipeId).to.be.eq.BN(1)
+      expect(craftedLog.args._crafter).to.be.equal(crafter)
+      expect(craftedLog.args._beneficiary).to.be.equal(anotherCrafter)
+      expect(craftedLog.args._price).to.be.eq.BN(RECIPE_PRICE)
+
+      expect(await craftedCollection.ownerOf(encodeTokenId(1, 1))).to.be.equal(
+        anotherCrafter
+      )
+
+      await crafterBalance.requireDecrease(RECIPE_PRICE)
+      await beneficiaryBalance.requireIncrease(RECIPE_PRICE.sub(feeCharged))
+      await feeOwnerBalance.requireIncrease(feeCharged)
+      await craftingBalance.requireConstant()
+    })
+
+    it('should craft in batch', async function () {
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+
+      const { logs } = await craftingContract.craft(
+        [
+          [0, [token1, token3], ZERO_ADDRESS],
+          [1, [token2], ZERO_ADDRESS],
+        ],
+        fromCrafter
+      )
+
+      const craftedLogs = logs.filter(({ event }) => event === 'Crafted')
+      expect(craftedLogs.length).to.be.equal(2)
+      expect(craftedLogs[0].args._recipeId).to.be.eq.BN(0)
+      expect(craftedLogs[1].args._recipeId).to.be.eq.BN(1)
+
+      expect(await ingredientsCollection.balanceOf(crafter)).to.be.eq.BN(0)
+      expect(await craftedCollection.balanceOf(crafter)).to.be.eq.BN(2)
+
+      // The fee is charged once
+      const transferLogs = logs.filter(({ event }) => event === 'Transfer')
+      expect(transferLogs.length).to.be.equal(2)
+
+      await feeOwnerBalance.requireIncrease(
+        RECIPE_PRICE.mul(FEE).div(ONE_MILLION)
+      )
+    })
+
+    it('should craft :: Relayed EIP721', async function () {
+      const functionSignature = craftingContract.contract.methods
+        .craft([[0, [token1.toString(), token3.toString()], ZERO_ADDRESS]])
+        .encodeABI()
+
+      const { logs } = await sendMetaTx(
+        craftingContract,
+        functionSignature,
+        crafter,
+        relayer,
+        null,
+        'Decentraland Collection Crafting',
+        '1'
+      )
+
+      expect(logs[0].event).to.be.equal('MetaTransactionExecuted')
+      expect(logs[0].args.userAddress).to.be.equal(crafter)
+      expect(logs[0].args.relayerAddress).to.be.equal(relayer)
+
+      const craftedLog = logs.find(({ event }) => event === 'Crafted')
+      expect(craftedLog.args._crafter).to.be.equal(crafter)
+      expect(craftedLog.args._beneficiary).to.be.equal(crafter)
+
+      expect(await craftedCollection.ownerOf(encodeTokenId(0, 1))).to.be.equal(
+        crafter
+      )
+    })
+
+    it('reverts when crafting an invalid recipe', async function () {
+      await assertRevert(
+        craftingContract.craft([[2, [token1], ZERO_ADDRESS]], fromCrafter),
+        'CollectionCrafting#craft: RECIPE_DOES_NOT_EXIST'
+      )
+    })
+
+    it('reverts when crafting an inactive recipe', async function () {
+      await craftingContract.setRecipesActive([1], [false], fromDeployer)
+
+      await assertRevert(
+        craftingContract.craft([[1, [token1], ZERO_ADDRESS]], fromCrafter),
+        'CollectionCrafting#craft: RECIPE_NOT_ACTIVE'
+      )
+    })
+
+    it('reverts when the tokens do not match the ingredients', async function () {
+      await assertRevert(
+        craftingContract.craft([[0, [token1], ZERO_ADDRESS]], fromCrafter),
+        'CollectionCrafting#craft: LENGTH_MISMATCH'
+      )
+
+      await assertRevert(
+        craftingContract.craft(
+          [[0, [token1, token2], ZERO_ADDRESS]],
+          fromCrafter
+        ),
+        'CollectionCrafting#craft: INVALID_INGREDIENT'
+      )
+
+      await assertRevert(
+        craftingContract.craft([[1, [token3], ZERO_ADDRESS]], fromCrafter),
+        'CollectionCrafting#craft: INVALID_INGREDIENT'
+      )
+    })
+
+    it('reverts when crafting with tokens not owned', async function () {
+      // The crafter approved the crafting contract but the hacker can not burn their tokens
+      await assertRevert(
+        craftingContract.craft([[1, [token1], ZERO_ADDRESS]], fromHacker),
+        'CollectionCrafting#craft: CALLER_IS_NOT_OWNER'
+      )
+
+      await assertRevert(
+        craftingContract.craft(
+          [[0, [token1, encodeTokenId(1, 2)], ZERO_ADDRESS]],
+          fromCrafter
+        ),
+        'CollectionCrafting#craft: CALLER_IS_NOT_OWNER'
+      )
+    })
+
+    it('reverts when using the same token twice', async function () {
+      await assertRevert(
+        craftingContract.craft(
+          [
+            [1, [token1], ZERO_ADDRESS],
+            [1, [token1], ZERO_ADDRESS],
+          ],
+          fromCrafter
+        ),
+        'ERC721: owner query for nonexistent token'
+      )
+    })
+
+    it('reverts when the crafting contract is not approved to burn', async function () {
+      await ingredientsCollection.setApprovalForAll(
+        craftingContract.address,
+        false,
+        fromCrafter
+      )
+
+      await assertRevert(
+        craftingContract.craft([[1, [token1], ZERO_ADDRESS]], fromCrafter),
+        '_burnToken: CALLER_IS_NOT_OWNER_OR_APPROVED'
+      )
+    })
+
+    it('reverts when the crafting contract is not a minter', async function () {
+      await craftedCollection.setMinters(
+        [craftingContract.address],
+        [false],
+        fromDeployer
+      )
+
+      await assertRevert(
+        craftingContract.craft([[1, [token1], ZERO_ADDRESS]], fromCrafter),
+        '_issueToken: CALLER_CAN_NOT_MINT'
+      )
+    })
+
+    it('reverts when the crafter has not enough MANA', async function () {
+      await manaContract.approve(craftingContract.address, 0, fromCrafter)
+
+      await assertRevert(
+        craftingContract.craft([[1, [token1], ZERO_ADDRESS]], fromCrafter)
+      )
+    })
+  })
+
+  describe('recipes views', function () {
+    beforeEach(async function () {
+      // Recipe 2: crafted from another collection
+      await craftingContract.addRecipe(
+        ingredientsCollection.address,
+        2,
+        [[craftedCollection.address, 0]],
+        0,
+        ZERO_ADDRESS,
+        fromDeployer
+      )
+    })
+
+    it('should get recipes by page', async function () {
+      expect(await craftingContract.recipesCount()).to.be.eq.BN(3)
+
+      let recipes = await craftingContract.getRecipes(0, 10)
+      expect(recipes.length).to.be.equal(3)
+      expect(recipes.map((recipe) => recipe.itemId)).to.be.eql(['0', '1', '2'])
+      expect(recipes[1].price).to.be.equal(RECIPE_PRICE.toString())
+
+      recipes = await craftingContract.getRecipes(1, 1)
+      expect(recipes.length).to.be.equal(1)
+      expect(recipes[0].itemId).to.be.equal('1')
+      expect(recipes[0].ingredients).to.be.eql([
+        [ingredientsCollection.address, '0'],
+      ])
+
+      recipes = await craftingContract.getRecipes(3, 10)
+      expect(recipes.length).to.be.equal(0)
+    })
+
+    it('should get recipes by collection', async function () {
+      let res = await craftingContract.getRecipesByCollection(
+        craftedCollection.address,
+        0,
+        10
+      )
+      expect(res.recipeIds.map((id) => id.toString())).to.be.eql(['0', '1'])
+      expect(res.page.map((recipe) => recipe.itemId)).to.be.eql(['0', '1'])
+
+      res = await craftingContract.getRecipesByCollection(
+        ingredientsCollection.address,
+        1,
+        10
+      )
+      expect(res.recipeIds.map((id) => id.toString())).to.be.eql(['2'])
+      expect(res.page[0].collection).to.be.equal(ingredientsCollection.address)
+
+      res = await craftingContract.getRecipesByCollection(
+        ingredientsCollection.address,
+        0,
+        2
+      )
+      expect(res.recipeIds.length).to.be.equal(0)
+    })
+
+    it('reverts when getting a recipe that does not exist', async function () {
+      await assertRevert(
+        craftingContract.getRecipe(3),
+        'CollectionCrafting#getRecipe: RECIPE_DOES_NOT_EXIST'
+      )
+    })
+  })
+
+  describe('setFee', function () {
+    it('should set fee', async function () {
+      const { logs } = await craftingContract.setFee(10, fromCraftingOwner)
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('SetFee')
+      expect(logs[0].args._oldFee).to.be.eq.BN(FEE)
+      expect(logs[0].args._newFee).to.be.eq.BN(10)
+
+      expect(await craftingContract.fee()).to.be.eq.BN(10)
+    })
+
+    it('reverts when setting the same fee', async function () {
+      await assertRevert(
+        craftingContract.setFee(FEE, fromCraftingOwner),
+        'CollectionCrafting#setFee: SAME_FEE'
+      )
+    })
+
+    it('reverts when setting a fee >= ONE_MILLION', async function () {
+      await assertRevert(
+        craftingContract.setFee(ONE_MILLION, fromCraftingOwner),
+        'CollectionCrafting#setFee: FEE_SHOULD_BE_LOWER_THAN_BASE_FEE'
+      )
+    })
+
+    it('reverts when setting the fee by not the owner', async function () {
+      await assertRevert(
+        craftingContract.setFee(10, fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('setFeeOwner', function () {
+    it('should set fee owner', async function () {
+      const { logs } = await craftingContract.setFeeOwner(
+        hacker,
+        fromCraftingOwner
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('SetFeeOwner')
+      expect(logs[0].args._oldFeeOwner).to.be.equal(feeOwner)
+      expect(logs[0].args._newFeeOwner).to.be.equal(hacker)
+
+      expect(await craftingContract.feeOwner()).to.be.equal(hacker)
+    })
+
+    it('reverts when setting an invalid fee owner', async function () {
+      await assertRevert(
+        craftingContract.setFeeOwner(ZERO_ADDRESS, fromCraftingOwner),
+        'CollectionCrafting#setFeeOwner: INVALID_ADDRESS'
+      )
+
+      await assertRevert(
+        craftingContract.setFeeOwner(feeOwner, fromCraftingOwner),
+        'CollectionCrafting#setFeeOwner: SAME_FEE_OWNER'
+      )
+    })
+
+    it('reverts when setting the fee owner by not the owner', async function () {
+      await assertRevert(
+        craftingContract.setFeeOwner(hacker, fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+})
@@ -16,8 +16,12 @@ import {
   RESCUE_ITEMS_SELECTOR,
   SET_APPROVE_COLLECTION_SELECTOR,
   SET_EDITABLE_SELECTOR,
+  MIGRATE_TO_VERSION_SELECTOR,
+  getInitData,
+  linkCollectionV2Libraries,
 } from '../helpers/collectionV2'
 import { sendMetaTx } from '../helpers/metaTx'
+import { increaseTime, duration } from '../helpers/increase'
 
 const ERC721CollectionFactoryV2 = artifacts.require('ERC721CollectionFactoryV2')
 const ERC721CollectionV2 = artifacts.require('ERC721CollectionV2')
@@ -25,6 +29,7 @@ const Committee = artifacts.require('Committee')
 const CollectionManager = artifacts.require('CollectionManager')
 const Forwarder = artifacts.require('Forwarder')
 const Rarities = artifacts.require('Rarities')
+const ItemMetadataValidator = artifacts.require('ItemMetadataValidator')
 
 describe('Collection Manager', function () {
   let manaContract
@@ -95,6 +100,7 @@ describe('Collection Manager', function () {
       [true, true, true]
     )
 
+    await linkCollectionV2Libraries(ERC721CollectionV2)
     collectionImplementation = await ERC721CollectionV2.new()
 
     forwarderContract = await Forwarder.new(
@@ -130,6 +136,7 @@ describe('Collection Manager', function () {
       )
       const feesCollector = await contract.feesCollector()
       const rarities = await contract.rarities()
+      const metadataValidator = await contract.metadataValidator()
 
       expect(collectionManagerOwner).to.be.equal(owner)
       expect(mana).to.be.equal(manaContract.address)
@@ -137,6 +144,7 @@ describe('Collection Manager', function () {
       expect(isAllowed).to.be.equal(true)
       expect(feesCollector).to.be.equal(collector)
       expect(rarities).to.be.equal(raritiesContract.address)
+      expect(metadataValidator).to.be.equal(ZERO_ADDRESS)
     })
   })
 
@@ -348,6 +356,76 @@ describe('Collection Manager', function () {
     })
   })
 
+  describe('setCommitteeMethodsDelays', async function () {
+    const methodSelector1 = '0x12345678'
+    const methodSelector2 = '0x12345679'
+
+    it('should set committee methods delays', async function () {
+      let delay = await collectionManagerContract.committeeMethodsDelays(
+        methodSelector1
+      )
+      expect(delay).to.be.eq.BN(0)
+
+      const {
+        logs,
+      } = await collectionManagerContract.setCommitteeMethodsDelays(
+        [methodSelector1, methodSelector2],
+        [duration.days(1), duration.days(2)],
+        fromOwner
+      )
+
+      expect(logs.length).to.be.equal(2)
+      expect(logs[0].event).to.be.equal('CommitteeMethodDelaySet')
+      expect(logs[0].args._method).to.be.equal(
+        web3.utils.padRight(methodSelector1, 64)
+      )
+      expect(logs[0].args._delay).to.be.eq.BN(duration.days(1))
+
+      expect(logs[1].event).to.be.equal('CommitteeMethodDelaySet')
+      expect(logs[1].args._method).to.be.equal(
+        web3.utils.padRight(methodSelector2, 64)
+      )
+      expect(logs[1].args._delay).to.be.eq.BN(duration.days(2))
+
+      delay = await collectionManagerContract.committeeMethodsDelays(
+        methodSelector1
+      )
+      expect(delay).to.be.eq.BN(duration.days(1))
+
+      delay = await collectionManagerContract.committeeMethodsDelays(
+        methodSelector2
+      )
+      expect(delay).to.be.eq.BN(duration.days(2))
+    })
+
+    it('reverts when trying to set delays with invalid length', async function () {
+      await assertRevert(
+        collectionManagerContract.setCommitteeMethodsDelays(
+          [methodSelector1],
+          [1, 2],
+          fromOwner
+        ),
+        'CollectionManager#setCommitteeMethodsDelays: LENGTH_MISMATCH'
+      )
+
+      await assertRevert(
+        collectionManagerContract.setCommitteeMethodsDelays([], [], fromOwner),
+        'CollectionManager#setCommitteeMethodsDelays: EMPTY_METHODS'
+      )
+    })
+
+    it('reverts when trying to set delays by hacker', async function () {
+      await assertRevert(
+        collectionManagerContract.setCommitteeMethodsDelays(
+          [methodSelector1],
+          [1],
+          fromHacker
+        ),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
   describe('setFeesCollector', async function () {
     it('should set feesCollector', async function () {
       let feesCollector = await collectionManagerContract.feesCollector()
@@ -447,6 +525,206 @@ describe('Collection Manager', function () {
     })
   })
 
+  describe('setMetadataValidator', async function () {
+    it('should set metadataValidator', async function () {
+      let metadataValidator = await collectionManagerContract.metadataValidator()
+      expect(metadataValidator).to.be.equal(ZERO_ADDRESS)
+
+      let res = await collectionManagerContract.setMetadataValidator(
+        user,
+        fromOwner
+      )
+
+      let logs = res.logs
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('MetadataValidatorSet')
+      expect(logs[0].args._oldMetadataValidator).to.be.equal(ZERO_ADDRESS)
+      expect(logs[0].args._newMetadataValidator).to.be.equal(user)
+
+      metadataValidator = await collectionManagerContract.metadataValidator()
+      expect(metadataValidator).to.be.equal(user)
+
+      res = await collectionManagerContract.setMetadataValidator(
+        ZERO_ADDRESS,
+        fromOwner
+      )
+
+      logs = res.logs
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('MetadataValidatorSet')
+      expect(logs[0].args._oldMetadataValidator).to.be.equal(user)
+      expect(logs[0].args._newMetadataValidator).to.be.equal(ZERO_ADDRESS)
+
+      metadataValidator = await collectionManagerContract.metadataValidator()
+      expect(metadataValidator).to.be.equal(ZERO_ADDRESS)
+    })
+
+    it('reverts when trying to set a metadataValidator by hacker', async function () {
+      await assertRevert(
+        collectionManagerContract.setMetadataValidator(user, fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('fee quotes', async function () {
+    const commonPrice = web3.utils.toWei('10')
+    const legendaryPrice = web3.utils.toWei('100')
+
+    beforeEach(async () => {
+      await raritiesContract.updatePrices(
+        [RARITIES.common.name, RARITIES.legendary.name],
+        [commonPrice, legendaryPrice]
+      )
+    })
+
+    function expectQuote(quote, expectedBreakdown) {
+      const expectedTotal = expectedBreakdown.reduce(
+        (total, [, , , fee]) => total.add(web3.utils.toBN(fee)),
+        web3.utils.toBN(0)
+      )
+
+      expect(quote.total).to.be.eq.BN(expectedTotal)
+      expect(quote.breakdown.length).to.be.equal(expectedBreakdown.length)
+
+      for (let i = 0; i < expectedBreakdown.length; i++) {
+        const [rarity, count, price, fee] = expectedBreakdown[i]
+
+        expect(quote.breakdown[i].rarity).to.be.equal(rarity)
+        expect(quote.breakdown[i].count).to.be.eq.BN(count)
+        expect(quote.breakdown[i].price).to.be.eq.BN(price)
+        expect(quote.breakdown[i].fee).to.be.eq.BN(fee)
+      }
+    }
+
+    it('should quote the fee for creating a collection', async function () {
+      // ITEMS has 6 common and 2 legendary items
+      const quote = await collectionManagerContract.getCreationFee(ITEMS)
+
+      expectQuote(quote, [
+        [
+          RARITIES.common.name,
+          6,
+          commonPrice,
+          web3.utils.toBN(commonPrice).mul(web3.utils.toBN(6)),
+        ],
+        [
+          RARITIES.legendary.name,
+          2,
+          legendaryPrice,
+          web3.utils.toBN(legendaryPrice).mul(web3.utils.toBN(2)),
+        ],
+      ])
+    })
+
+    it('should quote the fee for adding items', async function () {
+      const items = [ITEMS[6], ITEMS[0], ITEMS[7]]
+      const quote = await collectionManagerContract.getAddItemsFee(items)
+
+      expectQuote(quote, [
+        [
+          RARITIES.legendary.name,
+          2,
+          legendaryPrice,
+          web3.utils.toBN(legendaryPrice).mul(web3.utils.toBN(2)),
+        ],
+        [RARITIES.common.name, 1, commonPrice, commonPrice],
+      ])
+    })
+
+    it('should quote an empty list of items', async function () {
+      const quote = await collectionManagerContract.getCreationFee([])
+
+      expectQuote(quote, [])
+    })
+
+    it('should quote the rarity fee for items with a custom max supply', async function () {
+      const items = [
+        [...ITEMS[6].slice(0, 4), 1],
+        [...ITEMS[7].slice(0, 4), RARITIES.legendary.value],
+      ]
+      const quote = await collectionManagerContract.getAddItemsFee(items)
+
+      expectQuote(quote, [
+        [
+          RARITIES.legendary.name,
+          2,
+          legendaryPrice,
+          web3.utils.toBN(legendaryPrice).mul(web3.utils.toBN(2)),
+        ],
+      ])
+    })
+
+    it('should quote the fee by rarity names and counts', async function () {
+      const quote = await collectionManagerContract.getRaritiesFee(
+        ['COMMON', RARITIES.legendary.name, RARITIES.epic.name],
+        [3, 1, 0]
+      )
+
+      expectQuote(quote, [
+        [
+          RARITIES.common.name,
+          3,
+          commonPrice,
+          web3.utils.toBN(commonPrice).mul(web3.utils.toBN(3)),
+        ],
+        [RARITIES.legendary.name, 1, legendaryPrice, legendaryPrice],
+        [RARITIES.epic.name, 0, DEFAULT_RARITY_PRICE, 0],
+      ])
+    })
+
+    it('should charge the quoted fee when creating a collection', async function () {
+      const { total } = await collectionManagerContract.getCreationFee(ITEMS)
+
+      await manaContract.approve(
+        collectionManagerContract.address,
+        total,
+        fromUser
+      )
+
+      const collectorBalance = await balanceSnap(
+        manaContract,
+        collector,
+        'collector'
+      )
+
+      await collectionManagerContract.createCollection(
+        forwarderContract.address,
+        factoryContract.address,
+        web3.utils.randomHex(32),
+        'collectionName',
+        'collectionSymbol',
+        'collectionBaseURI',
+        user,
+        ITEMS,
+        fromUser
+      )
+
+      await collectorBalance.requireIncrease(total)
+    })
+
+    it('reverts when quoting by rarity names and counts with different lengths', async function () {
+      await assertRevert(
+        collectionManagerContract.getRaritiesFee(
+          [RARITIES.common.name],
+          [1, 2]
+        ),
+        'CollectionManager#getRaritiesFee: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when quoting an invalid rarity', async function () {
+      await assertRevert(
+        collectionManagerContract.getCreationFee([
+          ['invalid', ITEMS[0][1], ITEMS[0][2], ITEMS[0][3], 0],
+        ]),
+        'Rarities#getRarityByName: INVALID_RARITY'
+      )
+    })
+  })
+
   describe('createCollection', async function () {
     const name = 'collectionName'
     const symbol = 'collectionSymbol'
@@ -589,6 +867,11 @@ describe('Collection Manager', function () {
                   name: 'metadata',
                   type: 'string',
                 },
+                {
+                  internalType: 'uint256',
+                  name: 'maxSupply',
+                  type: 'uint256',
+                },
               ],
               internalType: 'struct IERC721CollectionV2.ItemParam[]',
               name: '_items',
@@ -845,6 +1128,11 @@ describe('Collection Manager', function () {
                   name: 'metadata',
                   type: 'string',
                 },
+                {
+                  internalType: 'uint256',
+                  name: 'maxSupply',
+                  type: 'uint256',
+                },
               ],
               internalType: 'struct IERC721CollectionV2.ItemParam[]',
               name: '_items',
@@ -1017,6 +1305,11 @@ describe('Collection Manager', function () {
                   name: 'metadata',
                   type: 'string',
                 },
+                {
+                  internalType: 'uint256',
+                  name: 'maxSupply',
+                  type: 'uint256',
+                },
               ],
               internalType: 'struct IERC721CollectionV2.ItemParam[]',
               name: '_items',
@@ -1055,6 +1348,68 @@ describe('Collection Manager', function () {
       )
     })
 
+    it('should create a collection validating the items metadata', async function () {
+      const validatorContract = await ItemMetadataValidator.new(
+        deployer,
+        ['hat'],
+        ['female', 'male']
+      )
+      await collectionManagerContract.setMetadataValidator(
+        validatorContract.address,
+        fromOwner
+      )
+
+      const salt = web3.utils.randomHex(32)
+
+      const { logs } = await collectionManagerContract.createCollection(
+        forwarderContract.address,
+        factoryContract.address,
+        salt,
+        name,
+        symbol,
+        baseURI,
+        user,
+        ITEMS,
+        fromUser
+      )
+      collectionContract = await ERC721CollectionV2.at(logs[0].address)
+
+      const metadataValidator = await collectionContract.metadataValidator()
+      expect(metadataValidator).to.be.equal(validatorContract.address)
+
+      const itemLength = await collectionContract.itemsCount()
+      expect(ITEMS.length).to.be.eq.BN(itemLength)
+    })
+
+    it('reverts when creating a collection with an invalid item metadata', async function () {
+      const validatorContract = await ItemMetadataValidator.new(
+        deployer,
+        ['hat'],
+        ['female', 'male']
+      )
+      await collectionManagerContract.setMetadataValidator(
+        validatorContract.address,
+        fromOwner
+      )
+
+      const salt = web3.utils.randomHex(32)
+
+      await assertRevert(
+        collectionManagerContract.createCollection(
+          forwarderContract.address,
+          factoryContract.address,
+          salt,
+          name,
+          symbol,
+          baseURI,
+          user,
+          [...ITEMS, [ITEMS[0][0], ITEMS[0][1], ITEMS[0][2], '1:bird_mask', 0]],
+          fromUser
+        ),
+        'CollectionManager#createCollection: INVALID_METADATA'
+      )
+    })
+
     it('reverts when creating a collection without paying the fees in acceptedToken', async function () {
       await raritiesContract.updatePrices(
         getRarityNames(),
@@ -1120,75 +1475,307 @@ describe('Collection Manager', function () {
     })
   })
 
-  describe('manageCollection', async function () {
-    const name = 'collectionName'
-    const symbol = 'collectionSymbol'
-    const baseURI = 'collectionBaseURI'
+  describe('addItems', async function () {
+    const newItems = [ITEMS[6], ITEMS[1]]
+    const fee = web3.utils
+      .toBN(DEFAULT_RARITY_PRICE)
+      .mul(web3.utils.toBN(newItems.length))
 
     let collectionContract
 
     beforeEach(async () => {
-      const rarities = getInitialRarities()
-
-      await raritiesContract.updatePrices(
-        getRarityNames(),
-        Array(rarities.length).fill(0)
-      )
+      // Create a collection not completed by using the forwarder as its owner
+      const data = factoryContract.contract.methods
+        .createCollection(
+          web3.utils.randomHex(32),
+          getInitData({
+            creator: user,
+            shouldComplete: false,
+            shouldApprove: false,
+            rarities: raritiesContract.address,
+            items: [ITEMS[0]],
+          })
+        )
+        .encodeABI()
 
-      const salt = web3.utils.randomHex(32)
-      const { logs } = await collectionManagerContract.createCollection(
-        forwarderContract.address,
+      await forwarderContract.forwardCall(
         factoryContract.address,
-        salt,
-        name,
-        symbol,
-        baseURI,
-        user,
-        ITEMS,
+        data,
         fromOwner
       )
-      collectionContract = await ERC721CollectionV2.at(logs[0].address)
 
-      await collectionManagerContract.setCommittee(user, fromOwner)
+      collectionContract = await ERC721CollectionV2.at(
+        await factoryContract.collections(0)
+      )
     })
 
-    it('should manage a collection', async function () {
-      let isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(false)
+    it('should add items by paying the fees in acceptedToken', async function () {
+      await manaContract.approve(
+        collectionManagerContract.address,
+        fee,
+        fromUser
+      )
 
-      // Approve collection
-      await collectionManagerContract.manageCollection(
+      const creatorBalance = await balanceSnap(manaContract, user, 'creator')
+      const feeCollectorBalance = await balanceSnap(
+        manaContract,
+        collector,
+        'feeCollector'
+      )
+
+      await collectionManagerContract.addItems(
         forwarderContract.address,
         collectionContract.address,
-        web3.eth.abi.encodeFunctionCall(
-          {
-            inputs: [
-              {
-                internalType: 'bool',
-                name: '_value',
-                type: 'bool',
-              },
-            ],
-            name: 'setApproved',
-            outputs: [],
-            stateMutability: 'nonpayable',
-            type: 'function',
-          },
-          [true]
-        ),
+        newItems,
         fromUser
       )
 
-      isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(true)
+      await creatorBalance.requireDecrease(fee)
+      await feeCollectorBalance.requireIncrease(fee)
 
-      // Approve collection
-      await collectionManagerContract.manageCollection(
-        forwarderContract.address,
-        collectionContract.address,
-        web3.eth.abi.encodeFunctionCall(
-          {
-            inputs: [
+      const itemsCount = await collectionContract.itemsCount()
+      expect(itemsCount).to.be.eq.BN(newItems.length + 1)
+
+      for (let i = 0; i < newItems.length; i++) {
+        const {
+          rarity,
+          price,
+          beneficiary,
+          metadata,
+        } = await collectionContract.items(i + 1)
+
+        expect(rarity).to.be.equal(newItems[i][0])
+        expect(price).to.be.eq.BN(newItems[i][1])
+        expect(beneficiary.toLowerCase()).to.be.equal(
+          newItems[i][2].toLowerCase()
+        )
+        expect(metadata).to.be.equal(newItems[i][3])
+      }
+    })
+
+    it('should add items for free if the rarities prices are 0', async function () {
+      const rarities = getInitialRarities()
+
+      await raritiesContract.updatePrices(
+        getRarityNames(),
+        Array(rarities.length).fill(0)
+      )
+
+      const creatorBalance = await balanceSnap(manaContract, user, 'creator')
+
+      await collectionManagerContract.addItems(
+        forwarderContract.address,
+        collectionContract.address,
+        newItems,
+        fromUser
+      )
+
+      await creatorBalance.requireConstant()
+
+      const itemsCount = await collectionContract.itemsCount()
+      expect(itemsCount).to.be.eq.BN(newItems.length + 1)
+    })
+
+    it('reverts when adding items without paying the fees in acceptedToken', async function () {
+      await assertRevert(
+        collectionManagerContract.addItems(
+          forwarderContract.address,
+          collectionContract.address,
+          newItems,
+          fromUser
+        )
+      )
+
+      await manaContract.approve(
+        collectionManagerContract.address,
+        fee.sub(web3.utils.toBN(1)),
+        fromUser
+      )
+
+      await assertRevert(
+        collectionManagerContract.addItems(
+          forwarderContract.address,
+          collectionContract.address,
+          newItems,
+          fromUser
+        )
+      )
+    })
+
+    it('reverts when the sender is not the creator', async function () {
+      await assertRevert(
+        collectionManagerContract.addItems(
+          forwarderContract.address,
+          collectionContract.address,
+          newItems,
+          fromHacker
+        ),
+        'CollectionManager#addItems: UNAUTHORIZED_SENDER'
+      )
+    })
+
+    it('reverts when the collection is completed', async function () {
+      await collectionContract.completeCollection(fromUser)
+
+      await assertRevert(
+        collectionManagerContract.addItems(
+          forwarderContract.address,
+          collectionContract.address,
+          newItems,
+          fromUser
+        ),
+        'CollectionManager#addItems: COLLECTION_COMPLETED'
+      )
+    })
+
+    it('reverts when the item metadata is not valid', async function () {
+      const validatorContract = await ItemMetadataValidator.new(
+        deployer,
+        ['hat'],
+        ['female', 'male']
+      )
+      await collectionManagerContract.setMetadataValidator(
+        validatorContract.address,
+        fromOwner
+      )
+
+      await assertRevert(
+        collectionManagerContract.addItems(
+          forwarderContract.address,
+          collectionContract.address,
+          [
+            [
+              ITEMS[0][0],
+              ITEMS[0][1],
+              ITEMS[0][2],
+              '1:bird_mask:shoes:male',
+              0,
+            ],
+          ],
+          fromUser
+        ),
+        'CollectionManager#addItems: INVALID_METADATA'
+      )
+    })
+
+    it('reverts when trying to add items to not a collection', async function () {
+      await assertRevert(
+        collectionManagerContract.addItems(
+          forwarderContract.address,
+          raritiesContract.address,
+          newItems,
+          fromUser
+        ),
+        'CollectionManager#addItems: INVALID_COLLECTION'
+      )
+    })
+
+    it('reverts when the forwarder is not the owner of the collection', async function () {
+      const anotherForwarderContract = await Forwarder.new(
+        owner,
+        collectionManagerContract.address,
+        fromDeployer
+      )
+
+      await manaContract.approve(
+        collectionManagerContract.address,
+        fee,
+        fromUser
+      )
+
+      await assertRevert(
+        collectionManagerContract.addItems(
+          anotherForwarderContract.address,
+          collectionContract.address,
+          newItems,
+          fromUser
+        ),
+        'CollectionManager#addItems: FORWARD_FAILED'
+      )
+    })
+
+    it('reverts when forwarder is the contract', async function () {
+      await assertRevert(
+        collectionManagerContract.addItems(
+          collectionManagerContract.address,
+          collectionContract.address,
+          newItems,
+          fromUser
+        ),
+        'CollectionManager#addItems: FORWARDER_CANT_BE_THIS'
+      )
+    })
+  })
+
+  describe('manageCollection', async function () {
+    const name = 'collectionName'
+    const symbol = 'collectionSymbol'
+    const baseURI = 'collectionBaseURI'
+
+    let collectionContract
+
+    beforeEach(async () => {
+      const rarities = getInitialRarities()
+
+      await raritiesContract.updatePrices(
+        getRarityNames(),
+        Array(rarities.length).fill(0)
+      )
+
+      const salt = web3.utils.randomHex(32)
+      const { logs } = await collectionManagerContract.createCollection(
+        forwarderContract.address,
+        factoryContract.address,
+        salt,
+        name,
+        symbol,
+        baseURI,
+        user,
+        ITEMS,
+        fromOwner
+      )
+      collectionContract = await ERC721CollectionV2.at(logs[0].address)
+
+      await collectionManagerContract.setCommittee(user, fromOwner)
+    })
+
+    it('should manage a collection', async function () {
+      let isApproved = await collectionContract.isApproved()
+      expect(isApproved).to.be.equal(false)
+
+      // Approve collection
+      await collectionManagerContract.manageCollection(
+        forwarderContract.address,
+        collectionContract.address,
+        web3.eth.abi.encodeFunctionCall(
+          {
+            inputs: [
+              {
+                internalType: 'bool',
+                name: '_value',
+                type: 'bool',
+              },
+            ],
+            name: 'setApproved',
+            outputs: [],
+            stateMutability: 'nonpayable',
+            type: 'function',
+          },
+          [true]
+        ),
+        fromUser
+      )
+
+      isApproved = await collectionContract.isApproved()
+      expect(isApproved).to.be.equal(true)
+
+      // Approve collection
+      await collectionManagerContract.manageCollection(
+        forwarderContract.address,
+        collectionContract.address,
+        web3.eth.abi.encodeFunctionCall(
+          {
+            inputs: [
               {
                 internalType: 'bool',
                 name: '_value',
@@ -1272,6 +1859,77 @@ describe('Collection Manager', function () {
       expect(isEditable).to.be.equal(false)
     })
 
+    it('should migrate a collection requested by its creator', async function () {
+      await collectionManagerContract.setCommitteeMethods(
+        [MIGRATE_TO_VERSION_SELECTOR],
+        [true],
+        fromOwner
+      )
+
+      const newImplementation = await ERC721CollectionV2.new()
+      await forwarderContract.forwardCall(
+        factoryContract.address,
+        factoryContract.contract.methods
+          .addImplementation(newImplementation.address)
+          .encodeABI(),
+        fromOwner
+      )
+
+      const migrateToVersion = web3.eth.abi.encodeFunctionCall(
+        {
+          inputs: [
+            {
+              internalType: 'uint256',
+              name: '_version',
+              type: 'uint256',
+            },
+          ],
+          name: 'migrateToVersion',
+          outputs: [],
+          stateMutability: 'nonpayable',
+          type: 'function',
+        },
+        [1]
+      )
+
+      // The committee can not migrate without the creator request
+      await assertRevert(
+        collectionManagerContract.manageCollection(
+          forwarderContract.address,
+          collectionContract.address,
+          migrateToVersion,
+          fromUser
+        ),
+        'CollectionManager#manageCollection: FORWARD_FAILED'
+      )
+
+      await factoryContract.requestMigration(
+        collectionContract.address,
+        1,
+        fromUser
+      )
+
+      await collectionManagerContract.manageCollection(
+        forwarderContract.address,
+        collectionContract.address,
+        migrateToVersion,
+        fromUser
+      )
+
+      const version = await factoryContract.collectionVersion(
+        collectionContract.address
+      )
+      expect(version.toNumber()).to.be.equal(1)
+
+      const implementation = await factoryContract.getCollectionImplementation(
+        collectionContract.address
+      )
+      expect(implementation).to.be.equal(newImplementation.address)
+
+      const creator = await collectionContract.creator()
+      expect(creator).to.be.equal(user)
+    })
+
     it('should manage a collection :: Relayed EIP721', async function () {
       let isApproved = await collectionContract.isApproved()
       expect(isApproved).to.be.equal(false)
@@ -1530,4 +2188,378 @@ describe('Collection Manager', function () {
       )
     })
   })
+
+  describe('committee actions', async function () {
+    const setApprovedAbi = {
+      inputs: [
+        {
+          internalType: 'bool',
+          name: '_value',
+          type: 'bool',
+        },
+      ],
+      name: 'setApproved',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    }
+
+    let collectionContract
+    let approveData
+
+    beforeEach(async () => {
+      await raritiesContract.updatePrices(
+        getRarityNames(),
+        Array(getInitialRarities().length).fill(0)
+      )
+
+      const { logs } = await collectionManagerContract.createCollection(
+        forwarderContract.address,
+        factoryContract.address,
+        web3.utils.randomHex(32),
+        'collectionName',
+        'collectionSymbol',
+        'collectionBaseURI',
+        anotherUser,
+        ITEMS,
+        fromOwner
+      )
+      collectionContract = await ERC721CollectionV2.at(logs[0].address)
+
+      await collectionManagerContract.setCommittee(user, fromOwner)
+      await collectionManagerContract.setCommitteeMethodsDelays(
+        [SET_APPROVE_COLLECTION_SELECTOR],
+        [duration.days(1)],
+        fromOwner
+      )
+
+      approveData = web3.eth.abi.encodeFunctionCall(setApprovedAbi, [true])
+    })
+
+    async function queueApproval() {
+      const { logs } = await collectionManagerContract.manageCollection(
+        forwarderContract.address,
+        collectionContract.address,
+        approveData,
+        fromUser
+      )
+
+      return logs[0].args._actionId
+    }
+
+    it('should queue a committee action with delay', async function () {
+      const queued = await collectionManagerContract.manageCollection.call(
+        forwarderContract.address,
+        collectionContract.address,
+        approveData,
+        fromUser
+      )
+      expect(queued.queued).to.be.equal(true)
+      expect(queued.actionId).to.be.eq.BN(0)
+
+      const { logs } = await collectionManagerContract.manageCollection(
+        forwarderContract.address,
+        collectionContract.address,
+        approveData,
+        fromUser
+      )
+      const { timestamp } = await web3.eth.getBlock('latest')
+      const eta = web3.utils
+        .toBN(timestamp)
+        .add(web3.utils.toBN(duration.days(1)))
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('CommitteeActionQueued')
+      expect(logs[0].args._actionId).to.be.eq.BN(0)
+      expect(logs[0].args._creator).to.be.equal(anotherUser)
+      expect(logs[0].args._collection).to.be.equal(collectionContract.address)
+      expect(logs[0].args._forwarder).to.be.equal(forwarderContract.address)
+      expect(logs[0].args._data).to.be.equal(approveData)
+      expect(logs[0].args._eta).to.be.eq.BN(eta)
+
+      const action = await collectionManagerContract.committeeActions(0)
+      expect(action.forwarder).to.be.equal(forwarderContract.address)
+      expect(action.collection).to.be.equal(collectionContract.address)
+      expect(action.data).to.be.equal(approveData)
+      expect(action.committee).to.be.equal(user)
+      expect(action.eta).to.be.eq.BN(eta)
+      expect(action.status).to.be.eq.BN(0)
+
+      expect(await collectionContract.isApproved()).to.be.equal(false)
+      expect(
+        await collectionManagerContract.committeeActionsCount()
+      ).to.be.eq.BN(1)
+    })
+
+    it('should manage a collection right away when the method has no delay', async function () {
+      await collectionManagerContract.setCommitteeMethodsDelays(
+        [SET_APPROVE_COLLECTION_SELECTOR],
+        [0],
+        fromOwner
+      )
+
+      const queued = await collectionManagerContract.manageCollection.call(
+        forwarderContract.address,
+        collectionContract.address,
+        approveData,
+        fromUser
+      )
+      expect(queued.queued).to.be.equal(false)
+      expect(queued.actionId).to.be.eq.BN(0)
+
+      await collectionManagerContract.manageCollection(
+        forwarderContract.address,
+        collectionContract.address,
+        approveData,
+        fromUser
+      )
+
+      expect(await collectionContract.isApproved()).to.be.equal(true)
+      expect(
+        await collectionManagerContract.committeeActionsCount()
+      ).to.be.eq.BN(0)
+    })
+
+    it('should execute a committee action once its delay has passed', async function () {
+      const actionId = await queueApproval()
+
+      await increaseTime(duration.days(1))
+
+      const { logs } = await collectionManagerContract.executeCommitteeAction(
+        actionId,
+        fromHacker
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('CommitteeActionExecuted')
+      expect(logs[0].args._actionId).to.be.eq.BN(actionId)
+      expect(logs[0].args._executor).to.be.equal(hacker)
+
+      const action = await collectionManagerContract.committeeActions(actionId)
+      expect(action.status).to.be.eq.BN(1)
+      expect(await collectionContract.isApproved()).to.be.equal(true)
+    })
+
+    it('should execute a committee action :: Relayed EIP721', async function () {
+      const actionId = await queueApproval()
+
+      await increaseTime(duration.days(1))
+
+      const functionSignature = web3.eth.abi.encodeFunctionCall(
+        {
+          inputs: [
+            {
+              internalType: 'uint256',
+              name: '_actionId',
+              type: 'uint256',
+            },
+          ],
+          name: 'executeCommitteeAction',
+          outputs: [],
+          stateMutability: 'nonpayable',
+          type: 'function',
+        },
+        [actionId.toString()]
+      )
+
+      const { logs } = await sendMetaTx(
+        collectionManagerContract,
+        functionSignature,
+        anotherUser,
+        relayer,
+        null,
+        'Decentraland Collection Manager',
+        '1'
+      )
+
+      expect(logs.length).to.be.equal(2)
+      expect(logs[1].event).to.be.equal('CommitteeActionExecuted')
+      expect(logs[1].args._executor).to.be.equal(anotherUser)
+      expect(await collectionContract.isApproved()).to.be.equal(true)
+    })
+
+    it('should cancel a committee action', async function () {
+      const actionId = await queueApproval()
+
+      const { logs } = await collectionManagerContract.cancelCommitteeAction(
+        actionId,
+        fromOwner
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('CommitteeActionCancelled')
+      expect(logs[0].args._actionId).to.be.eq.BN(actionId)
+
+      const action = await collectionManagerContract.committeeActions(actionId)
+      expect(action.status).to.be.eq.BN(2)
+
+      await increaseTime(duration.days(1))
+
+      await assertRevert(
+        collectionManagerContract.executeCommitteeAction(actionId, fromUser),
+        'CollectionManager#executeCommitteeAction: ACTION_NOT_QUEUED'
+      )
+      expect(await collectionContract.isApproved()).to.be.equal(false)
+    })
+
+    it('should get the pending committee actions', async function () {
+      await queueApproval()
+      await queueApproval()
+      await queueApproval()
+
+      let pending = await collectionManagerContract.getPendingCommitteeActions(
+        0,
+        10
+      )
+      expect(pending.map((id) => id.toString())).to.be.eql(['0', '1', '2'])
+
+      pending = await collectionManagerContract.getPendingCommitteeActions(1, 1)
+      expect(pending.map((id) => id.toString())).to.be.eql(['1'])
+
+      await collectionManagerContract.cancelCommitteeAction(1, fromOwner)
+
+      await increaseTime(duration.days(1))
+      await collectionManagerContract.executeCommitteeAction(2, fromUser)
+
+      pending = await collectionManagerContract.getPendingCommitteeActions(
+        0,
+        10
+      )
+      expect(pending.map((id) => id.toString())).to.be.eql(['0'])
+
+      pending = await collectionManagerContract.getPendingCommitteeActions(
+        1,
+        10
+      )
+      expect(pending).to.be.eql([])
+
+      pending = await collectionManagerContract.getPendingCommitteeActions(
+        3,
+        10
+      )
+      expect(pending).to.be.eql([])
+    })
+
+    it('reverts when executing a committee action queued by a previous committee', async function () {
+      const actionId = await queueApproval()
+
+      await collectionManagerContract.setCommittee(anotherUser, fromOwner)
+      await increaseTime(duration.days(1))
+
+      await assertRevert(
+        collectionManagerContract.executeCommitteeAction(actionId, fromUser),
+        'CollectionManager#executeCommitteeAction: COMMITTEE_CHANGED'
+      )
+      expect(await collectionContract.isApproved()).to.be.equal(false)
+    })
+
+    it('reverts when executing a committee action before its delay has passed', async function () {
+      const actionId = await queueApproval()
+
+      await increaseTime(duration.hours(12))
+
+      await assertRevert(
+        collectionManagerContract.executeCommitteeAction(actionId, fromUser),
+        'CollectionManager#executeCommitteeAction: ACTION_NOT_READY'
+      )
+    })
+
+    it('reverts when executing a committee action twice', async function () {
+      const actionId = await queueApproval()
+
+      await increaseTime(duration.days(1))
+      await collectionManagerContract.executeCommitteeAction(actionId, fromUser)
+
+      await assertRevert(
+        collectionManagerContract.executeCommitteeAction(actionId, fromUser),
+        'CollectionManager#executeCommitteeAction: ACTION_NOT_QUEUED'
+      )
+    })
+
+    it('reverts when executing an invalid committee action', async function () {
+      await assertRevert(
+        collectionManagerContract.executeCommitteeAction(0, fromUser),
+        'CollectionManager#executeCommitteeAction: INVALID_ACTION'
+      )
+    })
+
+    it('reverts when executing a committee action whose method is no longer allowed', async function () {
+      const actionId = await queueApproval()
+
+      await collectionManagerContract.setCommitteeMethods(
+        [SET_APPROVE_COLLECTION_SELECTOR],
+        [false],
+        fromOwner
+      )
+      await increaseTime(duration.days(1))
+
+      await assertRevert(
+        collectionManagerContract.executeCommitteeAction(actionId, fromUser),
+        'CollectionManager#executeCommitteeAction: COMMITTEE_METHOD_NOT_ALLOWED'
+      )
+    })
+
+    it('reverts when the committee action call fails', async function () {
+      const actionId = await queueApproval()
+
+      // The forwarder is no longer the owner of the collection
+      await forwarderContract.forwardCall(
+        collectionContract.address,
+        web3.eth.abi.encodeFunctionCall(
+          {
+            inputs: [
+              {
+                internalType: 'address',
+                name: 'newOwner',
+                type: 'address',
+              },
+            ],
+            name: 'transferOwnership',
+            outputs: [],
+            stateMutability: 'nonpayable',
+            type: 'function',
+          },
+          [owner]
+        ),
+        fromOwner
+      )
+      await increaseTime(duration.days(1))
+
+      await assertRevert(
+        collectionManagerContract.executeCommitteeAction(actionId, fromUser),
+        'CollectionManager#executeCommitteeAction: FORWARD_FAILED'
+      )
+    })
+
+    it('reverts when cancelling a committee action by hacker', async function () {
+      const actionId = await queueApproval()
+
+      await assertRevert(
+        collectionManagerContract.cancelCommitteeAction(actionId, fromHacker),
+        'Ownable: caller is not the owner'
+      )
+
+      await assertRevert(
+        collectionManagerContract.cancelCommitteeAction(actionId, fromUser),
+        'Ownable: caller is not the owner'
+      )
+    })
+
+    it('reverts when cancelling a committee action which is not queued', async function () {
+      await assertRevert(
+        collectionManagerContract.cancelCommitteeAction(0, fromOwner),
+        'CollectionManager#cancelCommitteeAction: INVALID_ACTION'
+      )
+
+      const actionId = await queueApproval()
+
+      await increaseTime(duration.days(1))
+      await collectionManagerContract.executeCommitteeAction(actionId, fromUser)
+
+      await assertRevert(
+        collectionManagerContract.cancelCommitteeAction(actionId, fromOwner),
+        'CollectionManager#cancelCommitteeAction: ACTION_NOT_QUEUED'
+      )
+    })
+  })
 })
@@ -0,0 +1,1727 @@
+import hr from 'hardhat'
+import { Mana, ADDRESS_INDEXES } from 'decentraland-contract-plugins'
+
+import { balanceSnap } from '../helpers/balanceSnap'
+import assertRevert from '../helpers/assertRevert'
+import { increaseTime, duration } from '../helpers/increase'
+import {
+  ITEMS,
+  getInitialRarities,
+  createDummyFactory,
+  createDummyCollection,
+  encodeTokenId,
+  MAX_UINT256,
+  ZERO_ADDRESS,
+} from '../helpers/collectionV2'
+import { sendMetaTx, getSignedOrderSignature } from '../helpers/metaTx'
+import { hashSignedOrder } from '../../sdk'
+
+const BN = web3.utils.BN
+const expect = require('chai').use(require('bn-chai')(BN)).expect
+
+const Marketplace = artifacts.require('DummyCollectionMarketplace')
+const Rarities = artifacts.require('Rarities')
+const ERC20 = artifacts.require('DummyERC20')
+
+describe('CollectionMarketplace', function () {
+  const ONE_MILLION = web3.utils.toBN(1000000)
+  const FEE = web3.utils.toBN(10000)
+  const PRICE = web3.utils.toBN(web3.utils.toWei('100'))
+  const ANOTHER_PRICE = web3.utils.toBN(web3.utils.toWei('50'))
+  const ROYALTY_BASIS_POINTS = web3.utils.toBN(10000)
+  const ROYALTY = web3.utils.toBN(1000)
+
+  // Contract
+  let manaContract
+  let marketplaceContract
+  let collection
+
+  // Accounts
+  let accounts
+  let deployer
+  let seller
+  let buyer
+  let anotherBuyer
+  let marketplaceOwner
+  let feeOwner
+  let hacker
+  let relayer
+  let fromDeployer
+  let fromSeller
+  let fromBuyer
+  let fromAnotherBuyer
+  let fromMarketplaceOwner
+  let fromHacker
+
+  let creationParams
+  let token1
+  let token2
+  let token3
+  let expiresAt
+
+  beforeEach(async function () {
+    accounts = await web3.eth.getAccounts()
+    deployer = accounts[ADDRESS_INDEXES.deployer]
+    hacker = accounts[ADDRESS_INDEXES.hacker]
+    marketplaceOwner = accounts[ADDRESS_INDEXES.operator]
+    feeOwner = accounts[ADDRESS_INDEXES.anotherUser]
+    seller = accounts[ADDRESS_INDEXES.user]
+    buyer = accounts[ADDRESS_INDEXES.buyer]
+    anotherBuyer = accounts[ADDRESS_INDEXES.anotherBuyer]
+    relayer = deployer
+
+    fromDeployer = { from: deployer }
+    fromSeller = { from: seller }
+    fromBuyer = { from: buyer }
+    fromAnotherBuyer = { from: anotherBuyer }
+    fromMarketplaceOwner = { from: marketplaceOwner }
+    fromHacker = { from: hacker }
+
+    creationParams = {
+      ...fromDeployer,
+      gas: 6e6,
+      gasPrice: 21e9,
+    }
+
+    // Set up MANA Contract
+    const mana = new Mana({ accounts, artifacts: hr.artifacts })
+    await mana.deploy({ txParams: creationParams })
+    manaContract = mana.getContract()
+
+    const raritiesContract = await Rarities.new(deployer, getInitialRarities())
+
+    const factory = await createDummyFactory(deployer)
+
+    collection = await createDummyCollection(factory, {
+      creator: deployer,
+      items: ITEMS,
+      shouldComplete: true,
+      shouldApprove: true,
+      rarities: raritiesContract.address,
+    })
+
+    marketplaceContract = await Marketplace.new(
+      marketplaceOwner,
+      manaContract.address,
+      feeOwner,
+      FEE,
+      fromMarketplaceOwner
+    )
+
+    await collection.issueTokens(
+      [seller, seller, seller],
+      [0, 0, 1],
+      fromDeployer
+    )
+    token1 = encodeTokenId(0, 1)
+    token2 = encodeTokenId(0, 2)
+    token3 = encodeTokenId(1, 1)
+
+    await collection.setApprovalForAll(
+      marketplaceContract.address,
+      true,
+      fromSeller
+    )
+    await manaContract.approve(marketplaceContract.address, -1, fromBuyer)
+    await manaContract.approve(
+      marketplaceContract.address,
+      -1,
+      fromAnotherBuyer
+    )
+
+    expiresAt = web3.utils.toBN(
+      (await web3.eth.getBlock('latest')).timestamp + duration.days(1)
+    )
+  })
+
+  describe('Deploy', async function () {
+    it('deploy with correct values', async function () {
+      const contract = await Marketplace.new(
+        marketplaceOwner,
+        manaContract.address,
+        feeOwner,
+        FEE,
+        fromMarketplaceOwner
+      )
+
+      expect(await contract.owner()).to.be.equal(marketplaceOwner)
+      expect(await contract.acceptedToken()).to.be.equal(manaContract.address)
+      expect(await contract.feeOwner()).to.be.equal(feeOwner)
+      expect(await contract.fee()).to.be.eq.BN(FEE)
+    })
+
+    it('reverts when deploying with fee >= ONE_MILLION', async function () {
+      await assertRevert(
+        Marketplace.new(
+          marketplaceOwner,
+          manaContract.address,
+          feeOwner,
+          ONE_MILLION,
+          fromMarketplaceOwner
+        ),
+        'CollectionMarketplace#setFee: FEE_SHOULD_BE_LOWER_THAN_BASE_FEE'
+      )
+    })
+  })
+
+  describe('createOrder', function () {
+    it('should create an order', async function () {
+      const { logs } = await marketplaceContract.createOrder(
+        collection.address,
+        token1,
+        PRICE,
+        expiresAt,
+        fromSeller
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('OrderCreated')
+      expect(logs[0].args._collection).to.be.equal(collection.address)
+      expect(logs[0].args._tokenId).to.be.eq.BN(token1)
+      expect(logs[0].args._seller).to.be.equal(seller)
+      expect(logs[0].args._price).to.be.eq.BN(PRICE)
+      expect(logs[0].args._expiresAt).to.be.eq.BN(expiresAt)
+
+      const order = await marketplaceContract.orders(collection.address, token1)
+      expect(order.id).to.be.equal(logs[0].args._id)
+      expect(order.seller).to.be.equal(seller)
+      expect(order.price).to.be.eq.BN(PRICE)
+      expect(order.expiresAt).to.be.eq.BN(expiresAt)
+    })
+
+    it('should replace an order', async function () {
+      await marketplaceContract.createOrder(
+        collection.address,
+        token1,
+        PRICE,
+        expiresAt,
+        fromSeller
+      )
+
+      await marketplaceContract.createOrder(
+        collection.address,
+        token1,
+        ANOTHER_PRICE,
+        expiresAt,
+        fromSeller
+      )
+
+      const order = await marketplaceContract.orders(collection.address, token1)
+      expect(order.price).to.be.eq.BN(ANOTHER_PRICE)
+    })
+
+    it('should create an order approving only the token', async function () {
+      await collection.setApprovalForAll(
+        marketplaceContract.address,
+        false,
+        fromSeller
+      )
+      await collection.approve(marketplaceContract.address, token1, fromSeller)
+
+      await marketplaceContract.createOrder(
+        collection.address,
+        token1,
+        PRICE,
+        expiresAt,
+        fromSeller
+      )
+
+      const order = await marketplaceContract.orders(collection.address, token1)
+      expect(order.seller).to.be.equal(seller)
+    })
+
+    it('should create an order :: Relayed EIP721', async function () {
+      const functionSignature = marketplaceContract.contract.methods
+        .createOrder(
+          collection.address,
+          token1.toString(),
+          PRICE.toString(),
+          expiresAt.toString()
+        )
+        .encodeABI()
+
+      const { logs } = await sendMetaTx(
+        marketplaceContract,
+        functionSignature,
+        seller,
+        relayer,
+        null,
+        'Decentraland Collection Marketplace',
+        '1'
+      )
+
+      expect(logs.length).to.be.equal(2)
+      expect(logs[0].event).to.be.equal('MetaTransactionExecuted')
+      expect(logs[0].args.userAddress).to.be.equal(seller)
+      expect(logs[0].args.relayerAddress).to.be.equal(relayer)
+
+      expect(logs[1].event).to.be.equal('OrderCreated')
+      expect(logs[1].args._seller).to.be.equal(seller)
+    })
+
+    it('reverts when creating an order by not the token owner', async function () {
+      await assertRevert(
+        marketplaceContract.createOrder(
+          collection.address,
+          token1,
+          PRICE,
+          expiresAt,
+          fromHacker
+        ),
+        'CollectionMarketplace#createOrder: CALLER_IS_NOT_OWNER'
+      )
+    })
+
+    it('reverts when the marketplace is not approved', async function () {
+      await collection.setApprovalForAll(
+        marketplaceContract.address,
+        false,
+        fromSeller
+      )
+
+      await assertRevert(
+        marketplaceContract.createOrder(
+          collection.address,
+          token1,
+          PRICE,
+          expiresAt,
+          fromSeller
+        ),
+        'CollectionMarketplace#createOrder: NOT_AUTHORIZED'
+      )
+    })
+
+    it('reverts when creating an order with an invalid price', async function () {
+      await assertRevert(
+        marketplaceContract.createOrder(
+          collection.address,
+          token1,
+          0,
+          expiresAt,
+          fromSeller
+        ),
+        'CollectionMarketplace#createOrder: INVALID_PRICE'
+      )
+    })
+
+    it('reverts when creating an order with an invalid expiration', async function () {
+      const now = (await web3.eth.getBlock('latest')).timestamp
+
+      await assertRevert(
+        marketplaceContract.createOrder(
+          collection.address,
+          token1,
+          PRICE,
+          now,
+          fromSeller
+        ),
+        'CollectionMarketplace#createOrder: INVALID_EXPIRES_AT'
+      )
+    })
+  })
+
+  describe('cancelOrder', function () {
+    beforeEach(async function () {
+      await marketplaceContract.createOrder(
+        collection.address,
+        token1,
+        PRICE,
+        expiresAt,
+        fromSeller
+      )
+    })
+
+    it('should cancel an order', async function () {
+      const order = await marketplaceContract.orders(collection.address, token1)
+
+      const { logs } = await marketplaceContract.cancelOrder(
+        collection.address,
+        token1,
+        fromSeller
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('OrderCancelled')
+      expect(logs[0].args._id).to.be.equal(order.id)
+      expect(logs[0].args._collection).to.be.equal(collection.address)
+      expect(logs[0].args._tokenId).to.be.eq.BN(token1)
+      expect(logs[0].args._seller).to.be.equal(seller)
+
+      const { price } = await marketplaceContract.orders(
+        collection.address,
+        token1
+      )
+      expect(price).to.be.eq.BN(0)
+    })
+
+    it('reverts when cancelling an order that does not exist', async function () {
+      await assertRevert(
+        marketplaceContract.cancelOrder(collection.address, token2, fromSeller),
+        'CollectionMarketplace#cancelOrder: ORDER_DOES_NOT_EXIST'
+      )
+    })
+
+    it('reverts when cancelling an order by not the seller', async function () {
+      await assertRevert(
+        marketplaceContract.cancelOrder(collection.address, token1, fromHacker),
+        'CollectionMarketplace#cancelOrder: CALLER_IS_NOT_SELLER'
+      )
+    })
+  })
+
+  describe('executeOrder', function () {
+    beforeEach(async function () {
+      await marketplaceContract.createOrder(
+        collection.address,
+        token1,
+        PRICE,
+        expiresAt,
+        fromSeller
+      )
+    })
+
+    it('should execute an order', async function () {
+      const order = await marketplaceContract.orders(collection.address, token1)
+
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+      const sellerBalance = await balanceSnap(manaContract, seller, 'seller')
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+      const marketplaceBalance = await balanceSnap(
+        manaContract,
+        marketplaceContract.address,
+        'marketplace'
+      )
+
+      const { logs } = await marketplaceContract.executeOrder(
+        collection.address,
+        token1,
+        PRICE,
+        fromBuyer
+      )
+
+      const successLog = logs.find(({ event }) => event === 'OrderSuccessful')
+      expect(successLog.args._id).to.be.equal(order.id)
+      expect(successLog.args._collection).to.be.equal(collection.address)
+      expect(successLog.args._tokenId).to.be.eq.BN(token1)
+      expect(successLog.args._seller).to.be.equal(seller)
+      expect(successLog.args._buyer).to.be.equal(buyer)
+      expect(successLog.args._price).to.be.eq.BN(PRICE)
+
+      expect(logs.find(({ event }) => event === 'RoyaltyPaid')).to.be.equal(
+        undefined
+      )
+
+      expect(await collection.ownerOf(token1)).to.be.equal(buyer)
+
+      const feeCharged = PRICE.mul(FEE).div(ONE_MILLION)
+      await buyerBalance.requireDecrease(PRICE)
+      await sellerBalance.requireIncrease(PRICE.sub(feeCharged))
+      await feeOwnerBalance.requireIncrease(feeCharged)
+      await marketplaceBalance.requireConstant()
+
+      const { price } = await marketplaceContract.orders(
+        collection.address,
+        token1
+      )
+      expect(price).to.be.eq.BN(0)
+    })
+
+    it('should pay the royalty', async function () {
+      await collection.setDefaultRoyalty(deployer, ROYALTY, fromDeployer)
+
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+      const sellerBalance = await balanceSnap(manaContract, seller, 'seller')
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+      const royaltyReceiverBalance = await balanceSnap(
+        manaContract,
+        deployer,
+        'royalty receiver'
+      )
+
+      const { logs } = await marketplaceContract.executeOrder(
+        collection.address,
+        token1,
+        PRICE,
+        fromBuyer
+      )
+
+      const feeCharged = PRICE.mul(FEE).div(ONE_MILLION)
+      const royalty = PRICE.mul(ROYALTY).div(ROYALTY_BASIS_POINTS)
+
+      const royaltyLog = logs.find(({ event }) => event === 'RoyaltyPaid')
+      expect(royaltyLog.args._collection).to.be.equal(collection.address)
+      expect(royaltyLog.args._tokenId).to.be.eq.BN(token1)
+      expect(royaltyLog.args._receiver).to.be.equal(deployer)
+      expect(royaltyLog.args._amount).to.be.eq.BN(royalty)
+
+      await buyerBalance.requireDecrease(PRICE)
+      await sellerBalance.requireIncrease(PRICE.sub(feeCharged).sub(royalty))
+      await feeOwnerBalance.requireIncrease(feeCharged)
+      await royaltyReceiverBalance.requireIncrease(royalty)
+    })
+
+    it('should cap the royalty to the price without the fee', async function () {
+      await collection.setItemsRoyalties(
+        [0],
+        [deployer],
+        [ROYALTY_BASIS_POINTS],
+        fromDeployer
+      )
+
+      const sellerBalance = await balanceSnap(manaContract, seller, 'seller')
+      const royaltyReceiverBalance = await balanceSnap(
+        manaContract,
+        deployer,
+        'royalty receiver'
+      )
+
+      await marketplaceContract.executeOrder(
+        collection.address,
+        token1,
+        PRICE,
+        fromBuyer
+      )
+
+      const feeCharged = PRICE.mul(FEE).div(ONE_MILLION)
+      await sellerBalance.requireConstant()
+      await royaltyReceiverBalance.requireIncrease(PRICE.sub(feeCharged))
+    })
+
+    it('should not pay the royalty when the seller is the receiver', async function () {
+      await collection.setDefaultRoyalty(seller, ROYALTY, fromDeployer)
+
+      const sellerBalance = await balanceSnap(manaContract, seller, 'seller')
+
+      const { logs } = await marketplaceContract.executeOrder(
+        collection.address,
+        token1,
+        PRICE,
+        fromBuyer
+      )
+
+      expect(logs.find(({ event }) => event === 'RoyaltyPaid')).to.be.equal(
+        undefined
+      )
+
+      const feeCharged = PRICE.mul(FEE).div(ONE_MILLION)
+      await sellerBalance.requireIncrease(PRICE.sub(feeCharged))
+    })
+
+    it('should execute an order without fee', async function () {
+      await marketplaceContract.setFee(0, fromMarketplaceOwner)
+
+      const sellerBalance = await balanceSnap(manaContract, seller, 'seller')
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+
+      await marketplaceContract.executeOrder(
+        collection.address,
+        token1,
+        PRICE,
+        fromBuyer
+      )
+
+      await sellerBalance.requireIncrease(PRICE)
+      await feeOwnerBalance.requireConstant()
+    })
+
+    it('should execute an order :: Relayed EIP721', async function () {
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+
+      const functionSignature = marketplaceContract.contract.methods
+        .executeOrder(collection.address, token1.toString(), PRICE.toString())
+        .encodeABI()
+
+      const { logs } = await sendMetaTx(
+        marketplaceContract,
+        functionSignature,
+        buyer,
+        relayer,
+        null,
+        'Decentraland Collection Marketplace',
+        '1'
+      )
+
+      expect(logs[0].event).to.be.equal('MetaTransactionExecuted')
+      expect(logs[0].args.userAddress).to.be.equal(buyer)
+      expect(logs[0].args.relayerAddress).to.be.equal(relayer)
+
+      const successLog = logs.find(({ event }) => event === 'OrderSuccessful')
+      expect(successLog.args._buyer).to.be.equal(buyer)
+
+      expect(await collection.ownerOf(token1)).to.be.equal(buyer)
+      await buyerBalance.requireDecrease(PRICE)
+    })
+
+    it('reverts when executing an order that does not exist', async function () {
+      await assertRevert(
+        marketplaceContract.executeOrder(
+          collection.address,
+          token2,
+          PRICE,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeOrder: ORDER_DOES_NOT_EXIST'
+      )
+
+      await marketplaceContract.executeOrder(
+        collection.address,
+        token1,
+        PRICE,
+        fromBuyer
+      )
+
+      await assertRevert(
+        marketplaceContract.executeOrder(
+          collection.address,
+          token1,
+          PRICE,
+          fromAnotherBuyer
+        ),
+        'CollectionMarketplace#executeOrder: ORDER_DOES_NOT_EXIST'
+      )
+    })
+
+    it('reverts when the price does not match', async function () {
+      await assertRevert(
+        marketplaceContract.executeOrder(
+          collection.address,
+          token1,
+          ANOTHER_PRICE,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeOrder: PRICE_MISMATCH'
+      )
+    })
+
+    it('reverts when the order expired', async function () {
+      await increaseTime(duration.days(2))
+
+      await assertRevert(
+        marketplaceContract.executeOrder(
+          collection.address,
+          token1,
+          PRICE,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeOrder: ORDER_EXPIRED'
+      )
+    })
+
+    it('reverts when the seller is not the owner anymore', async function () {
+      await collection.transferFrom(seller, hacker, token1, fromSeller)
+
+      await assertRevert(
+        marketplaceContract.executeOrder(
+          collection.address,
+          token1,
+          PRICE,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeOrder: SELLER_IS_NOT_OWNER'
+      )
+    })
+
+    it('reverts when the buyer is the seller', async function () {
+      await assertRevert(
+        marketplaceContract.executeOrder(
+          collection.address,
+          token1,
+          PRICE,
+          fromSeller
+        ),
+        'CollectionMarketplace#executeOrder: CALLER_IS_SELLER'
+      )
+    })
+
+    it('reverts when the marketplace is not approved anymore', async function () {
+      await collection.setApprovalForAll(
+        marketplaceContract.address,
+        false,
+        fromSeller
+      )
+
+      await assertRevert(
+        marketplaceContract.executeOrder(
+          collection.address,
+          token1,
+          PRICE,
+          fromBuyer
+        ),
+        'ERC721: transfer caller is not owner nor approved'
+      )
+    })
+
+    it('reverts when the buyer has not approved the marketplace', async function () {
+      await manaContract.approve(marketplaceContract.address, 0, fromBuyer)
+
+      await assertRevert(
+        marketplaceContract.executeOrder(
+          collection.address,
+          token1,
+          PRICE,
+          fromBuyer
+        )
+      )
+    })
+  })
+
+  describe('placeBid', function () {
+    it('should place a bid', async function () {
+      const { logs } = await marketplaceContract.placeBid(
+        collection.address,
+        token1,
+        PRICE,
+        expiresAt,
+        fromBuyer
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('BidCreated')
+      expect(logs[0].args._collection).to.be.equal(collection.address)
+      expect(logs[0].args._tokenId).to.be.eq.BN(token1)
+      expect(logs[0].args._bidder).to.be.equal(buyer)
+      expect(logs[0].args._price).to.be.eq.BN(PRICE)
+      expect(logs[0].args._expiresAt).to.be.eq.BN(expiresAt)
+
+      const bid = await marketplaceContract.tokenBids(
+        collection.address,
+        token1,
+        buyer
+      )
+      expect(bid.id).to.be.equal(logs[0].args._id)
+      expect(bid.owner).to.be.equal(seller)
+      expect(bid.price).to.be.eq.BN(PRICE)
+      expect(bid.expiresAt).to.be.eq.BN(expiresAt)
+    })
+
+    it('should keep a bid per bidder', async function () {
+      await marketplaceContract.placeBid(
+        collection.address,
+        token1,
+        PRICE,
+        expiresAt,
+        fromBuyer
+      )
+      await marketplaceContract.placeBid(
+        collection.address,
+        token1,
+        ANOTHER_PRICE,
+        expiresAt,
+        fromAnotherBuyer
+      )
+      await marketplaceContract.placeBid(
+        collection.address,
+        token1,
+        ANOTHER_PRICE,
+        expiresAt,
+        fromBuyer
+      )
+
+      let bid = await marketplaceContract.tokenBids(
+        collection.address,
+        token1,
+        buyer
+      )
+      expect(bid.price).to.be.eq.BN(ANOTHER_PRICE)
+
+      bid = await marketplaceContract.tokenBids(
+        collection.address,
+        token1,
+        anotherBuyer
+      )
+      expect(bid.price).to.be.eq.BN(ANOTHER_PRICE)
+    })
+
+    it('reverts when the bidder is the token owner', async function () {
+      await assertRevert(
+        marketplaceContract.placeBid(
+          collection.address,
+          token1,
+          PRICE,
+          expiresAt,
+          fromSeller
+        ),
+        'CollectionMarketplace#placeBid: CALLER_IS_OWNER'
+      )
+    })
+
+    it('reverts when placing a bid with an invalid price', async function () {
+      await assertRevert(
+        marketplaceContract.placeBid(
+          collection.address,
+          token1,
+          0,
+          expiresAt,
+          fromBuyer
+        ),
+        'CollectionMarketplace#_placeBid: INVALID_PRICE'
+      )
+    })
+
+    it('reverts when placing a bid with an invalid expiration', async function () {
+      const now = (await web3.eth.getBlock('latest')).timestamp
+
+      await assertRevert(
+        marketplaceContract.placeBid(
+          collection.address,
+          token1,
+          PRICE,
+          now,
+          fromBuyer
+        ),
+        'CollectionMarketplace#_placeBid: INVALID_EXPIRES_AT'
+      )
+    })
+  })
+
+  describe('cancelBid', function () {
+    it('should cancel a bid', async function () {
+      await marketplaceContract.placeBid(
+        collection.address,
+        token1,
+        PRICE,
+        expiresAt,
+        fromBuyer
+      )
+
+      const bid = await marketplaceContract.tokenBids(
+        collection.address,
+        token1,
+        buyer
+      )
+
+      const { logs } = await marketplaceContract.cancelBid(
+        collection.address,
+        token1,
+        fromBuyer
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('BidCancelled')
+      expect(logs[0].args._id).to.be.equal(bid.id)
+      expect(logs[0].args._collection).to.be.equal(collection.address)
+      expect(logs[0].args._tokenId).to.be.eq.BN(token1)
+      expect(logs[0].args._bidder).to.be.equal(buyer)
+
+      const { price } = await marketplaceContract.tokenBids(
+        collection.address,
+        token1,
+        buyer
+      )
+      expect(price).to.be.eq.BN(0)
+    })
+
+    it('reverts when cancelling a bid that does not exist', async function () {
+      await assertRevert(
+        marketplaceContract.cancelBid(collection.address, token1, fromBuyer),
+        'CollectionMarketplace#cancelBid: BID_DOES_NOT_EXIST'
+      )
+    })
+  })
+
+  describe('acceptBid', function () {
+    beforeEach(async function () {
+      await marketplaceContract.placeBid(
+        collection.address,
+        token1,
+        PRICE,
+        expiresAt,
+        fromBuyer
+      )
+    })
+
+    it('should accept a bid', async function () {
+      await marketplaceContract.createOrder(
+        collection.address,
+        token1,
+        ANOTHER_PRICE,
+        expiresAt,
+        fromSeller
+      )
+
+      const bid = await marketplaceContract.tokenBids(
+        collection.address,
+        token1,
+        buyer
+      )
+
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+      const sellerBalance = await balanceSnap(manaContract, seller, 'seller')
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+
+      const { logs } = await marketplaceContract.acceptBid(
+        collection.address,
+        token1,
+        buyer,
+        PRICE,
+        fromSeller
+      )
+
+      const acceptedLog = logs.find(({ event }) => event === 'BidAccepted')
+      expect(acceptedLog.args._id).to.be.equal(bid.id)
+      expect(acceptedLog.args._collection).to.be.equal(collection.address)
+      expect(acceptedLog.args._tokenId).to.be.eq.BN(token1)
+      expect(acceptedLog.args._bidder).to.be.equal(buyer)
+      expect(acceptedLog.args._seller).to.be.equal(seller)
+      expect(acceptedLog.args._price).to.be.eq.BN(PRICE)
+
+      expect(await collection.ownerOf(token1)).to.be.equal(buyer)
+
+      const feeCharged = PRICE.mul(FEE).div(ONE_MILLION)
+      await buyerBalance.requireDecrease(PRICE)
+      await sellerBalance.requireIncrease(PRICE.sub(feeCharged))
+      await feeOwnerBalance.requireIncrease(feeCharged)
+
+      const { price } = await marketplaceContract.tokenBids(
+        collection.address,
+        token1,
+        buyer
+      )
+      expect(price).to.be.eq.BN(0)
+
+      // The order of the token is removed
+      const order = await marketplaceContract.orders(collection.address, token1)
+      expect(order.price).to.be.eq.BN(0)
+    })
+
+    it('should accept a bid :: Relayed EIP721', async function () {
+      const functionSignature = marketplaceContract.contract.methods
+        .acceptBid(
+          collection.address,
+          token1.toString(),
+          buyer,
+          PRICE.toString()
+        )
+        .encodeABI()
+
+      const { logs } = await sendMetaTx(
+        marketplaceContract,
+        functionSignature,
+        seller,
+        relayer,
+        null,
+        'Decentraland Collection Marketplace',
+        '1'
+      )
+
+      expect(logs[0].event).to.be.equal('MetaTransactionExecuted')
+      expect(logs[0].args.userAddress).to.be.equal(seller)
+
+      const acceptedLog = logs.find(({ event }) => event === 'BidAccepted')
+      expect(acceptedLog.args._seller).to.be.equal(seller)
+
+      expect(await collection.ownerOf(token1)).to.be.equal(buyer)
+    })
+
+    it('reverts when accepting a bid that does not exist', async function () {
+      await assertRevert(
+        marketplaceContract.acceptBid(
+          collection.address,
+          token1,
+          anotherBuyer,
+          PRICE,
+          fromSeller
+        ),
+        'CollectionMarketplace#_checkBid: BID_DOES_NOT_EXIST'
+      )
+    })
+
+    it('reverts when the price does not match', async function () {
+      await assertRevert(
+        marketplaceContract.acceptBid(
+          collection.address,
+          token1,
+          buyer,
+          ANOTHER_PRICE,
+          fromSeller
+        ),
+        'CollectionMarketplace#_checkBid: PRICE_MISMATCH'
+      )
+    })
+
+    it('reverts when the bid expired', async function () {
+      await increaseTime(duration.days(2))
+
+      await assertRevert(
+        marketplaceContract.acceptBid(
+          collection.address,
+          token1,
+          buyer,
+          PRICE,
+          fromSeller
+        ),
+        'CollectionMarketplace#_checkBid: BID_EXPIRED'
+      )
+    })
+
+    it('reverts when accepting a bid by not the token owner', async function () {
+      await assertRevert(
+        marketplaceContract.acceptBid(
+          collection.address,
+          token1,
+          buyer,
+          PRICE,
+          fromHacker
+        ),
+        'CollectionMarketplace#acceptBid: CALLER_IS_NOT_OWNER'
+      )
+    })
+
+    it('reverts when the bidder owns the token', async function () {
+      await collection.transferFrom(seller, buyer, token1, fromSeller)
+
+      await assertRevert(
+        marketplaceContract.acceptBid(
+          collection.address,
+          token1,
+          buyer,
+          PRICE,
+          fromBuyer
+        ),
+        'CollectionMarketplace#acceptBid: CALLER_IS_BIDDER'
+      )
+    })
+
+    it('reverts when the token was transferred after the bid', async function () {
+      await collection.transferFrom(seller, anotherBuyer, token1, fromSeller)
+      await collection.setApprovalForAll(
+        marketplaceContract.address,
+        true,
+        fromAnotherBuyer
+      )
+
+      await assertRevert(
+        marketplaceContract.acceptBid(
+          collection.address,
+          token1,
+          buyer,
+          PRICE,
+          fromAnotherBuyer
+        ),
+        'CollectionMarketplace#acceptBid: OWNER_CHANGED'
+      )
+    })
+  })
+
+  describe('placeItemBid', function () {
+    it('should place an item bid', async function () {
+      const { logs } = await marketplaceContract.placeItemBid(
+        collection.address,
+        0,
+        PRICE,
+        expiresAt,
+        fromBuyer
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('ItemBidCreated')
+      expect(logs[0].args._collection).to.be.equal(collection.address)
+      expect(logs[0].args._itemId).to.be.eq.BN(0)
+      expect(logs[0].args._bidder).to.be.equal(buyer)
+      expect(logs[0].args._price).to.be.eq.BN(PRICE)
+      expect(logs[0].args._expiresAt).to.be.eq.BN(expiresAt)
+
+      const bid = await marketplaceContract.itemBids(
+        collection.address,
+        0,
+        buyer
+      )
+      expect(bid.id).to.be.equal(logs[0].args._id)
+      expect(bid.owner).to.be.equal(ZERO_ADDRESS)
+      expect(bid.price).to.be.eq.BN(PRICE)
+      expect(bid.expiresAt).to.be.eq.BN(expiresAt)
+    })
+
+    it('reverts when placing a bid for an invalid item', async function () {
+      await assertRevert(
+        marketplaceContract.placeItemBid(
+          collection.address,
+          ITEMS.length,
+          PRICE,
+          expiresAt,
+          fromBuyer
+        ),
+        'CollectionMarketplace#placeItemBid: ITEM_DOES_NOT_EXIST'
+      )
+    })
+
+    it('reverts when placing an item bid with an invalid price', async function () {
+      await assertRevert(
+        marketplaceContract.placeItemBid(
+          collection.address,
+          0,
+          0,
+          expiresAt,
+          fromBuyer
+        ),
+        'CollectionMarketplace#_placeBid: INVALID_PRICE'
+      )
+    })
+
+    it('reverts when placing an item bid with an invalid expiration', async function () {
+      const now = (await web3.eth.getBlock('latest')).timestamp
+
+      await assertRevert(
+        marketplaceContract.placeItemBid(
+          collection.address,
+          0,
+          PRICE,
+          now,
+          fromBuyer
+        ),
+        'CollectionMarketplace#_placeBid: INVALID_EXPIRES_AT'
+      )
+    })
+  })
+
+  describe('cancelItemBid', function () {
+    it('should cancel an item bid', async function () {
+      await marketplaceContract.placeItemBid(
+        collection.address,
+        0,
+        PRICE,
+        expiresAt,
+        fromBuyer
+      )
+
+      const bid = await marketplaceContract.itemBids(
+        collection.address,
+        0,
+        buyer
+      )
+
+      const { logs } = await marketplaceContract.cancelItemBid(
+        collection.address,
+        0,
+        fromBuyer
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('ItemBidCancelled')
+      expect(logs[0].args._id).to.be.equal(bid.id)
+      expect(logs[0].args._collection).to.be.equal(collection.address)
+      expect(logs[0].args._itemId).to.be.eq.BN(0)
+      expect(logs[0].args._bidder).to.be.equal(buyer)
+
+      const { price } = await marketplaceContract.itemBids(
+        collection.address,
+        0,
+        buyer
+      )
+      expect(price).to.be.eq.BN(0)
+    })
+
+    it('reverts when cancelling an item bid that does not exist', async function () {
+      await assertRevert(
+        marketplaceContract.cancelItemBid(collection.address, 0, fromBuyer),
+        'CollectionMarketplace#cancelItemBid: BID_DOES_NOT_EXIST'
+      )
+    })
+  })
+
+  describe('acceptItemBid', function () {
+    beforeEach(async function () {
+      await marketplaceContract.placeItemBid(
+        collection.address,
+        0,
+        PRICE,
+        expiresAt,
+        fromBuyer
+      )
+    })
+
+    it('should accept an item bid with any token of the item', async function () {
+      const bid = await marketplaceContract.itemBids(
+        collection.address,
+        0,
+        buyer
+      )
+
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+      const sellerBalance = await balanceSnap(manaContract, seller, 'seller')
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+
+      const { logs } = await marketplaceContract.acceptItemBid(
+        collection.address,
+        token2,
+        buyer,
+        PRICE,
+        fromSeller
+      )
+
+      const acceptedLog = logs.find(({ event }) => event === 'ItemBidAccepted')
+      expect(acceptedLog.args._id).to.be.equal(bid.id)
+      expect(acceptedLog.args._collection).to.be.equal(collection.address)
+      expect(acceptedLog.args._itemId).to.be.eq.BN(0)
+      expect(acceptedLog.args._bidder).to.be.equal(buyer)
+      expect(acceptedLog.args._tokenId).to.be.eq.BN(token2)
+      expect(acceptedLog.args._seller).to.be.equal(seller)
+      expect(acceptedLog.args._price).to.be.eq.BN(PRICE)
+
+      expect(await collection.ownerOf(token2)).to.be.equal(buyer)
+      expect(await collection.ownerOf(token1)).to.be.equal(seller)
+
+      const feeCharged = PRICE.mul(FEE).div(ONE_MILLION)
+      await buyerBalance.requireDecrease(PRICE)
+      await sellerBalance.requireIncrease(PRICE.sub(feeCharged))
+      await feeOwnerBalance.requireIncrease(feeCharged)
+
+      const { price } = await marketplaceContract.itemBids(
+        collection.address,
+        0,
+        buyer
+      )
+      expect(price).to.be.eq.BN(0)
+    })
+
+    it('reverts when accepting an item bid with a token of another item', async function () {
+      await assertRevert(
+        marketplaceContract.acceptItemBid(
+          collection.address,
+          token3,
+          buyer,
+          PRICE,
+          fromSeller
+        ),
+        'CollectionMarketplace#_checkBid: BID_DOES_NOT_EXIST'
+      )
+    })
+
+    it('reverts when the price does not match', async function () {
+      await assertRevert(
+        marketplaceContract.acceptItemBid(
+          collection.address,
+          token1,
+          buyer,
+          ANOTHER_PRICE,
+          fromSeller
+        ),
+        'CollectionMarketplace#_checkBid: PRICE_MISMATCH'
+      )
+    })
+
+    it('reverts when the item bid expired', async function () {
+      await increaseTime(duration.days(2))
+
+      await assertRevert(
+        marketplaceContract.acceptItemBid(
+          collection.address,
+          token1,
+          buyer,
+          PRICE,
+          fromSeller
+        ),
+        'CollectionMarketplace#_checkBid: BID_EXPIRED'
+      )
+    })
+
+    it('reverts when accepting an item bid by not the token owner', async function () {
+      await assertRevert(
+        marketplaceContract.acceptItemBid(
+          collection.address,
+          token1,
+          buyer,
+          PRICE,
+          fromHacker
+        ),
+        'CollectionMarketplace#acceptItemBid: CALLER_IS_NOT_OWNER'
+      )
+    })
+
+    it('reverts when the bidder owns the token', async function () {
+      await collection.transferFrom(seller, buyer, token1, fromSeller)
+
+      await assertRevert(
+        marketplaceContract.acceptItemBid(
+          collection.address,
+          token1,
+          buyer,
+          PRICE,
+          fromBuyer
+        ),
+        'CollectionMarketplace#acceptItemBid: CALLER_IS_BIDDER'
+      )
+    })
+  })
+
+  describe('executeSignedOrder', function () {
+    let order
+
+    beforeEach(async function () {
+      order = {
+        seller,
+        collection: collection.address,
+        tokenId: token1.toString(),
+        itemId: 0,
+        price: PRICE.toString(),
+        token: manaContract.address,
+        expiresAt: expiresAt.toString(),
+        salt: 1,
+        nonce: 0,
+      }
+    })
+
+    function toSignedOrderParam({
+      seller,
+      collection,
+      tokenId,
+      itemId,
+      price,
+      token,
+      expiresAt,
+      salt,
+      nonce,
+    }) {
+      return [
+        seller,
+        collection,
+        tokenId,
+        itemId,
+        price,
+        token,
+        expiresAt,
+        salt,
+        nonce,
+      ]
+    }
+
+    it('should execute a signed order', async function () {
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        order,
+        seller
+      )
+
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+      const sellerBalance = await balanceSnap(manaContract, seller, 'seller')
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+
+      const { logs } = await marketplaceContract.executeSignedOrder(
+        toSignedOrderParam(order),
+        token1,
+        signature,
+        fromBuyer
+      )
+
+      const orderHash = hashSignedOrder(order)
+
+      const executedLog = logs.find(
+        ({ event }) => event === 'SignedOrderExecuted'
+      )
+      expect(executedLog.args._hash).to.be.equal(orderHash)
+      expect(executedLog.args._collection).to.be.equal(collection.address)
+      expect(executedLog.args._tokenId).to.be.eq.BN(token1)
+      expect(executedLog.args._seller).to.be.equal(seller)
+      expect(executedLog.args._buyer).to.be.equal(buyer)
+      expect(executedLog.args._token).to.be.equal(manaContract.address)
+      expect(executedLog.args._price).to.be.eq.BN(PRICE)
+
+      expect(await collection.ownerOf(token1)).to.be.equal(buyer)
+      expect(await marketplaceContract.executedSignedOrders(orderHash)).to.be
+        .true
+
+      const feeCharged = PRICE.mul(FEE).div(ONE_MILLION)
+      await buyerBalance.requireDecrease(PRICE)
+      await sellerBalance.requireIncrease(PRICE.sub(feeCharged))
+      await feeOwnerBalance.requireIncrease(feeCharged)
+    })
+
+    it('should execute a signed order for any token of an item', async function () {
+      const itemOrder = { ...order, tokenId: 0, itemId: 0 }
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        itemOrder,
+        seller
+      )
+
+      await assertRevert(
+        marketplaceContract.executeSignedOrder(
+          toSignedOrderParam(itemOrder),
+          token3,
+          signature,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeSignedOrder: TOKEN_MISMATCH'
+      )
+
+      await marketplaceContract.executeSignedOrder(
+        toSignedOrderParam(itemOrder),
+        token2,
+        signature,
+        fromBuyer
+      )
+
+      expect(await collection.ownerOf(token2)).to.be.equal(buyer)
+      expect(await collection.ownerOf(token1)).to.be.equal(seller)
+    })
+
+    it('should execute a signed order paid with another token', async function () {
+      const usdcContract = await ERC20.new('USD Coin', 'USDC', 6, fromDeployer)
+      const price = web3.utils.toBN(1000000)
+      await usdcContract.mint(buyer, price)
+      await usdcContract.approve(
+        marketplaceContract.address,
+        MAX_UINT256,
+        fromBuyer
+      )
+
+      const tokenOrder = {
+        ...order,
+        token: usdcContract.address,
+        price: price.toString(),
+      }
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        tokenOrder,
+        seller
+      )
+
+      const buyerBalance = await balanceSnap(usdcContract, buyer, 'buyer')
+      const sellerBalance = await balanceSnap(usdcContract, seller, 'seller')
+      const feeOwnerBalance = await balanceSnap(
+        usdcContract,
+        feeOwner,
+        'fee owner'
+      )
+      const buyerManaBalance = await balanceSnap(manaContract, buyer, 'buyer')
+
+      await marketplaceContract.executeSignedOrder(
+        toSignedOrderParam(tokenOrder),
+        token1,
+        signature,
+        fromBuyer
+      )
+
+      const feeCharged = price.mul(FEE).div(ONE_MILLION)
+      await buyerBalance.requireDecrease(price)
+      await sellerBalance.requireIncrease(price.sub(feeCharged))
+      await feeOwnerBalance.requireIncrease(feeCharged)
+      await buyerManaBalance.requireConstant()
+    })
+
+    it('should execute a signed order :: Relayed EIP721', async function () {
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        order,
+        seller
+      )
+
+      const functionSignature = marketplaceContract.contract.methods
+        .executeSignedOrder(
+          toSignedOrderParam(order),
+          token1.toString(),
+          signature
+        )
+        .encodeABI()
+
+      const { logs } = await sendMetaTx(
+        marketplaceContract,
+        functionSignature,
+        buyer,
+        relayer,
+        null,
+        'Decentraland Collection Marketplace',
+        '1'
+      )
+
+      expect(logs[0].event).to.be.equal('MetaTransactionExecuted')
+      expect(logs[0].args.userAddress).to.be.equal(buyer)
+
+      const executedLog = logs.find(
+        ({ event }) => event === 'SignedOrderExecuted'
+      )
+      expect(executedLog.args._buyer).to.be.equal(buyer)
+
+      expect(await collection.ownerOf(token1)).to.be.equal(buyer)
+    })
+
+    it('reverts when the order is not signed by the seller', async function () {
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        order,
+        hacker
+      )
+
+      await assertRevert(
+        marketplaceContract.executeSignedOrder(
+          toSignedOrderParam(order),
+          token1,
+          signature,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeSignedOrder: INVALID_SIGNER'
+      )
+
+      // Tampered order
+      const orderSignature = await getSignedOrderSignature(
+        marketplaceContract,
+        order,
+        seller
+      )
+      await assertRevert(
+        marketplaceContract.executeSignedOrder(
+          toSignedOrderParam({ ...order, price: ANOTHER_PRICE.toString() }),
+          token1,
+          orderSignature,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeSignedOrder: INVALID_SIGNER'
+      )
+    })
+
+    it('reverts when the order was already executed', async function () {
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        order,
+        seller
+      )
+
+      await marketplaceContract.executeSignedOrder(
+        toSignedOrderParam(order),
+        token1,
+        signature,
+        fromBuyer
+      )
+
+      // The token goes back to the seller
+      await collection.transferFrom(buyer, seller, token1, fromBuyer)
+
+      await assertRevert(
+        marketplaceContract.executeSignedOrder(
+          toSignedOrderParam(order),
+          token1,
+          signature,
+          fromAnotherBuyer
+        ),
+        'CollectionMarketplace#executeSignedOrder: ORDER_ALREADY_EXECUTED'
+      )
+    })
+
+    it('reverts when the order expired', async function () {
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        order,
+        seller
+      )
+
+      await increaseTime(duration.days(2))
+
+      await assertRevert(
+        marketplaceContract.executeSignedOrder(
+          toSignedOrderParam(order),
+          token1,
+          signature,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeSignedOrder: ORDER_EXPIRED'
+      )
+    })
+
+    it('reverts when the token does not match', async function () {
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        order,
+        seller
+      )
+
+      await assertRevert(
+        marketplaceContract.executeSignedOrder(
+          toSignedOrderParam(order),
+          token2,
+          signature,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeSignedOrder: TOKEN_MISMATCH'
+      )
+    })
+
+    it('reverts when the seller is not the owner anymore', async function () {
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        order,
+        seller
+      )
+
+      await collection.transferFrom(seller, hacker, token1, fromSeller)
+
+      await assertRevert(
+        marketplaceContract.executeSignedOrder(
+          toSignedOrderParam(order),
+          token1,
+          signature,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeSignedOrder: SELLER_IS_NOT_OWNER'
+      )
+    })
+
+    it('reverts when the buyer is the seller', async function () {
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        order,
+        seller
+      )
+
+      await assertRevert(
+        marketplaceContract.executeSignedOrder(
+          toSignedOrderParam(order),
+          token1,
+          signature,
+          fromSeller
+        ),
+        'CollectionMarketplace#executeSignedOrder: CALLER_IS_SELLER'
+      )
+    })
+  })
+
+  describe('bumpNonce', function () {
+    it('should cancel the orders signed with the previous nonce', async function () {
+      const order = {
+        seller,
+        collection: collection.address,
+        tokenId: token1.toString(),
+        itemId: 0,
+        price: PRICE.toString(),
+        token: manaContract.address,
+        expiresAt: expiresAt.toString(),
+        salt: 1,
+        nonce: 0,
+      }
+      const signature = await getSignedOrderSignature(
+        marketplaceContract,
+        order,
+        seller
+      )
+
+      const { logs } = await marketplaceContract.bumpNonce(fromSeller)
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('SellerNonceBumped')
+      expect(logs[0].args._seller).to.be.equal(seller)
+      expect(logs[0].args._nonce).to.be.eq.BN(1)
+
+      expect(await marketplaceContract.sellerNonces(seller)).to.be.eq.BN(1)
+
+      await assertRevert(
+        marketplaceContract.executeSignedOrder(
+          Object.values(order),
+          token1,
+          signature,
+          fromBuyer
+        ),
+        'CollectionMarketplace#executeSignedOrder: INVALID_NONCE'
+      )
+
+      const newOrder = { ...order, nonce: 1 }
+      const newSignature = await getSignedOrderSignature(
+        marketplaceContract,
+        newOrder,
+        seller
+      )
+      await marketplaceContract.executeSignedOrder(
+        Object.values(newOrder),
+        token1,
+        newSignature,
+        fromBuyer
+      )
+
+      expect(await collection.ownerOf(token1)).to.be.equal(buyer)
+    })
+  })
+
+  describe('setFee', function () {
+    it('should set fee', async function () {
+      const { logs } = await marketplaceContract.setFee(
+        10,
+        fromMarketplaceOwner
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('SetFee')
+      expect(logs[0].args._oldFee).to.be.eq.BN(FEE)
+      expect(logs[0].args._newFee).to.be.eq.BN(10)
+
+      expect(await marketplaceContract.fee()).to.be.eq.BN(10)
+    })
+
+    it('reverts when setting the same fee', async function () {
+      await assertRevert(
+        marketplaceContract.setFee(FEE, fromMarketplaceOwner),
+        'CollectionMarketplace#setFee: SAME_FEE'
+      )
+    })
+
+    it('reverts when setting a fee >= ONE_MILLION', async function () {
+      await assertRevert(
+        marketplaceContract.setFee(ONE_MILLION, fromMarketplaceOwner),
+        'CollectionMarketplace#setFee: FEE_SHOULD_BE_LOWER_THAN_BASE_FEE'
+      )
+    })
+
+    it('reverts when setting the fee by not the owner', async function () {
+      await assertRevert(
+        marketplaceContract.setFee(10, fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('setFeeOwner', function () {
+    it('should set fee owner', async function () {
+      const { logs } = await marketplaceContract.setFeeOwner(
+        hacker,
+        fromMarketplaceOwner
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('SetFeeOwner')
+      expect(logs[0].args._oldFeeOwner).to.be.equal(feeOwner)
+      expect(logs[0].args._newFeeOwner).to.be.equal(hacker)
+
+      expect(await marketplaceContract.feeOwner()).to.be.equal(hacker)
+    })
+
+    it('reverts when setting an invalid fee owner', async function () {
+      await assertRevert(
+        marketplaceContract.setFeeOwner(ZERO_ADDRESS, fromMarketplaceOwner),
+        'CollectionMarketplace#setFeeOwner: INVALID_ADDRESS'
+      )
+
+      await assertRevert(
+        marketplaceContract.setFeeOwner(feeOwner, fromMarketplaceOwner),
+        'CollectionMarketplace#setFeeOwner: SAME_FEE_OWNER'
+      )
+    })
+
+    it('reverts when setting the fee owner by not the owner', async function () {
+      await assertRevert(
+        marketplaceContract.setFeeOwner(hacker, fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+})
@@ -13,14 +13,25 @@ import {
   createDummyCollection,
   encodeTokenId,
   ZERO_ADDRESS,
+  MAX_UINT256,
 } from '../helpers/collectionV2'
-import { sendMetaTx } from '../helpers/metaTx'
+import {
+  sendMetaTx,
+  getSignature,
+  getVoucherSignature,
+} from '../helpers/metaTx'
+import { increaseTime, duration } from '../helpers/increase'
+import { createAllowlist, getAllowlistLeaf } from '../../sdk/merkle'
 
 const BN = web3.utils.BN
 const expect = require('chai').use(require('bn-chai')(BN)).expect
 
 const Store = artifacts.require('DummyCollectionStore')
 const Rarities = artifacts.require('Rarities')
+const ERC20 = artifacts.require('DummyERC20')
+const PriceOracle = artifacts.require('DummyPriceOracle')
+const NoReturnERC20 = artifacts.require('DummyNoReturnERC20')
+const NativeRejecter = artifacts.require('DummyNativeRejecter')
 
 describe('Collection Store', function () {
   const ONE_MILLION = web3.utils.toBN(1000000)
@@ -34,14 +45,16 @@ describe('Collection Store', function () {
       web3.utils.toWei('10'),
       OTHER_BENEFICIARY_ADDRESS,
       '1:coco_maso:hat:female,male',
+      0,
     ],
     [
       RARITIES.unique.name,
       web3.utils.toWei('20'),
       OTHER_BENEFICIARY_ADDRESS,
       '1:banana_mask:hat:female,male',
+      0,
     ],
-    [RARITIES.common.name, 0, ZERO_ADDRESS, '1:apple_mask:hat:female,male'],
+    [RARITIES.common.name, 0, ZERO_ADDRESS, '1:apple_mask:hat:female,male', 0],
   ]
 
   // Contract
@@ -965,6 +978,2068 @@ describe('Collection Store', function () {
     })
   })
 
+  describe('setItemsPriceCurves', function () {
+    const startPrice = web3.utils.toBN(web3.utils.toWei('100'))
+    const endPrice = web3.utils.toBN(web3.utils.toWei('10'))
+
+    let now
+
+    beforeEach(async function () {
+      now = (await web3.eth.getBlock('latest')).timestamp
+    })
+
+    it('should set price curves', async function () {
+      const priceCurve = [now, now + duration.days(1), startPrice, endPrice, 0]
+      const stepPriceCurve = [
+        now + duration.days(1),
+        now + duration.days(5),
+        endPrice,
+        startPrice,
+        4,
+      ]
+
+      const { logs } = await storeContract.setItemsPriceCurves(
+        collection1.address,
+        [0, 1],
+        [priceCurve, stepPriceCurve],
+        fromDeployer
+      )
+
+      expect(logs.length).to.be.equal(2)
+
+      expect(logs[0].event).to.be.equal('SetItemPriceCurve')
+      expect(logs[0].args._collection).to.be.equal(collection1.address)
+      expect(logs[0].args._itemId).to.be.eq.BN(0)
+      expect(logs[0].args._priceCurve.startTime).to.be.eq.BN(priceCurve[0])
+      expect(logs[0].args._priceCurve.endTime).to.be.eq.BN(priceCurve[1])
+      expect(logs[0].args._priceCurve.startPrice).to.be.eq.BN(priceCurve[2])
+      expect(logs[0].args._priceCurve.endPrice).to.be.eq.BN(priceCurve[3])
+      expect(logs[0].args._priceCurve.steps).to.be.eq.BN(priceCurve[4])
+
+      expect(logs[1].event).to.be.equal('SetItemPriceCurve')
+      expect(logs[1].args._collection).to.be.equal(collection1.address)
+      expect(logs[1].args._itemId).to.be.eq.BN(1)
+      expect(logs[1].args._priceCurve.startTime).to.be.eq.BN(stepPriceCurve[0])
+      expect(logs[1].args._priceCurve.endTime).to.be.eq.BN(stepPriceCurve[1])
+      expect(logs[1].args._priceCurve.startPrice).to.be.eq.BN(stepPriceCurve[2])
+      expect(logs[1].args._priceCurve.endPrice).to.be.eq.BN(stepPriceCurve[3])
+      expect(logs[1].args._priceCurve.steps).to.be.eq.BN(stepPriceCurve[4])
+
+      const curve = await storeContract.itemPriceCurves(collection1.address, 1)
+      expect(curve.startTime).to.be.eq.BN(stepPriceCurve[0])
+      expect(curve.endTime).to.be.eq.BN(stepPriceCurve[1])
+      expect(curve.startPrice).to.be.eq.BN(endPrice)
+      expect(curve.endPrice).to.be.eq.BN(startPrice)
+      expect(curve.steps).to.be.eq.BN(4)
+    })
+
+    it('should set price curves :: Relayed EIP721', async function () {
+      const priceCurve = [now, now + duration.days(1), startPrice, endPrice, 0]
+
+      const functionSignature = web3.eth.abi.encodeFunctionCall(
+        {
+          inputs: [
+            {
+              internalType: 'contract IERC721CollectionV2',
+              name: '_collection',
+              type: 'address',
+            },
+            {
+              internalType: 'uint256[]',
+              name: '_itemIds',
+              type: 'uint256[]',
+            },
+            {
+              components: [
+                { internalType: 'uint256', name: 'startTime', type: 'uint256' },
+                { internalType: 'uint256', name: 'endTime', type: 'uint256' },
+                {
+                  internalType: 'uint256',
+                  name: 'startPrice',
+                  type: 'uint256',
+                },
+                { internalType: 'uint256', name: 'endPrice', type: 'uint256' },
+                { internalType: 'uint256', name: 'steps', type: 'uint256' },
+              ],
+              internalType: 'struct CollectionStore.PriceCurve[]',
+              name: '_priceCurves',
+              type: 'tuple[]',
+            },
+          ],
+          name: 'setItemsPriceCurves',
+          outputs: [],
+          stateMutability: 'nonpayable',
+          type: 'function',
+        },
+        [collection1.address, [0], [priceCurve.map((v) => v.toString())]]
+      )
+
+      await sendMetaTx(
+        storeContract,
+        functionSignature,
+        deployer,
+        relayer,
+        null,
+        'Decentraland Collection Store',
+        '1'
+      )
+
+      const curve = await storeContract.itemPriceCurves(collection1.address, 0)
+      expect(curve.startPrice).to.be.eq.BN(startPrice)
+      expect(curve.endPrice).to.be.eq.BN(endPrice)
+    })
+
+    it('should remove a price curve', async function () {
+      await storeContract.setItemsPriceCurves(
+        collection1.address,
+        [0],
+        [[now, now + duration.days(1), startPrice, endPrice, 0]],
+        fromDeployer
+      )
+
+      let buyData = await storeContract.getItemBuyData(collection1.address, 0)
+      expect(buyData[0]).to.not.be.eq.BN(ITEMS[0][1])
+
+      await storeContract.setItemsPriceCurves(
+        collection1.address,
+        [0],
+        [[0, 0, 0, 0, 0]],
+        fromDeployer
+      )
+
+      buyData = await storeContract.getItemBuyData(collection1.address, 0)
+      expect(buyData[0]).to.be.eq.BN(ITEMS[0][1])
+      expect(buyData[1].toLowerCase()).to.be.equal(
+        BENEFICIARY_ADDRESS.toLowerCase()
+      )
+    })
+
+    it('reverts when params length mismatch', async function () {
+      await assertRevert(
+        storeContract.setItemsPriceCurves(
+          collection1.address,
+          [0, 1],
+          [[now, now + duration.days(1), startPrice, endPrice, 0]],
+          fromDeployer
+        ),
+        'CollectionStore#setItemsPriceCurves: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when trying to set a price curve by hacker', async function () {
+      await assertRevert(
+        storeContract.setItemsPriceCurves(
+          collection1.address,
+          [0],
+          [[now, now + duration.days(1), startPrice, endPrice, 0]],
+          fromHacker
+        ),
+        'CollectionStore#setItemsPriceCurves: CALLER_IS_NOT_CREATOR'
+      )
+    })
+
+    it('reverts when trying to set a price curve to an invalid item', async function () {
+      const itemsCount = await collection1.itemsCount()
+
+      await assertRevert(
+        storeContract.setItemsPriceCurves(
+          collection1.address,
+          [itemsCount],
+          [[now, now + duration.days(1), startPrice, endPrice, 0]],
+          fromDeployer
+        ),
+        'CollectionStore#setItemsPriceCurves: ITEM_DOES_NOT_EXIST'
+      )
+    })
+
+    it('reverts when trying to set an invalid price curve', async function () {
+      await assertRevert(
+        storeContract.setItemsPriceCurves(
+          collection1.address,
+          [0],
+          [[now, now, startPrice, endPrice, 0]],
+          fromDeployer
+        ),
+        'CollectionStore#setItemsPriceCurves: INVALID_PRICE_CURVE'
+      )
+
+      await assertRevert(
+        storeContract.setItemsPriceCurves(
+          collection1.address,
+          [0],
+          [[now, now - 1, startPrice, endPrice, 0]],
+          fromDeployer
+        ),
+        'CollectionStore#setItemsPriceCurves: INVALID_PRICE_CURVE'
+      )
+    })
+  })
+
+  describe('getItemPriceAt', function () {
+    const startTime = 1000000
+    const endTime = startTime + 1000
+    const startPrice = web3.utils.toBN(web3.utils.toWei('100'))
+    const endPrice = web3.utils.toBN(web3.utils.toWei('10'))
+
+    it('should return the item price if it has not a price curve', async function () {
+      const price = await storeContract.getItemPriceAt(
+        collection1.address,
+        0,
+        startTime
+      )
+      expect(price).to.be.eq.BN(ITEMS[0][1])
+    })
+
+    it('should quote a dutch auction', async function () {
+      await storeContract.setItemsPriceCurves(
+        collection1.address,
+        [0],
+        [[startTime, endTime, startPrice, endPrice, 0]],
+        fromDeployer
+      )
+
+      const quote = (timestamp) =>
+        storeContract.getItemPriceAt(collection1.address, 0, timestamp)
+
+      expect(await quote(startTime - 1)).to.be.eq.BN(startPrice)
+      expect(await quote(startTime)).to.be.eq.BN(startPrice)
+      expect(await quote(startTime + 250)).to.be.eq.BN(web3.utils.toWei('77.5'))
+      expect(await quote(startTime + 500)).to.be.eq.BN(web3.utils.toWei('55'))
+      expect(await quote(endTime)).to.be.eq.BN(endPrice)
+      expect(await quote(endTime + 1)).to.be.eq.BN(endPrice)
+    })
+
+    it('should quote a step price curve', async function () {
+      await storeContract.setItemsPriceCurves(
+        collection1.address,
+        [0, 1],
+        [
+          [startTime, endTime, startPrice, endPrice, 3],
+          [startTime, endTime, endPrice, startPrice, 3],
+        ],
+        fromDeployer
+      )
+
+      const quote = (itemId, timestamp) =>
+        storeContract.getItemPriceAt(collection1.address, itemId, timestamp)
+
+      // Descending
+      expect(await quote(0, startTime)).to.be.eq.BN(startPrice)
+      expect(await quote(0, startTime + 333)).to.be.eq.BN(startPrice)
+      expect(await quote(0, startTime + 334)).to.be.eq.BN(
+        web3.utils.toWei('70')
+      )
+      expect(await quote(0, startTime + 667)).to.be.eq.BN(
+        web3.utils.toWei('40')
+      )
+      expect(await quote(0, endTime - 1)).to.be.eq.BN(web3.utils.toWei('40'))
+      expect(await quote(0, endTime)).to.be.eq.BN(endPrice)
+
+      // Ascending
+      expect(await quote(1, startTime)).to.be.eq.BN(endPrice)
+      expect(await quote(1, startTime + 334)).to.be.eq.BN(
+        web3.utils.toWei('40')
+      )
+      expect(await quote(1, startTime + 667)).to.be.eq.BN(
+        web3.utils.toWei('70')
+      )
+      expect(await quote(1, endTime)).to.be.eq.BN(startPrice)
+    })
+  })
+
+  describe('buy with price curves', function () {
+    const startPrice = web3.utils.toBN(web3.utils.toWei('100'))
+    const endPrice = web3.utils.toBN(web3.utils.toWei('10'))
+
+    let now
+
+    beforeEach(async function () {
+      now = (await web3.eth.getBlock('latest')).timestamp
+
+      // The price drops 30 MANA each day
+      await storeContract.setItemsPriceCurves(
+        collection1.address,
+        [0],
+        [[now, now + duration.days(3), startPrice, endPrice, 3]],
+        fromDeployer
+      )
+    })
+
+    it('should buy at the current price', async function () {
+      await increaseTime(duration.days(1))
+
+      const price = web3.utils.toBN(web3.utils.toWei('70'))
+
+      const buyData = await storeContract.getItemBuyData(collection1.address, 0)
+      expect(buyData[0]).to.be.eq.BN(price)
+      expect(buyData[1].toLowerCase()).to.be.equal(
+        BENEFICIARY_ADDRESS.toLowerCase()
+      )
+
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+      const beneficiaryBalance = await balanceSnap(
+        manaContract,
+        BENEFICIARY_ADDRESS,
+        'beneficiary'
+      )
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+
+      const { logs } = await storeContract.buy(
+        [[collection1.address, [0], [startPrice], [buyer]]],
+        fromBuyer
+      )
+
+      const feeCharged = price.mul(FEE).div(ONE_MILLION)
+
+      expect(logs.length).to.be.equal(4)
+
+      expect(logs[0].event).to.be.equal('Transfer')
+      expect(logs[0].args._value).to.be.eq.BN(price.sub(feeCharged))
+
+      expect(logs[2].event).to.be.equal('Transfer')
+      expect(logs[2].args._to).to.be.equal(feeOwner)
+      expect(logs[2].args._value).to.be.eq.BN(feeCharged)
+
+      expect(logs[3].event).to.be.equal('Bought')
+      expect(logs[3].args._itemsToBuy).to.be.eql([
+        [collection1.address, ['0'], [price.toString()], [buyer]],
+      ])
+
+      await buyerBalance.requireDecrease(price)
+      await beneficiaryBalance.requireIncrease(price.sub(feeCharged))
+      await feeOwnerBalance.requireIncrease(feeCharged)
+
+      const itemsBalanceOfBuyer = await collection1.balanceOf(buyer)
+      expect(itemsBalanceOfBuyer).to.be.eq.BN(1)
+    })
+
+    it('should buy at the end price once the curve finished', async function () {
+      await increaseTime(duration.days(4))
+
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+
+      await storeContract.buy(
+        [[collection1.address, [0], [endPrice], [buyer]]],
+        fromBuyer
+      )
+
+      await buyerBalance.requireDecrease(endPrice)
+    })
+
+    it('reverts when the current price is above the max price', async function () {
+      await assertRevert(
+        storeContract.buy(
+          [[collection1.address, [0], [web3.utils.toWei('70')], [buyer]]],
+          fromBuyer
+        ),
+        'CollectionStore#buy: ITEM_PRICE_ABOVE_MAX'
+      )
+    })
+
+    it('reverts when the item has not a beneficiary', async function () {
+      await storeContract.setItemsPriceCurves(
+        collection2.address,
+        [2],
+        [[now, now + duration.days(3), startPrice, endPrice, 0]],
+        fromDeployer
+      )
+
+      await assertRevert(
+        storeContract.buy(
+          [[collection2.address, [2], [startPrice], [buyer]]],
+          fromBuyer
+        ),
+        'CollectionStore#buy: INVALID_BENEFICIARY'
+      )
+    })
+  })
+
+  describe('allowlists', function () {
+    const price = web3.utils.toBN(ITEMS[0][1])
+
+    let allowlist
+
+    beforeEach(async function () {
+      allowlist = createAllowlist([buyer, anotherBuyer, user])
+    })
+
+    it('should set allowlists', async function () {
+      const { logs } = await storeContract.setItemsAllowlists(
+        collection1.address,
+        [0, 1],
+        [allowlist.root, allowlist.root],
+        [2, 0],
+        fromDeployer
+      )
+
+      expect(logs.length).to.be.equal(2)
+
+      expect(logs[0].event).to.be.equal('SetItemAllowlist')
+      expect(logs[0].args._collection).to.be.equal(collection1.address)
+      expect(logs[0].args._itemId).to.be.eq.BN(0)
+      expect(logs[0].args._root).to.be.equal(allowlist.root)
+      expect(logs[0].args._maxPerWallet).to.be.eq.BN(2)
+
+      expect(logs[1].event).to.be.equal('SetItemAllowlist')
+      expect(logs[1].args._collection).to.be.equal(collection1.address)
+      expect(logs[1].args._itemId).to.be.eq.BN(1)
+      expect(logs[1].args._root).to.be.equal(allowlist.root)
+      expect(logs[1].args._maxPerWallet).to.be.eq.BN(0)
+
+      const itemAllowlist = await storeContract.itemAllowlists(
+        collection1.address,
+        0
+      )
+      expect(itemAllowlist.root).to.be.equal(allowlist.root)
+      expect(itemAllowlist.maxPerWallet).to.be.eq.BN(2)
+    })
+
+    it('should buy with proofs', async function () {
+      await storeContract.setItemsAllowlists(
+        collection1.address,
+        [0],
+        [allowlist.root],
+        [0],
+        fromDeployer
+      )
+
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+
+      const { logs } = await storeContract.buyWithProofs(
+        [[collection1.address, [0, 1], [price, ITEMS[1][1]], [buyer, buyer]]],
+        [[allowlist.getProof(buyer), []]],
+        fromBuyer
+      )
+
+      const consumed = logs.find(
+        ({ event }) => event === 'AllowlistLeafConsumed'
+      )
+      expect(consumed.args._collection).to.be.equal(collection1.address)
+      expect(consumed.args._itemId).to.be.eq.BN(0)
+      expect(consumed.args._buyer).to.be.equal(buyer)
+      expect(consumed.args._leaf).to.be.equal(getAllowlistLeaf(buyer))
+      expect(consumed.args._purchases).to.be.eq.BN(1)
+
+      expect(logs[logs.length - 1].event).to.be.equal('Bought')
+
+      await buyerBalance.requireDecrease(
+        price.add(web3.utils.toBN(ITEMS[1][1]))
+      )
+
+      const purchases = await storeContract.allowlistPurchases(
+        collection1.address,
+        0,
+        buyer
+      )
+      expect(purchases).to.be.eq.BN(1)
+
+      const itemsBalanceOfBuyer = await collection1.balanceOf(buyer)
+      expect(itemsBalanceOfBuyer).to.be.eq.BN(2)
+    })
+
+    it('should buy for another beneficiary with the proof of the sender', async function () {
+      await storeContract.setItemsAllowlists(
+        collection1.address,
+        [0],
+        [allowlist.root],
+        [0],
+        fromDeployer
+      )
+
+      await storeContract.buyWithProofs(
+        [[collection1.address, [0], [price], [hacker]]],
+        [[allowlist.getProof(buyer)]],
+        fromBuyer
+      )
+
+      const itemsBalanceOfHacker = await collection1.balanceOf(hacker)
+      expect(itemsBalanceOfHacker).to.be.eq.BN(1)
+    })
+
+    it('should buy with proofs :: Relayed EIP721', async function () {
+      await storeContract.setItemsAllowlists(
+        collection1.address,
+        [0],
+        [allowlist.root],
+        [0],
+        fromDeployer
+      )
+
+      const functionSignature = web3.eth.abi.encodeFunctionCall(
+        {
+          inputs: [
+            {
+              components: [
+                {
+                  internalType: 'contract IERC721CollectionV2',
+                  name: 'collection',
+                  type: 'address',
+                },
+                { internalType: 'uint256[]', name: 'ids', type: 'uint256[]' },
+                {
+                  internalType: 'uint256[]',
+                  name: 'prices',
+                  type: 'uint256[]',
+                },
+                {
+                  internalType: 'address[]',
+                  name: 'beneficiaries',
+                  type: 'address[]',
+                },
+              ],
+              internalType: 'struct CollectionStore.ItemToBuy[]',
+              name: '_itemsToBuy',
+              type: 'tuple[]',
+            },
+            {
+              internalType: 'bytes32[][][]',
+              name: '_proofs',
+              type: 'bytes32[][][]',
+            },
+          ],
+          name: 'buyWithProofs',
+          outputs: [],
+          stateMutability: 'nonpayable',
+          type: 'function',
+        },
+        [
+          [[collection1.address, [0], [price.toString()], [buyer]]],
+          [[allowlist.getProof(buyer)]],
+        ]
+      )
+
+      await sendMetaTx(
+        storeContract,
+        functionSignature,
+        buyer,
+        relayer,
+        null,
+        'Decentraland Collection Store',
+        '1'
+      )
+
+      const purchases = await storeContract.allowlistPurchases(
+        collection1.address,
+        0,
+        buyer
+      )
+      expect(purchases).to.be.eq.BN(1)
+    })
+
+    it('should buy without cap', async function () {
+      await storeContract.setItemsAllowlists(
+        collection1.address,
+        [0],
+        [allowlist.root],
+        [0],
+        fromDeployer
+      )
+
+      const proof = allowlist.getProof(buyer)
+
+      await storeContract.buyWithProofs(
+        [
+          [
+            collection1.address,
+            [0, 0, 0],
+            [price, price, price],
+            [buyer, buyer, buyer],
+          ],
+        ],
+        [[proof, proof, proof]],
+        fromBuyer
+      )
+
+      const purchases = await storeContract.allowlistPurchases(
+        collection1.address,
+        0,
+        buyer
+      )
+      expect(purchases).to.be.eq.BN(3)
+    })
+
+    it('should buy with plain buy after removing the allowlist', async function () {
+      await storeContract.setItemsAllowlists(
+        collection1.address,
+        [0],
+        [allowlist.root],
+        [0],
+        fromDeployer
+      )
+
+      await storeContract.setItemsAllowlists(
+        collection1.address,
+        [0],
+        [web3.utils.padLeft('0x0', 64)],
+        [0],
+        fromDeployer
+      )
+
+      await storeContract.buy(
+        [[collection1.address, [0], [price], [buyer]]],
+        fromBuyer
+      )
+    })
+
+    it('reverts when the wallet cap is reached', async function () {
+      await storeContract.setItemsAllowlists(
+        collection1.address,
+        [0],
+        [allowlist.root],
+        [2],
+        fromDeployer
+      )
+
+      const proof = allowlist.getProof(buyer)
+
+      await storeContract.buyWithProofs(
+        [[collection1.address, [0], [price], [buyer]]],
+        [[proof]],
+        fromBuyer
+      )
+
+      await assertRevert(
+        storeContract.buyWithProofs(
+          [[collection1.address, [0, 0], [price, price], [buyer, buyer]]],
+          [[proof, proof]],
+          fromBuyer
+        ),
+        'CollectionStore#buy: ALLOWLIST_CAP_REACHED'
+      )
+
+      await storeContract.buyWithProofs(
+        [[collection1.address, [0], [price], [buyer]]],
+        [[proof]],
+        fromBuyer
+      )
+    })
+
+    it('reverts when buying without proofs', async function () {
+      await storeContract.setItemsAllowlists(
+        collection1.address,
+        [0],
+        [allowlist.root],
+        [0],
+        fromDeployer
+      )
+
+      await assertRevert(
+        storeContract.buy(
+          [[collection1.address, [0], [price], [buyer]]],
+          fromBuyer
+        ),
+        'CollectionStore#buy: ITEM_REQUIRES_PROOF'
+      )
+    })
+
+    it('reverts when the proof is invalid', async function () {
+      await storeContract.setItemsAllowlists(
+        collection1.address,
+        [0],
+        [allowlist.root],
+        [0],
+        fromDeployer
+      )
+
+      await assertRevert(
+        storeContract.buyWithProofs(
+          [[collection1.address, [0], [price], [buyer]]],
+          [[allowlist.getProof(buyer)]],
+          fromHacker
+        ),
+        'CollectionStore#buy: INVALID_PROOF'
+      )
+
+      await assertRevert(
+        storeContract.buyWithProofs(
+          [[collection1.address, [0], [price], [buyer]]],
+          [[allowlist.getProof(anotherBuyer)]],
+          fromBuyer
+        ),
+        'CollectionStore#buy: INVALID_PROOF'
+      )
+
+      await assertRevert(
+        storeContract.buyWithProofs(
+          [[collection1.address, [0], [price], [buyer]]],
+          [[[]]],
+          fromBuyer
+        ),
+        'CollectionStore#buy: INVALID_PROOF'
+      )
+    })
+
+    it('reverts when proofs length mismatch', async function () {
+      await assertRevert(
+        storeContract.buyWithProofs(
+          [[collection1.address, [0], [price], [buyer]]],
+          [],
+          fromBuyer
+        ),
+        'CollectionStore#buyWithProofs: LENGTH_MISMATCH'
+      )
+
+      await assertRevert(
+        storeContract.buyWithProofs(
+          [[collection1.address, [0, 1], [price, ITEMS[1][1]], [buyer, buyer]]],
+          [[[]]],
+          fromBuyer
+        ),
+        'CollectionStore#buyWithProofs: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when params length mismatch', async function () {
+      await assertRevert(
+        storeContract.setItemsAllowlists(
+          collection1.address,
+          [0, 1],
+          [allowlist.root],
+          [0, 0],
+          fromDeployer
+        ),
+        'CollectionStore#setItemsAllowlists: LENGTH_MISMATCH'
+      )
+
+      await assertRevert(
+        storeContract.setItemsAllowlists(
+          collection1.address,
+          [0],
+          [allowlist.root],
+          [0, 0],
+          fromDeployer
+        ),
+        'CollectionStore#setItemsAllowlists: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when trying to set an allowlist by hacker', async function () {
+      await assertRevert(
+        storeContract.setItemsAllowlists(
+          collection1.address,
+          [0],
+          [allowlist.root],
+          [0],
+          fromHacker
+        ),
+        'CollectionStore#setItemsAllowlists: CALLER_IS_NOT_CREATOR'
+      )
+    })
+  })
+
+  describe('redeemVoucher', function () {
+    const price = web3.utils.toBN(web3.utils.toWei('5'))
+
+    let voucher
+
+    beforeEach(async function () {
+      const now = (await web3.eth.getBlock('latest')).timestamp
+
+      voucher = {
+        collection: collection1.address,
+        itemId: 0,
+        beneficiary: anotherBuyer,
+        price: price.toString(),
+        nonce: 0,
+        expiry: now + duration.days(1),
+      }
+    })
+
+    function toVoucherParam({
+      collection,
+      itemId,
+      beneficiary,
+      price,
+      nonce,
+      expiry,
+    }) {
+      return [collection, itemId, beneficiary, price, nonce, expiry]
+    }
+
+    it('should redeem a voucher signed by the creator', async function () {
+      const signature = await getVoucherSignature(
+        storeContract,
+        voucher,
+        deployer
+      )
+
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+      const beneficiaryBalance = await balanceSnap(
+        manaContract,
+        BENEFICIARY_ADDRESS,
+        'beneficiary'
+      )
+      const feeOwnerBalance = await balanceSnap(
+        manaContract,
+        feeOwner,
+        'fee owner'
+      )
+
+      const { logs } = await storeContract.redeemVoucher(
+        toVoucherParam(voucher),
+        signature,
+        fromBuyer
+      )
+
+      const feeCharged = price.mul(FEE).div(ONE_MILLION)
+
+      expect(logs.length).to.be.equal(4)
+
+      expect(logs[0].event).to.be.equal('Transfer')
+      expect(logs[0].args._from).to.be.equal(buyer)
+      expect(logs[0].args._to.toLowerCase()).to.be.equal(
+        BENEFICIARY_ADDRESS.toLowerCase()
+      )
+      expect(logs[0].args._value).to.be.eq.BN(price.sub(feeCharged))
+
+      expect(logs[1].event).to.be.equal('Transfer')
+      expect(logs[1].args._from).to.be.equal(buyer)
+      expect(logs[1].args._to).to.be.equal(feeOwner)
+      expect(logs[1].args._value).to.be.eq.BN(feeCharged)
+
+      expect(logs[2].event).to.be.equal('Issue')
+      expect(logs[2].args._beneficiary).to.be.equal(anotherBuyer)
+      expect(logs[2].args._tokenId).to.be.eq.BN(encodeTokenId(0, 1))
+      expect(logs[2].args._itemId).to.be.eq.BN(0)
+
+      expect(logs[3].event).to.be.equal('VoucherRedeemed')
+      expect(logs[3].args._collection).to.be.equal(collection1.address)
+      expect(logs[3].args._itemId).to.be.eq.BN(0)
+      expect(logs[3].args._signer).to.be.equal(deployer)
+      expect(logs[3].args._beneficiary).to.be.equal(anotherBuyer)
+      expect(logs[3].args._price).to.be.eq.BN(price)
+      expect(logs[3].args._nonce).to.be.eq.BN(0)
+
+      await buyerBalance.requireDecrease(price)
+      await beneficiaryBalance.requireIncrease(price.sub(feeCharged))
+      await feeOwnerBalance.requireIncrease(feeCharged)
+
+      const owner = await collection1.ownerOf(encodeTokenId(0, 1))
+      expect(owner).to.be.equal(anotherBuyer)
+
+      const isUsed = await storeContract.usedVoucherNonces(deployer, 0)
+      expect(isUsed).to.be.equal(true)
+    })
+
+    it('should redeem a voucher signed by a minter', async function () {
+      await collection1.setMinters([user], [true], fromDeployer)
+      await collection1.setItemsMinters([1], [hacker], [1], fromDeployer)
+
+      const signature = await getVoucherSignature(storeContract, voucher, user)
+
+      await storeContract.redeemVoucher(
+        toVoucherParam(voucher),
+        signature,
+        fromBuyer
+      )
+
+      const itemVoucher = { ...voucher, itemId: 1 }
+      const itemSignature = await getVoucherSignature(
+        storeContract,
+        itemVoucher,
+        hacker
+      )
+
+      const { logs } = await storeContract.redeemVoucher(
+        toVoucherParam(itemVoucher),
+        itemSignature,
+        fromBuyer
+      )
+
+      const redeemed = logs.find(({ event }) => event === 'VoucherRedeemed')
+      expect(redeemed.args._signer).to.be.equal(hacker)
+
+      const balance = await collection1.balanceOf(anotherBuyer)
+      expect(balance).to.be.eq.BN(2)
+
+      const redeemedVouchers = await storeContract.itemMinterRedeemedVouchers(
+        collection1.address,
+        1,
+        hacker
+      )
+      expect(redeemedVouchers).to.be.eq.BN(1)
+    })
+
+    it('reverts when an item minter redeems more vouchers than allowed', async function () {
+      await collection1.setItemsMinters([1], [hacker], [1], fromDeployer)
+
+      const itemVoucher = { ...voucher, itemId: 1 }
+      const signature = await getVoucherSignature(
+        storeContract,
+        itemVoucher,
+        hacker
+      )
+
+      await storeContract.redeemVoucher(
+        toVoucherParam(itemVoucher),
+        signature,
+        fromBuyer
+      )
+
+      const anotherItemVoucher = { ...itemVoucher, nonce: 1 }
+      const anotherSignature = await getVoucherSignature(
+        storeContract,
+        anotherItemVoucher,
+        hacker
+      )
+
+      await assertRevert(
+        storeContract.redeemVoucher(
+          toVoucherParam(anotherItemVoucher),
+          anotherSignature,
+          fromBuyer
+        ),
+        'CollectionStore#redeemVoucher: INVALID_SIGNER'
+      )
+
+      const redeemedVouchers = await storeContract.itemMinterRedeemedVouchers(
+        collection1.address,
+        1,
+        hacker
+      )
+      expect(redeemedVouchers).to.be.eq.BN(1)
+    })
+
+    it('should redeem a voucher without beneficiary', async function () {
+      const openVoucher = { ...voucher, beneficiary: ZERO_ADDRESS }
+
+      const signature = await getVoucherSignature(
+        storeContract,
+        openVoucher,
+        deployer
+      )
+
+      await storeContract.redeemVoucher(
+        toVoucherParam(openVoucher),
+        signature,
+        fromBuyer
+      )
+
+      const owner = await collection1.ownerOf(encodeTokenId(0, 1))
+      expect(owner).to.be.equal(buyer)
+    })
+
+    it('should redeem a voucher of an item without beneficiary', async function () {
+      const itemVoucher = {
+        ...voucher,
+        collection: collection2.address,
+        itemId: 2,
+      }
+
+      const creatorBalance = await balanceSnap(
+        manaContract,
+        deployer,
+        'creator'
+      )
+
+      const signature = await getVoucherSignature(
+        storeContract,
+        itemVoucher,
+        deployer
+      )
+
+      await storeContract.redeemVoucher(
+        toVoucherParam(itemVoucher),
+        signature,
+        fromBuyer
+      )
+
+      await creatorBalance.requireIncrease(
+        price.sub(price.mul(FEE).div(ONE_MILLION))
+      )
+    })
+
+    it('should redeem a free voucher', async function () {
+      const freeVoucher = { ...voucher, price: 0 }
+
+      const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+
+      const signature = await getVoucherSignature(
+        storeContract,
+        freeVoucher,
+        deployer
+      )
+
+      await storeContract.redeemVoucher(
+        toVoucherParam(freeVoucher),
+        signature,
+        fromBuyer
+      )
+
+      await buyerBalance.requireConstant()
+
+      const owner = await collection1.ownerOf(encodeTokenId(0, 1))
+      expect(owner).to.be.equal(anotherBuyer)
+    })
+
+    it('should cancel voucher nonces', async function () {
+      const { logs } = await storeContract.cancelVoucherNonces(
+        [0, 1],
+        fromDeployer
+      )
+
+      expect(logs.length).to.be.equal(2)
+      expect(logs[0].event).to.be.equal('VoucherNonceCancelled')
+      expect(logs[0].args._signer).to.be.equal(deployer)
+      expect(logs[0].args._nonce).to.be.eq.BN(0)
+      expect(logs[1].event).to.be.equal('VoucherNonceCancelled')
+      expect(logs[1].args._signer).to.be.equal(deployer)
+      expect(logs[1].args._nonce).to.be.eq.BN(1)
+
+      const signature = await getVoucherSignature(
+        storeContract,
+        voucher,
+        deployer
+      )
+
+      await assertRevert(
+        storeContract.redeemVoucher(
+          toVoucherParam(voucher),
+          signature,
+          fromBuyer
+        ),
+        'CollectionStore#redeemVoucher: VOUCHER_ALREADY_USED'
+      )
+    })
+
+    it('reverts when trying to cancel a used nonce', async function () {
+      await storeContract.cancelVoucherNonces([0], fromDeployer)
+
+      await assertRevert(
+        storeContract.cancelVoucherNonces([0], fromDeployer),
+        'CollectionStore#cancelVoucherNonces: VOUCHER_ALREADY_USED'
+      )
+    })
+
+    it('reverts when redeeming a voucher twice', async function () {
+      const signature = await getVoucherSignature(
+        storeContract,
+        voucher,
+        deployer
+      )
+
+      await storeContract.redeemVoucher(
+        toVoucherParam(voucher),
+        signature,
+        fromBuyer
+      )
+
+      await assertRevert(
+        storeContract.redeemVoucher(
+          toVoucherParam(voucher),
+          signature,
+          fromBuyer
+        ),
+        'CollectionStore#redeemVoucher: VOUCHER_ALREADY_USED'
+      )
+    })
+
+    it('reverts when the voucher expired', async function () {
+      const signature = await getVoucherSignature(
+        storeContract,
+        voucher,
+        deployer
+      )
+
+      await increaseTime(duration.days(2))
+
+      await assertRevert(
+        storeContract.redeemVoucher(
+          toVoucherParam(voucher),
+          signature,
+          fromBuyer
+        ),
+        'CollectionStore#redeemVoucher: VOUCHER_EXPIRED'
+      )
+    })
+
+    it('reverts when the voucher is not signed by the creator or a minter', async function () {
+      const signature = await getVoucherSignature(
+        storeContract,
+        voucher,
+        hacker
+      )
+
+      await assertRevert(
+        storeContract.redeemVoucher(
+          toVoucherParam(voucher),
+          signature,
+          fromBuyer
+        ),
+        'CollectionStore#redeemVoucher: INVALID_SIGNER'
+      )
+    })
+
+    it('reverts when the voucher was tampered', async function () {
+      const signature = await getVoucherSignature(
+        storeContract,
+        voucher,
+        deployer
+      )
+
+      await assertRevert(
+        storeContract.redeemVoucher(
+          toVoucherParam({ ...voucher, price: 1 }),
+          signature,
+          fromBuyer
+        ),
+        'CollectionStore#redeemVoucher: INVALID_SIGNER'
+      )
+    })
+
+    it('reverts when the store can not mint', async function () {
+      await collection1.setMinters([storeContract.address], [false])
+
+      const signature = await getVoucherSignature(
+        storeContract,
+        voucher,
+        deployer
+      )
+
+      await assertRevert(
+        storeContract.redeemVoucher(
+          toVoucherParam(voucher),
+          signature,
+          fromBuyer
+        ),
+        '_issueToken: CALLER_CAN_NOT_MINT'
+      )
+    })
+  })
+
+  describe('payment tokens', function () {
+    // 1 MANA = 0.5 USDC
+    const MANA_TO_USDC = [500000, web3.utils.toWei('1')]
+    const USDC_TO_MANA = [web3.utils.toWei('2'), 1000000]
+    const USDC_PRICE = web3.utils.toBN(20000000) // 20 USDC
+    const MANA_PRICE = web3.utils.toBN(ITEMS[0][1])
+
+    let usdcContract
+    let oracleContract
+
+    beforeEach(async function () {
+      usdcContract = await ERC20.new('USD Coin', 'USDC', 6, fromDeployer)
+      oracleContract = await PriceOracle.new(fromDeployer)
+
+      await usdcContract.mint(buyer, web3.utils.toBN(1000000000))
+      await usdcContract.approve(storeContract.address, MAX_UINT256, fromBuyer)
+
+      await oracleContract.setRate(
+        manaContract.address,
+        usdcContract.address,
+        ...MANA_TO_USDC
+      )
+      await oracleContract.setRate(
+        usdcContract.address,
+        manaContract.address,
+        ...USDC_TO_MANA
+      )
+    })
+
+    describe('setPaymentTokens', function () {
+      it('should set payment tokens', async function () {
+        expect(
+          await storeContract.isPaymentToken(manaContract.address)
+        ).to.be.equal(true)
+        expect(
+          await storeContract.isPaymentToken(usdcContract.address)
+        ).to.be.equal(false)
+
+        let res = await storeContract.setPaymentTokens(
+          [usdcContract.address],
+          [true],
+          fromStoreOwner
+        )
+
+        expect(res.logs.length).to.be.equal(1)
+        expect(res.logs[0].event).to.be.equal('SetPaymentToken')
+        expect(res.logs[0].args._token).to.be.equal(usdcContract.address)
+        expect(res.logs[0].args._value).to.be.equal(true)
+
+        expect(
+          await storeContract.paymentTokens(usdcContract.address)
+        ).to.be.equal(true)
+        expect(
+          await storeContract.isPaymentToken(usdcContract.address)
+        ).to.be.equal(true)
+
+        res = await storeContract.setPaymentTokens(
+          [usdcContract.address],
+          [false],
+          fromStoreOwner
+        )
+
+        expect(res.logs[0].args._value).to.be.equal(false)
+        expect(
+          await storeContract.isPaymentToken(usdcContract.address)
+        ).to.be.equal(false)
+      })
+
+      it('reverts when params length mismatch', async function () {
+        await assertRevert(
+          storeContract.setPaymentTokens(
+            [usdcContract.address],
+            [true, false],
+            fromStoreOwner
+          ),
+          'CollectionStore#setPaymentTokens: LENGTH_MISMATCH'
+        )
+      })
+
+      it('reverts when setting the accepted token or the zero address', async function () {
+        await assertRevert(
+          storeContract.setPaymentTokens(
+            [manaContract.address],
+            [false],
+            fromStoreOwner
+          ),
+          'CollectionStore#setPaymentTokens: INVALID_TOKEN'
+        )
+
+        await assertRevert(
+          storeContract.setPaymentTokens(
+            [ZERO_ADDRESS],
+            [true],
+            fromStoreOwner
+          ),
+          'CollectionStore#setPaymentTokens: INVALID_TOKEN'
+        )
+      })
+
+      it('reverts when setting the same value', async function () {
+        await assertRevert(
+          storeContract.setPaymentTokens(
+            [usdcContract.address],
+            [false],
+            fromStoreOwner
+          ),
+          'CollectionStore#setPaymentTokens: VALUE_IS_THE_SAME'
+        )
+      })
+
+      it('reverts when trying to set payment tokens by hacker', async function () {
+        await assertRevert(
+          storeContract.setPaymentTokens(
+            [usdcContract.address],
+            [true],
+            fromHacker
+          ),
+          'Ownable: caller is not the owner'
+        )
+      })
+    })
+
+    describe('setPriceOracle', function () {
+      it('should set the price oracle', async function () {
+        expect(await storeContract.priceOracle()).to.be.equal(ZERO_ADDRESS)
+
+        let res = await storeContract.setPriceOracle(
+          oracleContract.address,
+          fromStoreOwner
+        )
+
+        expect(res.logs.length).to.be.equal(1)
+        expect(res.logs[0].event).to.be.equal('SetPriceOracle')
+        expect(res.logs[0].args._oldPriceOracle).to.be.equal(ZERO_ADDRESS)
+        expect(res.logs[0].args._newPriceOracle).to.be.equal(
+          oracleContract.address
+        )
+
+        expect(await storeContract.priceOracle()).to.be.equal(
+          oracleContract.address
+        )
+
+        res = await storeContract.setPriceOracle(ZERO_ADDRESS, fromStoreOwner)
+
+        expect(res.logs[0].args._oldPriceOracle).to.be.equal(
+          oracleContract.address
+        )
+        expect(res.logs[0].args._newPriceOracle).to.be.equal(ZERO_ADDRESS)
+      })
+
+      it('reverts when setting the same price oracle', async function () {
+        await assertRevert(
+          storeContract.setPriceOracle(ZERO_ADDRESS, fromStoreOwner),
+          'CollectionStore#setPriceOracle: SAME_PRICE_ORACLE'
+        )
+      })
+
+      it('reverts when trying to set the price oracle by hacker', async function () {
+        await assertRevert(
+          storeContract.setPriceOracle(oracleContract.address, fromHacker),
+          'Ownable: caller is not the owner'
+        )
+      })
+    })
+
+    describe('setItemsTokenPrices', function () {
+      beforeEach(async function () {
+        await storeContract.setPaymentTokens(
+          [usdcContract.address],
+          [true],
+          fromStoreOwner
+        )
+      })
+
+      it('should set token prices', async function () {
+        expect(
+          await storeContract.getItemPaymentToken(collection1.address, 0)
+        ).to.be.equal(manaContract.address)
+
+        const { logs } = await storeContract.setItemsTokenPrices(
+          collection1.address,
+          [0],
+          [[usdcContract.address, USDC_PRICE]],
+          fromDeployer
+        )
+
+        expect(logs.length).to.be.equal(1)
+        expect(logs[0].event).to.be.equal('SetItemTokenPrice')
+        expect(logs[0].args._collection).to.be.equal(collection1.address)
+        expect(logs[0].args._itemId).to.be.eq.BN(0)
+        expect(logs[0].args._tokenPrice).to.be.eql([
+          usdcContract.address,
+          USDC_PRICE.toString(),
+        ])
+
+        expect(
+          await storeContract.getItemPaymentToken(collection1.address, 0)
+        ).to.be.equal(usdcContract.address)
+
+        const buyData = await storeContract.getItemBuyData(
+          collection1.address,
+          0
+        )
+        expect(buyData[0]).to.be.eq.BN(USDC_PRICE)
+        expect(buyData[1].toLowerCase()).to.be.equal(
+          BENEFICIARY_ADDRESS.toLowerCase()
+        )
+
+        expect(
+          await storeContract.getItemPriceAt(collection1.address, 0, 0)
+        ).to.be.eq.BN(USDC_PRICE)
+      })
+
+      it('should remove a token price', async function () {
+        await storeContract.setItemsTokenPrices(
+          collection1.address,
+          [0],
+          [[usdcContract.address, USDC_PRICE]],
+          fromDeployer
+        )
+
+        await storeContract.setItemsTokenPrices(
+          collection1.address,
+          [0],
+          [[ZERO_ADDRESS, 0]],
+          fromDeployer
+        )
+
+        expect(
+          await storeContract.getItemPaymentToken(collection1.address, 0)
+        ).to.be.equal(manaContract.address)
+
+        const buyData = await storeContract.getItemBuyData(
+          collection1.address,
+          0
+        )
+        expect(buyData[0]).to.be.eq.BN(MANA_PRICE)
+      })
+
+      it('reverts when params length mismatch', async function () {
+        await assertRevert(
+          storeContract.setItemsTokenPrices(
+            collection1.address,
+            [0, 1],
+            [[usdcContract.address, USDC_PRICE]],
+            fromDeployer
+          ),
+          'CollectionStore#setItemsTokenPrices: LENGTH_MISMATCH'
+        )
+      })
+
+      it('reverts when the token is not a payment token', async function () {
+        await storeContract.setPaymentTokens(
+          [usdcContract.address],
+          [false],
+          fromStoreOwner
+        )
+
+        await assertRevert(
+          storeContract.setItemsTokenPrices(
+            collection1.address,
+            [0],
+            [[usdcContract.address, USDC_PRICE]],
+            fromDeployer
+          ),
+          'CollectionStore#setItemsTokenPrices: PAYMENT_TOKEN_NOT_ALLOWED'
+        )
+      })
+
+      it('reverts when trying to set a token price by hacker', async function () {
+        await assertRevert(
+          storeContract.setItemsTokenPrices(
+            collection1.address,
+            [0],
+            [[usdcContract.address, USDC_PRICE]],
+            fromHacker
+          ),
+          'CollectionStore#setItemsTokenPrices: CALLER_IS_NOT_CREATOR'
+        )
+      })
+    })
+
+    describe('buyWithToken', function () {
+      beforeEach(async function () {
+        await storeContract.setPaymentTokens(
+          [usdcContract.address],
+          [true],
+          fromStoreOwner
+        )
+        await storeContract.setPriceOracle(
+          oracleContract.address,
+          fromStoreOwner
+        )
+        await storeContract.setItemsTokenPrices(
+          collection1.address,
+          [1],
+          [[usdcContract.address, USDC_PRICE]],
+          fromDeployer
+        )
+      })
+
+      it('should buy an item priced in the payment token', async function () {
+        const buyerBalance = await balanceSnap(usdcContract, buyer, 'buyer')
+        const beneficiaryBalance = await balanceSnap(
+          usdcContract,
+          BENEFICIARY_ADDRESS,
+          'beneficiary'
+        )
+        const feeOwnerBalance = await balanceSnap(
+          usdcContract,
+          feeOwner,
+          'fee owner'
+        )
+        const buyerManaBalance = await balanceSnap(manaContract, buyer, 'buyer')
+
+        const { logs } = await storeContract.buyWithToken(
+          usdcContract.address,
+          [[collection1.address, [1], [USDC_PRICE], [buyer]]],
+          [],
+          fromBuyer
+        )
+
+        const feeCharged = USDC_PRICE.mul(FEE).div(ONE_MILLION)
+
+        const bought = logs[logs.length - 1]
+        expect(bought.event).to.be.equal('BoughtWithToken')
+        expect(bought.args._paymentToken).to.be.equal(usdcContract.address)
+        expect(bought.args._itemsToBuy).to.be.eql([
+          [collection1.address, ['1'], [USDC_PRICE.toString()], [buyer]],
+        ])
+
+        await buyerBalance.requireDecrease(USDC_PRICE)
+        await beneficiaryBalance.requireIncrease(USDC_PRICE.sub(feeCharged))
+        await feeOwnerBalance.requireIncrease(feeCharged)
+        await buyerManaBalance.requireConstant()
+
+        expect(await collection1.ownerOf(encodeTokenId(1, 1))).to.be.equal(
+          buyer
+        )
+      })
+
+      it('should buy with a payment token which does not return a value on transfers', async function () {
+        const usdtContract = await NoReturnERC20.new(fromDeployer)
+        await usdtContract.mint(buyer, USDC_PRICE)
+        await usdtContract.approve(storeContract.address, USDC_PRICE, fromBuyer)
+
+        await storeContract.setPaymentTokens(
+          [usdtContract.address],
+          [true],
+          fromStoreOwner
+        )
+        await storeContract.setItemsTokenPrices(
+          collection1.address,
+          [1],
+          [[usdtContract.address, USDC_PRICE]],
+          fromDeployer
+        )
+
+        const buyerBalance = await balanceSnap(usdtContract, buyer, 'buyer')
+        const beneficiaryBalance = await balanceSnap(
+          usdtContract,
+          BENEFICIARY_ADDRESS,
+          'beneficiary'
+        )
+
+        await storeContract.buyWithToken(
+          usdtContract.address,
+          [[collection1.address, [1], [USDC_PRICE], [buyer]]],
+          [],
+          fromBuyer
+        )
+
+        const feeCharged = USDC_PRICE.mul(FEE).div(ONE_MILLION)
+
+        await buyerBalance.requireDecrease(USDC_PRICE)
+        await beneficiaryBalance.requireIncrease(USDC_PRICE.sub(feeCharged))
+
+        expect(await collection1.ownerOf(encodeTokenId(1, 1))).to.be.equal(
+          buyer
+        )
+      })
+
+      it('should buy an item priced in another token converting its price', async function () {
+        // 10 MANA = 5 USDC
+        const convertedPrice = web3.utils.toBN(5000000)
+
+        const buyData = await storeContract.getItemBuyDataInToken(
+          collection1.address,
+          0,
+          usdcContract.address
+        )
+        expect(buyData[0]).to.be.eq.BN(convertedPrice)
+        expect(buyData[1].toLowerCase()).to.be.equal(
+          BENEFICIARY_ADDRESS.toLowerCase()
+        )
+
+        const buyerBalance = await balanceSnap(usdcContract, buyer, 'buyer')
+        const feeOwnerBalance = await balanceSnap(
+          usdcContract,
+          feeOwner,
+          'fee owner'
+        )
+
+        // The price sent is the maximum to pay
+        const { logs } = await storeContract.buyWithToken(
+          usdcContract.address,
+          [
+            [
+              collection1.address,
+              [0, 1],
+              [convertedPrice.mul(web3.utils.toBN(2)), USDC_PRICE],
+              [buyer, anotherBuyer],
+            ],
+          ],
+          [],
+          fromBuyer
+        )
+
+        const totalPrice = convertedPrice.add(USDC_PRICE)
+        const feeCharged = convertedPrice
+          .mul(FEE)
+          .div(ONE_MILLION)
+          .add(USDC_PRICE.mul(FEE).div(ONE_MILLION))
+
+        const bought = logs[logs.length - 1]
+        expect(bought.event).to.be.equal('BoughtWithToken')
+        expect(bought.args._itemsToBuy).to.be.eql([
+          [
+            collection1.address,
+            ['0', '1'],
+            [convertedPrice.toString(), USDC_PRICE.toString()],
+            [buyer, anotherBuyer],
+          ],
+        ])
+
+        await buyerBalance.requireDecrease(totalPrice)
+        await feeOwnerBalance.requireIncrease(feeCharged)
+      })
+
+      it('should buy an item priced in a payment token with the accepted token', async function () {
+        // 20 USDC = 40 MANA
+        const convertedPrice = web3.utils.toBN(web3.utils.toWei('40'))
+
+        const buyerBalance = await balanceSnap(manaContract, buyer, 'buyer')
+        const beneficiaryBalance = await balanceSnap(
+          manaContract,
+          BENEFICIARY_ADDRESS,
+          'beneficiary'
+        )
+
+        const { logs } = await storeContract.buy(
+          [[collection1.address, [1], [convertedPrice], [buyer]]],
+          fromBuyer
+        )
+
+        const feeCharged = convertedPrice.mul(FEE).div(ONE_MILLION)
+
+        expect(logs[logs.length - 1].event).to.be.equal('Bought')
+
+        await buyerBalance.requireDecrease(convertedPrice)
+        await beneficiaryBalance.requireIncrease(convertedPrice.sub(feeCharged))
+      })
+
+      it('should buy with proofs', async function () {
+        const allowlist = createAllowlist([buyer, anotherBuyer])
+
+        await storeContract.setItemsAllowlists(
+          collection1.address,
+          [1],
+          [allowlist.root],
+          [0],
+          fromDeployer
+        )
+
+        const { logs } = await storeContract.buyWithToken(
+          usdcContract.address,
+          [[collection1.address, [1], [USDC_PRICE], [buyer]]],
+          [[allowlist.getProof(buyer)]],
+          fromBuyer
+        )
+
+        expect(
+          logs.find(({ event }) => event === 'AllowlistLeafConsumed')
+        ).to.not.be.equal(undefined)
+        expect(logs[logs.length - 1].event).to.be.equal('BoughtWithToken')
+
+        await assertRevert(
+          storeContract.buyWithToken(
+            usdcContract.address,
+            [[collection1.address, [1], [USDC_PRICE], [buyer]]],
+            [],
+            fromBuyer
+          ),
+          'CollectionStore#buy: ITEM_REQUIRES_PROOF'
+        )
+      })
+
+      it('reverts when the token is not a payment token', async function () {
+        await storeContract.setPaymentTokens(
+          [usdcContract.address],
+          [false],
+          fromStoreOwner
+        )
+
+        await assertRevert(
+          storeContract.buyWithToken(
+            usdcContract.address,
+            [[collection1.address, [1], [USDC_PRICE], [buyer]]],
+            [],
+            fromBuyer
+          ),
+          'CollectionStore#buy: PAYMENT_TOKEN_NOT_ALLOWED'
+        )
+      })
+
+      it('reverts when the price oracle is not set', async function () {
+        await storeContract.setPriceOracle(ZERO_ADDRESS, fromStoreOwner)
+
+        await assertRevert(
+          storeContract.buyWithToken(
+            usdcContract.address,
+            [[collection1.address, [0], [USDC_PRICE], [buyer]]],
+            [],
+            fromBuyer
+          ),
+          'CollectionStore#_getItemBuyDataInToken: PRICE_ORACLE_NOT_SET'
+        )
+      })
+
+      it('reverts when the price can not be converted', async function () {
+        await oracleContract.setRate(
+          manaContract.address,
+          usdcContract.address,
+          0,
+          0
+        )
+
+        await assertRevert(
+          storeContract.buyWithToken(
+            usdcContract.address,
+            [[collection1.address, [0], [USDC_PRICE], [buyer]]],
+            [],
+            fromBuyer
+          ),
+          'CollectionStore#_getItemBuyDataInToken: INVALID_CONVERSION'
+        )
+      })
+
+      it('reverts when the converted price is above the max price', async function () {
+        await assertRevert(
+          storeContract.buyWithToken(
+            usdcContract.address,
+            [[collection1.address, [0], [4999999], [buyer]]],
+            [],
+            fromBuyer
+          ),
+          'CollectionStore#buy: ITEM_PRICE_ABOVE_MAX'
+        )
+      })
+
+      it('reverts when item price mismatch', async function () {
+        await assertRevert(
+          storeContract.buyWithToken(
+            usdcContract.address,
+            [[collection1.address, [1], [USDC_PRICE.addn(1)], [buyer]]],
+            [],
+            fromBuyer
+          ),
+          'CollectionStore#buy: ITEM_PRICE_MISMATCH'
+        )
+      })
+
+      it('reverts when proofs length mismatch', async function () {
+        await assertRevert(
+          storeContract.buyWithToken(
+            usdcContract.address,
+            [
+              [
+                collection1.address,
+                [1, 1],
+                [USDC_PRICE, USDC_PRICE],
+                [buyer, buyer],
+              ],
+            ],
+            [[[]]],
+            fromBuyer
+          ),
+          'CollectionStore#buyWithToken: LENGTH_MISMATCH'
+        )
+      })
+    })
+
+    describe('buyWithNative', function () {
+      const NATIVE_PRICE = web3.utils.toBN(web3.utils.toWei('0.1'))
+      // 10 MANA = 0.01 native
+      const CONVERTED_PRICE = web3.utils.toBN(web3.utils.toWei('0.01'))
+      const GAS_PRICE = web3.utils.toBN(21e9)
+
+      let nativeToken
+
+      async function getBalance(address) {
+        return web3.utils.toBN(await web3.eth.getBalance(address))
+      }
+
+      function getGasCost({ receipt }) {
+        return web3.utils.toBN(receipt.gasUsed).mul(GAS_PRICE)
+      }
+
+      beforeEach(async function () {
+        nativeToken = await storeContract.NATIVE_TOKEN()
+
+        await storeContract.setPaymentTokens(
+          [nativeToken],
+          [true],
+          fromStoreOwner
+        )
+        await storeContract.setPriceOracle(
+          oracleContract.address,
+          fromStoreOwner
+        )
+        await oracleContract.setRate(manaContract.address, nativeToken, 1, 1000)
+        await storeContract.setItemsTokenPrices(
+          collection1.address,
+          [1],
+          [[nativeToken, NATIVE_PRICE]],
+          fromDeployer
+        )
+      })
+
+      it('should buy an item priced in the native currency', async function () {
+        const buyerBalance = await getBalance(buyer)
+        const beneficiaryBalance = await getBalance(BENEFICIARY_ADDRESS)
+        const feeOwnerBalance = await getBalance(feeOwner)
+
+        const res = await storeContract.buyWithNative(
+          [[collection1.address, [1], [NATIVE_PRICE], [buyer]]],
+          [],
+          { ...fromBuyer, value: NATIVE_PRICE, gasPrice: GAS_PRICE }
+        )
+
+        const feeCharged = NATIVE_PRICE.mul(FEE).div(ONE_MILLION)
+
+        const bought = res.logs[res.logs.length - 1]
+        expect(bought.event).to.be.equal('BoughtWithToken')
+        expect(bought.args._paymentToken).to.be.equal(nativeToken)
+        expect(bought.args._itemsToBuy).to.be.eql([
+          [collection1.address, ['1'], [NATIVE_PRICE.toString()], [buyer]],
+        ])
+
+        expect(await getBalance(buyer)).to.be.eq.BN(
+          buyerBalance.sub(NATIVE_PRICE).sub(getGasCost(res))
+        )
+        expect(await getBalance(BENEFICIARY_ADDRESS)).to.be.eq.BN(
+          beneficiaryBalance.add(NATIVE_PRICE.sub(feeCharged))
+        )
+        expect(await getBalance(feeOwner)).to.be.eq.BN(
+          feeOwnerBalance.add(feeCharged)
+        )
+        expect(await getBalance(storeContract.address)).to.be.eq.BN(0)
+
+        expect(await collection1.ownerOf(encodeTokenId(1, 1))).to.be.equal(
+          buyer
+        )
+      })
+
+      it('should buy an item priced in another token converting its price', async function () {
+        const buyData = await storeContract.getItemBuyDataInToken(
+          collection1.address,
+          0,
+          nativeToken
+        )
+        expect(buyData[0]).to.be.eq.BN(CONVERTED_PRICE)
+
+        const beneficiaryBalance = await getBalance(BENEFICIARY_ADDRESS)
+        const buyerManaBalance = await balanceSnap(manaContract, buyer, 'buyer')
+
+        const { logs } = await storeContract.buyWithNative(
+          [
+            [
+              collection1.address,
+              [0, 1],
+              [CONVERTED_PRICE, NATIVE_PRICE],
+              [buyer, anotherBuyer],
+            ],
+          ],
+          [],
+          { ...fromBuyer, value: CONVERTED_PRICE.add(NATIVE_PRICE) }
+        )
+
+        const totalPrice = CONVERTED_PRICE.add(NATIVE_PRICE)
+        const feeCharged = CONVERTED_PRICE.mul(FEE)
+          .div(ONE_MILLION)
+          .add(NATIVE_PRICE.mul(FEE).div(ONE_MILLION))
+
+        expect(logs[logs.length - 1].event).to.be.equal('BoughtWithToken')
+
+        expect(await getBalance(BENEFICIARY_ADDRESS)).to.be.eq.BN(
+          beneficiaryBalance.add(totalPrice.sub(feeCharged))
+        )
+        await buyerManaBalance.requireConstant()
+      })
+
+      it('should refund the overpayment', async function () {
+        const buyerBalance = await getBalance(buyer)
+        const overpayment = web3.utils.toBN(web3.utils.toWei('1'))
+
+        // The price sent for the converted item is the maximum to pay
+        const res = await storeContract.buyWithNative(
+          [
+            [
+              collection1.address,
+              [0],
+              [CONVERTED_PRICE.mul(web3.utils.toBN(2))],
+              [buyer],
+            ],
+          ],
+          [],
+          {
+            ...fromBuyer,
+            value: CONVERTED_PRICE.add(overpayment),
+            gasPrice: GAS_PRICE,
+          }
+        )
+
+        expect(res.logs[res.logs.length - 1].args._itemsToBuy).to.be.eql([
+          [collection1.address, ['0'], [CONVERTED_PRICE.toString()], [buyer]],
+        ])
+
+        expect(await getBalance(buyer)).to.be.eq.BN(
+          buyerBalance.sub(CONVERTED_PRICE).sub(getGasCost(res))
+        )
+        expect(await getBalance(storeContract.address)).to.be.eq.BN(0)
+      })
+
+      it('should buy with proofs', async function () {
+        const allowlist = createAllowlist([buyer, anotherBuyer])
+
+        await storeContract.setItemsAllowlists(
+          collection1.address,
+          [1],
+          [allowlist.root],
+          [0],
+          fromDeployer
+        )
+
+        const { logs } = await storeContract.buyWithNative(
+          [[collection1.address, [1], [NATIVE_PRICE], [buyer]]],
+          [[allowlist.getProof(buyer)]],
+          { ...fromBuyer, value: NATIVE_PRICE }
+        )
+
+        expect(
+          logs.find(({ event }) => event === 'AllowlistLeafConsumed')
+        ).to.not.be.equal(undefined)
+      })
+
+      it('reverts when the value sent is lower than the total price', async function () {
+        await assertRevert(
+          storeContract.buyWithNative(
+            [[collection1.address, [1], [NATIVE_PRICE], [buyer]]],
+            [],
+            { ...fromBuyer, value: NATIVE_PRICE.subn(1) }
+          ),
+          'CollectionStore#buyWithNative: INSUFFICIENT_VALUE'
+        )
+      })
+
+      it('reverts when the native currency is not a payment token', async function () {
+        await storeContract.setPaymentTokens(
+          [nativeToken],
+          [false],
+          fromStoreOwner
+        )
+
+        await assertRevert(
+          storeContract.buyWithNative(
+            [[collection1.address, [1], [NATIVE_PRICE], [buyer]]],
+            [],
+            { ...fromBuyer, value: NATIVE_PRICE }
+          ),
+          'CollectionStore#buy: PAYMENT_TOKEN_NOT_ALLOWED'
+        )
+      })
+
+      it('reverts when buying with the native currency through buyWithToken', async function () {
+        await assertRevert(
+          storeContract.buyWithToken(
+            nativeToken,
+            [[collection1.address, [1], [NATIVE_PRICE], [buyer]]],
+            [],
+            fromBuyer
+          ),
+          'CollectionStore#buyWithToken: INVALID_PAYMENT_TOKEN'
+        )
+      })
+
+      it('should credit the native currency to receivers which can not receive it', async function () {
+        const rejecter = await NativeRejecter.new()
+        await storeContract.setFeeOwner(rejecter.address, fromStoreOwner)
+
+        const beneficiaryBalance = await getBalance(BENEFICIARY_ADDRESS)
+
+        const { logs } = await storeContract.buyWithNative(
+          [[collection1.address, [1], [NATIVE_PRICE], [buyer]]],
+          [],
+          { ...fromBuyer, value: NATIVE_PRICE }
+        )
+
+        const feeCharged = NATIVE_PRICE.mul(FEE).div(ONE_MILLION)
+
+        const credited = logs.find(
+          ({ event }) => event === 'NativeBalanceCredited'
+        )
+        expect(credited.args._account).to.be.equal(rejecter.address)
+        expect(credited.args._amount).to.be.eq.BN(feeCharged)
+
+        expect(
+          await storeContract.nativeBalances(rejecter.address)
+        ).to.be.eq.BN(feeCharged)
+        expect(await getBalance(BENEFICIARY_ADDRESS)).to.be.eq.BN(
+          beneficiaryBalance.add(NATIVE_PRICE.sub(feeCharged))
+        )
+        expect(await getBalance(storeContract.address)).to.be.eq.BN(feeCharged)
+      })
+
+      it('should withdraw the credited native currency', async function () {
+        const rejecter = await NativeRejecter.new()
+        await storeContract.setFeeOwner(rejecter.address, fromStoreOwner)
+
+        await storeContract.buyWithNative(
+          [[collection1.address, [1], [NATIVE_PRICE], [buyer]]],
+          [],
+          { ...fromBuyer, value: NATIVE_PRICE }
+        )
+
+        const feeCharged = NATIVE_PRICE.mul(FEE).div(ONE_MILLION)
+        const feeOwnerBalance = await getBalance(feeOwner)
+
+        const res = await rejecter.execute(
+          storeContract.address,
+          storeContract.contract.methods.withdrawNative(feeOwner).encodeABI()
+        )
+
+        const withdrawn = await storeContract.getPastEvents(
+          'NativeBalanceWithdrawn',
+          { fromBlock: res.receipt.blockNumber }
+        )
+        expect(withdrawn.length).to.be.equal(1)
+        expect(withdrawn[0].args._account).to.be.equal(rejecter.address)
+        expect(withdrawn[0].args._to).to.be.equal(feeOwner)
+        expect(withdrawn[0].args._amount).to.be.eq.BN(feeCharged)
+
+        expect(
+          await storeContract.nativeBalances(rejecter.address)
+        ).to.be.eq.BN(0)
+        expect(await getBalance(feeOwner)).to.be.eq.BN(
+          feeOwnerBalance.add(feeCharged)
+        )
+        expect(await getBalance(storeContract.address)).to.be.eq.BN(0)
+      })
+
+      it('reverts when withdrawing without credited native currency', async function () {
+        await assertRevert(
+          storeContract.withdrawNative(buyer, fromBuyer),
+          'CollectionStore#withdrawNative: NOTHING_TO_WITHDRAW'
+        )
+      })
+
+      it('reverts when withdrawing to the zero address', async function () {
+        await assertRevert(
+          storeContract.withdrawNative(ZERO_ADDRESS, fromBuyer),
+          'CollectionStore#withdrawNative: INVALID_ADDRESS'
+        )
+      })
+
+      it('reverts when buying through a meta transaction', async function () {
+        const functionSignature = storeContract.contract.methods
+          .buyWithNative(
+            [[collection1.address, [1], [NATIVE_PRICE.toString()], [buyer]]],
+            []
+          )
+          .encodeABI()
+
+        const signature = await getSignature(
+          storeContract,
+          functionSignature,
+          buyer,
+          null,
+          'Decentraland Collection Store',
+          '1'
+        )
+        const r = '0x' + signature.substring(0, 64)
+        const s = '0x' + signature.substring(64, 128)
+        const v = '0x' + signature.substring(128, 130)
+
+        // The relayer pays the value of the purchase
+        await assertRevert(
+          storeContract.executeMetaTransaction(
+            buyer,
+            functionSignature,
+            r,
+            s,
+            v,
+            { from: relayer, value: NATIVE_PRICE }
+          ),
+          'NMT#executeMetaTransaction: CALL_FAILED'
+        )
+      })
+
+      it('reverts when proofs length mismatch', async function () {
+        await assertRevert(
+          storeContract.buyWithNative(
+            [
+              [
+                collection1.address,
+                [1, 1],
+                [NATIVE_PRICE, NATIVE_PRICE],
+                [buyer, buyer],
+              ],
+            ],
+            [[[]]],
+            { ...fromBuyer, value: NATIVE_PRICE.muln(2) }
+          ),
+          'CollectionStore#buyWithNative: LENGTH_MISMATCH'
+        )
+      })
+    })
+  })
+
   describe('setFee', function () {
     it('should set fee', async function () {
       const newFee = web3.utils.toBN(10)
@@ -5,8 +5,12 @@ import {
   getRarityNames,
   RESCUE_ITEMS_SELECTOR,
   SET_APPROVE_COLLECTION_SELECTOR,
+  SET_EDITABLE_SELECTOR,
+  ZERO_ADDRESS,
+  linkCollectionV2Libraries,
 } from '../helpers/collectionV2'
 import { sendMetaTx } from '../helpers/metaTx'
+import { increaseTime, duration } from '../helpers/increase'
 import { expect } from 'chai'
 
 const ERC721CollectionFactoryV2 = artifacts.require('ERC721CollectionFactoryV2')
@@ -16,6 +20,11 @@ const CollectionManager = artifacts.require('CollectionManager')
 const Forwarder = artifacts.require('Forwarder')
 const Rarities = artifacts.require('Rarities')
 
+const CURATOR_ROLE = web3.utils.keccak256('CURATOR_ROLE')
+const RESCUER_ROLE = web3.utils.keccak256('RESCUER_ROLE')
+const EDITOR_LOCK_ROLE = web3.utils.keccak256('EDITOR_LOCK_ROLE')
+const ZERO_ROLE = '0x' + '0'.repeat(64)
+
 describe('Commitee', function () {
   let collectionImplementation
   let factoryContract
@@ -61,10 +70,15 @@ describe('Commitee', function () {
       committeeContract.address,
       user,
       raritiesContract.address,
-      [RESCUE_ITEMS_SELECTOR, SET_APPROVE_COLLECTION_SELECTOR],
-      [true, true]
+      [
+        RESCUE_ITEMS_SELECTOR,
+        SET_APPROVE_COLLECTION_SELECTOR,
+        SET_EDITABLE_SELECTOR,
+      ],
+      [true, true, true]
     )
 
+    await linkCollectionV2Libraries(ERC721CollectionV2)
     collectionImplementation = await ERC721CollectionV2.new()
 
     forwarderContract = await Forwarder.new(
@@ -77,6 +91,10 @@ describe('Commitee', function () {
       forwarderContract.address,
       collectionImplementation.address
     )
+    await committeeContract.setCollectionFactory(
+      factoryContract.address,
+      fromOwner
+    )
   })
 
   describe('create committee', async function () {
@@ -88,6 +106,108 @@ describe('Commitee', function () {
 
       expect(committeeOwner).to.be.equal(owner)
       expect(isMember).to.be.equal(true)
+
+      const quorum = await contract.quorum()
+      const proposalDuration = await contract.proposalDuration()
+
+      expect(quorum).to.be.eq.BN(1)
+      expect(proposalDuration).to.be.eq.BN(duration.days(7))
+    })
+  })
+
+  describe('setQuorum', async function () {
+    it('should set the quorum', async function () {
+      const { logs } = await committeeContract.setQuorum(2, fromOwner)
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('QuorumSet')
+      expect(logs[0].args._oldQuorum).to.be.eq.BN(1)
+      expect(logs[0].args._newQuorum).to.be.eq.BN(2)
+
+      const quorum = await committeeContract.quorum()
+      expect(quorum).to.be.eq.BN(2)
+    })
+
+    it('reverts when trying to set an invalid quorum', async function () {
+      await assertRevert(
+        committeeContract.setQuorum(0, fromOwner),
+        'Committee#setQuorum: INVALID_QUORUM'
+      )
+    })
+
+    it('reverts when trying to set the quorum by hacker', async function () {
+      await assertRevert(
+        committeeContract.setQuorum(2, fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('setCollectionFactory', async function () {
+    it('should set the collection factory', async function () {
+      expect(await committeeContract.collectionFactory()).to.be.equal(
+        factoryContract.address
+      )
+
+      const { logs } = await committeeContract.setCollectionFactory(
+        user,
+        fromOwner
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('CollectionFactorySet')
+      expect(logs[0].args._oldCollectionFactory).to.be.equal(
+        factoryContract.address
+      )
+      expect(logs[0].args._newCollectionFactory).to.be.equal(user)
+
+      const collectionFactory = await committeeContract.collectionFactory()
+      expect(collectionFactory).to.be.equal(user)
+    })
+
+    it('reverts when trying to set an invalid collection factory', async function () {
+      await assertRevert(
+        committeeContract.setCollectionFactory(ZERO_ADDRESS, fromOwner),
+        'Committee#setCollectionFactory: INVALID_COLLECTION_FACTORY'
+      )
+    })
+
+    it('reverts when trying to set the collection factory by hacker', async function () {
+      await assertRevert(
+        committeeContract.setCollectionFactory(user, fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('setProposalDuration', async function () {
+    it('should set the proposal duration', async function () {
+      const { logs } = await committeeContract.setProposalDuration(
+        duration.days(1),
+        fromOwner
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('ProposalDurationSet')
+      expect(logs[0].args._oldProposalDuration).to.be.eq.BN(duration.days(7))
+      expect(logs[0].args._newProposalDuration).to.be.eq.BN(duration.days(1))
+
+      const proposalDuration = await committeeContract.proposalDuration()
+      expect(proposalDuration).to.be.eq.BN(duration.days(1))
+    })
+
+    it('reverts when trying to set an invalid proposal duration', async function () {
+      await assertRevert(
+        committeeContract.setProposalDuration(0, fromOwner),
+        'Committee#setProposalDuration: INVALID_PROPOSAL_DURATION'
+      )
+    })
+
+    it('reverts when trying to set the proposal duration by hacker', async function () {
+      await assertRevert(
+        committeeContract.setProposalDuration(duration.days(1), fromHacker),
+        'Ownable: caller is not the owner'
+      )
     })
   })
 
@@ -181,6 +301,174 @@ describe('Commitee', function () {
     })
   })
 
+  describe('setRoles', async function () {
+    it('should grant and revoke roles', async function () {
+      expect(await committeeContract.CURATOR_ROLE()).to.be.equal(CURATOR_ROLE)
+      expect(await committeeContract.RESCUER_ROLE()).to.be.equal(RESCUER_ROLE)
+      expect(await committeeContract.EDITOR_LOCK_ROLE()).to.be.equal(
+        EDITOR_LOCK_ROLE
+      )
+
+      let res = await committeeContract.setRoles(
+        [user, anotherUser, user],
+        [CURATOR_ROLE, CURATOR_ROLE, RESCUER_ROLE],
+        [true, true, true],
+        fromOwner
+      )
+      let logs = res.logs
+
+      expect(logs.length).to.be.equal(3)
+      expect(logs[0].event).to.be.equal('RoleSet')
+      expect(logs[0].args._role).to.be.equal(CURATOR_ROLE)
+      expect(logs[0].args._member).to.be.equal(user)
+      expect(logs[0].args._value).to.be.equal(true)
+      expect(logs[2].args._role).to.be.equal(RESCUER_ROLE)
+
+      expect(await committeeContract.hasRole(CURATOR_ROLE, user)).to.be.equal(
+        true
+      )
+      expect(
+        await committeeContract.hasRole(EDITOR_LOCK_ROLE, user)
+      ).to.be.equal(false)
+      expect(
+        await committeeContract.roleMembersCount(CURATOR_ROLE)
+      ).to.be.eq.BN(2)
+      expect(await committeeContract.getRoleMembers(CURATOR_ROLE)).to.be.eql([
+        user,
+        anotherUser,
+      ])
+      expect(await committeeContract.getRoleMembers(RESCUER_ROLE)).to.be.eql([
+        user,
+      ])
+
+      res = await committeeContract.setRoles(
+        [user],
+        [CURATOR_ROLE],
+        [false],
+        fromOwner
+      )
+      logs = res.logs
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('RoleSet')
+      expect(logs[0].args._role).to.be.equal(CURATOR_ROLE)
+      expect(logs[0].args._member).to.be.equal(user)
+      expect(logs[0].args._value).to.be.equal(false)
+
+      expect(await committeeContract.hasRole(CURATOR_ROLE, user)).to.be.equal(
+        false
+      )
+      expect(await committeeContract.getRoleMembers(CURATOR_ROLE)).to.be.eql([
+        anotherUser,
+      ])
+      expect(
+        await committeeContract.getRoleMembers(EDITOR_LOCK_ROLE)
+      ).to.be.eql([])
+    })
+
+    it('reverts when trying to set roles with different lengths', async function () {
+      await assertRevert(
+        committeeContract.setRoles(
+          [user, anotherUser],
+          [CURATOR_ROLE],
+          [true, true],
+          fromOwner
+        ),
+        'Committee#setRoles: LENGTH_MISMATCH'
+      )
+
+      await assertRevert(
+        committeeContract.setRoles(
+          [user],
+          [CURATOR_ROLE],
+          [true, false],
+          fromOwner
+        ),
+        'Committee#setRoles: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when trying to set roles by hacker', async function () {
+      await assertRevert(
+        committeeContract.setRoles(
+          [hacker],
+          [CURATOR_ROLE],
+          [true],
+          fromHacker
+        ),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('setMethodRoles', async function () {
+    it('should set the roles of the methods', async function () {
+      expect(
+        await committeeContract.methodRoles(SET_APPROVE_COLLECTION_SELECTOR)
+      ).to.be.equal(ZERO_ROLE)
+
+      let res = await committeeContract.setMethodRoles(
+        [SET_APPROVE_COLLECTION_SELECTOR, RESCUE_ITEMS_SELECTOR],
+        [CURATOR_ROLE, RESCUER_ROLE],
+        fromOwner
+      )
+      let logs = res.logs
+
+      expect(logs.length).to.be.equal(2)
+      expect(logs[0].event).to.be.equal('MethodRoleSet')
+      expect(logs[0].args._method).to.be.equal(
+        web3.utils.padRight(SET_APPROVE_COLLECTION_SELECTOR, 64)
+      )
+      expect(logs[0].args._role).to.be.equal(CURATOR_ROLE)
+      expect(logs[1].args._method).to.be.equal(
+        web3.utils.padRight(RESCUE_ITEMS_SELECTOR, 64)
+      )
+      expect(logs[1].args._role).to.be.equal(RESCUER_ROLE)
+
+      expect(
+        await committeeContract.methodRoles(SET_APPROVE_COLLECTION_SELECTOR)
+      ).to.be.equal(CURATOR_ROLE)
+      expect(
+        await committeeContract.methodRoles(RESCUE_ITEMS_SELECTOR)
+      ).to.be.equal(RESCUER_ROLE)
+
+      res = await committeeContract.setMethodRoles(
+        [SET_APPROVE_COLLECTION_SELECTOR],
+        [ZERO_ROLE],
+        fromOwner
+      )
+      logs = res.logs
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].args._role).to.be.equal(ZERO_ROLE)
+      expect(
+        await committeeContract.methodRoles(SET_APPROVE_COLLECTION_SELECTOR)
+      ).to.be.equal(ZERO_ROLE)
+    })
+
+    it('reverts when trying to set method roles with different lengths', async function () {
+      await assertRevert(
+        committeeContract.setMethodRoles(
+          [SET_APPROVE_COLLECTION_SELECTOR, RESCUE_ITEMS_SELECTOR],
+          [CURATOR_ROLE],
+          fromOwner
+        ),
+        'Committee#setMethodRoles: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when trying to set method roles by hacker', async function () {
+      await assertRevert(
+        committeeContract.setMethodRoles(
+          [SET_APPROVE_COLLECTION_SELECTOR],
+          [CURATOR_ROLE],
+          fromHacker
+        ),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
   describe('manageCollection', async function () {
     const name = 'collectionName'
     const symbol = 'collectionSymbol'
@@ -212,10 +500,10 @@ describe('Commitee', function () {
     })
 
     it('should manage a collection', async function () {
-      let isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(false)
+      let isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(true)
 
-      // Approve collection
+      // Lock the collection
       await committeeContract.manageCollection(
         collectionManagerContract.address,
         forwarderContract.address,
@@ -229,20 +517,20 @@ describe('Commitee', function () {
                 type: 'bool',
               },
             ],
-            name: 'setApproved',
+            name: 'setEditable',
             outputs: [],
             stateMutability: 'nonpayable',
             type: 'function',
           },
-          [true]
+          [false]
         ),
         fromUser
       )
 
-      isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(true)
+      isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(false)
 
-      // Approve collection
+      // Unlock the collection
       await committeeContract.manageCollection(
         collectionManagerContract.address,
         forwarderContract.address,
@@ -256,25 +544,25 @@ describe('Commitee', function () {
                 type: 'bool',
               },
             ],
-            name: 'setApproved',
+            name: 'setEditable',
             outputs: [],
             stateMutability: 'nonpayable',
             type: 'function',
           },
-          [false]
+          [true]
         ),
         fromUser
       )
 
-      isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(false)
+      isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(true)
     })
 
     it('should manage a collection :: Relayed EIP721', async function () {
-      let isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(false)
+      let isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(true)
 
-      // Approve collection
+      // Lock the collection
       let functionSignature = web3.eth.abi.encodeFunctionCall(
         {
           inputs: [
@@ -317,12 +605,12 @@ describe('Commitee', function () {
                   type: 'bool',
                 },
               ],
-              name: 'setApproved',
+              name: 'setEditable',
               outputs: [],
               stateMutability: 'nonpayable',
               type: 'function',
             },
-            [true]
+            [false]
           ),
         ]
       )
@@ -337,10 +625,10 @@ describe('Commitee', function () {
         '1'
       )
 
-      isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(true)
+      isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(false)
 
-      // Reject collection
+      // Unlock the collection
       functionSignature = web3.eth.abi.encodeFunctionCall(
         {
           inputs: [
@@ -383,12 +671,12 @@ describe('Commitee', function () {
                   type: 'bool',
                 },
               ],
-              name: 'setApproved',
+              name: 'setEditable',
               outputs: [],
               stateMutability: 'nonpayable',
               type: 'function',
             },
-            [false]
+            [true]
           ),
         ]
       )
@@ -403,13 +691,13 @@ describe('Commitee', function () {
         '1'
       )
 
-      isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(false)
+      isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(true)
     })
 
     it('reverts when trying to manage a collection by a committee removed member', async function () {
-      let isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(false)
+      let isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(true)
 
       await committeeContract.manageCollection(
         collectionManagerContract.address,
@@ -424,18 +712,18 @@ describe('Commitee', function () {
                 type: 'bool',
               },
             ],
-            name: 'setApproved',
+            name: 'setEditable',
             outputs: [],
             stateMutability: 'nonpayable',
             type: 'function',
           },
-          [true]
+          [false]
         ),
         fromUser
       )
 
-      isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(true)
+      isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(false)
 
       await committeeContract.setMembers([user], [false], fromOwner)
 
@@ -453,12 +741,12 @@ describe('Commitee', function () {
                   type: 'bool',
                 },
               ],
-              name: 'setApproved',
+              name: 'setEditable',
               outputs: [],
               stateMutability: 'nonpayable',
               type: 'function',
             },
-            [false]
+            [true]
           ),
           fromUser
         ),
@@ -480,12 +768,12 @@ describe('Commitee', function () {
                 type: 'bool',
               },
             ],
-            name: 'setApproved',
+            name: 'setEditable',
             outputs: [],
             stateMutability: 'nonpayable',
             type: 'function',
           },
-          [false]
+          [true]
         ),
         fromUser
       )
@@ -520,8 +808,8 @@ describe('Commitee', function () {
     })
 
     it('reverts when trying to manage a collection by not a committee member', async function () {
-      let isApproved = await collectionContract.isApproved()
-      expect(isApproved).to.be.equal(false)
+      let isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(true)
 
       await assertRevert(
         committeeContract.manageCollection(
@@ -537,19 +825,19 @@ describe('Commitee', function () {
                   type: 'bool',
                 },
               ],
-              name: 'setApproved',
+              name: 'setEditable',
               outputs: [],
               stateMutability: 'nonpayable',
               type: 'function',
             },
-            [true]
+            [false]
           ),
           fromHacker
         ),
         'Committee#manageCollection: UNAUTHORIZED_SENDER'
       )
 
-      // Approve collection
+      // Lock the collection
       await assertRevert(
         committeeContract.manageCollection(
           collectionManagerContract.address,
@@ -564,12 +852,12 @@ describe('Commitee', function () {
                   type: 'bool',
                 },
               ],
-              name: 'setApproved',
+              name: 'setEditable',
               outputs: [],
               stateMutability: 'nonpayable',
               type: 'function',
             },
-            [true]
+            [false]
           ),
           fromOwner
         ),
@@ -577,4 +865,933 @@ describe('Commitee', function () {
       )
     })
   })
+
+  describe('proposals', async function () {
+    const SET_EDITABLE_ABI = {
+      inputs: [
+        {
+          internalType: 'bool',
+          name: '_value',
+          type: 'bool',
+        },
+      ],
+      name: 'setEditable',
+      outputs: [],
+      stateMutability: 'nonpayable',
+      type: 'function',
+    }
+
+    let collectionContract
+    let fromAnotherUser
+
+    function propose(value, from) {
+      return committeeContract.manageCollection(
+        collectionManagerContract.address,
+        forwarderContract.address,
+        collectionContract.address,
+        web3.eth.abi.encodeFunctionCall(SET_EDITABLE_ABI, [value]),
+        from
+      )
+    }
+
+    function getEvent(logs, name) {
+      return logs.find((log) => log.event === name)
+    }
+
+    beforeEach(async () => {
+      const rarities = getInitialRarities()
+
+      await raritiesContract.updatePrices(
+        getRarityNames(),
+        Array(rarities.length).fill(0)
+      )
+
+      const salt = web3.utils.randomHex(32)
+      const { logs } = await collectionManagerContract.createCollection(
+        forwarderContract.address,
+        factoryContract.address,
+        salt,
+        'collectionName',
+        'collectionSymbol',
+        'collectionBaseURI',
+        user,
+        ITEMS,
+        fromOwner
+      )
+      collectionContract = await ERC721CollectionV2.at(logs[0].address)
+
+      fromAnotherUser = { from: anotherUser }
+
+      await committeeContract.setMembers([anotherUser], [true], fromOwner)
+      await committeeContract.setQuorum(2, fromOwner)
+    })
+
+    it('should create a proposal without executing it', async function () {
+      const data = web3.eth.abi.encodeFunctionCall(SET_EDITABLE_ABI, [false])
+      const { logs } = await committeeContract.manageCollection(
+        collectionManagerContract.address,
+        forwarderContract.address,
+        collectionContract.address,
+        data,
+        fromUser
+      )
+
+      expect(logs.length).to.be.equal(2)
+
+      expect(logs[0].event).to.be.equal('ProposalCreated')
+      expect(logs[0].args._proposalId).to.be.eq.BN(0)
+      expect(logs[0].args._proposer).to.be.equal(user)
+      expect(logs[0].args._collectionManager).to.be.equal(
+        collectionManagerContract.address
+      )
+      expect(logs[0].args._forwarder).to.be.equal(forwarderContract.address)
+      expect(logs[0].args._collection).to.be.equal(collectionContract.address)
+      expect(logs[0].args._data).to.be.equal(data)
+
+      expect(logs[1].event).to.be.equal('ProposalVoted')
+      expect(logs[1].args._proposalId).to.be.eq.BN(0)
+      expect(logs[1].args._voter).to.be.equal(user)
+      expect(logs[1].args._votes).to.be.eq.BN(1)
+
+      const proposal = await committeeContract.proposals(0)
+      expect(proposal.proposer).to.be.equal(user)
+      expect(proposal.votes).to.be.eq.BN(1)
+      expect(proposal.status).to.be.eq.BN(0)
+      expect(proposal.deadline).to.be.eq.BN(logs[0].args._deadline)
+
+      const hasVoted = await committeeContract.hasVoted(0, user)
+      expect(hasVoted).to.be.equal(true)
+
+      const proposalsCount = await committeeContract.proposalsCount()
+      expect(proposalsCount).to.be.eq.BN(1)
+
+      const isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(true)
+    })
+
+    it('should execute a proposal when the quorum is reached', async function () {
+      await propose(false, fromUser)
+
+      const { logs } = await committeeContract.vote(0, fromAnotherUser)
+
+      const voted = getEvent(logs, 'ProposalVoted')
+      expect(voted.args._proposalId).to.be.eq.BN(0)
+      expect(voted.args._voter).to.be.equal(anotherUser)
+      expect(voted.args._votes).to.be.eq.BN(2)
+
+      const executed = getEvent(logs, 'ProposalExecuted')
+      expect(executed.args._proposalId).to.be.eq.BN(0)
+
+      const proposal = await committeeContract.proposals(0)
+      expect(proposal.votes).to.be.eq.BN(2)
+      expect(proposal.status).to.be.eq.BN(1)
+
+      const isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(false)
+    })
+
+    it('should vote a proposal :: Relayed EIP721', async function () {
+      await propose(false, fromUser)
+
+      const functionSignature = web3.eth.abi.encodeFunctionCall(
+        {
+          inputs: [
+            {
+              internalType: 'uint256',
+              name: '_proposalId',
+              type: 'uint256',
+            },
+          ],
+          name: 'vote',
+          outputs: [],
+          stateMutability: 'nonpayable',
+          type: 'function',
+        },
+        [0]
+      )
+
+      await sendMetaTx(
+        committeeContract,
+        functionSignature,
+        anotherUser,
+        relayer,
+        null,
+        'Decentraland Collection Committee',
+        '1'
+      )
+
+      const hasVoted = await committeeContract.hasVoted(0, anotherUser)
+      expect(hasVoted).to.be.equal(true)
+
+      const isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(false)
+    })
+
+    it('should execute a proposal after lowering the quorum', async function () {
+      await propose(false, fromUser)
+
+      await committeeContract.setQuorum(1, fromOwner)
+
+      const { logs } = await committeeContract.executeProposal(0, fromUser)
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('ProposalExecuted')
+      expect(logs[0].args._proposalId).to.be.eq.BN(0)
+
+      const isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(false)
+    })
+
+    it('should list open proposals', async function () {
+      let openProposals = await committeeContract.getOpenProposals(0, 10)
+      expect(openProposals.length).to.be.equal(0)
+
+      await propose(false, fromUser)
+      await propose(true, fromAnotherUser)
+      await propose(false, fromAnotherUser)
+
+      openProposals = await committeeContract.getOpenProposals(0, 10)
+      expect(openProposals.map((id) => id.toNumber())).to.be.eql([0, 1, 2])
+
+      await committeeContract.vote(0, fromAnotherUser)
+
+      openProposals = await committeeContract.getOpenProposals(0, 10)
+      expect(openProposals.map((id) => id.toNumber())).to.be.eql([1, 2])
+
+      openProposals = await committeeContract.getOpenProposals(0, 2)
+      expect(openProposals.map((id) => id.toNumber())).to.be.eql([1])
+
+      openProposals = await committeeContract.getOpenProposals(2, 10)
+      expect(openProposals.map((id) => id.toNumber())).to.be.eql([2])
+
+      openProposals = await committeeContract.getOpenProposals(3, 10)
+      expect(openProposals.length).to.be.equal(0)
+
+      await increaseTime(duration.days(7))
+
+      openProposals = await committeeContract.getOpenProposals(0, 10)
+      expect(openProposals.length).to.be.equal(0)
+    })
+
+    it('should not count the votes of removed members', async function () {
+      await propose(false, fromUser)
+
+      await committeeContract.setMembers([user], [false], fromOwner)
+
+      expect(await committeeContract.getProposalVotes(0)).to.be.eq.BN(0)
+
+      const { logs } = await committeeContract.vote(0, fromAnotherUser)
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('ProposalVoted')
+      expect(logs[0].args._voter).to.be.equal(anotherUser)
+      expect(logs[0].args._votes).to.be.eq.BN(1)
+
+      let proposal = await committeeContract.proposals(0)
+      expect(proposal.votes).to.be.eq.BN(2)
+      expect(proposal.status).to.be.eq.BN(0)
+      expect(await committeeContract.getProposalVotes(0)).to.be.eq.BN(1)
+
+      await committeeContract.setMembers([user], [true], fromOwner)
+
+      expect(await committeeContract.getProposalVotes(0)).to.be.eq.BN(2)
+
+      await committeeContract.executeProposal(0, fromUser)
+
+      proposal = await committeeContract.proposals(0)
+      expect(proposal.status).to.be.eq.BN(1)
+
+      const isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(false)
+    })
+
+    it('should expire proposals', async function () {
+      await propose(false, fromUser)
+      await propose(false, fromAnotherUser)
+
+      await increaseTime(duration.days(7))
+
+      const { logs } = await committeeContract.expireProposals(
+        [0, 1],
+        fromHacker
+      )
+
+      expect(logs.length).to.be.equal(2)
+      expect(logs[0].event).to.be.equal('ProposalExpired')
+      expect(logs[0].args._proposalId).to.be.eq.BN(0)
+      expect(logs[1].event).to.be.equal('ProposalExpired')
+      expect(logs[1].args._proposalId).to.be.eq.BN(1)
+
+      const proposal = await committeeContract.proposals(0)
+      expect(proposal.status).to.be.eq.BN(2)
+
+      const isEditable = await collectionContract.isEditable()
+      expect(isEditable).to.be.equal(true)
+    })
+
+    it('reverts when trying to vote by not a committee member', async function () {
+      await propose(false, fromUser)
+
+      await assertRevert(
+        committeeContract.vote(0, fromHacker),
+        'Committee#vote: UNAUTHORIZED_SENDER'
+      )
+    })
+
+    it('reverts when trying to vote an invalid proposal', async function () {
+      await assertRevert(
+        committeeContract.vote(0, fromUser),
+        'Committee#vote: INVALID_PROPOSAL'
+      )
+    })
+
+    it('reverts when trying to vote twice', async function () {
+      await propose(false, fromUser)
+
+      await assertRevert(
+        committeeContract.vote(0, fromUser),
+        'Committee#vote: ALREADY_VOTED'
+      )
+    })
+
+    it('reverts when trying to vote an executed proposal', async function () {
+      await propose(false, fromUser)
+      await committeeContract.vote(0, fromAnotherUser)
+
+      await committeeContract.setMembers([owner], [true], fromOwner)
+
+      await assertRevert(
+        committeeContract.vote(0, fromOwner),
+        'Committee#vote: PROPOSAL_NOT_OPEN'
+      )
+    })
+
+    it('reverts when trying to vote an expired proposal', async function () {
+      await propose(false, fromUser)
+
+      await increaseTime(duration.days(7))
+
+      await assertRevert(
+        committeeContract.vote(0, fromAnotherUser),
+        'Committee#vote: PROPOSAL_EXPIRED'
+      )
+    })
+
+    it('reverts when the proposal execution fails', async function () {
+      await committeeContract.manageCollection(
+        collectionManagerContract.address,
+        forwarderContract.address,
+        collectionContract.address,
+        web3.eth.abi.encodeFunctionCall(
+          { ...SET_EDITABLE_ABI, name: 'unauthorizedMethod' },
+          [true]
+        ),
+        fromUser
+      )
+
+      await assertRevert(
+        committeeContract.vote(0, fromAnotherUser),
+        'CollectionManager#manageCollection: COMMITTEE_METHOD_NOT_ALLOWED'
+      )
+    })
+
+    it('reverts when trying to execute a proposal without quorum', async function () {
+      await propose(false, fromUser)
+
+      await assertRevert(
+        committeeContract.executeProposal(0, fromUser),
+        'Committee#executeProposal: QUORUM_NOT_REACHED'
+      )
+    })
+
+    it('reverts when trying to execute a proposal voted by removed members', async function () {
+      await propose(false, fromUser)
+      await committeeContract.setQuorum(1, fromOwner)
+      await committeeContract.setMembers([user], [false], fromOwner)
+
+      await assertRevert(
+        committeeContract.executeProposal(0, fromAnotherUser),
+        'Committee#executeProposal: QUORUM_NOT_REACHED'
+      )
+    })
+
+    it('reverts when trying to execute a proposal by not a committee member', async function () {
+      await propose(false, fromUser)
+      await committeeContract.setQuorum(1, fromOwner)
+
+      await assertRevert(
+        committeeContract.executeProposal(0, fromHacker),
+        'Committee#executeProposal: UNAUTHORIZED_SENDER'
+      )
+    })
+
+    it('reverts when trying to execute an expired proposal', async function () {
+      await propose(false, fromUser)
+      await committeeContract.setQuorum(1, fromOwner)
+
+      await increaseTime(duration.days(7))
+
+      await assertRevert(
+        committeeContract.executeProposal(0, fromUser),
+        'Committee#executeProposal: PROPOSAL_EXPIRED'
+      )
+    })
+
+    it('reverts when trying to expire an open proposal', async function () {
+      await propose(false, fromUser)
+
+      await assertRevert(
+        committeeContract.expireProposals([0], fromHacker),
+        'Committee#expireProposals: PROPOSAL_NOT_EXPIRED'
+      )
+    })
+
+    it('reverts when trying to expire an executed proposal', async function () {
+      await propose(false, fromUser)
+      await committeeContract.vote(0, fromAnotherUser)
+
+      await increaseTime(duration.days(7))
+
+      await assertRevert(
+        committeeContract.expireProposals([0], fromHacker),
+        'Committee#expireProposals: PROPOSAL_NOT_OPEN'
+      )
+    })
+
+    it('reverts when trying to expire an invalid proposal', async function () {
+      await assertRevert(
+        committeeContract.expireProposals([0], fromHacker),
+        'Committee#expireProposals: INVALID_PROPOSAL'
+      )
+    })
+  })
+
+  describe('reviews', async function () {
+    const REASON_URI = 'ipfs://QmReason'
+    const APPEAL_URI = 'ipfs://QmAppeal'
+
+    let collectionContract
+    let creator
+    let fromCreator
+    let fromAnotherUser
+
+    function review(approve, reasonCode, reasonURI, from) {
+      return committeeContract.reviewCollection(
+        collectionManagerContract.address,
+        forwarderContract.address,
+        collectionContract.address,
+        approve,
+        reasonCode,
+        reasonURI,
+        from
+      )
+    }
+
+    beforeEach(async () => {
+      creator = accounts[2]
+      fromCreator = { from: creator }
+      fromAnotherUser = { from: anotherUser }
+
+      await raritiesContract.updatePrices(
+        getRarityNames(),
+        Array(getInitialRarities().length).fill(0)
+      )
+
+      const { logs } = await collectionManagerContract.createCollection(
+        forwarderContract.address,
+        factoryContract.address,
+        web3.utils.randomHex(32),
+        'collectionName',
+        'collectionSymbol',
+        'collectionBaseURI',
+        creator,
+        ITEMS,
+        fromOwner
+      )
+      collectionContract = await ERC721CollectionV2.at(logs[0].address)
+    })
+
+    it('should review a collection with a reason', async function () {
+      const { logs } = await review(true, 0, REASON_URI, fromUser)
+
+      expect(logs.length).to.be.equal(4)
+      expect(logs[0].event).to.be.equal('ProposalCreated')
+      expect(logs[0].args._data).to.be.equal(
+        web3.eth.abi.encodeFunctionCall(
+          {
+            inputs: [
+              {
+                internalType: 'bool',
+                name: '_value',
+                type: 'bool',
+              },
+            ],
+            name: 'setApproved',
+            outputs: [],
+            stateMutability: 'nonpayable',
+            type: 'function',
+          },
+          [true]
+        )
+      )
+      expect(logs[2].event).to.be.equal('ProposalExecuted')
+
+      expect(logs[3].event).to.be.equal('CollectionReviewed')
+      expect(logs[3].args._collection).to.be.equal(collectionContract.address)
+      expect(logs[3].args._proposalId).to.be.eq.BN(0)
+      expect(logs[3].args._reviewer).to.be.equal(user)
+      expect(logs[3].args._reviewId).to.be.eq.BN(0)
+      expect(logs[3].args._approved).to.be.equal(true)
+      expect(logs[3].args._queued).to.be.equal(false)
+      expect(logs[3].args._actionId).to.be.eq.BN(0)
+      expect(logs[3].args._reasonCode).to.be.eq.BN(0)
+      expect(logs[3].args._reasonURI).to.be.equal(REASON_URI)
+
+      expect(await collectionContract.isApproved()).to.be.equal(true)
+
+      const reviews = await committeeContract.getCollectionReviews(
+        collectionContract.address
+      )
+      expect(reviews.length).to.be.equal(1)
+      expect(reviews[0].kind).to.be.eq.BN(0)
+      expect(reviews[0].author).to.be.equal(user)
+      expect(reviews[0].proposalId).to.be.eq.BN(0)
+      expect(reviews[0].queued).to.be.equal(false)
+      expect(reviews[0].reasonURI).to.be.equal(REASON_URI)
+    })
+
+    it('should add the review once the proposal is executed', async function () {
+      await committeeContract.setMembers([anotherUser], [true], fromOwner)
+      await committeeContract.setQuorum(2, fromOwner)
+
+      await review(true, 0, REASON_URI, fromUser)
+
+      const proposalReview = await committeeContract.proposalReviews(0)
+      expect(proposalReview.isReview).to.be.equal(true)
+      expect(proposalReview.approve).to.be.equal(true)
+      expect(proposalReview.reasonCode).to.be.eq.BN(0)
+      expect(proposalReview.reasonURI).to.be.equal(REASON_URI)
+
+      expect(
+        await committeeContract.collectionReviewsCount(
+          collectionContract.address
+        )
+      ).to.be.eq.BN(0)
+
+      const approval = await committeeContract.vote(0, fromAnotherUser)
+
+      let reviewed = approval.logs.find(
+        (log) => log.event === 'CollectionReviewed'
+      )
+      expect(reviewed.args._proposalId).to.be.eq.BN(0)
+      expect(reviewed.args._reviewer).to.be.equal(user)
+      expect(reviewed.args._reviewId).to.be.eq.BN(0)
+      expect(reviewed.args._approved).to.be.equal(true)
+
+      await review(false, 3, REASON_URI, fromAnotherUser)
+      const rejection = await committeeContract.vote(1, fromUser)
+
+      reviewed = rejection.logs.find(
+        (log) => log.event === 'CollectionReviewed'
+      )
+      expect(reviewed.args._proposalId).to.be.eq.BN(1)
+      expect(reviewed.args._reviewer).to.be.equal(anotherUser)
+      expect(reviewed.args._reviewId).to.be.eq.BN(1)
+      expect(reviewed.args._approved).to.be.equal(false)
+      expect(reviewed.args._reasonCode).to.be.eq.BN(3)
+
+      expect(await collectionContract.isApproved()).to.be.equal(false)
+
+      const reviews = await committeeContract.getCollectionReviews(
+        collectionContract.address
+      )
+      expect(reviews.map((r) => r.kind.toString())).to.be.eql(['0', '1'])
+      expect(reviews.map((r) => r.author)).to.be.eql([user, anotherUser])
+      expect(reviews.map((r) => r.proposalId.toString())).to.be.eql(['0', '1'])
+    })
+
+    it('should record the committee action of a queued review', async function () {
+      await collectionManagerContract.setCommitteeMethodsDelays(
+        [SET_APPROVE_COLLECTION_SELECTOR],
+        [duration.days(1)],
+        fromOwner
+      )
+
+      const { logs } = await review(true, 0, REASON_URI, fromUser)
+
+      const reviewed = logs.find((log) => log.event === 'CollectionReviewed')
+      expect(reviewed.args._proposalId).to.be.eq.BN(0)
+      expect(reviewed.args._approved).to.be.equal(true)
+      expect(reviewed.args._queued).to.be.equal(true)
+      expect(reviewed.args._actionId).to.be.eq.BN(0)
+
+      expect(await collectionContract.isApproved()).to.be.equal(false)
+
+      const reviews = await committeeContract.getCollectionReviews(
+        collectionContract.address
+      )
+      expect(reviews.length).to.be.equal(1)
+      expect(reviews[0].queued).to.be.equal(true)
+      expect(reviews[0].actionId).to.be.eq.BN(0)
+
+      await increaseTime(duration.days(1))
+      await collectionManagerContract.executeCommitteeAction(0, fromHacker)
+
+      expect(await collectionContract.isApproved()).to.be.equal(true)
+    })
+
+    it('should appeal a rejected collection', async function () {
+      await review(true, 0, '', fromUser)
+      await review(false, 1, REASON_URI, fromUser)
+
+      const { logs } = await committeeContract.appealCollection(
+        collectionContract.address,
+        APPEAL_URI,
+        fromCreator
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('CollectionAppealed')
+      expect(logs[0].args._collection).to.be.equal(collectionContract.address)
+      expect(logs[0].args._creator).to.be.equal(creator)
+      expect(logs[0].args._reviewId).to.be.eq.BN(2)
+      expect(logs[0].args._reasonURI).to.be.equal(APPEAL_URI)
+
+      const reviews = await committeeContract.getCollectionReviews(
+        collectionContract.address
+      )
+      expect(reviews.map((r) => r.kind.toString())).to.be.eql(['0', '1', '2'])
+
+      const appeal = await committeeContract.collectionReviews(
+        collectionContract.address,
+        2
+      )
+      expect(appeal.author).to.be.equal(creator)
+      expect(appeal.reasonCode).to.be.eq.BN(0)
+      expect(appeal.reasonURI).to.be.equal(APPEAL_URI)
+    })
+
+    it('should appeal a collection :: Relayed EIP721', async function () {
+      const functionSignature = web3.eth.abi.encodeFunctionCall(
+        {
+          inputs: [
+            {
+              internalType: 'address',
+              name: '_collection',
+              type: 'address',
+            },
+            {
+              internalType: 'string',
+              name: '_reasonURI',
+              type: 'string',
+            },
+          ],
+          name: 'appealCollection',
+          outputs: [],
+          stateMutability: 'nonpayable',
+          type: 'function',
+        },
+        [collectionContract.address, APPEAL_URI]
+      )
+
+      await sendMetaTx(
+        committeeContract,
+        functionSignature,
+        creator,
+        relayer,
+        null,
+        'Decentraland Collection Committee',
+        '1'
+      )
+
+      const reviews = await committeeContract.getCollectionReviews(
+        collectionContract.address
+      )
+      expect(reviews.length).to.be.equal(1)
+      expect(reviews[0].kind).to.be.eq.BN(2)
+      expect(reviews[0].author).to.be.equal(creator)
+    })
+
+    it('reverts when trying to review a collection by not a committee member', async function () {
+      await assertRevert(
+        review(true, 0, REASON_URI, fromHacker),
+        'Committee#reviewCollection: UNAUTHORIZED_SENDER'
+      )
+    })
+
+    it('reverts when trying to reject a collection without a reason', async function () {
+      await review(true, 0, '', fromUser)
+
+      await assertRevert(
+        review(false, 0, REASON_URI, fromUser),
+        'Committee#reviewCollection: EMPTY_REASON'
+      )
+    })
+
+    it('reverts when trying to approve or reject a collection with manageCollection', async function () {
+      for (const value of [true, false]) {
+        await assertRevert(
+          committeeContract.manageCollection(
+            collectionManagerContract.address,
+            forwarderContract.address,
+            collectionContract.address,
+            web3.eth.abi.encodeFunctionCall(
+              {
+                inputs: [
+                  {
+                    internalType: 'bool',
+                    name: '_value',
+                    type: 'bool',
+                  },
+                ],
+                name: 'setApproved',
+                outputs: [],
+                stateMutability: 'nonpayable',
+                type: 'function',
+              },
+              [value]
+            ),
+            fromUser
+          ),
+          'Committee#manageCollection: METHOD_NOT_ALLOWED'
+        )
+      }
+
+      expect(await committeeContract.proposalsCount()).to.be.eq.BN(0)
+    })
+
+    it('reverts when trying to appeal a collection by not its creator', async function () {
+      await assertRevert(
+        committeeContract.appealCollection(
+          collectionContract.address,
+          APPEAL_URI,
+          fromUser
+        ),
+        'Committee#appealCollection: UNAUTHORIZED_SENDER'
+      )
+    })
+
+    it('reverts when trying to appeal an approved collection', async function () {
+      await review(true, 0, '', fromUser)
+
+      await assertRevert(
+        committeeContract.appealCollection(
+          collectionContract.address,
+          APPEAL_URI,
+          fromCreator
+        ),
+        'Committee#appealCollection: COLLECTION_APPROVED'
+      )
+    })
+
+    it('reverts when trying to appeal a collection not created by the collection factory', async function () {
+      const anotherFactoryContract = await ERC721CollectionFactoryV2.new(
+        forwarderContract.address,
+        collectionImplementation.address
+      )
+
+      const { logs } = await collectionManagerContract.createCollection(
+        forwarderContract.address,
+        anotherFactoryContract.address,
+        web3.utils.randomHex(32),
+        'collectionName',
+        'collectionSymbol',
+        'collectionBaseURI',
+        creator,
+        ITEMS,
+        fromOwner
+      )
+
+      await assertRevert(
+        committeeContract.appealCollection(
+          logs[0].address,
+          APPEAL_URI,
+          fromCreator
+        ),
+        'Committee#appealCollection: INVALID_COLLECTION'
+      )
+    })
+
+    it('reverts when trying to appeal a collection with a too long reason URI', async function () {
+      const maxLength = await committeeContract.MAX_REASON_URI_LENGTH()
+      const reasonURI = 'ipfs://'.padEnd(maxLength.toNumber(), 'Q')
+
+      await committeeContract.appealCollection(
+        collectionContract.address,
+        reasonURI,
+        fromCreator
+      )
+
+      await assertRevert(
+        committeeContract.appealCollection(
+          collectionContract.address,
+          reasonURI + 'Q',
+          fromCreator
+        ),
+        'Committee#appealCollection: REASON_URI_TOO_LONG'
+      )
+    })
+  })
+
+  describe('roles', async function () {
+    let collectionContract
+    let fromAnotherUser
+
+    function encodeSetEditable(value) {
+      return web3.eth.abi.encodeFunctionCall(
+        {
+          inputs: [
+            {
+              internalType: 'bool',
+              name: '_value',
+              type: 'bool',
+            },
+          ],
+          name: 'setEditable',
+          outputs: [],
+          stateMutability: 'nonpayable',
+          type: 'function',
+        },
+        [value]
+      )
+    }
+
+    function propose(data, from) {
+      return committeeContract.manageCollection(
+        collectionManagerContract.address,
+        forwarderContract.address,
+        collectionContract.address,
+        data,
+        from
+      )
+    }
+
+    beforeEach(async () => {
+      fromAnotherUser = { from: anotherUser }
+
+      await raritiesContract.updatePrices(
+        getRarityNames(),
+        Array(getInitialRarities().length).fill(0)
+      )
+
+      const { logs } = await collectionManagerContract.createCollection(
+        forwarderContract.address,
+        factoryContract.address,
+        web3.utils.randomHex(32),
+        'collectionName',
+        'collectionSymbol',
+        'collectionBaseURI',
+        user,
+        ITEMS,
+        fromOwner
+      )
+      collectionContract = await ERC721CollectionV2.at(logs[0].address)
+
+      await committeeContract.setMembers([anotherUser], [true], fromOwner)
+      await committeeContract.setMethodRoles(
+        [
+          SET_APPROVE_COLLECTION_SELECTOR,
+          RESCUE_ITEMS_SELECTOR,
+          SET_EDITABLE_SELECTOR,
+        ],
+        [CURATOR_ROLE, RESCUER_ROLE, EDITOR_LOCK_ROLE],
+        fromOwner
+      )
+      await committeeContract.setRoles(
+        [anotherUser, user, user],
+        [CURATOR_ROLE, RESCUER_ROLE, EDITOR_LOCK_ROLE],
+        [true, true, true],
+        fromOwner
+      )
+    })
+
+    it('should manage a collection by a member with the method role', async function () {
+      await propose(encodeSetEditable(false), fromUser)
+
+      expect(await collectionContract.isEditable()).to.be.equal(false)
+    })
+
+    it('should manage a collection by any member if the method has no role', async function () {
+      await committeeContract.setMethodRoles(
+        [SET_EDITABLE_SELECTOR],
+        [ZERO_ROLE],
+        fromOwner
+      )
+
+      await propose(encodeSetEditable(false), fromAnotherUser)
+
+      expect(await collectionContract.isEditable()).to.be.equal(false)
+    })
+
+    it('should review a collection by a member with the method role', async function () {
+      await committeeContract.reviewCollection(
+        collectionManagerContract.address,
+        forwarderContract.address,
+        collectionContract.address,
+        true,
+        0,
+        '',
+        fromAnotherUser
+      )
+
+      expect(await collectionContract.isApproved()).to.be.equal(true)
+    })
+
+    it('should vote a proposal by a member with the method role', async function () {
+      await committeeContract.setRoles(
+        [anotherUser],
+        [EDITOR_LOCK_ROLE],
+        [true],
+        fromOwner
+      )
+      await committeeContract.setQuorum(2, fromOwner)
+
+      await propose(encodeSetEditable(false), fromUser)
+      await committeeContract.vote(0, fromAnotherUser)
+
+      expect(await collectionContract.isEditable()).to.be.equal(false)
+    })
+
+    it('reverts when trying to manage a collection without the method role', async function () {
+      await assertRevert(
+        propose(encodeSetEditable(false), fromAnotherUser),
+        'Committee#manageCollection: MISSING_ROLE'
+      )
+    })
+
+    it('reverts when trying to review a collection without the method role', async function () {
+      await assertRevert(
+        committeeContract.reviewCollection(
+          collectionManagerContract.address,
+          forwarderContract.address,
+          collectionContract.address,
+          true,
+          0,
+          '',
+          fromUser
+        ),
+        'Committee#reviewCollection: MISSING_ROLE'
+      )
+    })
+
+    it('reverts when trying to vote a proposal without the method role', async function () {
+      await committeeContract.setQuorum(2, fromOwner)
+
+      await propose(encodeSetEditable(false), fromUser)
+
+      await assertRevert(
+        committeeContract.vote(0, fromAnotherUser),
+        'Committee#vote: MISSING_ROLE'
+      )
+    })
+
+    it('reverts when trying to manage a collection by a removed member with the method role', async function () {
+      await committeeContract.setMembers([user], [false], fromOwner)
+
+      await assertRevert(
+        propose(encodeSetEditable(false), fromUser),
+        'Committee#manageCollection: UNAUTHORIZED_SENDER'
+      )
+    })
+  })
 })
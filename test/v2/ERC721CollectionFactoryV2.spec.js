@@ -8,6 +8,7 @@ import {
   RARITIES,
   ITEMS,
   getInitialRarities,
+  linkCollectionV2Libraries,
 } from '../helpers/collectionV2'
 
 const BN = web3.utils.BN
@@ -15,6 +16,13 @@ const expect = require('chai').use(require('bn-chai')(BN)).expect
 
 const ERC721CollectionFactoryV2 = artifacts.require('ERC721CollectionFactoryV2')
 const ERC721CollectionV2 = artifacts.require('ERC721CollectionV2')
+const ERC721CollectionRouterV2 = artifacts.require('ERC721CollectionRouterV2')
+const DummyERC721CollectionV2Upgrade = artifacts.require(
+  'DummyERC721CollectionV2Upgrade'
+)
+const DummyIncompatibleCollectionImplementation = artifacts.require(
+  'DummyIncompatibleCollectionImplementation'
+)
 const Rarities = artifacts.require('Rarities')
 
 describe('Factory V2', function () {
@@ -52,6 +60,7 @@ describe('Factory V2', function () {
       gasPrice: 21e9,
     }
 
+    await linkCollectionV2Libraries(ERC721CollectionV2)
     collectionImplementation = await ERC721CollectionV2.new()
 
     factoryContract = await ERC721CollectionFactoryV2.new(
@@ -75,16 +84,29 @@ describe('Factory V2', function () {
       const code = await contract.code()
       const codeHash = await contract.codeHash()
 
-      const expectedCode = `0x3d602d80600a3d3981f3363d3d373d3d3d363d73${collectionImpl.address.replace(
+      const implementation = await contract.implementations(0)
+      const implementationsSize = await contract.implementationsSize()
+
+      // Collections are clones of the router deployed by the factory
+      const expectedCode = `0x3d602d80600a3d3981f3363d3d373d3d3d363d73${impl.replace(
         '0x',
         ''
       )}5af43d82803e903d91602b57fd5bf3`
 
-      expect(impl).to.be.equal(collectionImpl.address)
+      expect(impl).to.not.be.equal(ZERO_ADDRESS)
+      expect(implementation).to.be.equal(collectionImpl.address)
+      expect(implementationsSize).to.be.eq.BN(1)
       expect(owner).to.be.equal(factoryOwner)
       expect(expectedCode.toLowerCase()).to.be.equal(code.toLowerCase())
       expect(web3.utils.soliditySha3(expectedCode)).to.be.equal(codeHash)
     })
+
+    it('reverts when deploying with an invalid implementation', async function () {
+      await assertRevert(
+        ERC721CollectionFactoryV2.new(factoryOwner, user),
+        'ERC721CollectionFactoryV2#_addImplementation: INVALID_IMPLEMENTATION'
+      )
+    })
   })
 
   describe('getAddress', function () {
@@ -155,7 +177,6 @@ describe('Factory V2', function () {
     const symbol = 'collectionSymbol'
     const shouldComplete = true
     const baseURI = 'collectionBaseURI'
-    const items = []
 
     it('should create a collection', async function () {
       const salt = web3.utils.randomHex(32)
@@ -213,6 +234,14 @@ describe('Factory V2', function () {
         expectedAddress
       )
       expect(isCollectionFromFactory).to.be.eq.BN(true)
+
+      const version = await factoryContract.collectionVersion(expectedAddress)
+      expect(version).to.be.eq.BN(0)
+
+      const implementation = await factoryContract.getCollectionImplementation(
+        expectedAddress
+      )
+      expect(implementation).to.be.equal(collectionImplementation.address)
     })
 
     it('should create a collection with items', async function () {
@@ -454,4 +483,485 @@ describe('Factory V2', function () {
       )
     })
   })
+
+  describe('collections enumeration', function () {
+    let collections
+
+    beforeEach(async function () {
+      collections = []
+
+      const options = [
+        { creator: user, shouldComplete: true, shouldApprove: true },
+        { creator: deployer, shouldComplete: false, shouldApprove: false },
+        {
+          creator: user,
+          shouldComplete: false,
+          shouldApprove: true,
+          items: [ITEMS[0]],
+        },
+      ]
+
+      for (const option of options) {
+        const { logs } = await factoryContract.createCollection(
+          web3.utils.randomHex(32),
+          getInitData({ ...option, rarities: raritiesContract.address }),
+          fromFactoryOwner
+        )
+
+        collections.push(await ERC721CollectionV2.at(logs[0].args._address))
+      }
+    })
+
+    async function expectSummary(summary, collection) {
+      expect(summary.collection).to.be.equal(collection.address)
+      expect(summary.creator).to.be.equal(await collection.creator())
+      expect(summary.isApproved).to.be.equal(await collection.isApproved())
+      expect(summary.isCompleted).to.be.equal(await collection.isCompleted())
+      expect(summary.itemsCount).to.be.eq.BN(await collection.itemsCount())
+      expect(summary.createdAt).to.be.eq.BN(await collection.createdAt())
+      expect(summary.version).to.be.eq.BN(
+        await factoryContract.collectionVersion(collection.address)
+      )
+    }
+
+    describe('getCollectionSummary', function () {
+      it('should get the summary of a collection', async function () {
+        const summary = await factoryContract.getCollectionSummary(
+          collections[1].address
+        )
+
+        await expectSummary(summary, collections[1])
+        expect(summary.creator).to.be.equal(deployer)
+        expect(summary.isApproved).to.be.equal(false)
+        expect(summary.isCompleted).to.be.equal(false)
+        expect(summary.itemsCount).to.be.eq.BN(ITEMS.length)
+      })
+
+      it('reverts when the collection is not from the factory', async function () {
+        await assertRevert(
+          factoryContract.getCollectionSummary(
+            collectionImplementation.address
+          ),
+          'ERC721CollectionFactoryV2#getCollectionSummary: INVALID_COLLECTION'
+        )
+      })
+    })
+
+    describe('getCollections', function () {
+      it('should get every collection', async function () {
+        const summaries = await factoryContract.getCollections(0, 10)
+
+        expect(summaries.length).to.be.equal(collections.length)
+
+        for (let i = 0; i < collections.length; i++) {
+          await expectSummary(summaries[i], collections[i])
+        }
+      })
+
+      it('should get collections by page', async function () {
+        let summaries = await factoryContract.getCollections(0, 2)
+        expect(summaries.length).to.be.equal(2)
+        await expectSummary(summaries[0], collections[0])
+        await expectSummary(summaries[1], collections[1])
+
+        summaries = await factoryContract.getCollections(2, 2)
+        expect(summaries.length).to.be.equal(1)
+        await expectSummary(summaries[0], collections[2])
+      })
+
+      it('should return an empty list when the page is out of range', async function () {
+        expect(
+          (await factoryContract.getCollections(3, 10)).length
+        ).to.be.equal(0)
+        expect(
+          (await factoryContract.getCollections(10, 10)).length
+        ).to.be.equal(0)
+        expect((await factoryContract.getCollections(0, 0)).length).to.be.equal(
+          0
+        )
+      })
+    })
+
+    describe('getCollectionsByCreator', function () {
+      it('should get the collections of a creator', async function () {
+        let summaries = await factoryContract.getCollectionsByCreator(
+          user,
+          0,
+          10
+        )
+        expect(summaries.length).to.be.equal(2)
+        await expectSummary(summaries[0], collections[0])
+        await expectSummary(summaries[1], collections[2])
+
+        summaries = await factoryContract.getCollectionsByCreator(
+          deployer,
+          0,
+          10
+        )
+        expect(summaries.length).to.be.equal(1)
+        await expectSummary(summaries[0], collections[1])
+
+        summaries = await factoryContract.getCollectionsByCreator(hacker, 0, 10)
+        expect(summaries.length).to.be.equal(0)
+      })
+
+      it('should get the collections of a creator by page', async function () {
+        let summaries = await factoryContract.getCollectionsByCreator(
+          user,
+          0,
+          2
+        )
+        expect(summaries.length).to.be.equal(1)
+        await expectSummary(summaries[0], collections[0])
+
+        summaries = await factoryContract.getCollectionsByCreator(user, 2, 2)
+        expect(summaries.length).to.be.equal(1)
+        await expectSummary(summaries[0], collections[2])
+
+        summaries = await factoryContract.getCollectionsByCreator(user, 3, 2)
+        expect(summaries.length).to.be.equal(0)
+      })
+
+      it('should filter by the current creator', async function () {
+        await collections[1].transferCreatorship(user, { from: deployer })
+
+        const summaries = await factoryContract.getCollectionsByCreator(
+          user,
+          0,
+          10
+        )
+        expect(summaries.length).to.be.equal(3)
+        expect(summaries[1].collection).to.be.equal(collections[1].address)
+      })
+    })
+  })
+
+  describe('addImplementation', function () {
+    it('should add an implementation version', async function () {
+      const salt = web3.utils.randomHex(32)
+      const data = getInitData({
+        creator: user,
+        shouldComplete: true,
+        isApproved: true,
+        rarities: raritiesContract.address,
+      })
+      let res = await factoryContract.createCollection(
+        salt,
+        data,
+        fromFactoryOwner
+      )
+      const oldCollection = res.logs[0].args._address
+
+      const newImplementation = await ERC721CollectionV2.new()
+
+      const { logs } = await factoryContract.addImplementation(
+        newImplementation.address,
+        fromFactoryOwner
+      )
+
+      expect(logs.length).to.be.equal(1)
+      expect(logs[0].event).to.be.equal('ImplementationAdded')
+      expect(logs[0].args._version).to.be.eq.BN(1)
+      expect(logs[0].args._implementation).to.be.equal(
+        newImplementation.address
+      )
+
+      expect(await factoryContract.implementationsSize()).to.be.eq.BN(2)
+      expect(await factoryContract.implementations(1)).to.be.equal(
+        newImplementation.address
+      )
+
+      // New collections use the new version
+      res = await factoryContract.createCollection(
+        web3.utils.randomHex(32),
+        data,
+        fromFactoryOwner
+      )
+      const newCollection = res.logs[0].args._address
+
+      expect(
+        await factoryContract.collectionVersion(newCollection)
+      ).to.be.eq.BN(1)
+      expect(
+        await factoryContract.getCollectionImplementation(newCollection)
+      ).to.be.equal(newImplementation.address)
+
+      // Old collections keep their version
+      expect(
+        await factoryContract.collectionVersion(oldCollection)
+      ).to.be.eq.BN(0)
+      expect(
+        await factoryContract.getCollectionImplementation(oldCollection)
+      ).to.be.equal(collectionImplementation.address)
+    })
+
+    it('reverts when adding an invalid implementation', async function () {
+      await assertRevert(
+        factoryContract.addImplementation(user, fromFactoryOwner),
+        'ERC721CollectionFactoryV2#_addImplementation: INVALID_IMPLEMENTATION'
+      )
+    })
+
+    it('reverts when trying to add an implementation by not the owner', async function () {
+      await assertRevert(
+        factoryContract.addImplementation(
+          collectionImplementation.address,
+          fromHacker
+        ),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('migration', function () {
+    let collection
+    let router
+    let upgradeImplementation
+
+    beforeEach(async function () {
+      const { logs } = await factoryContract.createCollection(
+        web3.utils.randomHex(32),
+        getInitData({
+          creator: user,
+          shouldComplete: true,
+          shouldApprove: true,
+          items: ITEMS,
+          rarities: raritiesContract.address,
+        }),
+        fromFactoryOwner
+      )
+
+      collection = await ERC721CollectionV2.at(logs[0].args._address)
+      router = await ERC721CollectionRouterV2.at(collection.address)
+
+      await linkCollectionV2Libraries(DummyERC721CollectionV2Upgrade)
+      upgradeImplementation = await DummyERC721CollectionV2Upgrade.new()
+
+      await factoryContract.addImplementation(
+        upgradeImplementation.address,
+        fromFactoryOwner
+      )
+    })
+
+    describe('requestMigration', function () {
+      it('should request a migration', async function () {
+        const { logs } = await factoryContract.requestMigration(
+          collection.address,
+          1,
+          fromUser
+        )
+
+        expect(logs.length).to.be.equal(1)
+        expect(logs[0].event).to.be.equal('MigrationRequested')
+        expect(logs[0].args._collection).to.be.equal(collection.address)
+        expect(logs[0].args._version).to.be.eq.BN(1)
+        expect(logs[0].args._creator).to.be.equal(user)
+
+        expect(
+          await factoryContract.migrationRequests(collection.address)
+        ).to.be.eq.BN(1)
+      })
+
+      it('should cancel a migration request', async function () {
+        await factoryContract.requestMigration(collection.address, 1, fromUser)
+
+        const { logs } = await factoryContract.requestMigration(
+          collection.address,
+          0,
+          fromUser
+        )
+
+        expect(logs[0].event).to.be.equal('MigrationRequested')
+        expect(logs[0].args._version).to.be.eq.BN(0)
+
+        expect(
+          await factoryContract.migrationRequests(collection.address)
+        ).to.be.eq.BN(0)
+      })
+
+      it('reverts when the collection is not from the factory', async function () {
+        await assertRevert(
+          factoryContract.requestMigration(
+            collectionImplementation.address,
+            1,
+            fromUser
+          ),
+          'ERC721CollectionFactoryV2#requestMigration: INVALID_COLLECTION'
+        )
+      })
+
+      it('reverts when the sender is not the creator', async function () {
+        await assertRevert(
+          factoryContract.requestMigration(collection.address, 1, fromHacker),
+          'ERC721CollectionFactoryV2#requestMigration: UNAUTHORIZED_SENDER'
+        )
+
+        await assertRevert(
+          factoryContract.requestMigration(
+            collection.address,
+            1,
+            fromFactoryOwner
+          ),
+          'ERC721CollectionFactoryV2#requestMigration: UNAUTHORIZED_SENDER'
+        )
+      })
+
+      it('reverts when the version does not exist', async function () {
+        await assertRevert(
+          factoryContract.requestMigration(collection.address, 2, fromUser),
+          'ERC721CollectionFactoryV2#requestMigration: INVALID_VERSION'
+        )
+      })
+
+      it('reverts when the version is not newer than the current one', async function () {
+        await factoryContract.requestMigration(collection.address, 1, fromUser)
+        await router.migrateToVersion(1, fromFactoryOwner)
+
+        await assertRevert(
+          factoryContract.requestMigration(collection.address, 1, fromUser),
+          'ERC721CollectionFactoryV2#requestMigration: INVALID_VERSION'
+        )
+      })
+    })
+
+    describe('migrateToVersion', function () {
+      it('should migrate a collection', async function () {
+        await collection.issueTokens([user], [0], fromUser)
+
+        await factoryContract.requestMigration(collection.address, 1, fromUser)
+
+        const { receipt } = await router.migrateToVersion(1, fromFactoryOwner)
+
+        const events = await factoryContract.getPastEvents(
+          'CollectionMigrated',
+          { fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber }
+        )
+        expect(events.length).to.be.equal(1)
+        expect(events[0].args._collection).to.be.equal(collection.address)
+        expect(events[0].args._oldVersion).to.be.eq.BN(0)
+        expect(events[0].args._newVersion).to.be.eq.BN(1)
+
+        expect(
+          await factoryContract.collectionVersion(collection.address)
+        ).to.be.eq.BN(1)
+        expect(
+          await factoryContract.migrationRequests(collection.address)
+        ).to.be.eq.BN(0)
+        expect(
+          await factoryContract.getCollectionImplementation(collection.address)
+        ).to.be.equal(upgradeImplementation.address)
+
+        // The collection runs the new code and keeps its state
+        const upgraded = await DummyERC721CollectionV2Upgrade.at(
+          collection.address
+        )
+        expect(await upgraded.version()).to.be.equal('2')
+        expect(await upgraded.creator()).to.be.equal(user)
+        expect(await upgraded.owner()).to.be.equal(factoryOwner)
+        expect(await upgraded.itemsCount()).to.be.eq.BN(ITEMS.length)
+        expect(await upgraded.balanceOf(user)).to.be.eq.BN(1)
+      })
+
+      it('reverts when the new implementation has an incompatible storage layout', async function () {
+        const incompatibleImplementation = await DummyIncompatibleCollectionImplementation.new()
+        await factoryContract.addImplementation(
+          incompatibleImplementation.address,
+          fromFactoryOwner
+        )
+
+        await factoryContract.requestMigration(collection.address, 2, fromUser)
+
+        await assertRevert(
+          router.migrateToVersion(2, fromFactoryOwner),
+          'ERC721CollectionFactoryV2#migrateCollection: INCOMPATIBLE_STORAGE_LAYOUT'
+        )
+
+        expect(
+          await factoryContract.collectionVersion(collection.address)
+        ).to.be.eq.BN(0)
+      })
+
+      it('reverts when the migration was not requested', async function () {
+        await assertRevert(
+          router.migrateToVersion(1, fromFactoryOwner),
+          'ERC721CollectionFactoryV2#migrateCollection: MIGRATION_NOT_REQUESTED'
+        )
+      })
+
+      it('reverts when migrating to a version different than the requested', async function () {
+        const anotherImplementation = await DummyERC721CollectionV2Upgrade.new()
+        await factoryContract.addImplementation(
+          anotherImplementation.address,
+          fromFactoryOwner
+        )
+
+        await factoryContract.requestMigration(collection.address, 2, fromUser)
+
+        await assertRevert(
+          router.migrateToVersion(1, fromFactoryOwner),
+          'ERC721CollectionFactoryV2#migrateCollection: MIGRATION_NOT_REQUESTED'
+        )
+      })
+
+      it('reverts when migrating a cancelled request', async function () {
+        await factoryContract.requestMigration(collection.address, 1, fromUser)
+        await factoryContract.requestMigration(collection.address, 0, fromUser)
+
+        await assertRevert(
+          router.migrateToVersion(1, fromFactoryOwner),
+          'ERC721CollectionFactoryV2#migrateCollection: MIGRATION_NOT_REQUESTED'
+        )
+
+        await assertRevert(
+          router.migrateToVersion(0, fromFactoryOwner),
+          'ERC721CollectionFactoryV2#migrateCollection: MIGRATION_NOT_REQUESTED'
+        )
+      })
+
+      it('reverts when the sender is not the collection owner', async function () {
+        await factoryContract.requestMigration(collection.address, 1, fromUser)
+
+        await assertRevert(
+          router.migrateToVersion(1, fromUser),
+          'ERC721CollectionRouterV2#migrateToVersion: UNAUTHORIZED_SENDER'
+        )
+
+        await assertRevert(
+          router.migrateToVersion(1, fromHacker),
+          'ERC721CollectionRouterV2#migrateToVersion: UNAUTHORIZED_SENDER'
+        )
+      })
+
+      it('reverts when migrating by calling the factory directly', async function () {
+        await factoryContract.requestMigration(collection.address, 1, fromUser)
+
+        await assertRevert(
+          factoryContract.migrateCollection(1, fromFactoryOwner),
+          'ERC721CollectionFactoryV2#migrateCollection: INVALID_COLLECTION'
+        )
+      })
+
+      it('should forward the value of payable calls', async function () {
+        await factoryContract.requestMigration(collection.address, 1, fromUser)
+        await router.migrateToVersion(1, fromFactoryOwner)
+
+        const upgraded = await DummyERC721CollectionV2Upgrade.at(
+          collection.address
+        )
+        await upgraded.deposit({ from: hacker, value: 1 })
+
+        expect(await web3.eth.getBalance(collection.address)).to.be.eq.BN(1)
+      })
+
+      it('reverts when setting the implementation by not the factory', async function () {
+        await assertRevert(
+          router.setCollectionImplementation(
+            upgradeImplementation.address,
+            fromFactoryOwner
+          ),
+          'ERC721CollectionRouterV2#setCollectionImplementation: UNAUTHORIZED_SENDER'
+        )
+      })
+    })
+  })
 })
@@ -8,6 +8,7 @@ import {
   GRACE_PERIOD,
   getInitialRarities,
   encodeTokenId,
+  linkCollectionV2Libraries,
 } from '../helpers/collectionV2'
 
 const ERC721CollectionV2 = artifacts.require('ERC721CollectionV2')
@@ -30,6 +31,10 @@ describe('Collection V2', function () {
   // issued id = 1
   const token3 = encodeTokenId(1, 1)
 
+  before(async function () {
+    await linkCollectionV2Libraries(ERC721CollectionV2)
+  })
+
   doTest(
     ERC721CollectionV2,
     async (
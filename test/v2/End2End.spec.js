@@ -9,6 +9,7 @@ import {
   RESCUE_ITEMS_SELECTOR,
   SET_APPROVE_COLLECTION_SELECTOR,
   SET_EDITABLE_SELECTOR,
+  linkCollectionV2Libraries,
 } from '../helpers/collectionV2'
 import { sendMetaTx } from '../helpers/metaTx'
 
@@ -95,6 +96,7 @@ describe('End 2 End: Approval Flow', function () {
       [true, true, true]
     )
 
+    await linkCollectionV2Libraries(ERC721CollectionV2)
     collectionImplementation = await ERC721CollectionV2.new()
 
     forwarderContract = await Forwarder.new(
@@ -192,26 +194,13 @@ describe('End 2 End: Approval Flow', function () {
         expect(isApproved).to.be.equal(false)
 
         // Approve collection
-        await committeeContract.manageCollection(
+        await committeeContract.reviewCollection(
           collectionManagerContract.address,
           forwarderContract.address,
           collectionContract.address,
-          web3.eth.abi.encodeFunctionCall(
-            {
-              inputs: [
-                {
-                  internalType: 'bool',
-                  name: '_value',
-                  type: 'bool',
-                },
-              ],
-              name: 'setApproved',
-              outputs: [],
-              stateMutability: 'nonpayable',
-              type: 'function',
-            },
-            [true]
-          ),
+          true,
+          0,
+          '',
           fromUser
         )
 
@@ -439,6 +428,11 @@ describe('End 2 End: Approval Flow', function () {
                     name: 'metadata',
                     type: 'string',
                   },
+                  {
+                    internalType: 'uint256',
+                    name: 'maxSupply',
+                    type: 'uint256',
+                  },
                 ],
                 internalType: 'struct IERC721CollectionV2.ItemParam[]',
                 name: '_items',
@@ -550,12 +544,22 @@ describe('End 2 End: Approval Flow', function () {
                 type: 'address',
               },
               {
-                internalType: 'bytes',
-                name: '_data',
-                type: 'bytes',
+                internalType: 'bool',
+                name: '_approve',
+                type: 'bool',
+              },
+              {
+                internalType: 'uint256',
+                name: '_reasonCode',
+                type: 'uint256',
+              },
+              {
+                internalType: 'string',
+                name: '_reasonURI',
+                type: 'string',
               },
             ],
-            name: 'manageCollection',
+            name: 'reviewCollection',
             outputs: [],
             stateMutability: 'nonpayable',
             type: 'function',
@@ -564,22 +568,9 @@ describe('End 2 End: Approval Flow', function () {
             collectionManagerContract.address,
             forwarderContract.address,
             collectionContract.address,
-            web3.eth.abi.encodeFunctionCall(
-              {
-                inputs: [
-                  {
-                    internalType: 'bool',
-                    name: '_value',
-                    type: 'bool',
-                  },
-                ],
-                name: 'setApproved',
-                outputs: [],
-                stateMutability: 'nonpayable',
-                type: 'function',
-              },
-              [true]
-            ),
+            true,
+            0,
+            '',
           ]
         )
 
@@ -0,0 +1,390 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import hr from 'hardhat'
+import { Mana } from 'decentraland-contract-plugins'
+
+import {
+  ITEMS,
+  RARITIES,
+  RESCUE_ITEMS_SELECTOR,
+  SET_APPROVE_COLLECTION_SELECTOR,
+  getInitialRarities,
+  getRarityNames,
+  linkCollectionV2Libraries,
+} from '../helpers/collectionV2'
+import { CollectionManager, Indexer, JsonFileStore } from '../../sdk'
+
+const BN = web3.utils.BN
+const expect = require('chai').use(require('bn-chai')(BN)).expect
+
+const ERC721CollectionFactoryV2 = artifacts.require('ERC721CollectionFactoryV2')
+const ERC721CollectionV2 = artifacts.require('ERC721CollectionV2')
+const Committee = artifacts.require('Committee')
+const CollectionManagerContract = artifacts.require('CollectionManager')
+const Forwarder = artifacts.require('Forwarder')
+const Rarities = artifacts.require('Rarities')
+const Store = artifacts.require('DummyCollectionStore')
+
+describe('Indexer', function () {
+  this.timeout(100000)
+
+  let manaContract
+  let factoryContract
+  let committeeContract
+  let managerContract
+  let forwarderContract
+  let storeContract
+  let collectionContract
+  let fromBlock
+
+  // Accounts
+  let accounts
+  let deployer
+  let user
+  let buyer
+  let feeOwner
+  let fromDeployer
+  let fromUser
+  let fromBuyer
+
+  function lower(address) {
+    return address.toLowerCase()
+  }
+
+  function createIndexer(options = {}) {
+    return new Indexer({
+      provider: web3,
+      factory: factoryContract.address,
+      stores: [storeContract.address],
+      committees: [committeeContract.address],
+      fromBlock,
+      ...options,
+    })
+  }
+
+  beforeEach(async function () {
+    accounts = await web3.eth.getAccounts()
+    deployer = accounts[0]
+    user = accounts[1]
+    buyer = accounts[2]
+    feeOwner = accounts[4]
+
+    fromDeployer = { from: deployer }
+    fromUser = { from: user }
+    fromBuyer = { from: buyer }
+
+    const mana = new Mana({ accounts, artifacts: hr.artifacts })
+    await mana.deploy({
+      txParams: { ...fromDeployer, gas: 6e6, gasPrice: 21e9 },
+    })
+    manaContract = mana.getContract()
+
+    const raritiesContract = await Rarities.new(deployer, getInitialRarities())
+    await raritiesContract.updatePrices(
+      getRarityNames(),
+      Array(getRarityNames().length).fill(0),
+      fromDeployer
+    )
+
+    committeeContract = await Committee.new(deployer, [user], fromDeployer)
+
+    managerContract = await CollectionManagerContract.new(
+      deployer,
+      manaContract.address,
+      committeeContract.address,
+      feeOwner,
+      raritiesContract.address,
+      [RESCUE_ITEMS_SELECTOR, SET_APPROVE_COLLECTION_SELECTOR],
+      [true, true]
+    )
+
+    forwarderContract = await Forwarder.new(
+      deployer,
+      managerContract.address,
+      fromDeployer
+    )
+
+    await linkCollectionV2Libraries(ERC721CollectionV2)
+    factoryContract = await ERC721CollectionFactoryV2.new(
+      forwarderContract.address,
+      (await ERC721CollectionV2.new()).address
+    )
+    await committeeContract.setCollectionFactory(
+      factoryContract.address,
+      fromDeployer
+    )
+
+    storeContract = await Store.new(
+      deployer,
+      manaContract.address,
+      feeOwner,
+      10000,
+      fromDeployer
+    )
+    await manaContract.approve(storeContract.address, -1, fromBuyer)
+
+    fromBlock = await web3.eth.getBlockNumber()
+
+    // Create a collection, approve it through the committee, and buy and issue tokens
+    const manager = new CollectionManager(managerContract.address, web3)
+    const { collection } = await manager.createCollection(
+      {
+        forwarder: forwarderContract.address,
+        factory: factoryContract.address,
+        salt: web3.utils.randomHex(32),
+        name: 'collectionName',
+        symbol: 'collectionSymbol',
+        baseURI: 'collectionBaseURI',
+        creator: user,
+        items: ITEMS,
+      },
+      { ...fromUser, gas: 9e6 }
+    )
+    collectionContract = await ERC721CollectionV2.at(collection)
+
+    await committeeContract.reviewCollection(
+      managerContract.address,
+      forwarderContract.address,
+      collectionContract.address,
+      true,
+      0,
+      '',
+      fromUser
+    )
+
+    await collectionContract.setMinters(
+      [storeContract.address],
+      [true],
+      fromUser
+    )
+
+    await storeContract.buy(
+      [
+        {
+          collection: collectionContract.address,
+          ids: [0, 6],
+          prices: [ITEMS[0][1], ITEMS[6][1]],
+          beneficiaries: [buyer, buyer],
+        },
+      ],
+      fromBuyer
+    )
+
+    await collectionContract.issueTokens([user], [1], fromUser)
+  })
+
+  describe('sync', function () {
+    it('should index collections, items, mints, purchases and proposals', async function () {
+      const indexer = createIndexer({ batchSize: 3 })
+
+      const { fromBlock: from, toBlock, removed } = await indexer.sync()
+      expect(from).to.be.equal(fromBlock)
+      expect(toBlock).to.be.equal(await web3.eth.getBlockNumber())
+      expect(removed).to.be.equal(0)
+
+      const collections = await indexer.getCollections()
+      expect(collections.length).to.be.equal(1)
+      expect(collections[0].address).to.be.equal(
+        lower(collectionContract.address)
+      )
+      expect(collections[0].creator).to.be.equal(lower(user))
+      expect(collections[0].isApproved).to.be.equal(true)
+      expect(collections[0].isCompleted).to.be.equal(true)
+      expect(collections[0].itemsCount).to.be.equal(ITEMS.length)
+      expect(collections[0].mintsCount).to.be.equal(3)
+      expect(collections[0].createdAt).to.be.eq.BN(
+        await collectionContract.createdAt()
+      )
+
+      expect(await indexer.getCollections({ creator: buyer })).to.be.eql([])
+      expect(
+        (await indexer.getCollections({ isApproved: true })).length
+      ).to.be.equal(1)
+
+      const items = await indexer.getItems(collectionContract.address)
+      expect(items.length).to.be.equal(ITEMS.length)
+
+      for (let i = 0; i < ITEMS.length; i++) {
+        const item = await collectionContract.items(i)
+
+        expect(items[i].itemId).to.be.equal(i.toString())
+        expect(items[i].rarity).to.be.equal(ITEMS[i][0])
+        expect(items[i].maxSupply).to.be.equal(
+          RARITIES[ITEMS[i][0]].value.toString()
+        )
+        expect(items[i].totalSupply).to.be.equal(item.totalSupply.toString())
+        expect(items[i].price).to.be.equal(ITEMS[i][1])
+        expect(items[i].metadata).to.be.equal(ITEMS[i][3])
+      }
+
+      const mints = await indexer.getMints({ beneficiary: buyer })
+      expect(mints.length).to.be.equal(2)
+      expect(mints.map((mint) => mint.itemId)).to.be.eql(['0', '6'])
+      expect(mints[0].caller).to.be.equal(lower(storeContract.address))
+      expect(await collectionContract.ownerOf(mints[0].tokenId)).to.be.equal(
+        buyer
+      )
+
+      expect(
+        (await indexer.getMints({ caller: user, itemId: 1 })).length
+      ).to.be.equal(1)
+
+      const purchases = await indexer.getPurchases({ beneficiary: buyer })
+      expect(purchases.length).to.be.equal(2)
+      expect(purchases[0].collection).to.be.equal(
+        lower(collectionContract.address)
+      )
+      expect(purchases[1].itemId).to.be.equal('6')
+      expect(purchases[1].price).to.be.equal(ITEMS[6][1])
+      expect(purchases[1].paymentToken).to.be.equal(null)
+
+      const proposals = await indexer.getProposals({
+        collection: collectionContract.address,
+      })
+      expect(proposals.length).to.be.equal(1)
+      expect(proposals[0].proposer).to.be.equal(lower(user))
+      expect(proposals[0].voters).to.be.eql([lower(user)])
+      expect(proposals[0].status).to.be.equal('executed')
+    })
+
+    it('should index only the new blocks', async function () {
+      const indexer = createIndexer()
+      await indexer.sync()
+
+      await collectionContract.issueTokens([buyer], [2], fromUser)
+
+      const { fromBlock: from, events } = await indexer.sync()
+      expect(from).to.be.equal(await web3.eth.getBlockNumber())
+      expect(events).to.be.equal(1)
+
+      expect((await indexer.getMints({ itemId: 2 })).length).to.be.equal(1)
+    })
+
+    it('should index burns', async function () {
+      const indexer = createIndexer()
+      await indexer.sync()
+
+      const [mint] = await indexer.getMints({ beneficiary: buyer, itemId: 0 })
+
+      await collectionContract.burn(mint.tokenId, fromBuyer)
+      await indexer.sync()
+
+      const burns = await indexer.getBurns({ owner: buyer })
+      expect(burns.length).to.be.equal(1)
+      expect(burns[0].tokenId).to.be.equal(mint.tokenId)
+      expect(burns[0].itemId).to.be.equal('0')
+      expect(burns[0].caller).to.be.equal(lower(buyer))
+
+      let items = await indexer.getItems(collectionContract.address)
+      expect(items[0].burnedSupply).to.be.equal('1')
+      expect(items[0].totalSupply).to.be.equal('1')
+
+      // Burns of reissuable items decrease the total supply
+      const [reissuableMint] = await indexer.getMints({
+        beneficiary: buyer,
+        itemId: 6,
+      })
+
+      await collectionContract.setItemsReissuable([6], [true], fromUser)
+      await collectionContract.burn(reissuableMint.tokenId, fromBuyer)
+      await indexer.sync()
+
+      items = await indexer.getItems(collectionContract.address)
+      expect(items[6].isReissuable).to.be.equal(true)
+      expect(items[6].burnedSupply).to.be.equal('1')
+      expect(items[6].totalSupply).to.be.equal(
+        (await collectionContract.items(6)).totalSupply.toString()
+      )
+      expect(items[6].totalSupply).to.be.equal('0')
+    })
+
+    it('should index reviews and appeals', async function () {
+      await committeeContract.reviewCollection(
+        managerContract.address,
+        forwarderContract.address,
+        collectionContract.address,
+        false,
+        1,
+        'ipfs://QmReason',
+        fromUser
+      )
+      await committeeContract.appealCollection(
+        collectionContract.address,
+        'ipfs://QmAppeal',
+        fromUser
+      )
+
+      const indexer = createIndexer()
+      await indexer.sync()
+
+      const reviews = await indexer.getReviews({
+        collection: collectionContract.address,
+      })
+      expect(reviews.length).to.be.equal(3)
+      expect(reviews.map((review) => review.kind)).to.be.eql([
+        'approval',
+        'rejection',
+        'appeal',
+      ])
+      expect(reviews.map((review) => review.reviewId)).to.be.eql([
+        '0',
+        '1',
+        '2',
+      ])
+      expect(reviews[1].author).to.be.equal(lower(user))
+      expect(reviews[1].proposalId).to.be.equal('1')
+      expect(reviews[1].queued).to.be.equal(false)
+      expect(reviews[1].actionId).to.be.equal(null)
+      expect(reviews[1].reasonCode).to.be.equal('1')
+      expect(reviews[1].reasonURI).to.be.equal('ipfs://QmReason')
+      expect(reviews[2].proposalId).to.be.equal(null)
+      expect(reviews[2].reasonURI).to.be.equal('ipfs://QmAppeal')
+
+      const [collection] = await indexer.getCollections()
+      expect(collection.isApproved).to.be.equal(false)
+    })
+
+    it('should handle reorgs', async function () {
+      const indexer = createIndexer()
+
+      const snapshotId = await hr.network.provider.send('evm_snapshot')
+
+      await collectionContract.issueTokens([buyer], [2], fromUser)
+      await indexer.sync()
+      expect((await indexer.getMints({ itemId: 2 })).length).to.be.equal(1)
+
+      // Replace the last block with another one
+      await hr.network.provider.send('evm_revert', [snapshotId])
+      await collectionContract.issueTokens([buyer], [3], fromUser)
+
+      const { removed, events } = await indexer.sync()
+      expect(removed).to.be.equal(1)
+      expect(events).to.be.equal(1)
+
+      expect((await indexer.getMints({ itemId: 2 })).length).to.be.equal(0)
+      expect((await indexer.getMints({ itemId: 3 })).length).to.be.equal(1)
+    })
+
+    it('should persist the state in a JSON file', async function () {
+      const file = path.join(
+        os.tmpdir(),
+        `indexer-${web3.utils.randomHex(8)}.json`
+      )
+
+      try {
+        await createIndexer({ store: new JsonFileStore(file) }).sync()
+
+        const indexer = createIndexer({ store: new JsonFileStore(file) })
+        expect((await indexer.getMints()).length).to.be.equal(3)
+
+        const { events } = await indexer.sync()
+        expect(events).to.be.equal(0)
+      } finally {
+        if (fs.existsSync(file)) {
+          fs.unlinkSync(file)
+        }
+      }
+    })
+  })
+})
@@ -0,0 +1,249 @@
+import assertRevert from '../helpers/assertRevert'
+import {
+  ITEMS,
+  getInitialRarities,
+  createDummyFactory,
+  createDummyCollection,
+} from '../helpers/collectionV2'
+const ItemMetadataValidator = artifacts.require('ItemMetadataValidator')
+const Rarities = artifacts.require('Rarities')
+
+const expect = require('chai').expect
+
+const CATEGORIES = ['hat', 'mask']
+const BODY_SHAPES = ['female', 'male']
+
+describe('ItemMetadataValidator', function () {
+  this.timeout(100000)
+
+  // Accounts
+  let accounts
+  let deployer
+  let user
+  let hacker
+  let fromHacker
+  let fromDeployer
+
+  // Contracts
+  let validatorContract
+
+  beforeEach(async function () {
+    accounts = await web3.eth.getAccounts()
+    deployer = accounts[0]
+    user = accounts[1]
+    hacker = accounts[3]
+    fromHacker = { from: hacker }
+    fromDeployer = { from: deployer }
+
+    validatorContract = await ItemMetadataValidator.new(
+      deployer,
+      CATEGORIES,
+      BODY_SHAPES
+    )
+  })
+
+  describe('initialize', function () {
+    it('should be initialized with correct values', async function () {
+      const contract = await ItemMetadataValidator.new(
+        user,
+        CATEGORIES,
+        BODY_SHAPES
+      )
+
+      expect(await contract.owner()).to.be.equal(user)
+
+      for (const category of CATEGORIES) {
+        expect(await contract.isValidCategory(category)).to.be.equal(true)
+      }
+
+      for (const bodyShape of BODY_SHAPES) {
+        expect(await contract.isValidBodyShape(bodyShape)).to.be.equal(true)
+      }
+
+      expect(await contract.isValidCategory('shoes')).to.be.equal(false)
+      expect(await contract.isValidBodyShape('unisex')).to.be.equal(false)
+    })
+
+    it('reverts when initializing with an empty category', async function () {
+      await assertRevert(
+        ItemMetadataValidator.new(deployer, ['hat', ''], BODY_SHAPES),
+        'ItemMetadataValidator#_setCategory: EMPTY_CATEGORY'
+      )
+    })
+
+    it('reverts when initializing with an empty body shape', async function () {
+      await assertRevert(
+        ItemMetadataValidator.new(deployer, CATEGORIES, ['']),
+        'ItemMetadataValidator#_setBodyShape: EMPTY_BODY_SHAPE'
+      )
+    })
+  })
+
+  describe('setCategories', function () {
+    it('should set categories', async function () {
+      const { logs } = await validatorContract.setCategories(
+        ['shoes', 'hat'],
+        [true, false],
+        fromDeployer
+      )
+
+      expect(logs.length).to.be.equal(2)
+      expect(logs[0].event).to.be.equal('SetCategory')
+      expect(logs[0].args._category).to.be.equal('shoes')
+      expect(logs[0].args._value).to.be.equal(true)
+      expect(logs[1].event).to.be.equal('SetCategory')
+      expect(logs[1].args._category).to.be.equal('hat')
+      expect(logs[1].args._value).to.be.equal(false)
+
+      expect(await validatorContract.isValidCategory('shoes')).to.be.equal(true)
+      expect(await validatorContract.isValidCategory('hat')).to.be.equal(false)
+    })
+
+    it('reverts when params mismatch', async function () {
+      await assertRevert(
+        validatorContract.setCategories(['shoes'], [true, false], fromDeployer),
+        'ItemMetadataValidator#setCategories: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when setting an empty category', async function () {
+      await assertRevert(
+        validatorContract.setCategories([''], [true], fromDeployer),
+        'ItemMetadataValidator#_setCategory: EMPTY_CATEGORY'
+      )
+    })
+
+    it('reverts when trying to set categories by hacker', async function () {
+      await assertRevert(
+        validatorContract.setCategories(['shoes'], [true], fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('setBodyShapes', function () {
+    it('should set body shapes', async function () {
+      const { logs } = await validatorContract.setBodyShapes(
+        ['unisex', 'male'],
+        [true, false],
+        fromDeployer
+      )
+
+      expect(logs.length).to.be.equal(2)
+      expect(logs[0].event).to.be.equal('SetBodyShape')
+      expect(logs[0].args._bodyShape).to.be.equal('unisex')
+      expect(logs[0].args._value).to.be.equal(true)
+      expect(logs[1].event).to.be.equal('SetBodyShape')
+      expect(logs[1].args._bodyShape).to.be.equal('male')
+      expect(logs[1].args._value).to.be.equal(false)
+
+      expect(await validatorContract.isValidBodyShape('unisex')).to.be.equal(
+        true
+      )
+      expect(await validatorContract.isValidBodyShape('male')).to.be.equal(
+        false
+      )
+    })
+
+    it('reverts when params mismatch', async function () {
+      await assertRevert(
+        validatorContract.setBodyShapes(['unisex'], [], fromDeployer),
+        'ItemMetadataValidator#setBodyShapes: LENGTH_MISMATCH'
+      )
+    })
+
+    it('reverts when setting an empty body shape', async function () {
+      await assertRevert(
+        validatorContract.setBodyShapes([''], [true], fromDeployer),
+        'ItemMetadataValidator#_setBodyShape: EMPTY_BODY_SHAPE'
+      )
+    })
+
+    it('reverts when trying to set body shapes by hacker', async function () {
+      await assertRevert(
+        validatorContract.setBodyShapes(['unisex'], [true], fromHacker),
+        'Ownable: caller is not the owner'
+      )
+    })
+  })
+
+  describe('isValid', function () {
+    it('should accept well formed metadata', async function () {
+      for (const metadata of [
+        '1:bird_mask:hat:female,male',
+        '12:crocodile_mask:mask:male',
+        '1:turtle_mask:hat:female',
+      ]) {
+        expect(await validatorContract.isValid(metadata)).to.be.equal(true)
+      }
+    })
+
+    it('should reject malformed metadata', async function () {
+      for (const metadata of [
+        '',
+        'bird_mask',
+        '1:bird_mask:hat',
+        '1:bird_mask:hat:female,male:extra',
+        ':bird_mask:hat:female,male',
+        'v1:bird_mask:hat:female,male',
+        '1::hat:female,male',
+        '1:bird_mask:shoes:female,male',
+        '1:bird_mask::female,male',
+        '1:bird_mask:hat:',
+        '1:bird_mask:hat:female,',
+        '1:bird_mask:hat:female,unisex',
+      ]) {
+        expect(await validatorContract.isValid(metadata)).to.be.equal(false)
+      }
+    })
+  })
+
+  describe('parse', function () {
+    it('should parse a metadata', async function () {
+      const metadata = await validatorContract.parse(
+        '1:bird_mask:hat:female,male'
+      )
+
+      expect(metadata.version).to.be.equal('1')
+      expect(metadata.name).to.be.equal('bird_mask')
+      expect(metadata.category).to.be.equal('hat')
+      expect(metadata.bodyShapes).to.be.eql(['female', 'male'])
+    })
+
+    it('reverts when the metadata has not the correct amount of fields', async function () {
+      await assertRevert(
+        validatorContract.parse('1:bird_mask:hat'),
+        'ItemMetadataValidator#parse: INVALID_METADATA'
+      )
+    })
+  })
+
+  describe('getItemMetadata', function () {
+    it('should get the parsed metadata of an item', async function () {
+      const raritiesContract = await Rarities.new(
+        deployer,
+        getInitialRarities()
+      )
+      const factory = await createDummyFactory(deployer)
+      const collection = await createDummyCollection(factory, {
+        creator: user,
+        items: ITEMS,
+        shouldComplete: true,
+        rarities: raritiesContract.address,
+      })
+
+      for (let i = 0; i < ITEMS.length; i++) {
+        const [version, name, category, bodyShapes] = ITEMS[i][3].split(':')
+        const metadata = await validatorContract.getItemMetadata(
+          collection.address,
+          i
+        )
+
+        expect(metadata.version).to.be.equal(version)
+        expect(metadata.name).to.be.equal(name)
+        expect(metadata.category).to.be.equal(category)
+        expect(metadata.bodyShapes).to.be.eql(bodyShapes.split(','))
+      }
+    })
+  })
+})
@@ -0,0 +1,1443 @@
+import hr from 'hardhat'
+import { Mana } from 'decentraland-contract-plugins'
+
+import assertRevert from '../helpers/assertRevert'
+import { increaseTime, duration } from '../helpers/increase'
+import {
+  ITEMS,
+  RARITIES,
+  BENEFICIARY_ADDRESS,
+  DEFAULT_RARITY_PRICE,
+  RESCUE_ITEMS_SELECTOR,
+  SET_APPROVE_COLLECTION_SELECTOR,
+  getInitialRarities,
+  createDummyFactory,
+  createDummyCollection,
+  encodeTokenId,
+  linkCollectionV2Libraries,
+  MAX_UINT256,
+} from '../helpers/collectionV2'
+import {
+  CollectionV2,
+  CollectionFactoryV2,
+  CollectionManager,
+  CollectionStore,
+  CollectionCrafting,
+  BurningStoreV2,
+  CollectionMarketplace,
+  ItemMetadataValidator as ItemMetadataValidatorClient,
+  Rarities as RaritiesClient,
+  DOMAINS,
+  getDomainSeparator,
+  sendMetaTx,
+  encodeTokenId as sdkEncodeTokenId,
+  decodeTokenId as sdkDecodeTokenId,
+  createAllowlist,
+  signVoucher,
+  NATIVE_TOKEN,
+  createSignedOrder,
+  signOrder,
+  hashSignedOrder,
+  validateSignedOrder,
+} from '../../sdk'
+
+const BN = web3.utils.BN
+const expect = require('chai').use(require('bn-chai')(BN)).expect
+
+const ERC721CollectionFactoryV2 = artifacts.require('ERC721CollectionFactoryV2')
+const ERC721CollectionV2 = artifacts.require('ERC721CollectionV2')
+const Committee = artifacts.require('Committee')
+const CollectionManagerContract = artifacts.require('CollectionManager')
+const Forwarder = artifacts.require('Forwarder')
+const Rarities = artifacts.require('Rarities')
+const ItemMetadataValidator = artifacts.require('ItemMetadataValidator')
+const Store = artifacts.require('DummyCollectionStore')
+const Crafting = artifacts.require('DummyCollectionCrafting')
+const BurningStore = artifacts.require('DummyBurningStoreV2')
+const Marketplace = artifacts.require('DummyCollectionMarketplace')
+const ERC20 = artifacts.require('DummyERC20')
+
+const PROVIDERS = {
+  web3: async () => web3,
+  ethers: async (account) => hr.ethers.getSigner(account),
+}
+
+describe('SDK', function () {
+  const FEE = web3.utils.toBN(10000)
+
+  let manaContract
+  let raritiesContract
+  let collectionContract
+  let storeContract
+
+  // Accounts
+  let accounts
+  let deployer
+  let user
+  let buyer
+  let relayer
+  let feeOwner
+  let fromDeployer
+  let fromBuyer
+
+  beforeEach(async function () {
+    accounts = await web3.eth.getAccounts()
+    deployer = accounts[0]
+    user = accounts[1]
+    buyer = accounts[2]
+    relayer = accounts[3]
+    feeOwner = accounts[4]
+
+    fromDeployer = { from: deployer }
+    fromBuyer = { from: buyer }
+
+    const mana = new Mana({ accounts, artifacts: hr.artifacts })
+    await mana.deploy({
+      txParams: { ...fromDeployer, gas: 6e6, gasPrice: 21e9 },
+    })
+    manaContract = mana.getContract()
+
+    raritiesContract = await Rarities.new(deployer, getInitialRarities())
+
+    const factory = await createDummyFactory(deployer)
+    collectionContract = await createDummyCollection(factory, {
+      creator: deployer,
+      shouldComplete: true,
+      shouldApprove: true,
+      rarities: raritiesContract.address,
+    })
+
+    storeContract = await Store.new(
+      deployer,
+      manaContract.address,
+      feeOwner,
+      FEE,
+      fromDeployer
+    )
+
+    await manaContract.approve(storeContract.address, -1, fromBuyer)
+  })
+
+  describe('utils', function () {
+    it('should encode and decode token ids as the collection does', async function () {
+      const ids = [
+        [0, 1],
+        [1, 10],
+        [RARITIES.common.index, RARITIES.common.value],
+        ['1099511627775', '1'],
+      ]
+
+      for (const [itemId, issuedId] of ids) {
+        const tokenId = sdkEncodeTokenId(itemId, issuedId)
+        expect(tokenId).to.be.eq.BN(
+          await collectionContract.encodeTokenId(itemId, issuedId)
+        )
+
+        const [decodedItemId, decodedIssuedId] = sdkDecodeTokenId(tokenId)
+        expect(decodedItemId).to.be.eq.BN(itemId)
+        expect(decodedIssuedId).to.be.eq.BN(issuedId)
+      }
+    })
+
+    it('should get the domain separator', async function () {
+      const chainId = await collectionContract.getChainId()
+
+      const domainSeparator = getDomainSeparator({
+        ...DOMAINS.CollectionV2,
+        verifyingContract: collectionContract.address,
+        chainId,
+      })
+
+      expect(domainSeparator).to.be.equal(
+        await collectionContract.domainSeparator()
+      )
+    })
+
+    it('reverts when encoding invalid token ids', async function () {
+      expect(() => sdkEncodeTokenId('1099511627776', 1)).to.throw(
+        'encodeTokenId: INVALID_ITEM_ID'
+      )
+    })
+  })
+
+  for (const providerType of Object.keys(PROVIDERS)) {
+    describe(`with ${providerType}`, function () {
+      let getProvider
+
+      beforeEach(async function () {
+        getProvider = PROVIDERS[providerType]
+      })
+
+      describe('CollectionV2', function () {
+        it('should get items and status', async function () {
+          const collection = new CollectionV2(
+            collectionContract.address,
+            await getProvider(deployer)
+          )
+
+          expect(await collection.itemsCount()).to.be.eq.BN(ITEMS.length)
+          expect(await collection.creator()).to.be.equal(deployer)
+
+          const items = await collection.getItems()
+          expect(items.length).to.be.equal(ITEMS.length)
+
+          for (let i = 0; i < ITEMS.length; i++) {
+            expect(items[i].rarity).to.be.equal(ITEMS[i][0])
+            expect(items[i].maxSupply).to.be.eq.BN(RARITIES[ITEMS[i][0]].value)
+            expect(items[i].totalSupply).to.be.eq.BN(0)
+            expect(items[i].price).to.be.eq.BN(ITEMS[i][1])
+            expect(items[i].beneficiary.toLowerCase()).to.be.equal(
+              ITEMS[i][2].toLowerCase()
+            )
+            expect(items[i].metadata).to.be.equal(ITEMS[i][3])
+            expect(items[i].contentHash).to.be.equal('')
+          }
+
+          expect(await collection.getStatus()).to.be.eql({
+            isApproved: true,
+            isCompleted: true,
+            isEditable: true,
+            isMintingAllowed: true,
+          })
+        })
+
+        it('should issue tokens', async function () {
+          const collection = new CollectionV2(
+            collectionContract.address,
+            await getProvider(deployer)
+          )
+
+          const { events } = await collection.issueTokens(
+            [user, user],
+            [0, 1],
+            fromDeployer
+          )
+
+          const issues = events.filter(({ event }) => event === 'Issue')
+          expect(issues.length).to.be.equal(2)
+          expect(issues[0].args._beneficiary).to.be.equal(user)
+          expect(issues[0].args._tokenId.toString()).to.be.eq.BN(
+            encodeTokenId(0, 1)
+          )
+          expect(issues[1].args._itemId.toString()).to.be.eq.BN(1)
+
+          expect(await collection.ownerOf(encodeTokenId(1, 1))).to.be.equal(
+            user
+          )
+          expect(await collection.balanceOf(user)).to.be.eq.BN(2)
+          expect((await collection.getItem(0)).totalSupply).to.be.eq.BN(1)
+        })
+
+        it('should set minters and get the mint allowance', async function () {
+          const collection = new CollectionV2(
+            collectionContract.address,
+            await getProvider(deployer)
+          )
+
+          expect(await collection.getMintAllowance(0, user)).to.be.eq.BN(0)
+
+          await collection.setItemsMinters([0], [user], [2], fromDeployer)
+          expect(await collection.getMintAllowance(0, user)).to.be.eq.BN(2)
+
+          const minter = new CollectionV2(
+            collectionContract.address,
+            await getProvider(user)
+          )
+          await minter.issueTokens([user], [0], { from: user })
+          expect(await collection.getMintAllowance(0, user)).to.be.eq.BN(1)
+        })
+
+        it('should lower items max supply', async function () {
+          const collection = new CollectionV2(
+            collectionContract.address,
+            await getProvider(deployer)
+          )
+
+          const { events } = await collection.setItemsMaxSupply(
+            [6],
+            [50],
+            fromDeployer
+          )
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'SetItemMaxSupply',
+          ])
+
+          expect((await collection.getItem(6)).maxSupply).to.be.eq.BN(50)
+        })
+
+        it('should burn tokens and get the items burns', async function () {
+          const collection = new CollectionV2(
+            collectionContract.address,
+            await getProvider(deployer)
+          )
+
+          await collection.issueTokens(
+            [deployer, deployer, deployer],
+            [0, 0, 1],
+            fromDeployer
+          )
+
+          let { events } = await collection.burn(
+            [encodeTokenId(0, 1)],
+            fromDeployer
+          )
+          expect(
+            events.filter(({ event }) => event === 'Burn').length
+          ).to.be.equal(1)
+
+          events = (
+            await collection.burn(
+              [encodeTokenId(0, 2), encodeTokenId(1, 1)],
+              fromDeployer
+            )
+          ).events
+          expect(
+            events.filter(({ event }) => event === 'Burn').length
+          ).to.be.equal(2)
+
+          expect(await collection.balanceOf(deployer)).to.be.eq.BN(0)
+          expect(await collection.getItemBurns(0)).to.be.eql({
+            burnedSupply: '2',
+            isReissuable: false,
+          })
+
+          await collection.setItemsReissuable([1], [true], fromDeployer)
+          expect(await collection.getItemBurns(1)).to.be.eql({
+            burnedSupply: '1',
+            isReissuable: true,
+          })
+        })
+
+        it('should set and get items mint windows', async function () {
+          const collection = new CollectionV2(
+            collectionContract.address,
+            await getProvider(deployer)
+          )
+
+          expect(await collection.getItemMintWindow(0)).to.be.eql({
+            startTime: '0',
+            endTime: '0',
+          })
+
+          const { events } = await collection.setItemsMintWindows(
+            [0],
+            [1000],
+            [2000],
+            fromDeployer
+          )
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'SetItemMintWindow',
+          ])
+
+          expect(await collection.getItemMintWindow(0)).to.be.eql({
+            startTime: '1000',
+            endTime: '2000',
+          })
+        })
+
+        it('should set royalties and get the royalty info', async function () {
+          const collection = new CollectionV2(
+            collectionContract.address,
+            await getProvider(deployer)
+          )
+
+          await collection.setDefaultRoyalty(user, 1000, fromDeployer)
+          await collection.setItemsRoyalties(
+            [1],
+            [relayer],
+            [500],
+            fromDeployer
+          )
+
+          expect(
+            await collection.getRoyaltyInfo(encodeTokenId(0, 1), 1000)
+          ).to.be.eql({ receiver: user, royaltyAmount: '100' })
+          expect(
+            await collection.getRoyaltyInfo(encodeTokenId(1, 1), 1000)
+          ).to.be.eql({ receiver: relayer, royaltyAmount: '50' })
+
+          await collection.setItemsRoyalties([0], [relayer], [0], fromDeployer)
+          await collection.removeItemsRoyalties([1], fromDeployer)
+
+          expect(
+            await collection.getRoyaltyInfo(encodeTokenId(0, 1), 1000)
+          ).to.be.eql({ receiver: relayer, royaltyAmount: '0' })
+          expect(
+            await collection.getRoyaltyInfo(encodeTokenId(1, 1), 1000)
+          ).to.be.eql({ receiver: user, royaltyAmount: '100' })
+        })
+
+        it('should send a meta transaction', async function () {
+          const collection = new CollectionV2(
+            collectionContract.address,
+            await getProvider(deployer)
+          )
+
+          const { events } = await sendMetaTx(
+            collection,
+            DOMAINS.CollectionV2,
+            collection.encode('setMinters', [[user], [true]]),
+            deployer,
+            await getProvider(relayer),
+            { from: relayer }
+          )
+
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'MetaTransactionExecuted',
+            'SetGlobalMinter',
+          ])
+          expect(await collectionContract.globalMinters(user)).to.be.equal(true)
+        })
+
+        it('reverts when issuing tokens without permission', async function () {
+          const collection = new CollectionV2(
+            collectionContract.address,
+            await getProvider(user)
+          )
+
+          await assertRevert(
+            collection.issueTokens([user], [0], { from: user }),
+            '_issueToken: CALLER_CAN_NOT_MINT'
+          )
+        })
+      })
+
+      describe('Rarities', function () {
+        it('should get rarities', async function () {
+          const rarities = new RaritiesClient(
+            raritiesContract.address,
+            await getProvider(deployer)
+          )
+
+          const expectedRarities = getInitialRarities()
+          expect(await rarities.getRarities()).to.be.eql(
+            expectedRarities.map(([name, maxSupply, price]) => ({
+              name,
+              maxSupply: maxSupply.toString(),
+              price,
+            }))
+          )
+
+          expect(await rarities.getRarityByName('LEGENDARY')).to.be.eql({
+            name: RARITIES.legendary.name,
+            maxSupply: RARITIES.legendary.value.toString(),
+            price: DEFAULT_RARITY_PRICE,
+          })
+        })
+      })
+
+      describe('ItemMetadataValidator', function () {
+        it('should validate and parse items metadata', async function () {
+          const validatorContract = await ItemMetadataValidator.new(
+            deployer,
+            ['hat'],
+            ['female', 'male'],
+            fromDeployer
+          )
+          const validator = new ItemMetadataValidatorClient(
+            validatorContract.address,
+            await getProvider(deployer)
+          )
+
+          expect(await validator.isValid(ITEMS[0][3])).to.be.equal(true)
+          expect(await validator.isValid('1:bird_mask:shoes:male')).to.be.equal(
+            false
+          )
+
+          const [version, name, category, bodyShapes] = ITEMS[0][3].split(':')
+          const expectedMetadata = {
+            version,
+            name,
+            category,
+            bodyShapes: bodyShapes.split(','),
+          }
+
+          expect(await validator.parse(ITEMS[0][3])).to.be.eql(expectedMetadata)
+          expect(
+            await validator.getItemMetadata(collectionContract.address, 0)
+          ).to.be.eql(expectedMetadata)
+
+          await validator.setCategories(['shoes'], [true], fromDeployer)
+
+          expect(await validator.isValid('1:bird_mask:shoes:male')).to.be.equal(
+            true
+          )
+        })
+      })
+
+      describe('CollectionStore', function () {
+        it('should quote and buy items', async function () {
+          await collectionContract.setMinters(
+            [storeContract.address],
+            [true],
+            fromDeployer
+          )
+
+          const store = new CollectionStore(
+            storeContract.address,
+            await getProvider(buyer)
+          )
+
+          const itemsToBuy = [
+            {
+              collection: collectionContract.address,
+              ids: [0, 6],
+              prices: [ITEMS[0][1], ITEMS[6][1]],
+              beneficiaries: [buyer, buyer],
+            },
+          ]
+
+          const { price, beneficiary } = await store.getItemBuyData(
+            collectionContract.address,
+            0
+          )
+          expect(price).to.be.eq.BN(ITEMS[0][1])
+          expect(beneficiary.toLowerCase()).to.be.equal(
+            BENEFICIARY_ADDRESS.toLowerCase()
+          )
+
+          const totalPrice = await store.getTotalPrice(itemsToBuy)
+          expect(totalPrice).to.be.eq.BN(
+            web3.utils.toBN(ITEMS[0][1]).add(web3.utils.toBN(ITEMS[6][1]))
+          )
+
+          const fee = await store.getSaleFee(ITEMS[0][1])
+          expect(fee).to.be.eq.BN(
+            web3.utils.toBN(ITEMS[0][1]).mul(FEE).div(web3.utils.toBN(1e6))
+          )
+
+          const { events } = await store.buy(itemsToBuy, fromBuyer)
+          expect(events.map(({ event }) => event)).to.be.eql(['Bought'])
+
+          expect(await collectionContract.balanceOf(buyer)).to.be.eq.BN(2)
+        })
+
+        it('should set token prices and buy with a payment token', async function () {
+          const usdcContract = await ERC20.new('USD Coin', 'USDC', 6)
+          await usdcContract.mint(buyer, 100000000)
+          await usdcContract.approve(
+            storeContract.address,
+            MAX_UINT256,
+            fromBuyer
+          )
+          await storeContract.setPaymentTokens(
+            [usdcContract.address],
+            [true],
+            fromDeployer
+          )
+          await collectionContract.setMinters(
+            [storeContract.address],
+            [true],
+            fromDeployer
+          )
+
+          const creatorStore = new CollectionStore(
+            storeContract.address,
+            await getProvider(deployer)
+          )
+          await creatorStore.setItemsTokenPrices(
+            collectionContract.address,
+            [0],
+            [{ token: usdcContract.address, price: 20000000 }],
+            fromDeployer
+          )
+
+          const store = new CollectionStore(
+            storeContract.address,
+            await getProvider(buyer)
+          )
+          expect(await store.isPaymentToken(usdcContract.address)).to.be.equal(
+            true
+          )
+          expect(
+            await store.getItemPaymentToken(collectionContract.address, 0)
+          ).to.be.equal(usdcContract.address)
+
+          const itemsToBuy = [
+            [collectionContract.address, [0], [20000000], [buyer]],
+          ]
+          expect(
+            await store.getTotalPrice(itemsToBuy, usdcContract.address)
+          ).to.be.eq.BN(20000000)
+
+          const { events } = await store.buyWithToken(
+            usdcContract.address,
+            itemsToBuy,
+            [],
+            fromBuyer
+          )
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'BoughtWithToken',
+          ])
+
+          expect(await collectionContract.balanceOf(buyer)).to.be.eq.BN(1)
+        })
+
+        it('should buy with the native currency', async function () {
+          const price = web3.utils.toWei('0.1')
+
+          await storeContract.setPaymentTokens(
+            [NATIVE_TOKEN],
+            [true],
+            fromDeployer
+          )
+          await storeContract.setItemsTokenPrices(
+            collectionContract.address,
+            [0],
+            [[NATIVE_TOKEN, price]],
+            fromDeployer
+          )
+          await collectionContract.setMinters(
+            [storeContract.address],
+            [true],
+            fromDeployer
+          )
+
+          const store = new CollectionStore(
+            storeContract.address,
+            await getProvider(buyer)
+          )
+
+          const itemsToBuy = [
+            [collectionContract.address, [0], [price], [buyer]],
+          ]
+          const totalPrice = await store.getTotalPrice(itemsToBuy, NATIVE_TOKEN)
+          expect(totalPrice).to.be.eq.BN(price)
+
+          const { events } = await store.buyWithNative(itemsToBuy, [], {
+            ...fromBuyer,
+            value: totalPrice,
+          })
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'BoughtWithToken',
+          ])
+
+          expect(await collectionContract.balanceOf(buyer)).to.be.eq.BN(1)
+        })
+
+        it('should set and quote price curves', async function () {
+          const store = new CollectionStore(
+            storeContract.address,
+            await getProvider(deployer)
+          )
+
+          expect(
+            await store.getItemPriceCurve(collectionContract.address, 0)
+          ).to.be.equal(null)
+
+          const priceCurve = {
+            startTime: 1000,
+            endTime: 2000,
+            startPrice: web3.utils.toWei('100'),
+            endPrice: web3.utils.toWei('10'),
+            steps: 0,
+          }
+
+          const { events } = await store.setItemsPriceCurves(
+            collectionContract.address,
+            [0],
+            [priceCurve],
+            fromDeployer
+          )
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'SetItemPriceCurve',
+          ])
+
+          expect(
+            await store.getItemPriceCurve(collectionContract.address, 0)
+          ).to.be.eql({
+            startTime: '1000',
+            endTime: '2000',
+            startPrice: priceCurve.startPrice,
+            endPrice: priceCurve.endPrice,
+            steps: '0',
+          })
+
+          const price = await store.getItemPriceAt(
+            collectionContract.address,
+            0,
+            1500
+          )
+          expect(price).to.be.eq.BN(web3.utils.toWei('55'))
+        })
+
+        it('should set allowlists and buy with proofs', async function () {
+          await collectionContract.setMinters(
+            [storeContract.address],
+            [true],
+            fromDeployer
+          )
+
+          const allowlist = createAllowlist([buyer, user])
+
+          const creatorStore = new CollectionStore(
+            storeContract.address,
+            await getProvider(deployer)
+          )
+          await creatorStore.setItemsAllowlists(
+            collectionContract.address,
+            [0],
+            [allowlist.root],
+            [1],
+            fromDeployer
+          )
+
+          expect(
+            await creatorStore.getItemAllowlist(collectionContract.address, 0)
+          ).to.be.eql({ root: allowlist.root, maxPerWallet: '1' })
+          expect(
+            await creatorStore.getItemAllowlist(collectionContract.address, 1)
+          ).to.be.equal(null)
+
+          const store = new CollectionStore(
+            storeContract.address,
+            await getProvider(buyer)
+          )
+
+          const { events } = await store.buyWithProofs(
+            [
+              {
+                collection: collectionContract.address,
+                ids: [0, 1],
+                prices: [ITEMS[0][1], ITEMS[1][1]],
+                beneficiaries: [buyer, buyer],
+              },
+            ],
+            [[allowlist.getProof(buyer), []]],
+            fromBuyer
+          )
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'AllowlistLeafConsumed',
+            'Bought',
+          ])
+
+          expect(
+            await store.getAllowlistPurchases(
+              collectionContract.address,
+              0,
+              buyer
+            )
+          ).to.be.eq.BN(1)
+        })
+
+        it('should sign and redeem vouchers', async function () {
+          await collectionContract.setMinters(
+            [storeContract.address],
+            [true],
+            fromDeployer
+          )
+
+          const voucher = {
+            collection: collectionContract.address,
+            itemId: 0,
+            beneficiary: user,
+            price: web3.utils.toWei('1'),
+            nonce: 7,
+            expiry: (await web3.eth.getBlock('latest')).timestamp + 3600,
+          }
+
+          const { signature } = await signVoucher(
+            new CollectionStore(
+              storeContract.address,
+              await getProvider(deployer)
+            ),
+            voucher,
+            deployer
+          )
+
+          const store = new CollectionStore(
+            storeContract.address,
+            await getProvider(buyer)
+          )
+
+          expect(await store.isVoucherNonceUsed(deployer, 7)).to.be.equal(false)
+
+          const { events } = await store.redeemVoucher(
+            voucher,
+            signature,
+            fromBuyer
+          )
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'VoucherRedeemed',
+          ])
+          expect(events[0].args._signer).to.be.equal(deployer)
+
+          expect(await store.isVoucherNonceUsed(deployer, 7)).to.be.equal(true)
+          expect(await collectionContract.balanceOf(user)).to.be.eq.BN(1)
+        })
+      })
+
+      describe('CollectionCrafting', function () {
+        it('should add, list and craft recipes', async function () {
+          const craftingContract = await Crafting.new(
+            deployer,
+            manaContract.address,
+            feeOwner,
+            FEE,
+            fromDeployer
+          )
+          await collectionContract.setMinters(
+            [craftingContract.address],
+            [true],
+            fromDeployer
+          )
+          await collectionContract.issueTokens(
+            [buyer, buyer],
+            [0, 1],
+            fromDeployer
+          )
+
+          const crafting = new CollectionCrafting(
+            craftingContract.address,
+            await getProvider(deployer)
+          )
+
+          await crafting.addRecipe(
+            collectionContract.address,
+            6,
+            [
+              { collection: collectionContract.address, itemId: 0 },
+              [collectionContract.address, 1],
+            ],
+            0,
+            BENEFICIARY_ADDRESS,
+            fromDeployer
+          )
+
+          const recipes = await crafting.getRecipes({
+            collection: collectionContract.address,
+          })
+          expect(recipes.length).to.be.equal(1)
+          expect(recipes[0]).to.be.eql({
+            recipeId: '0',
+            collection: collectionContract.address,
+            itemId: '6',
+            ingredients: [
+              { collection: collectionContract.address, itemId: '0' },
+              { collection: collectionContract.address, itemId: '1' },
+            ],
+            price: '0',
+            beneficiary: web3.utils.toChecksumAddress(BENEFICIARY_ADDRESS),
+            isActive: true,
+          })
+          expect(await crafting.getRecipe(0)).to.be.eql(recipes[0])
+
+          const crafts = [
+            {
+              recipeId: 0,
+              tokenIds: [encodeTokenId(0, 1), encodeTokenId(1, 1)],
+            },
+          ]
+          expect(await crafting.getTotalPrice(crafts)).to.be.eq.BN(0)
+
+          const collection = new CollectionV2(
+            collectionContract.address,
+            await getProvider(buyer)
+          )
+          await collection.setApprovalForAll(crafting.address, true, fromBuyer)
+          expect(
+            await collection.isApprovedForAll(buyer, crafting.address)
+          ).to.be.equal(true)
+
+          const crafter = new CollectionCrafting(
+            craftingContract.address,
+            await getProvider(buyer)
+          )
+          const { events } = await crafter.craft(crafts, fromBuyer)
+          expect(events.map(({ event }) => event)).to.be.eql(['Crafted'])
+
+          expect(await collection.balanceOf(buyer)).to.be.eq.BN(1)
+          expect(await collection.ownerOf(encodeTokenId(6, 1))).to.be.equal(
+            buyer
+          )
+        })
+      })
+
+      describe('BurningStoreV2', function () {
+        it('should set burn prices and buy items', async function () {
+          const burningStoreContract = await BurningStore.new(
+            deployer,
+            manaContract.address,
+            feeOwner,
+            FEE,
+            fromDeployer
+          )
+          await collectionContract.setMinters(
+            [burningStoreContract.address],
+            [true],
+            fromDeployer
+          )
+          await manaContract.approve(
+            burningStoreContract.address,
+            -1,
+            fromBuyer
+          )
+
+          const creatorStore = new BurningStoreV2(
+            burningStoreContract.address,
+            await getProvider(deployer)
+          )
+          expect(
+            await creatorStore.getItemBurnPrice(collectionContract.address, 0)
+          ).to.be.eq.BN(0)
+
+          const burnPrice = web3.utils.toWei('10')
+          const { events: setEvents } = await creatorStore.setItemsBurnPrices(
+            collectionContract.address,
+            [0],
+            [burnPrice],
+            fromDeployer
+          )
+          expect(setEvents.map(({ event }) => event)).to.be.eql([
+            'SetItemBurnPrice',
+          ])
+
+          const itemsToBuy = [
+            [
+              collectionContract.address,
+              [0, 0],
+              [burnPrice, burnPrice],
+              [buyer, buyer],
+            ],
+          ]
+
+          const store = new BurningStoreV2(
+            burningStoreContract.address,
+            await getProvider(buyer)
+          )
+          expect(await store.getTotalPrice(itemsToBuy)).to.be.eq.BN(
+            web3.utils.toBN(burnPrice).mul(web3.utils.toBN(2))
+          )
+
+          const { events } = await store.buy(itemsToBuy, fromBuyer)
+          expect(events.map(({ event }) => event)).to.be.eql(['Bought'])
+
+          expect(await collectionContract.balanceOf(buyer)).to.be.eq.BN(2)
+        })
+      })
+
+      describe('CollectionMarketplace', function () {
+        let marketplaceContract
+        let expiresAt
+
+        beforeEach(async function () {
+          marketplaceContract = await Marketplace.new(
+            deployer,
+            manaContract.address,
+            feeOwner,
+            FEE,
+            fromDeployer
+          )
+
+          await collectionContract.issueTokens(
+            [user, user],
+            [0, 0],
+            fromDeployer
+          )
+          await collectionContract.setApprovalForAll(
+            marketplaceContract.address,
+            true,
+            { from: user }
+          )
+          await manaContract.approve(marketplaceContract.address, -1, fromBuyer)
+
+          expiresAt = (await web3.eth.getBlock('latest')).timestamp + 86400
+        })
+
+        it('should create and execute orders', async function () {
+          const price = web3.utils.toWei('10')
+          const tokenId = encodeTokenId(0, 1)
+
+          const sellerMarketplace = new CollectionMarketplace(
+            marketplaceContract.address,
+            await getProvider(user)
+          )
+          expect(
+            await sellerMarketplace.getOrder(
+              collectionContract.address,
+              tokenId
+            )
+          ).to.be.equal(null)
+
+          const {
+            events: orderEvents,
+          } = await sellerMarketplace.createOrder(
+            collectionContract.address,
+            tokenId,
+            price,
+            expiresAt,
+            { from: user }
+          )
+          expect(orderEvents.map(({ event }) => event)).to.be.eql([
+            'OrderCreated',
+          ])
+
+          const order = await sellerMarketplace.getOrder(
+            collectionContract.address,
+            tokenId
+          )
+          expect(order.seller).to.be.equal(user)
+          expect(order.price).to.be.equal(price)
+          expect(order.expiresAt).to.be.equal(expiresAt.toString())
+
+          const marketplace = new CollectionMarketplace(
+            marketplaceContract.address,
+            await getProvider(buyer)
+          )
+          const { events } = await marketplace.executeOrder(
+            collectionContract.address,
+            tokenId,
+            price,
+            fromBuyer
+          )
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'OrderSuccessful',
+          ])
+
+          expect(await collectionContract.ownerOf(tokenId)).to.be.equal(buyer)
+        })
+
+        it('should place and accept item bids', async function () {
+          const price = web3.utils.toWei('10')
+          const tokenId = encodeTokenId(0, 2)
+
+          const marketplace = new CollectionMarketplace(
+            marketplaceContract.address,
+            await getProvider(buyer)
+          )
+          await marketplace.placeItemBid(
+            collectionContract.address,
+            0,
+            price,
+            expiresAt,
+            fromBuyer
+          )
+
+          const bid = await marketplace.getItemBid(
+            collectionContract.address,
+            0,
+            buyer
+          )
+          expect(bid.price).to.be.equal(price)
+          expect(
+            await marketplace.getBid(collectionContract.address, tokenId, buyer)
+          ).to.be.equal(null)
+
+          const sellerMarketplace = new CollectionMarketplace(
+            marketplaceContract.address,
+            await getProvider(user)
+          )
+          const {
+            events,
+          } = await sellerMarketplace.acceptItemBid(
+            collectionContract.address,
+            tokenId,
+            buyer,
+            price,
+            { from: user }
+          )
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'ItemBidAccepted',
+          ])
+
+          expect(await collectionContract.ownerOf(tokenId)).to.be.equal(buyer)
+          expect(
+            await marketplace.getItemBid(collectionContract.address, 0, buyer)
+          ).to.be.equal(null)
+        })
+
+        it('should create, sign, validate and execute signed orders', async function () {
+          const price = web3.utils.toWei('10')
+          const tokenId = encodeTokenId(0, 1)
+
+          const sellerMarketplace = new CollectionMarketplace(
+            marketplaceContract.address,
+            await getProvider(user)
+          )
+          const order = await createSignedOrder(sellerMarketplace, {
+            seller: user,
+            collection: collectionContract.address,
+            tokenId,
+            price,
+            expiresAt,
+          })
+          expect(order.token).to.be.equal(manaContract.address)
+          expect(order.nonce).to.be.equal('0')
+
+          const { signature } = await signOrder(sellerMarketplace, order, user)
+
+          const marketplace = new CollectionMarketplace(
+            marketplaceContract.address,
+            await getProvider(buyer)
+          )
+          expect(
+            await validateSignedOrder(marketplace, order, signature)
+          ).to.be.eql([])
+          expect(
+            await validateSignedOrder(
+              marketplace,
+              { ...order, price: '1' },
+              signature
+            )
+          ).to.be.eql(['INVALID_SIGNER'])
+          expect(
+            await validateSignedOrder(
+              marketplace,
+              order,
+              signature,
+              encodeTokenId(0, 2)
+            )
+          ).to.be.eql(['TOKEN_MISMATCH'])
+
+          const { events } = await marketplace.executeSignedOrder(
+            order,
+            tokenId,
+            signature,
+            fromBuyer
+          )
+          expect(events.map(({ event }) => event)).to.be.eql([
+            'SignedOrderExecuted',
+          ])
+          expect(events[0].args._hash).to.be.equal(hashSignedOrder(order))
+
+          expect(await collectionContract.ownerOf(tokenId)).to.be.equal(buyer)
+          expect(
+            await marketplace.isSignedOrderExecuted(hashSignedOrder(order))
+          ).to.be.equal(true)
+          expect(
+            await validateSignedOrder(marketplace, order, signature)
+          ).to.be.eql(['ORDER_ALREADY_EXECUTED', 'SELLER_IS_NOT_OWNER'])
+
+          await sellerMarketplace.bumpNonce({ from: user })
+          expect(await marketplace.getSellerNonce(user)).to.be.equal('1')
+        })
+      })
+
+      describe('CollectionManager', function () {
+        let managerContract
+        let forwarderContract
+        let factoryContract
+
+        beforeEach(async function () {
+          const committeeContract = await Committee.new(
+            deployer,
+            [user],
+            fromDeployer
+          )
+
+          managerContract = await CollectionManagerContract.new(
+            deployer,
+            manaContract.address,
+            committeeContract.address,
+            feeOwner,
+            raritiesContract.address,
+            [RESCUE_ITEMS_SELECTOR, SET_APPROVE_COLLECTION_SELECTOR],
+            [true, true]
+          )
+
+          forwarderContract = await Forwarder.new(
+            deployer,
+            managerContract.address,
+            fromDeployer
+          )
+
+          await linkCollectionV2Libraries(ERC721CollectionV2)
+          factoryContract = await ERC721CollectionFactoryV2.new(
+            forwarderContract.address,
+            (await ERC721CollectionV2.new()).address
+          )
+
+          await manaContract.approve(managerContract.address, -1, fromBuyer)
+        })
+
+        it('should quote the fee and create a collection', async function () {
+          const manager = new CollectionManager(
+            managerContract.address,
+            await getProvider(buyer)
+          )
+
+          const fee = await manager.getCreationFee(ITEMS)
+          expect(fee).to.be.eq.BN(
+            web3.utils
+              .toBN(DEFAULT_RARITY_PRICE)
+              .mul(web3.utils.toBN(ITEMS.length))
+          )
+
+          const { collection } = await manager.createCollection(
+            {
+              forwarder: forwarderContract.address,
+              factory: factoryContract.address,
+              salt: web3.utils.randomHex(32),
+              name: 'collectionName',
+              symbol: 'collectionSymbol',
+              baseURI: 'collectionBaseURI',
+              creator: buyer,
+              items: ITEMS,
+            },
+            { ...fromBuyer, gas: 9e6 }
+          )
+
+          expect(
+            await factoryContract.isCollectionFromFactory(collection)
+          ).to.be.equal(true)
+
+          const newCollection = await ERC721CollectionV2.at(collection)
+          expect(await newCollection.creator()).to.be.equal(buyer)
+          expect(await newCollection.itemsCount()).to.be.eq.BN(ITEMS.length)
+        })
+
+        it('should quote the fees with a breakdown per rarity', async function () {
+          const manager = new CollectionManager(
+            managerContract.address,
+            await getProvider(buyer)
+          )
+
+          const commonFee = web3.utils
+            .toBN(DEFAULT_RARITY_PRICE)
+            .mul(web3.utils.toBN(6))
+            .toString()
+          const legendaryFee = web3.utils
+            .toBN(DEFAULT_RARITY_PRICE)
+            .mul(web3.utils.toBN(2))
+            .toString()
+
+          // ITEMS has 6 common and 2 legendary items
+          const expectedQuote = {
+            total: await manager.getCreationFee(ITEMS),
+            breakdown: [
+              {
+                rarity: RARITIES.common.name,
+                count: '6',
+                price: DEFAULT_RARITY_PRICE,
+                fee: commonFee,
+              },
+              {
+                rarity: RARITIES.legendary.name,
+                count: '2',
+                price: DEFAULT_RARITY_PRICE,
+                fee: legendaryFee,
+              },
+            ],
+          }
+
+          expect(await manager.quoteCreationFee(ITEMS)).to.be.eql(expectedQuote)
+          expect(await manager.quoteAddItemsFee(ITEMS)).to.be.eql(expectedQuote)
+          expect(
+            await manager.quoteRaritiesFee(
+              [RARITIES.common.name, RARITIES.legendary.name],
+              [6, 2]
+            )
+          ).to.be.eql(expectedQuote)
+        })
+
+        it('should request a migration and get the collection version', async function () {
+          const manager = new CollectionManager(
+            managerContract.address,
+            await getProvider(buyer)
+          )
+          const { collection } = await manager.createCollection(
+            {
+              forwarder: forwarderContract.address,
+              factory: factoryContract.address,
+              salt: web3.utils.randomHex(32),
+              name: 'collectionName',
+              symbol: 'collectionSymbol',
+              baseURI: 'collectionBaseURI',
+              creator: buyer,
+              items: ITEMS,
+            },
+            { ...fromBuyer, gas: 9e6 }
+          )
+
+          const newImplementation = await ERC721CollectionV2.new()
+          await forwarderContract.forwardCall(
+            factoryContract.address,
+            factoryContract.contract.methods
+              .addImplementation(newImplementation.address)
+              .encodeABI(),
+            fromDeployer
+          )
+
+          const factory = new CollectionFactoryV2(
+            factoryContract.address,
+            await getProvider(buyer)
+          )
+
+          expect(await factory.getImplementations()).to.be.eql([
+            await factoryContract.implementations(0),
+            newImplementation.address,
+          ])
+
+          const { events } = await factory.requestMigration(
+            { collection, version: 1 },
+            fromBuyer
+          )
+          expect(events.length).to.be.equal(1)
+          expect(events[0].event).to.be.equal('MigrationRequested')
+
+          expect(await factory.getCollectionVersion(collection)).to.be.eql({
+            version: '0',
+            implementation: await factoryContract.implementations(0),
+            requestedVersion: '1',
+          })
+
+          await factory.cancelMigration(collection, fromBuyer)
+
+          const { requestedVersion } = await factory.getCollectionVersion(
+            collection
+          )
+          expect(requestedVersion).to.be.equal('0')
+        })
+
+        it('should list collections', async function () {
+          const manager = new CollectionManager(
+            managerContract.address,
+            await getProvider(buyer)
+          )
+          const { collection } = await manager.createCollection(
+            {
+              forwarder: forwarderContract.address,
+              factory: factoryContract.address,
+              salt: web3.utils.randomHex(32),
+              name: 'collectionName',
+              symbol: 'collectionSymbol',
+              baseURI: 'collectionBaseURI',
+              creator: buyer,
+              items: ITEMS,
+            },
+            { ...fromBuyer, gas: 9e6 }
+          )
+
+          const factory = new CollectionFactoryV2(
+            factoryContract.address,
+            await getProvider(buyer)
+          )
+          const newCollection = await ERC721CollectionV2.at(collection)
+          const expectedSummary = {
+            collection,
+            creator: buyer,
+            isApproved: false,
+            isCompleted: true,
+            itemsCount: ITEMS.length.toString(),
+            createdAt: (await newCollection.createdAt()).toString(),
+            version: '0',
+          }
+
+          expect(await factory.getCollectionSummary(collection)).to.be.eql(
+            expectedSummary
+          )
+          expect(await factory.getCollections()).to.be.eql([expectedSummary])
+          expect(await factory.getCollectionsByCreator(buyer)).to.be.eql([
+            expectedSummary,
+          ])
+          expect(await factory.getAllCollectionsByCreator(buyer, 1)).to.be.eql([
+            expectedSummary,
+          ])
+          expect(await factory.getCollectionsByCreator(user)).to.be.eql([])
+        })
+
+        it('should encode a committee call', async function () {
+          expect(
+            CollectionManager.encodeCollectionCall('setApproved', [true])
+          ).to.be.equal(
+            web3.eth.abi.encodeFunctionCall(
+              {
+                inputs: [
+                  {
+                    internalType: 'bool',
+                    name: '_value',
+                    type: 'bool',
+                  },
+                ],
+                name: 'setApproved',
+                outputs: [],
+                stateMutability: 'nonpayable',
+                type: 'function',
+              },
+              [true]
+            )
+          )
+          expect(
+            CollectionManager.decodeCollectionCall(
+              CollectionManager.encodeCollectionCall('setApproved', [true])
+            )
+          ).to.be.equal('setApproved(bool)')
+        })
+
+        it('should get, execute and cancel committee actions', async function () {
+          const manager = new CollectionManager(
+            managerContract.address,
+            await getProvider(buyer)
+          )
+          const { collection } = await manager.createCollection(
+            {
+              forwarder: forwarderContract.address,
+              factory: factoryContract.address,
+              salt: web3.utils.randomHex(32),
+              name: 'collectionName',
+              symbol: 'collectionSymbol',
+              baseURI: 'collectionBaseURI',
+              creator: buyer,
+              items: ITEMS,
+            },
+            { ...fromBuyer, gas: 9e6 }
+          )
+
+          await managerContract.setCommittee(deployer, fromDeployer)
+          await managerContract.setCommitteeMethodsDelays(
+            [SET_APPROVE_COLLECTION_SELECTOR],
+            [duration.days(1)],
+            fromDeployer
+          )
+          expect(
+            await manager.getCommitteeMethodDelay('setApproved')
+          ).to.be.eq.BN(duration.days(1))
+
+          const data = CollectionManager.encodeCollectionCall('setApproved', [
+            true,
+          ])
+          for (let i = 0; i < 2; i++) {
+            await managerContract.manageCollection(
+              forwarderContract.address,
+              collection,
+              data,
+              fromDeployer
+            )
+          }
+
+          const pending = await manager.getPendingCommitteeActions()
+          expect(pending.map(({ id, status }) => [id, status])).to.be.eql([
+            ['0', 'queued'],
+            ['1', 'queued'],
+          ])
+          expect(pending[0].collection).to.be.equal(collection)
+          expect(pending[0].data).to.be.equal(data)
+          expect(pending[0].committee).to.be.equal(deployer)
+          expect(
+            await manager.getPendingCommitteeActions({ offset: 1, limit: 1 })
+          ).to.be.eql([pending[1]])
+
+          const owner = new CollectionManager(
+            managerContract.address,
+            await getProvider(deployer)
+          )
+          await owner.cancelCommitteeAction(1, fromDeployer)
+
+          await increaseTime(duration.days(1))
+
+          const { events } = await manager.executeCommitteeAction(0, fromBuyer)
+          expect(events.length).to.be.equal(1)
+          expect(events[0].event).to.be.equal('CommitteeActionExecuted')
+
+          expect(await manager.getPendingCommitteeActions()).to.be.eql([])
+          expect((await manager.getCommitteeAction(1)).status).to.be.equal(
+            'cancelled'
+          )
+
+          const newCollection = await ERC721CollectionV2.at(collection)
+          expect(await newCollection.isApproved()).to.be.equal(true)
+        })
+      })
+    })
+  }
+})